@@ -0,0 +1,146 @@
+// js/accessibility.js - Focus management, announcements and motion settings
+
+/**
+ * Dental Kids App - Accessibility
+ * Keeps keyboard and switch users inside an open dialog and returns them
+ * where they were when it closes, announces changes that only show up
+ * visually, and works out whether animations should be toned down.
+ */
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const MOTION_PREFERENCES = ['auto', 'reduce', 'full'];
+
+/**
+ * Loops Tab and Shift+Tab inside a dialog while it is open
+ */
+class FocusTrap {
+    constructor(container) {
+        this.container = container;
+        this.returnFocus = null;
+        this.active = false;
+        this.handleKeydown = event => this.onKeydown(event);
+    }
+
+    /**
+     * Start trapping, remembering what had focus so it can be restored
+     */
+    activate() {
+        if (!this.active) {
+            this.returnFocus = document.activeElement;
+            this.container.addEventListener('keydown', this.handleKeydown);
+            this.active = true;
+        }
+    }
+
+    /**
+     * Stop trapping and put focus back where it was before opening
+     */
+    deactivate() {
+        if (!this.active) return;
+
+        this.container.removeEventListener('keydown', this.handleKeydown);
+        this.active = false;
+
+        const target = this.returnFocus;
+        this.returnFocus = null;
+        if (target && target.isConnected && typeof target.focus === 'function') {
+            target.focus();
+        }
+    }
+
+    focusables() {
+        return Array.from(this.container.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(element => !element.closest('[hidden]') && element.getClientRects().length > 0);
+    }
+
+    /**
+     * Move focus into the dialog: to the given element, or the first control
+     */
+    focus(element = null) {
+        const target = element || this.focusables()[0] || this.container;
+        if (target) {
+            target.focus({ preventScroll: true });
+        }
+    }
+
+    onKeydown(event) {
+        if (event.key !== 'Tab') return;
+
+        const focusables = this.focusables();
+        if (focusables.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+        const current = document.activeElement;
+
+        if (event.shiftKey && (current === first || !this.container.contains(current))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (current === last || !this.container.contains(current))) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+/**
+ * Screen reader announcements through the page's live regions
+ */
+const LiveAnnouncer = {
+    /**
+     * Say a message politely, or interrupt with assertive for urgent news
+     */
+    announce(message, politeness = 'polite') {
+        const region = document.getElementById(`live-region-${politeness}`);
+        if (!region || !message) return;
+
+        // Clear first so the same message twice is still read out
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+};
+
+/**
+ * Whether animations should be reduced, from the child's setting or the device
+ */
+const MotionSettings = {
+    query: window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null,
+
+    deviceReduces() {
+        return Boolean(this.query && this.query.matches);
+    },
+
+    isReduced(preference) {
+        if (preference === 'reduce') return true;
+        if (preference === 'full') return false;
+        return this.deviceReduces();
+    },
+
+    /**
+     * Call back when the device setting changes while the app is open
+     */
+    onDeviceChange(callback) {
+        if (this.query && this.query.addEventListener) {
+            this.query.addEventListener('change', callback);
+        }
+    },
+
+    apply(preference) {
+        const reduced = this.isReduced(preference);
+        document.documentElement.classList.toggle('reduced-motion', reduced);
+        return reduced;
+    }
+};
@@ -0,0 +1,227 @@
+// js/achievements.js - Declarative badge definitions and rules engine
+
+/**
+ * Dental Kids App - Achievements
+ * Badges are plain data: an id, a name, an icon, a hint shown while the
+ * badge is locked, and criteria evaluated against the child's progress.
+ * Clinics can replace these badges with their own (see js/content.js);
+ * the badge for each procedure is always added.
+ */
+
+const ACHIEVEMENTS = [
+    {
+        id: 'first-procedure',
+        name: 'First Adventure',
+        icon: '🌟',
+        hint: 'Finish any procedure',
+        criteria: { type: 'proceduresCompleted', count: 1 }
+    },
+    {
+        id: 'all-procedures',
+        name: 'Dental Champion',
+        icon: '🏆',
+        hint: 'Finish every procedure',
+        criteria: { type: 'allProcedures' }
+    },
+    {
+        id: 'visit-streak-3',
+        name: 'Welcome Back',
+        icon: '👋',
+        hint: 'Visit 3 days in a row',
+        criteria: { type: 'visitStreak', days: 3 }
+    },
+    {
+        id: 'visit-streak-7',
+        name: 'Super Regular',
+        icon: '📅',
+        hint: 'Visit 7 days in a row',
+        criteria: { type: 'visitStreak', days: 7 }
+    },
+    {
+        id: 'game-star',
+        name: 'Game Star',
+        icon: '🎮',
+        hint: 'Score 90 or more in a practice game',
+        criteria: { type: 'miniGameScore', min: 90 }
+    },
+    {
+        id: 'brushing-coach',
+        name: 'Two-Minute Timer',
+        icon: '⏱️',
+        hint: 'Brush along with the brushing coach',
+        criteria: { type: 'brushingSessions', count: 1 }
+    },
+    {
+        id: 'brushing-streak-3',
+        name: 'Sparkle Streak',
+        icon: '🪥',
+        hint: 'Brush morning and evening 3 days in a row',
+        criteria: { type: 'habitStreak', habit: 'brush', days: 3 }
+    },
+    {
+        id: 'brushing-streak-7',
+        name: 'Diamond Smile',
+        icon: '💎',
+        hint: 'Brush morning and evening 7 days in a row',
+        criteria: { type: 'habitStreak', habit: 'brush', days: 7 }
+    },
+    {
+        id: 'floss-streak-7',
+        name: 'Floss Boss',
+        icon: '🧵',
+        hint: 'Floss 7 days in a row',
+        criteria: { type: 'habitStreak', habit: 'floss', days: 7 }
+    },
+    {
+        id: 'quiz-round',
+        name: 'Quiz Kid',
+        icon: '🧠',
+        hint: 'Finish a tooth quiz',
+        criteria: { type: 'quizRounds', count: 1 }
+    },
+    {
+        id: 'quiz-perfect',
+        name: 'Tooth Genius',
+        icon: '🎓',
+        hint: 'Get every answer right in a tooth quiz',
+        criteria: { type: 'quizScore', min: 100 }
+    }
+];
+
+/**
+ * What each criteria type needs besides its type, for badge authoring
+ */
+const ACHIEVEMENT_CRITERIA = {
+    proceduresCompleted: ['count'],
+    procedureCompleted: ['procedure'],
+    allProcedures: [],
+    visitStreak: ['days'],
+    miniGameScore: ['min'],
+    brushingSessions: ['count'],
+    habitStreak: ['habit', 'days'],
+    quizRounds: ['count'],
+    quizScore: ['min']
+};
+
+/**
+ * Rule evaluators keyed by criteria type
+ */
+const ACHIEVEMENT_RULES = {
+    proceduresCompleted(progress, criteria) {
+        return progress.completedProcedures.length >= criteria.count;
+    },
+
+    procedureCompleted(progress, criteria) {
+        return progress.completedProcedures.includes(criteria.procedure);
+    },
+
+    allProcedures(progress) {
+        const procedures = ProcedureCatalog.all();
+        return procedures.length > 0 &&
+            procedures.every(procedure => progress.completedProcedures.includes(procedure.id));
+    },
+
+    visitStreak(progress, criteria) {
+        return (progress.visitStreak || 0) >= criteria.days;
+    },
+
+    miniGameScore(progress, criteria) {
+        return Object.values(progress.miniGameScores || {}).some(score => score >= criteria.min);
+    },
+
+    brushingSessions(progress, criteria) {
+        return HabitTracker.totalSessions(progress.habitLog || {}) >= criteria.count;
+    },
+
+    habitStreak(progress, criteria) {
+        return HabitTracker.streak(progress.habitLog || {}, criteria.habit) >= criteria.days;
+    },
+
+    quizRounds(progress, criteria) {
+        return (progress.quizRounds || []).length >= criteria.count;
+    },
+
+    quizScore(progress, criteria) {
+        return (progress.quizRounds || []).some(round =>
+            round.total > 0 && Math.round(round.correct / round.total * 100) >= criteria.min
+        );
+    }
+};
+
+const Achievements = {
+    /**
+     * The clinic's own badges, or null to use the built-in ones
+     */
+    custom: null,
+
+    useCustom(badges) {
+        this.custom = badges;
+    },
+
+    /**
+     * Editable copy of the built-in badges, in English
+     */
+    defaults() {
+        return JSON.parse(JSON.stringify(ACHIEVEMENTS));
+    },
+
+    /**
+     * Every badge definition, including one per catalog procedure,
+     * with names and hints in the current language
+     */
+    all() {
+        const procedureBadges = ProcedureCatalog.all().map(procedure => ({
+            id: `procedure-${procedure.id}`,
+            name: I18n.t('badges.procedureHero.name', { title: procedure.title }),
+            icon: procedure.icon,
+            hint: I18n.t('badges.procedureHero.hint', { title: procedure.title }),
+            criteria: { type: 'procedureCompleted', procedure: procedure.id }
+        }));
+
+        const badges = (this.custom || ACHIEVEMENTS).map(definition => this.localize(definition));
+        return badges.slice(0, 1).concat(procedureBadges, badges.slice(1));
+    },
+
+    /**
+     * Translated copy of a badge; names and hints a clinic rewrote are
+     * shown as written
+     */
+    localize(definition) {
+        const builtIn = ACHIEVEMENTS.find(badge => badge.id === definition.id);
+        return builtIn ? I18n.localize(definition, `badges.${definition.id}`, builtIn) : definition;
+    },
+
+    /**
+     * Earned badges the app has a definition for, named in the current
+     * language, with when each was earned. Badges whose definition is
+     * gone (clinic content that was reverted) stay saved but aren't shown.
+     */
+    earned(badges) {
+        const earnedAt = new Map(badges.map(badge => [badge.id, badge.earnedAt]));
+        return this.all()
+            .filter(definition => earnedAt.has(definition.id))
+            .map(definition => Object.assign({}, definition, { earnedAt: earnedAt.get(definition.id) }));
+    },
+
+    /**
+     * Check a single definition against progress
+     */
+    isMet(definition, progress) {
+        const rule = ACHIEVEMENT_RULES[definition.criteria.type];
+        if (!rule) {
+            console.warn(`⚠️ Unknown achievement rule: ${definition.criteria.type}`);
+            return false;
+        }
+        return rule(progress, definition.criteria);
+    },
+
+    /**
+     * Get definitions that are met but not yet earned
+     */
+    evaluate(progress) {
+        const earned = new Set(progress.badges.map(badge => badge.id));
+        return this.all().filter(definition =>
+            !earned.has(definition.id) && this.isMet(definition, progress)
+        );
+    }
+};
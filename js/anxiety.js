@@ -0,0 +1,143 @@
+// js/anxiety.js - Faces scale self-report and before/after trend chart
+
+/**
+ * Dental Kids App - Anxiety Self-Report
+ * A picture-based faces scale (in the style of Wong-Baker) asked before a
+ * procedure starts and after it is completed. Scores run 0 (calm) to 10.
+ */
+
+/**
+ * Face labels are translated under "anxiety.faces.<score>"
+ */
+const FACES_SCALE = [
+    { score: 0, face: '😄' },
+    { score: 2, face: '🙂' },
+    { score: 4, face: '😐' },
+    { score: 6, face: '😟' },
+    { score: 8, face: '😢' },
+    { score: 10, face: '😱' }
+];
+
+const ANXIETY_QUESTIONS = {
+    pre: 'anxiety.preQuestion',
+    post: 'anxiety.postQuestion'
+};
+
+const AnxietyScale = {
+    /**
+     * Build the faces scale for the start (pre) or end (post) of a procedure
+     */
+    render(procedureId, phase) {
+        const faces = FACES_SCALE.map(option => `
+            <button class="face-option" data-score="${option.score}"
+                    onclick="app.recordAnxietyRating('${procedureId}', '${phase}', ${option.score})">
+                <span class="face-emoji">${option.face}</span>
+                <span class="face-label">${I18n.t(`anxiety.faces.${option.score}`)}</span>
+            </button>
+        `).join('');
+
+        return `
+            <div class="procedure-steps anxiety-check">
+                <div class="step-indicator">${I18n.t(phase === 'pre' ? 'anxiety.before' : 'anxiety.after')}</div>
+                <h3 data-narrate>${I18n.t(ANXIETY_QUESTIONS[phase])}</h3>
+                <p data-narrate>${I18n.t('anxiety.tapFace')}</p>
+                <div class="faces-scale">${faces}</div>
+                <button class="skip-rating-btn" onclick="app.recordAnxietyRating('${procedureId}', '${phase}', null)">
+                    ${I18n.t('anxiety.skip')}
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Pair pre and post ratings from the same session, oldest first
+     */
+    sessions(ratings) {
+        const sessions = new Map();
+
+        ratings.forEach(rating => {
+            if (!sessions.has(rating.sessionId)) {
+                sessions.set(rating.sessionId, {
+                    procedure: rating.procedure,
+                    timestamp: rating.timestamp,
+                    pre: null,
+                    post: null
+                });
+            }
+            sessions.get(rating.sessionId)[rating.phase] = rating.score;
+        });
+
+        return Array.from(sessions.values())
+            .filter(session => session.pre !== null || session.post !== null)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    },
+
+    /**
+     * Average score for one phase, or null without ratings
+     */
+    average(ratings, phase) {
+        const scores = ratings.filter(rating => rating.phase === phase).map(rating => rating.score);
+        if (scores.length === 0) return null;
+        return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10;
+    },
+
+    faceFor(score) {
+        const option = FACES_SCALE.slice().reverse().find(face => score >= face.score);
+        return option ? option.face : FACES_SCALE[0].face;
+    },
+
+    /**
+     * Build an SVG line chart of before/after ratings for the last sessions
+     */
+    renderChart(ratings, maxSessions = 10) {
+        const sessions = this.sessions(ratings).slice(-maxSessions);
+        if (sessions.length === 0) {
+            return `<p class="anxiety-empty">${I18n.t('anxiety.chartEmpty')}</p>`;
+        }
+
+        const width = 320;
+        const height = 180;
+        const padding = { top: 16, right: 16, bottom: 28, left: 36 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const x = index => padding.left + (sessions.length === 1 ? plotWidth / 2 : (index / (sessions.length - 1)) * plotWidth);
+        const y = score => padding.top + plotHeight - (score / 10) * plotHeight;
+
+        const line = phase => {
+            const points = sessions
+                .map((session, index) => session[phase] === null ? null : `${x(index)},${y(session[phase])}`)
+                .filter(Boolean);
+            const dots = sessions
+                .map((session, index) => session[phase] === null ? '' :
+                    `<circle class="chart-dot chart-${phase}" cx="${x(index)}" cy="${y(session[phase])}" r="4"></circle>`)
+                .join('');
+            return `<polyline class="chart-line chart-${phase}" points="${points.join(' ')}"></polyline>${dots}`;
+        };
+
+        const gridLines = [0, 5, 10].map(score => `
+            <line class="chart-grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(score)}" y2="${y(score)}"></line>
+            <text class="chart-axis" x="${padding.left - 8}" y="${y(score) + 4}" text-anchor="end">${this.faceFor(score)}</text>
+        `).join('');
+
+        const labels = sessions.map((session, index) => `
+            <text class="chart-axis" x="${x(index)}" y="${height - 8}" text-anchor="middle">${index + 1}</text>
+        `).join('');
+
+        const before = this.average(ratings, 'pre');
+        const after = this.average(ratings, 'post');
+
+        return `
+            <svg class="anxiety-chart-svg" viewBox="0 0 ${width} ${height}" role="img"
+                 aria-label="${I18n.t('anxiety.chartLabel')}">
+                ${gridLines}
+                ${labels}
+                ${line('pre')}
+                ${line('post')}
+            </svg>
+            <div class="chart-legend">
+                <span class="legend-item legend-pre">${I18n.t('anxiety.legendBefore')}${before === null ? '' : `: ${before}`}</span>
+                <span class="legend-item legend-post">${I18n.t('anxiety.legendAfter')}${after === null ? '' : `: ${after}`}</span>
+            </div>
+        `;
+    }
+};
@@ -6,18 +6,64 @@
  */
 
 class DentalKidsApp {
-    constructor() {
+    constructor(storageAdapter = StorageAdapters.createDefault(), options = {}) {
         this.currentSection = 'home';
-        this.soundEnabled = true;
-        this.userProgress = this.loadProgress();
+        this.previewMode = Boolean(options.preview);
+        this.storage = new AppStorage(storageAdapter);
+        this.profiles = null;
+        this.activeProfile = null;
+        // Profiles already counted as visiting since the app was opened
+        this.visitedProfiles = new Set();
+        this.userProgress = ProgressSchema.createDefault();
+        this.soundEnabled = this.userProgress.soundEnabled;
+        this.narrationEnabled = this.userProgress.narrationEnabled;
+        this.narrator = null;
+        this.audio = new AudioEngine({ enabled: this.soundEnabled });
+        this.reducedMotion = false;
+        this.modalTrap = null;
+        this.updates = new UpdateManager({ onUpdateReady: () => this.offerUpdate() });
+        this.updateReady = false;
         this.animations = [];
+        this.activeGame = null;
+        this.brushingCoach = null;
+        this.calmTool = null;
+        this.quiz = null;
+        this.quizBoard = null;
+        this.kiosk = null;
+        this.content = null;
+        this.idleWatcher = null;
+        this.research = null;
+        this.procedureLog = null;
+        this.mascots = {};
+        this.pauseTimer = null;
+        this.parentGate = null;
+        this.parentTrap = null;
+        this.timeUpTrap = null;
+        this.pendingReset = null;
+        this.limitWarning = null;
+        this.attractTrap = null;
+        this.attractTimer = null;
+        this.currentSessionId = null;
+        this.currentProcedure = null;
+        this.currentStep = null;
+        this.router = new HashRouter(route => this.applyRoute(route));
+        this.activityTickSeconds = 15;
+        this.badgeNotificationQueue = [];
+        this.checkingAchievements = false;
+        this.pendingPlan = null;
+        this.pendingImport = null;
+        this.localeKey = 'dentalKidsLocale';
         
-        // Initialize app when DOM is ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.init());
-        } else {
-            this.init();
-        }
+        // Initialize app when DOM is ready and saved data is loaded
+        const domReady = new Promise(resolve => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', resolve);
+            } else {
+                resolve();
+            }
+        });
+        
+        Promise.all([domReady, this.storage.load()]).then(() => this.init());
     }
     
     /**
@@ -26,14 +72,42 @@ class DentalKidsApp {
     init() {
         console.log('🦷 Dental Kids App initializing...');
         
+        this.profiles = new ProfileManager(this.storage);
+        this.kiosk = new KioskMode(this.storage);
+        this.research = new ResearchLog(this.storage);
+        this.content = new ContentLibrary(this.storage);
+        this.content.apply();
+        this.activeProfile = this.profiles.getActive();
+        this.userProgress = this.loadProgress();
+        this.applyAgeLevel();
+        this.startResearchSession();
+        
+        this.setupLanguage();
         this.setupLoadingScreen();
         this.setupNavigation();
         this.setupSoundToggle();
+        this.setupAudio();
+        this.setupMotion();
         this.setupProcedureCards();
+        this.renderTips();
+        this.setupBrushing();
         this.setupHelpButton();
         this.setupModal();
+        this.setupMascot();
+        this.setupNarration();
+        this.setupVisitPlan();
+        this.setupProgressTools();
+        this.setupProfiles();
+        this.setupParentArea();
+        this.setupKiosk();
+        this.setupPreview();
+        this.setupUpdates();
+        this.applySettings();
+        this.startActivityTimer();
+        this.checkDailyLimit();
         this.updateProgressDisplay();
         this.playWelcomeSound();
+        this.router.start();
         
         console.log('✅ App initialized successfully!');
     }
@@ -48,6 +122,7 @@ class DentalKidsApp {
             // Hide loading screen after 2.5 seconds with animation
             setTimeout(() => {
                 loadingScreen.classList.add('hidden');
+                this.greet();
                 
                 // Remove from DOM after animation completes
                 setTimeout(() => {
@@ -67,8 +142,7 @@ class DentalKidsApp {
         navButtons.forEach(button => {
             button.addEventListener('click', (e) => {
                 e.preventDefault();
-                const targetSection = button.dataset.section;
-                this.navigateToSection(targetSection, button);
+                this.navigateToSection(button.dataset.section);
             });
         });
         
@@ -82,24 +156,61 @@ class DentalKidsApp {
     }
     
     /**
-     * Navigate to specific section
+     * Navigate to specific section (through the router, so Back works)
+     */
+    navigateToSection(sectionName) {
+        this.router.navigate({ section: sectionName });
+    }
+    
+    /**
+     * Show what the current route points at: a section, and maybe a
+     * procedure opened at a step
+     */
+    applyRoute(route) {
+        const allowed = this.kioskRoute(route);
+        if (allowed !== route) {
+            this.router.navigate(allowed, { replace: true });
+            return;
+        }
+        
+        if (route.section !== this.currentSection) {
+            this.renderSection(route.section);
+        }
+        
+        const modal = document.getElementById('procedure-modal');
+        const modalOpen = Boolean(modal) && modal.classList.contains('show');
+        
+        if (route.procedure) {
+            if (!modalOpen || route.procedure !== this.currentProcedure) {
+                this.showProcedureModal(route.procedure, route.step);
+            } else if (route.step !== this.currentStep) {
+                if (route.step) {
+                    this.renderProcedureStep(route.procedure, route.step);
+                } else {
+                    this.currentStep = null;
+                    this.showAnxietyCheck(route.procedure, 'pre');
+                }
+            }
+        } else if (modalOpen && this.currentProcedure) {
+            this.hideModal();
+        }
+    }
+    
+    /**
+     * Switch the visible section
      */
-    navigateToSection(sectionName, activeButton = null) {
+    renderSection(sectionName) {
         // Update current section
         this.currentSection = sectionName;
+        this.logEvent('section', { value: sectionName });
         
         // Update navigation buttons
         const navButtons = document.querySelectorAll('.nav-btn');
         navButtons.forEach(btn => btn.classList.remove('active'));
         
-        if (activeButton) {
-            activeButton.classList.add('active');
-        } else {
-            // Find and activate the correct button
-            const targetButton = document.querySelector(`[data-section="${sectionName}"]`);
-            if (targetButton) {
-                targetButton.classList.add('active');
-            }
+        const targetButton = document.querySelector(`.nav-btn[data-section="${sectionName}"]`);
+        if (targetButton) {
+            targetButton.classList.add('active');
         }
         
         // Update sections
@@ -139,8 +250,10 @@ class DentalKidsApp {
             case 'progress':
                 this.animateProgressCircle();
                 this.animateBadges();
+                this.renderAnxietyTrend();
                 break;
             case 'tips':
+                this.renderHabits();
                 this.animateTipCards();
                 break;
         }
@@ -151,6 +264,8 @@ class DentalKidsApp {
      */
     animateProcedureCards() {
         const cards = document.querySelectorAll('.procedure-card');
+        if (this.reducedMotion) return;
+        
         cards.forEach((card, index) => {
             card.style.opacity = '0';
             card.style.transform = 'translateY(30px)';
@@ -175,27 +290,42 @@ class DentalKidsApp {
             const circumference = 2 * Math.PI * 50; // radius = 50
             const offset = circumference - (completionRate / 100) * circumference;
             
-            // Animate progress ring
-            setTimeout(() => {
+            if (this.reducedMotion) {
                 progressRing.style.strokeDashoffset = offset;
-                
-                // Animate percentage counter
-                let current = 0;
-                const increment = completionRate / 30; // 30 steps
-                const timer = setInterval(() => {
-                    current += increment;
-                    if (current >= completionRate) {
-                        current = completionRate;
-                        clearInterval(timer);
-                    }
-                    progressText.textContent = Math.round(current) + '%';
-                }, 50);
-            }, 500);
+                progressText.textContent = completionRate + '%';
+            } else {
+                // Animate progress ring
+                setTimeout(() => {
+                    progressRing.style.strokeDashoffset = offset;
+                    
+                    // Animate percentage counter
+                    let current = 0;
+                    const increment = completionRate / 30; // 30 steps
+                    const timer = setInterval(() => {
+                        current += increment;
+                        if (current >= completionRate) {
+                            current = completionRate;
+                            clearInterval(timer);
+                        }
+                        progressText.textContent = Math.round(current) + '%';
+                    }, 50);
+                }, 500);
+            }
         }
         
         // Update other progress stats
         document.getElementById('procedures-completed').textContent = this.userProgress.completedProcedures.length;
-        document.getElementById('badges-earned').textContent = this.userProgress.badges.length;
+        document.getElementById('badges-earned').textContent = Achievements.earned(this.userProgress.badges).length;
+    }
+    
+    /**
+     * Fill the tips section from the tip catalog
+     */
+    renderTips() {
+        const tipsGrid = document.querySelector('.tips-grid');
+        if (tipsGrid) {
+            tipsGrid.innerHTML = TipCatalog.renderCards();
+        }
     }
     
     /**
@@ -203,6 +333,8 @@ class DentalKidsApp {
      */
     animateTipCards() {
         const cards = document.querySelectorAll('.tip-card');
+        if (this.reducedMotion) return;
+        
         cards.forEach((card, index) => {
             card.style.opacity = '0';
             card.style.transform = 'scale(0.8)';
@@ -224,327 +356,2601 @@ class DentalKidsApp {
         
         if (soundToggle && soundIcon) {
             soundToggle.addEventListener('click', () => {
-                this.soundEnabled = !this.soundEnabled;
-                soundIcon.textContent = this.soundEnabled ? '🔊' : '🔇';
+                this.setSoundEnabled(!this.soundEnabled);
                 
                 // Visual feedback
                 soundToggle.classList.add('animate-scaleUp');
                 setTimeout(() => {
                     soundToggle.classList.remove('animate-scaleUp');
                 }, 300);
-                
-                this.saveProgress();
-                console.log(`🔊 Sound ${this.soundEnabled ? 'enabled' : 'disabled'}`);
             });
         }
     }
     
     /**
-     * Setup procedure cards interactivity
+     * Turn sound on or off, from the header toggle or the parent area
      */
-    setupProcedureCards() {
-        const procedureCards = document.querySelectorAll('.procedure-card');
+    setSoundEnabled(enabled) {
+        this.soundEnabled = enabled;
         
-        procedureCards.forEach(card => {
-            const procedureType = card.dataset.procedure;
-            const startButton = card.querySelector('.start-procedure-btn');
-            
-            // Card hover effects
-            card.addEventListener('mouseenter', () => {
-                this.playHoverSound();
-            });
-            
-            // Start procedure button
-            if (startButton) {
-                startButton.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.startProcedure(procedureType);
-                });
-            }
-            
-            // Card click to start procedure
-            card.addEventListener('click', () => {
-                this.startProcedure(procedureType);
-            });
-        });
+        const soundIcon = document.querySelector('.sound-icon');
+        if (soundIcon) {
+            soundIcon.textContent = this.soundEnabled ? '🔊' : '🔇';
+        }
+        this.audio.setEnabled(this.soundEnabled);
+        if (!this.soundEnabled) {
+            this.narrator.stop();
+        }
+        this.updateNarrationControls();
+        
+        this.saveProgress();
+        this.logEvent('sound', { value: this.soundEnabled ? 'on' : 'off' });
+        console.log(`🔊 Sound ${this.soundEnabled ? 'enabled' : 'disabled'}`);
     }
     
     /**
-     * Start a dental procedure
+     * Fill the language pickers and show the page in the saved language
      */
-    startProcedure(procedureType) {
-        console.log(`🦷 Starting procedure: ${procedureType}`);
+    setupLanguage() {
+        document.querySelectorAll('.language-select').forEach(select => {
+            select.innerHTML = Object.entries(I18N_LOCALES)
+                .map(([locale, { name }]) => `<option value="${locale}" lang="${locale}">${name}</option>`)
+                .join('');
+            select.addEventListener('change', () => this.setLocale(select.value));
+        });
         
-        this.playClickSound();
-        this.showProcedureModal(procedureType);
+        this.applyLocale(this.userProgress.locale || this.storage.read(this.localeKey) || I18n.detect());
+    }
+    
+    /**
+     * Change language from a picker, remembering it for this device
+     * and for the child who is playing
+     */
+    setLocale(locale) {
+        const applied = this.applyLocale(locale);
+        this.storage.write(this.localeKey, applied);
         
-        // Add visual feedback to clicked card
-        const card = document.querySelector(`[data-procedure="${procedureType}"]`);
-        if (card) {
-            card.classList.add('animate-scaleUp');
-            setTimeout(() => {
-                card.classList.remove('animate-scaleUp');
-            }, 300);
+        if (this.activeProfile) {
+            this.userProgress.locale = applied;
+            this.saveProgress();
         }
+        
+        this.playClickSound();
+        console.log(`🌐 Language: ${applied}`);
     }
     
     /**
-     * Setup modal functionality
+     * Translate the page and re-render everything built from catalogs
      */
-    setupModal() {
-        const modal = document.getElementById('procedure-modal');
-        const closeButton = document.querySelector('.close-modal');
+    applyLocale(locale) {
+        const changed = locale !== I18n.locale;
+        const applied = I18n.setLocale(locale);
         
-        if (closeButton) {
-            closeButton.addEventListener('click', () => {
-                this.closeModal();
-            });
+        document.querySelectorAll('.language-select').forEach(select => {
+            select.value = applied;
+        });
+        
+        // Nothing has been rendered yet while the app is still starting
+        if (changed && this.profilePicker) {
+            this.setupProcedureCards();
+            this.renderTips();
+            this.renderVisitPlan();
+            this.updateProfileButton();
+            this.updateProgressDisplay();
+            this.profilePicker.render();
+            this.renderParentArea();
         }
         
-        // Close modal on outside click
-        if (modal) {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    this.closeModal();
-                }
-            });
+        return applied;
+    }
+    
+    /**
+     * Unlock audio on the first tap and wire the grown-up sound levels
+     */
+    setupAudio() {
+        if (!this.audio.isSupported()) {
+            console.warn('⚠️ Web Audio not supported, sound effects are off');
         }
+        this.audio.bindUnlock(document);
         
-        // Close modal on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && modal && modal.classList.contains('show')) {
-                this.closeModal();
+        const settings = document.querySelector('.audio-settings');
+        if (!settings) return;
+        
+        settings.addEventListener('input', (e) => {
+            const channel = e.target.dataset.audioVolume;
+            if (channel) {
+                this.audio.setVolume(channel, Number(e.target.value) / 100);
+                this.narrator.volume = this.audio.volumes.narration;
+            }
+        });
+        
+        settings.addEventListener('change', (e) => {
+            if (e.target.matches('[data-audio-music]')) {
+                this.audio.setMusicEnabled(e.target.checked);
+                console.log(`🎵 Music ${e.target.checked ? 'on' : 'off'}`);
+            } else if (e.target.dataset.audioVolume === 'effects') {
+                this.playClickSound();
             }
+            this.saveProgress();
         });
     }
     
     /**
-     * Show procedure modal
+     * Wire the motion setting and follow the device's reduced-motion switch
      */
-    showProcedureModal(procedureType) {
-        const modal = document.getElementById('procedure-modal');
-        const modalTitle = document.getElementById('modal-title');
-        const modalContent = document.getElementById('procedure-content');
+    setupMotion() {
+        const select = document.querySelector('[data-motion-setting]');
+        if (select) {
+            select.addEventListener('change', () => {
+                this.userProgress.motion = select.value;
+                this.applyMotion();
+                this.saveProgress();
+                console.log(`🐢 Motion setting: ${select.value}`);
+            });
+        }
         
-        if (modal && modalTitle && modalContent) {
-            // Set modal content based on procedure type
-            const procedureData = this.getProcedureData(procedureType);
-            modalTitle.textContent = procedureData.title;
-            modalContent.innerHTML = procedureData.content;
-            
-            // Show modal with animation
-            modal.classList.add('show');
-            document.body.style.overflow = 'hidden';
-            
-            console.log(`📱 Opened modal for: ${procedureType}`);
+        MotionSettings.onDeviceChange(() => this.applyMotion());
+    }
+    
+    applyMotion() {
+        this.reducedMotion = MotionSettings.apply(this.userProgress.motion);
+        
+        const select = document.querySelector('[data-motion-setting]');
+        if (select) {
+            select.value = this.userProgress.motion;
         }
     }
     
     /**
-     * Close modal
+     * Load the active profile's volumes and music choice into the engine
      */
-    closeModal() {
-        const modal = document.getElementById('procedure-modal');
-        
-        if (modal) {
-            modal.classList.remove('show');
-            document.body.style.overflow = '';
-            
-            this.playClickSound();
-            console.log('📱 Modal closed');
+    applyAudioSettings() {
+        this.audio.setEnabled(this.soundEnabled);
+        this.audio.setVolume('effects', this.userProgress.effectsVolume);
+        this.audio.setVolume('music', this.userProgress.musicVolume);
+        this.audio.setVolume('narration', this.userProgress.narrationVolume);
+        this.audio.setMusicEnabled(this.userProgress.musicEnabled);
+        if (this.narrator) {
+            this.narrator.volume = this.audio.volumes.narration;
         }
+        
+        document.querySelectorAll('[data-audio-volume]').forEach(input => {
+            input.value = Math.round(this.audio.volumes[input.dataset.audioVolume] * 100);
+        });
+        document.querySelectorAll('[data-audio-music]').forEach(input => {
+            input.checked = this.audio.musicEnabled;
+        });
     }
     
     /**
-     * Get procedure data for modal
+     * Reflect the active profile's settings in the UI
      */
-    getProcedureData(procedureType) {
-        const procedures = {
-            cleaning: {
-                title: '🪥 Tooth Cleaning Adventure',
-                content: `
-                    <div class="procedure-steps">
-                        <div class="step-indicator">Step 1 of 3: SHOW</div>
-                        <div class="procedure-animation">
-                            <div class="tooth-demo">🦷</div>
-                            <div class="brush-demo">🪥</div>
-                        </div>
-                        <h3>Let me show you how we clean teeth!</h3>
-                        <p>Watch as the special dental brush gently cleans around your tooth. It might tickle a little, but it doesn't hurt!</p>
-                        <button class="next-step-btn" onclick="app.nextProcedureStep('cleaning', 'tell')">
-                            Tell Me More! 📚
-                        </button>
-                    </div>
-                `
-            },
-            xray: {
-                title: '📸 X-Ray Superhero Vision',
-                content: `
-                    <div class="procedure-steps">
-                        <div class="step-indicator">Step 1 of 3: SHOW</div>
-                        <div class="procedure-animation">
-                            <div class="xray-demo">📸✨</div>
-                        </div>
-                        <h3>X-rays give us superhero vision!</h3>
-                        <p>Just like Superman can see through walls, X-rays help us see inside your teeth to make sure they're healthy!</p>
-                        <button class="next-step-btn" onclick="app.nextProcedureStep('xray', 'tell')">
-                            Tell Me More! 📚
-                        </button>
-                    </div>
-                `
-            },
-            filling: {
-                title: '🔧 Cavity Filling Hero Mission',
-                content: `
-                    <div class="procedure-steps">
-                        <div class="step-indicator">Step 1 of 3: SHOW</div>
-                        <div class="procedure-animation">
-                            <div class="filling-demo">🦷🔧</div>
-                        </div>
-                        <h3>We're tooth repair heroes!</h3>
-                        <p>Sometimes teeth get tiny holes called cavities. We fix them with special tooth-colored material, just like fixing a wall!</p>
-                        <button class="next-step-btn" onclick="app.nextProcedureStep('filling', 'tell')">
-                            Tell Me More! 📚
-                        </button>
-                    </div>
-                `
-            },
-            checkup: {
-                title: '🔍 Dental Treasure Hunt',
-                content: `
-                    <div class="procedure-steps">
-                        <div class="step-indicator">Step 1 of 3: SHOW</div>
-                        <div class="procedure-animation">
-                            <div class="checkup-demo">🔍🦷</div>
-                        </div>
-                        <h3>Let's go on a treasure hunt in your mouth!</h3>
-                        <p>We use a special mirror and light to explore every tooth, looking for hidden problems before they become big ones!</p>
-                        <button class="next-step-btn" onclick="app.nextProcedureStep('checkup', 'tell')">
-                            Tell Me More! 📚
-                        </button>
-                    </div>
-                `
-            }
-        };
+    applySettings() {
+        this.soundEnabled = this.userProgress.soundEnabled;
+        
+        const soundIcon = document.querySelector('.sound-icon');
+        if (soundIcon) {
+            soundIcon.textContent = this.soundEnabled ? '🔊' : '🔇';
+        }
+        
+        this.narrationEnabled = this.userProgress.narrationEnabled;
+        this.updateNarrationControls();
+        this.applyAudioSettings();
+        this.applyMotion();
         
-        return procedures[procedureType] || procedures.cleaning;
+        if (this.userProgress.locale) {
+            this.applyLocale(this.userProgress.locale);
+        }
     }
     
     /**
-     * Handle next step in procedure (Show-Tell-Do flow)
+     * Setup the "Who's playing?" picker and header switcher
      */
-    nextProcedureStep(procedureType, step) {
-        const modalContent = document.getElementById('procedure-content');
-        if (!modalContent) return;
+    setupProfiles() {
+        this.profilePicker = new ProfilePicker(this.profiles, {
+            onSelect: profileId => this.switchProfile(profileId),
+            onLevelChange: profile => {
+                if (this.activeProfile && profile.id === this.activeProfile.id) {
+                    this.applyAgeLevel();
+                }
+            },
+            onDelete: profile => {
+                if (this.activeProfile && profile.id === this.activeProfile.id) {
+                    this.clearActiveProfile();
+                }
+            }
+        });
         
-        const stepContent = this.getProcedureStepContent(procedureType, step);
-        modalContent.innerHTML = stepContent;
+        const profileSwitch = document.getElementById('profile-switch');
+        if (profileSwitch) {
+            profileSwitch.addEventListener('click', () => {
+                this.closeModal();
+                this.profilePicker.show();
+            });
+        }
         
-        this.playClickSound();
-        console.log(`📖 Showing ${step} step for ${procedureType}`);
+        this.updateProfileButton();
+        this.profilePicker.show();
     }
     
     /**
-     * Get content for specific procedure step
+     * The "Who's playing?" picker is up, so nobody is playing yet
      */
-    getProcedureStepContent(procedureType, step) {
-        // This will be expanded in procedures.js
-        return `<div class="step-content">Step ${step} content for ${procedureType}</div>`;
+    isPickingProfile() {
+        return Boolean(this.profilePicker) && this.profilePicker.isOpen();
     }
     
     /**
-     * Setup help button
+     * Wire the grown-ups' buttons (press and hold, then a sum) and the
+     * settings, limits and resets inside the parent area
      */
-    setupHelpButton() {
-        const helpButton = document.getElementById('help-button');
+    setupParentArea() {
+        const area = document.getElementById('parent-area');
+        if (!area) return;
         
-        if (helpButton) {
-            helpButton.addEventListener('click', () => {
-                this.showHelpModal();
-            });
+        this.parentGate = new ParentalGate(area.querySelector('.parent-gate'));
+        this.parentTrap = new FocusTrap(area);
+        const timeUp = document.getElementById('time-up');
+        if (timeUp) {
+            this.timeUpTrap = new FocusTrap(timeUp);
         }
+        
+        document.querySelectorAll('.parent-btn').forEach(button => {
+            ParentalGate.holdToOpen(button, {
+                onHeld: () => this.openParentArea(),
+                onTap: () => this.mascotSay('grownUpsOnly')
+            });
+        });
+        
+        area.addEventListener('change', (e) => {
+            const setting = e.target.dataset.parentSetting;
+            if (setting === 'sound') {
+                this.setSoundEnabled(e.target.checked);
+            } else if (setting === 'narration') {
+                this.setNarrationEnabled(e.target.checked);
+            } else if (setting === 'dailyLimit') {
+                this.setDailyLimit(e.target.value ? Number(e.target.value) : null);
+            }
+        });
+        
+        area.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-parent-reset]');
+            if (!button) return;
+            
+            const action = button.dataset.parentReset;
+            if (action === 'ask') {
+                this.pendingReset = button.dataset.profile;
+            } else if (action === 'confirm') {
+                this.resetProgress(this.pendingReset);
+                this.pendingReset = null;
+            } else {
+                this.pendingReset = null;
+            }
+            this.renderParentArea();
+        });
+        
+        area.querySelector('.parent-close-btn').addEventListener('click', () => this.closeParentArea());
+        area.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeParentArea();
+            }
+        });
+    }
+    
+    isParentAreaOpen() {
+        const area = document.getElementById('parent-area');
+        return Boolean(area) && area.classList.contains('show');
     }
     
     /**
-     * Show help modal
+     * Open the parent area at its sum; settings only show once it's answered
      */
-    showHelpModal() {
-        const modal = document.getElementById('procedure-modal');
-        const modalTitle = document.getElementById('modal-title');
-        const modalContent = document.getElementById('procedure-content');
+    openParentArea() {
+        const area = document.getElementById('parent-area');
+        if (!area || this.isParentAreaOpen()) return;
         
-        if (modal && modalTitle && modalContent) {
-            modalTitle.textContent = '❓ Help & Instructions';
-            modalContent.innerHTML = `
-                <div class="help-content">
-                    <h3>How to use Dental Kids App:</h3>
-                    <ul>
-                        <li>🏠 <strong>Home:</strong> Start your dental adventure here</li>
-                        <li>🔧 <strong>Procedures:</strong> Learn about dental treatments</li>
-                        <li>🏆 <strong>Progress:</strong> See your brave badges and achievements</li>
-                        <li>💡 <strong>Tips:</strong> Learn how to keep your teeth healthy</li>
-                    </ul>
-                    
-                    <h3>In each procedure you will:</h3>
-                    <div class="help-steps">
-                        <div class="help-step">
-                            <span class="step-number">1</span>
-                            <strong>SHOW:</strong> Watch what happens
-                        </div>
-                        <div class="help-step">
-                            <span class="step-number">2</span>
-                            <strong>TELL:</strong> Learn all about it
-                        </div>
-                        <div class="help-step">
-                            <span class="step-number">3</span>
-                            <strong>DO:</strong> Practice it yourself
-                        </div>
-                    </div>
-                    
-                    <button class="help-close-btn" onclick="app.closeModal()">
-                        Got it! 👍
-                    </button>
-                </div>
-            `;
-            
-            modal.classList.add('show');
-            document.body.style.overflow = 'hidden';
-            
-            this.playClickSound();
+        this.pendingReset = null;
+        area.querySelector('.parent-panel').hidden = true;
+        area.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        this.parentTrap.activate();
+        
+        this.parentGate.ask({
+            message: I18n.t('parent.gateMessage'),
+            confirmLabel: I18n.t('parent.unlock'),
+            onConfirm: () => {
+                area.querySelector('.parent-panel').hidden = false;
+                this.renderParentArea();
+                this.parentTrap.focus();
+                console.log('👪 Parent area opened');
+            },
+            onCancel: () => this.closeParentArea()
+        });
+    }
+    
+    closeParentArea() {
+        const area = document.getElementById('parent-area');
+        if (!this.isParentAreaOpen()) return;
+        
+        area.classList.remove('show');
+        this.parentGate.cancel();
+        this.parentTrap.deactivate();
+        if (!this.isTimeUp()) {
+            document.body.style.overflow = '';
         }
     }
     
     /**
-     * Calculate completion rate based on user progress
+     * Fill the parent area with the active child's settings and summary
      */
-    calculateCompletionRate() {
-        const totalProcedures = 4; // cleaning, xray, filling, checkup
-        const completed = this.userProgress.completedProcedures.length;
-        return Math.round((completed / totalProcedures) * 100);
+    renderParentArea() {
+        const area = document.getElementById('parent-area');
+        if (!this.isParentAreaOpen() || area.querySelector('.parent-panel').hidden) return;
+        
+        const profile = this.activeProfile;
+        area.querySelector('.parent-child').textContent = profile
+            ? I18n.t('parent.forChild', { name: profile.name })
+            : I18n.t('parent.noChild');
+        area.querySelector('[data-parent-setting="sound"]').checked = this.soundEnabled;
+        area.querySelector('[data-parent-setting="narration"]').checked = this.narrationEnabled;
+        area.querySelectorAll('.parent-settings input, .parent-settings select[data-parent-setting]').forEach(input => {
+            input.disabled = !profile;
+        });
+        
+        const limit = area.querySelector('[data-parent-setting="dailyLimit"]');
+        limit.innerHTML = `<option value="">${I18n.t('parent.noLimit')}</option>` + DAILY_LIMIT_MINUTES
+            .map(minutes => `<option value="${minutes}">${I18n.t('parent.minutes', { count: minutes })}</option>`)
+            .join('');
+        limit.value = this.userProgress.dailyLimitMinutes === null ? '' : String(this.userProgress.dailyLimitMinutes);
+        
+        const remaining = DailyLimit.remaining(this.userProgress);
+        area.querySelector('.parent-limit-status').textContent = remaining === null ? '' : I18n.t('parent.limitLeft', {
+            time: I18n.t('parent.minutes', { count: Math.ceil(remaining / 60) })
+        });
+        
+        area.querySelector('.parent-summary').innerHTML = profile
+            ? ParentSummary.render(this.userProgress)
+            : '';
+        area.querySelector('.parent-reset').innerHTML = this.renderResetList();
     }
     
     /**
-     * Animate badges display
+     * A reset button for every child, asking once more before it clears anything
      */
-    animateBadges() {
-        const badgesContainer = document.getElementById('badges-container');
-        if (!badgesContainer) return;
+    renderResetList() {
+        const rows = this.profiles.list().map(profile => {
+            const name = escapeHTML(profile.name);
+            const actions = profile.id === this.pendingReset ? `
+                <span class="parent-reset-question">${I18n.t('parent.resetConfirm', { name })}</span>
+                <button type="button" class="prev-step-btn" data-parent-reset="cancel">${I18n.t('parent.cancel')}</button>
+                <button type="button" class="next-step-btn" data-parent-reset="confirm">${I18n.t('parent.resetYes')}</button>
+            ` : `
+                <button type="button" class="prev-step-btn" data-parent-reset="ask" data-profile="${profile.id}">${I18n.t('parent.reset')}</button>
+            `;
+            return `
+                <li class="parent-reset-row">
+                    <span class="parent-reset-name">${profile.avatar} ${name}</span>
+                    ${actions}
+                </li>
+            `;
+        }).join('');
         
-        // Clear existing badges
-        badgesContainer.innerHTML = '';
+        return `
+            <h3 class="parent-heading">${I18n.t('parent.resetTitle')}</h3>
+            <p class="parent-empty">${I18n.t('parent.resetIntro')}</p>
+            <ul class="parent-reset-list">${rows}</ul>
+        `;
+    }
+    
+    /**
+     * Clear a child's adventures, badges and feelings, keeping their settings
+     */
+    resetProgress(profileId) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return;
         
-        // Add earned badges
-        this.userProgress.badges.forEach((badge, index) => {
-            const badgeElement = document.createElement('div');
-            badgeElement.className = 'badge-item';
-            badgeElement.innerHTML = `
-                <div class="badge-icon">${badge.icon}</div>
-                <div class="badge-name">${badge.name}</div>
+        if (this.activeProfile && profileId === this.activeProfile.id) {
+            this.userProgress = ProgressSchema.reset(this.userProgress);
+            this.saveProgress();
+            this.renderVisitPlan();
+            this.updateProgressDisplay();
+        } else {
+            this.profiles.saveProgress(profileId, ProgressSchema.reset(this.profiles.loadProgress(profileId)));
+        }
+        
+        console.log(`🧹 Progress reset for ${profile.name}`);
+    }
+    
+    setDailyLimit(minutes) {
+        this.userProgress.dailyLimitMinutes = minutes;
+        this.limitWarning = null;
+        this.saveProgress();
+        this.checkDailyLimit();
+        this.renderParentArea();
+        console.log(`⏱️ Daily limit: ${minutes === null ? 'none' : `${minutes} minutes`}`);
+    }
+    
+    /**
+     * Warn a few minutes before the child's daily time runs out, and
+     * show the time's-up screen once it has
+     */
+    checkDailyLimit() {
+        const kiosk = Boolean(this.kiosk) && this.kiosk.isActive();
+        const remaining = this.activeProfile && !kiosk && !this.previewMode
+            ? DailyLimit.remaining(this.userProgress)
+            : null;
+        
+        if (remaining === 0) {
+            this.showTimeUp();
+            return;
+        }
+        this.hideTimeUp();
+        
+        const warning = `${this.activeProfile ? this.activeProfile.id : ''}|${HabitTracker.dateKey()}`;
+        if (remaining !== null && remaining <= DAILY_LIMIT_WARNING_MINUTES * 60 && this.limitWarning !== warning) {
+            this.limitWarning = warning;
+            this.mascotSay('timeAlmostUp');
+        }
+    }
+    
+    isTimeUp() {
+        const timeUp = document.getElementById('time-up');
+        return Boolean(timeUp) && !timeUp.hidden;
+    }
+    
+    showTimeUp() {
+        const timeUp = document.getElementById('time-up');
+        if (!timeUp || this.isTimeUp()) return;
+        
+        const modal = document.getElementById('procedure-modal');
+        if (modal && modal.classList.contains('show')) {
+            this.closeModal();
+        }
+        this.stopBrushing();
+        this.stopCalmTool();
+        
+        timeUp.hidden = false;
+        document.body.style.overflow = 'hidden';
+        this.timeUpTrap.activate();
+        this.timeUpTrap.focus(timeUp.querySelector('.parent-btn'));
+        if (this.mascots.timeUp) {
+            this.mascots.timeUp.say('timeUp', { name: this.activeProfile.name });
+        }
+        console.log(`⏱️ Daily limit reached for ${this.activeProfile.name}`);
+    }
+    
+    hideTimeUp() {
+        const timeUp = document.getElementById('time-up');
+        if (!this.isTimeUp()) return;
+        
+        timeUp.hidden = true;
+        this.timeUpTrap.deactivate();
+        if (!this.isParentAreaOpen()) {
+            document.body.style.overflow = '';
+        }
+    }
+    
+    /**
+     * Load another child's progress, badges and settings
+     */
+    switchProfile(profileId) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) {
+            console.error(`❌ Unknown profile: ${profileId}`);
+            return;
+        }
+        
+        this.profiles.setActive(profileId);
+        this.activeProfile = profile;
+        this.userProgress = this.loadProgress();
+        
+        this.applySettings();
+        this.applyAgeLevel();
+        this.startResearchSession();
+        this.updateProfileButton();
+        this.recordVisit();
+        this.renderVisitPlan();
+        this.updateProgressDisplay();
+        this.greet();
+        this.checkDailyLimit();
+        
+        console.log(`👶 Now playing: ${profile.name}`);
+        
+        if (this.pendingPlan) {
+            this.offerVisitPlan(this.pendingPlan);
+        }
+    }
+    
+    /**
+     * Nobody is playing: the active child's profile was deleted, so
+     * nothing may be saved under it until someone else is picked
+     */
+    clearActiveProfile() {
+        this.activeProfile = null;
+        this.userProgress = ProgressSchema.createDefault();
+        
+        this.applyAgeLevel();
+        this.updateProfileButton();
+        this.checkDailyLimit();
+    }
+    
+    /**
+     * Word procedures, tips and the quiz for the active child's age band,
+     * or the one a grown-up chose for them
+     */
+    applyAgeLevel() {
+        const band = AgeLevels.forProfile(this.activeProfile);
+        const changed = band !== AgeLevels.band;
+        
+        AgeLevels.use(band);
+        document.documentElement.dataset.ageBand = band;
+        
+        if (changed && this.profilePicker) {
+            this.setupProcedureCards();
+            this.renderTips();
+            this.renderQuizPanel();
+            console.log(`🎚️ Content level: ages ${band}`);
+        }
+    }
+    
+    /**
+     * Show the active child's avatar and name in the header
+     */
+    updateProfileButton() {
+        const avatar = document.querySelector('.profile-switch-avatar');
+        const name = document.querySelector('.profile-switch-name');
+        
+        if (avatar && name) {
+            avatar.textContent = this.activeProfile ? this.activeProfile.avatar : '👤';
+            name.textContent = this.activeProfile ? this.activeProfile.name : I18n.t('profiles.whoIsPlaying');
+        }
+    }
+    
+    /**
+     * Lock the app down for a clinic tablet if staff turned kiosk mode on
+     */
+    setupKiosk() {
+        const exitButton = document.querySelector('.kiosk-exit-btn');
+        if (exitButton) {
+            exitButton.addEventListener('click', () => this.askKioskPin());
+        }
+        
+        const attract = document.getElementById('kiosk-attract');
+        if (attract) {
+            this.attractTrap = new FocusTrap(attract);
+            attract.addEventListener('click', () => this.hideAttractScreen());
+        }
+        
+        if (this.kiosk.isActive()) {
+            this.startKiosk();
+        }
+    }
+    
+    startKiosk() {
+        const settings = this.kiosk.settings();
+        
+        document.documentElement.classList.add('kiosk');
+        this.applyKioskLock();
+        this.profilePicker.hide();
+        
+        // Carry on with the same guest after a reload
+        if (settings.guestProfileId && this.profiles.get(settings.guestProfileId)) {
+            this.switchProfile(settings.guestProfileId);
+        } else {
+            this.startGuestSession();
+        }
+        
+        this.idleWatcher = new IdleWatcher({
+            minutes: settings.idleMinutes,
+            isBusy: () => this.isKioskBusy(),
+            onIdle: () => this.resetKioskSession()
+        });
+        this.idleWatcher.start();
+        this.showAttractScreen();
+        console.log(`🔒 Kiosk mode: ${settings.sections.join(', ')}`);
+    }
+    
+    /**
+     * Show only the sections and procedures chosen for the kiosk
+     */
+    applyKioskLock() {
+        const active = Boolean(this.kiosk) && this.kiosk.isActive();
+        
+        document.querySelectorAll('.nav-btn').forEach(button => {
+            button.hidden = active && !this.kiosk.allowsSection(button.dataset.section);
+        });
+        document.querySelectorAll('.procedure-card').forEach(card => {
+            card.hidden = active && !this.kiosk.allowsProcedure(card.dataset.procedure);
+        });
+        const ctaButton = document.querySelector('#home-section .cta-button');
+        if (ctaButton) {
+            ctaButton.hidden = active && !this.kiosk.allowsSection('procedures');
+        }
+    }
+    
+    /**
+     * Send routes the kiosk doesn't allow back to somewhere it does
+     */
+    kioskRoute(route) {
+        if (!this.kiosk || !this.kiosk.isActive()) return route;
+        
+        if (!this.kiosk.allowsSection(route.section)) {
+            return { section: this.kiosk.homeSection() };
+        }
+        if (route.procedure && !this.kiosk.allowsProcedure(route.procedure)) {
+            return { section: route.section };
+        }
+        return route;
+    }
+    
+    /**
+     * A fresh profile for the next child to pick up the tablet
+     */
+    startGuestSession() {
+        const time = I18n.formatDate(new Date(), { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        const profile = this.profiles.create({ name: I18n.t('kiosk.guestName', { time }), avatar: PROFILE_APP_AVATAR, age: 6 });
+        
+        this.kiosk.save({ guestProfileId: profile.id });
+        this.switchProfile(profile.id);
+    }
+    
+    /**
+     * Breathing along or brushing with the timer doesn't need touches
+     */
+    isKioskBusy() {
+        return Boolean(this.calmTool) ||
+            Boolean(this.brushingCoach && this.brushingCoach.isRunning()) ||
+            this.narrator.state === 'speaking';
+    }
+    
+    /**
+     * Nobody has touched the tablet for a while: tidy up for the next child
+     */
+    resetKioskSession() {
+        const attract = document.getElementById('kiosk-attract');
+        if (!this.kiosk.isActive() || (attract && !attract.hidden)) return;
+        
+        const settings = this.kiosk.settings();
+        const previous = this.activeProfile;
+        
+        this.hideModal();
+        this.pendingPlan = null;
+        this.pendingImport = null;
+        
+        if (previous && previous.id === settings.guestProfileId && settings.afterIdle === 'discard') {
+            this.profiles.remove(previous.id);
+        }
+        this.startGuestSession();
+        this.router.navigate({ section: this.kiosk.homeSection() }, { replace: true });
+        this.showAttractScreen();
+        
+        console.log(`🔒 Kiosk reset after ${settings.idleMinutes} idle minutes (previous session ${settings.afterIdle === 'discard' ? 'discarded' : 'saved'})`);
+    }
+    
+    /**
+     * Dr. Toothy waves at passers-by until someone touches the screen
+     */
+    showAttractScreen() {
+        const attract = document.getElementById('kiosk-attract');
+        if (!attract) return;
+        
+        const bubble = attract.querySelector('.kiosk-attract-bubble');
+        let line = 0;
+        const speak = () => {
+            bubble.textContent = I18n.t(`kiosk.attract.${KIOSK_ATTRACT_LINES[line]}`);
+            line = (line + 1) % KIOSK_ATTRACT_LINES.length;
+        };
+        
+        clearInterval(this.attractTimer);
+        speak();
+        this.attractTimer = setInterval(speak, 4000);
+        
+        attract.hidden = false;
+        document.body.style.overflow = 'hidden';
+        this.attractTrap.activate();
+        this.attractTrap.focus(attract.querySelector('.kiosk-attract-start'));
+    }
+    
+    hideAttractScreen() {
+        const attract = document.getElementById('kiosk-attract');
+        if (!attract || attract.hidden) return;
+        
+        clearInterval(this.attractTimer);
+        this.attractTimer = null;
+        attract.hidden = true;
+        document.body.style.overflow = '';
+        this.attractTrap.deactivate();
+        if (this.idleWatcher) {
+            this.idleWatcher.touch();
+        }
+        
+        this.playWelcomeSound();
+    }
+    
+    /**
+     * Staff enter the PIN to leave kiosk mode
+     */
+    askKioskPin() {
+        this.showMessageModal(I18n.t('kiosk.exitTitle'), `
+            <form class="procedure-steps kiosk-pin-form" onsubmit="app.submitKioskPin(event)">
+                <p>${I18n.t('kiosk.exitIntro')}</p>
+                <label class="kiosk-pin-field">
+                    <span>${I18n.t('kiosk.pinLabel')}</span>
+                    <input type="password" name="pin" inputmode="numeric" pattern="[0-9]*" maxlength="8" autocomplete="off" required>
+                </label>
+                <p class="kiosk-pin-error" role="alert"></p>
+                <div class="step-navigation">
+                    <button type="button" class="prev-step-btn" onclick="app.closeModal()">${I18n.t('kiosk.cancel')}</button>
+                    <button type="submit" class="next-step-btn">${I18n.t('kiosk.unlock')}</button>
+                </div>
+            </form>
+        `);
+        
+        const input = document.querySelector('#procedure-content .kiosk-pin-form input');
+        if (input) {
+            input.focus();
+        }
+    }
+    
+    async submitKioskPin(event) {
+        event.preventDefault();
+        const form = event.target;
+        const input = form.querySelector('input');
+        const error = form.querySelector('.kiosk-pin-error');
+        
+        if (this.kiosk.isLockedOut()) {
+            error.textContent = I18n.t('kiosk.lockedOut');
+            return;
+        }
+        
+        if (await this.kiosk.checkPin(input.value)) {
+            this.exitKiosk();
+            return;
+        }
+        
+        error.textContent = I18n.t(this.kiosk.isLockedOut() ? 'kiosk.lockedOut' : 'kiosk.wrongPin');
+        input.value = '';
+        input.focus();
+    }
+    
+    exitKiosk() {
+        this.kiosk.disable();
+        if (this.idleWatcher) {
+            this.idleWatcher.stop();
+            this.idleWatcher = null;
+        }
+        
+        document.documentElement.classList.remove('kiosk');
+        this.applyKioskLock();
+        this.closeModal();
+        LiveAnnouncer.announce(I18n.t('kiosk.exited'));
+    }
+    
+    /**
+     * Inside the dashboard's content editor the app is only a preview:
+     * a throwaway player, no profile picker and no loading screen
+     */
+    setupPreview() {
+        if (!this.previewMode) return;
+        
+        document.documentElement.classList.add('content-preview');
+        const loadingScreen = document.getElementById('loading-screen');
+        if (loadingScreen) {
+            loadingScreen.remove();
+        }
+        
+        this.profilePicker.hide();
+        this.switchProfile(this.profiles.create({ name: 'Preview', avatar: PROFILE_APP_AVATAR, age: 6 }).id);
+        
+        window.addEventListener('message', (e) => {
+            if (e.origin !== window.location.origin || !e.data || e.data.type !== CONTENT_PREVIEW_MESSAGE) return;
+            this.previewContent(e.data.procedure, e.data.step);
+        });
+        window.parent.postMessage({ type: CONTENT_PREVIEW_READY }, window.location.origin);
+        console.log('👀 Content preview mode');
+    }
+    
+    /**
+     * Show a procedure from the content editor in the real modal, at a
+     * step. The draft only lives in this preview's memory.
+     */
+    previewContent(procedure, step) {
+        const procedures = ProcedureCatalog.source().filter(item => item.id !== procedure.id).concat(procedure);
+        ProcedureCatalog.useCustom(procedures);
+        this.setupProcedureCards();
+        
+        const route = { section: 'procedures', procedure: procedure.id, step };
+        const current = this.router.current();
+        this.router.navigate(route, { replace: true });
+        
+        // Same route as before: show the edited draft anyway
+        if (current.procedure === route.procedure && current.step === route.step) {
+            this.showProcedureModal(procedure.id, step);
+        }
+    }
+    
+    /**
+     * Work offline and offer new versions once they have downloaded
+     */
+    setupUpdates() {
+        if (this.previewMode) return;
+        
+        const banner = document.getElementById('update-banner');
+        if (banner) {
+            banner.querySelector('.update-now-btn').addEventListener('click', () => {
+                if (!this.updates.applyUpdate()) {
+                    window.location.reload();
+                }
+            });
+            banner.querySelector('.update-later-btn').addEventListener('click', () => {
+                this.updateReady = false;
+                this.renderUpdateBanner();
+            });
+        }
+        
+        this.updates.register();
+    }
+    
+    offerUpdate() {
+        console.log('✨ A new version is ready');
+        this.updateReady = true;
+        this.renderUpdateBanner();
+    }
+    
+    /**
+     * Show the update prompt, but never in the middle of a procedure
+     */
+    renderUpdateBanner() {
+        const banner = document.getElementById('update-banner');
+        if (!banner) return;
+        
+        const show = this.updateReady && !this.currentProcedure;
+        if (show && banner.hidden) {
+            LiveAnnouncer.announce(I18n.t('update.available'));
+        }
+        banner.hidden = !show;
+    }
+    
+    /**
+     * Pick up a plan shared as a link and wire the plan file picker
+     */
+    setupVisitPlan() {
+        const sharedPlan = VisitPlans.fromHash();
+        if (sharedPlan) {
+            this.pendingPlan = sharedPlan;
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+            console.log(`📅 Visit plan received for ${sharedPlan.appointmentDate}`);
+        }
+        
+        const container = document.getElementById('visit-plan');
+        if (container) {
+            container.addEventListener('change', (e) => {
+                if (e.target.matches('.plan-file-input') && e.target.files[0]) {
+                    this.loadVisitPlanFile(e.target.files[0]);
+                    e.target.value = '';
+                }
+            });
+        }
+        
+        this.renderVisitPlan();
+    }
+    
+    /**
+     * Read a plan file the family received from the clinic
+     */
+    loadVisitPlanFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const plan = VisitPlans.fromFile(reader.result);
+            if (plan) {
+                this.offerVisitPlan(plan);
+            } else {
+                this.showPlanMessage(I18n.t('plan.badFile'));
+            }
+        };
+        reader.onerror = () => console.error('❌ Could not read visit plan file');
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Ask before adding a plan to the active child's profile
+     */
+    offerVisitPlan(plan) {
+        this.pendingPlan = plan;
+        if (!this.activeProfile) {
+            this.profilePicker.show();
+            return;
+        }
+        
+        const procedures = plan.procedures
+            .map(id => ProcedureCatalog.get(id))
+            .map(procedure => `<li>${procedure.icon} ${procedure.title}</li>`)
+            .join('');
+        
+        this.showMessageModal(I18n.t('plan.offerTitle'), `
+            <div class="procedure-steps plan-offer">
+                <h3>${I18n.t('plan.offerDate', { date: VisitPlans.formatDate(plan) })}</h3>
+                <p>${I18n.t('plan.offerIntro')}</p>
+                <ul class="plan-offer-list">${procedures}</ul>
+                <p>${I18n.t('plan.offerQuestion', { name: escapeHTML(this.activeProfile.name) })}</p>
+                <div class="step-navigation">
+                    <button class="prev-step-btn" onclick="app.declineVisitPlan()">${I18n.t('plan.notNow')}</button>
+                    <button class="next-step-btn" onclick="app.acceptVisitPlan()">${I18n.t('plan.accept')}</button>
+                </div>
+            </div>
+        `);
+    }
+    
+    acceptVisitPlan() {
+        if (!this.pendingPlan || !this.activeProfile) return;
+        
+        this.userProgress.visitPlan = this.pendingPlan;
+        this.pendingPlan = null;
+        this.saveProgress();
+        this.closeModal();
+        this.renderVisitPlan();
+        this.updateProgressDisplay();
+        console.log(`📅 Visit plan saved for ${this.activeProfile.name}`);
+    }
+    
+    declineVisitPlan() {
+        this.pendingPlan = null;
+        this.closeModal();
+    }
+    
+    showPlanMessage(message) {
+        const status = document.querySelector('#visit-plan .plan-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+    
+    /**
+     * Show the countdown and recommended path on the home screen,
+     * and mark planned procedures in the procedures grid
+     */
+    renderVisitPlan() {
+        const container = document.getElementById('visit-plan');
+        const plan = this.userProgress.visitPlan;
+        const active = VisitPlans.isActive(plan);
+        
+        document.querySelectorAll('.procedure-card').forEach(card => {
+            const planned = active && plan.procedures.includes(card.dataset.procedure);
+            card.classList.toggle('in-plan', planned);
+            
+            let ribbon = card.querySelector('.plan-ribbon');
+            if (planned && !ribbon) {
+                ribbon = document.createElement('span');
+                ribbon.className = 'plan-ribbon';
+                ribbon.textContent = I18n.t('plan.ribbon');
+                card.prepend(ribbon);
+            } else if (!planned && ribbon) {
+                ribbon.remove();
+            }
+        });
+        
+        if (!container) return;
+        
+        const loadPlan = `
+            <label class="plan-file-label">
+                <input type="file" class="plan-file-input" accept=".json,application/json">
+                📥 ${I18n.t(active ? 'plan.loadNew' : 'plan.loadPrompt')}
+            </label>
+            <p class="plan-status" role="status"></p>
+        `;
+        
+        if (!active) {
+            container.innerHTML = loadPlan;
+            return;
+        }
+        
+        const days = VisitPlans.daysUntil(plan);
+        const countdown = days === 0
+            ? I18n.t('plan.today')
+            : days === 1
+                ? I18n.t('plan.tomorrow')
+                : I18n.t('plan.daysLeft', { count: days });
+        
+        const steps = VisitPlans.path(plan, this.userProgress);
+        const doneCount = steps.filter(step => step.done).length;
+        const path = steps.map((step, index) => `
+            <li class="plan-step${step.done ? ' done' : ''}${step.next ? ' next' : ''}">
+                <button class="plan-step-btn" onclick="app.startProcedure('${step.procedure.id}')">
+                    <span class="plan-step-number">${step.done ? '✅' : index + 1}</span>
+                    <span class="plan-step-icon">${step.procedure.icon}</span>
+                    <span class="plan-step-title">${step.procedure.title}</span>
+                    ${step.next ? `<span class="plan-step-tag">${I18n.t('plan.nextUp')}</span>` : ''}
+                </button>
+            </li>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="plan-countdown">
+                <span class="plan-countdown-icon">🗓️</span>
+                <div>
+                    <h3 class="plan-countdown-title">${countdown}</h3>
+                    <p class="plan-countdown-date">${VisitPlans.formatDate(plan)}</p>
+                </div>
+            </div>
+            ${plan.note ? `<p class="plan-note">💬 ${plan.clinician ? `${I18n.t('plan.clinicianSays', { name: escapeHTML(plan.clinician) })} ` : ''}${escapeHTML(plan.note)}</p>` : ''}
+            <p class="plan-progress">${doneCount === steps.length
+                ? I18n.t('plan.allReady')
+                : I18n.t('plan.pathProgress', { done: doneCount, total: steps.length })}</p>
+            <ol class="plan-path">${path}</ol>
+            ${loadPlan}
+        `;
+    }
+    
+    /**
+     * Wire the grown-up export, import and report buttons in My Progress
+     */
+    setupProgressTools() {
+        const tools = document.querySelector('.progress-tools');
+        if (!tools) return;
+        
+        tools.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-progress-action]');
+            if (!button) return;
+            
+            if (button.dataset.progressAction === 'report') {
+                this.openReport();
+            } else {
+                this.exportProgress(button.dataset.progressAction);
+            }
+        });
+        
+        tools.addEventListener('change', (e) => {
+            if (e.target.matches('.progress-import-input') && e.target.files[0]) {
+                this.importProgressFile(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+    }
+    
+    showProgressToolsMessage(message) {
+        const status = document.querySelector('.progress-tools-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+    
+    /**
+     * Download the active child's progress as JSON or CSV
+     */
+    exportProgress(format) {
+        if (!this.activeProfile) {
+            this.showProgressToolsMessage(I18n.t('tools.pickFirst'));
+            return;
+        }
+        
+        if (format === 'csv') {
+            ProgressTransfer.download(
+                ProgressTransfer.fileName(this.activeProfile, 'csv'),
+                ProgressTransfer.toCSV(this.activeProfile, this.userProgress),
+                'text/csv'
+            );
+        } else {
+            ProgressTransfer.download(
+                ProgressTransfer.fileName(this.activeProfile, 'json'),
+                ProgressTransfer.toJSON(this.activeProfile, this.userProgress),
+                'application/json'
+            );
+        }
+        console.log(`💾 Progress exported as ${format} for ${this.activeProfile.name}`);
+    }
+    
+    /**
+     * Open the printable report once everything is saved
+     */
+    async openReport() {
+        if (!this.activeProfile) {
+            this.showProgressToolsMessage(I18n.t('tools.pickFirst'));
+            return;
+        }
+        
+        await this.storage.flush();
+        window.location.href = `report.html?profile=${encodeURIComponent(this.activeProfile.id)}`;
+    }
+    
+    importProgressFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const data = ProgressTransfer.parse(reader.result);
+            if (data) {
+                this.showImportChoice(data);
+            } else {
+                this.showProgressToolsMessage(I18n.t('tools.badFile'));
+            }
+        };
+        reader.onerror = () => console.error('❌ Could not read progress file');
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Ask whether to merge the file into the active profile or replace it
+     */
+    showImportChoice(data) {
+        if (!this.activeProfile) {
+            this.showProgressToolsMessage(I18n.t('tools.pickFirst'));
+            return;
+        }
+        
+        // The choice opens in the modal, which sits under the parent area
+        this.closeParentArea();
+        this.pendingImport = data;
+        const childName = escapeHTML(this.activeProfile.name);
+        const fileName = data.profile.name ? escapeHTML(String(data.profile.name)) : I18n.t('import.someone');
+        const from = data.exportedAt
+            ? I18n.t('import.fromSaved', { name: fileName, date: I18n.formatDate(data.exportedAt) })
+            : I18n.t('import.from', { name: fileName });
+        
+        this.showMessageModal(I18n.t('import.title'), `
+            <div class="procedure-steps import-choice">
+                <h3>${from}</h3>
+                <p>${I18n.t('import.summary', {
+                    procedures: data.progress.completedProcedures.length,
+                    badges: data.progress.badges.length,
+                    ratings: data.progress.anxietyRatings.length
+                })}</p>
+                <p>${I18n.t('import.explain', { name: childName })}</p>
+                <div class="step-navigation">
+                    <button class="prev-step-btn" onclick="app.cancelImport()">${I18n.t('import.cancel')}</button>
+                    <button class="prev-step-btn" onclick="app.confirmReplaceProgress()">${I18n.t('import.replace')}</button>
+                    <button class="next-step-btn" onclick="app.applyImport('merge')">${I18n.t('import.merge', { name: childName })}</button>
+                </div>
+            </div>
+        `);
+    }
+    
+    confirmReplaceProgress() {
+        if (!this.pendingImport) return;
+        
+        this.showMessageModal(I18n.t('import.title'), `
+            <div class="procedure-steps import-choice">
+                <h3>${I18n.t('import.replaceTitle', { name: escapeHTML(this.activeProfile.name) })}</h3>
+                <p>${I18n.t('import.replaceWarning')}</p>
+                <div class="step-navigation">
+                    <button class="prev-step-btn" onclick="app.showImportChoice(app.pendingImport)">${I18n.t('import.back')}</button>
+                    <button class="next-step-btn" onclick="app.applyImport('replace')">${I18n.t('import.confirmReplace')}</button>
+                </div>
+            </div>
+        `);
+    }
+    
+    cancelImport() {
+        this.pendingImport = null;
+        this.closeModal();
+    }
+    
+    /**
+     * Merge or replace the active child's progress with the pending file
+     */
+    applyImport(mode) {
+        if (!this.pendingImport || !this.activeProfile) return;
+        
+        const incoming = this.pendingImport.progress;
+        const { progress, conflicts } = mode === 'replace'
+            ? { progress: incoming, conflicts: [] }
+            : ProgressTransfer.merge(this.userProgress, incoming);
+        
+        this.pendingImport = null;
+        this.userProgress = progress;
+        this.saveProgress();
+        this.applySettings();
+        this.renderVisitPlan();
+        this.updateProgressDisplay();
+        console.log(`📥 Progress ${mode === 'replace' ? 'replaced' : 'merged'} for ${this.activeProfile.name} (${conflicts.length} conflicts)`);
+        
+        const conflictList = conflicts.length === 0 ? '' : `
+            <p>${I18n.t('import.conflictsIntro')}</p>
+            <ul class="import-conflicts">${conflicts.map(conflict => `<li>${escapeHTML(conflict)}</li>`).join('')}</ul>
+        `;
+        this.showMessageModal(I18n.t('import.title'), `
+            <div class="procedure-steps import-choice">
+                <div class="complete-icon">🎉</div>
+                <h3>${I18n.t('import.done')}</h3>
+                ${conflictList}
+                <button class="next-step-btn" onclick="app.closeModal()">${I18n.t('import.great')}</button>
+            </div>
+        `);
+    }
+    
+    /**
+     * Show a non-procedure message (plans, imports) in the modal
+     */
+    showMessageModal(title, content) {
+        const modal = document.getElementById('procedure-modal');
+        const modalTitle = document.getElementById('modal-title');
+        const modalContent = document.getElementById('procedure-content');
+        if (!modal || !modalTitle || !modalContent) return;
+        
+        this.stopMiniGame();
+        this.stopBrushing();
+        this.stopCalmTool();
+        this.stopQuiz();
+        this.leaveProcedureRoute();
+        modalTitle.textContent = title;
+        modalContent.innerHTML = content;
+        modalContent.scrollTop = 0;
+        this.narrateModal(false);
+        this.openModal();
+    }
+    
+    /**
+     * A message replacing an open procedure takes its place in the URL too
+     */
+    leaveProcedureRoute() {
+        this.endProcedureLog();
+        this.currentProcedure = null;
+        this.currentStep = null;
+        if (this.router.current().procedure) {
+            this.router.navigate({ section: this.currentSection });
+        }
+    }
+    
+    /**
+     * Setup procedure cards interactivity
+     */
+    setupProcedureCards() {
+        const procedureGrid = document.querySelector('.procedures-grid');
+        if (procedureGrid) {
+            procedureGrid.innerHTML = ProcedureSteps.renderCards();
+        }
+        
+        const procedureCards = document.querySelectorAll('.procedure-card');
+        
+        procedureCards.forEach(card => {
+            const procedureType = card.dataset.procedure;
+            
+            // Card hover effects
+            card.addEventListener('mouseenter', () => {
+                this.playHoverSound();
+            });
+            
+            // Card click, Enter or Space to start procedure
+            card.addEventListener('click', () => {
+                this.startProcedure(procedureType);
+            });
+            card.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.startProcedure(procedureType);
+                }
+            });
+        });
+        
+        this.applyKioskLock();
+    }
+    
+    /**
+     * Wire the brushing coach in the Tips section
+     */
+    setupBrushing() {
+        const startButton = document.querySelector('.brushing-start-btn');
+        if (startButton) {
+            startButton.addEventListener('click', () => this.startBrushingCoach());
+        }
+        
+        this.renderHabits();
+    }
+    
+    /**
+     * Show today's checklist and the week calendar wherever they appear
+     */
+    renderHabits() {
+        const log = this.userProgress.habitLog;
+        document.querySelectorAll('[data-habit-checklist]').forEach(element => {
+            element.innerHTML = HabitTracker.renderChecklist(log);
+        });
+        document.querySelectorAll('[data-habit-week]').forEach(element => {
+            element.innerHTML = HabitTracker.renderWeek(log);
+        });
+    }
+    
+    /**
+     * Tick or untick today's morning brushing, evening brushing or flossing
+     */
+    toggleHabit(check) {
+        if (!this.activeProfile) return;
+        
+        const checklist = document.activeElement && document.activeElement.closest('[data-habit-checklist]');
+        const checked = HabitTracker.toggle(this.userProgress.habitLog, check);
+        this.saveProgress();
+        this.renderHabits();
+        
+        // The buttons were redrawn, so keep focus on the one just pressed
+        if (checklist) {
+            const button = checklist.querySelector(`[data-check="${check}"]`);
+            if (button) {
+                button.focus();
+            }
+        }
+        
+        this.playTone(checked ? 880 : 440, 0.1, 'sine');
+        console.log(`🪥 Habit ${check} ${checked ? 'ticked' : 'unticked'}`);
+    }
+    
+    /**
+     * Open the two-minute brushing coach in the modal
+     */
+    startBrushingCoach() {
+        this.showMessageModal(I18n.t('brushing.title'), renderBrushingCoach());
+        
+        this.brushingCoach = new BrushingCoach({
+            onTick: (remaining, fraction) => this.updateBrushingTimer(remaining, fraction),
+            onQuadrant: quadrant => this.showBrushingQuadrant(quadrant),
+            onFinish: () => this.finishBrushing()
+        });
+    }
+    
+    /**
+     * Start, pause or resume the brushing timer
+     */
+    toggleBrushing() {
+        const coach = this.brushingCoach;
+        if (!coach) return;
+        
+        if (coach.isRunning()) {
+            coach.pause();
+            this.narrator.stop();
+        } else {
+            coach.start();
+        }
+        this.audio.holdMusic(coach.isRunning());
+        
+        const button = document.querySelector('#procedure-content .brushing-toggle-btn');
+        if (button) {
+            button.textContent = I18n.t(coach.isRunning() ? 'brushing.pause' : 'brushing.resume');
+        }
+    }
+    
+    updateBrushingTimer(remaining, fraction) {
+        const time = document.querySelector('#procedure-content .brushing-time');
+        const fill = document.querySelector('#procedure-content .brushing-bar-fill');
+        if (!time || !fill) return;
+        
+        const label = formatBrushingTime(remaining);
+        if (time.textContent.trim() !== label) {
+            time.textContent = label;
+            time.setAttribute('aria-label', I18n.t('brushing.timeLeft', { time: label }));
+        }
+        fill.style.width = `${Math.round(fraction * 100)}%`;
+    }
+    
+    /**
+     * Light up the quarter of the mouth to brush and let Dr. Toothy explain
+     */
+    showBrushingQuadrant(quadrant) {
+        const modalContent = document.getElementById('procedure-content');
+        const line = modalContent && modalContent.querySelector('.brushing-coach-line');
+        if (!line) return;
+        
+        modalContent.querySelectorAll('.brushing-quadrant').forEach(element => {
+            element.classList.toggle('active', element.dataset.quadrant === quadrant);
+        });
+        line.textContent = I18n.t(`brushing.coach.${quadrant}`);
+        
+        const mascot = modalContent.querySelector('.brushing-mascot');
+        mascot.classList.remove('wiggle');
+        void mascot.offsetWidth;
+        mascot.classList.add('wiggle');
+        
+        this.audio.melody([523, 659]);
+        LiveAnnouncer.announce(I18n.t(`brushing.quadrants.${quadrant}`));
+        this.narrateModal(this.narrationEnabled);
+    }
+    
+    /**
+     * Record the session, tick today's brushing and show the checklist
+     */
+    finishBrushing() {
+        this.audio.holdMusic(false);
+        this.brushingCoach = null;
+        
+        const check = HabitTracker.recordSession(this.userProgress.habitLog);
+        this.saveProgress();
+        this.renderHabits();
+        this.playWelcomeSound();
+        console.log(`🪥 Brushing session finished (${check})`);
+        
+        const modalContent = document.getElementById('procedure-content');
+        if (!modalContent) return;
+        
+        modalContent.innerHTML = `
+            <div class="procedure-steps brushing-done">
+                <div class="complete-icon">🎉</div>
+                <h3 data-narrate>${I18n.t('brushing.done')}</h3>
+                <p data-narrate>${I18n.t('brushing.autoChecked', { check: I18n.t(`brushing.checks.${check}`) })}</p>
+                <div class="habit-today" data-habit-checklist>${HabitTracker.renderChecklist(this.userProgress.habitLog)}</div>
+                <button class="next-step-btn" onclick="app.closeModal()">${I18n.t('brushing.great')}</button>
+            </div>
+        `;
+        modalContent.scrollTop = 0;
+        this.narrateModal(this.narrationEnabled);
+        this.focusModalContent();
+    }
+    
+    /**
+     * Stop a brushing session that was closed before the two minutes were up
+     */
+    stopBrushing() {
+        if (!this.brushingCoach) return;
+        
+        this.brushingCoach.stop();
+        this.brushingCoach = null;
+        this.audio.holdMusic(false);
+    }
+    
+    /**
+     * Start a dental procedure
+     */
+    startProcedure(procedureType) {
+        console.log(`🦷 Starting procedure: ${procedureType}`);
+        
+        this.playClickSound();
+        this.router.navigate({ section: 'procedures', procedure: procedureType });
+        
+        // Add visual feedback to clicked card
+        const card = document.querySelector(`[data-procedure="${procedureType}"]`);
+        if (card) {
+            card.classList.add('animate-scaleUp');
+            setTimeout(() => {
+                card.classList.remove('animate-scaleUp');
+            }, 300);
+        }
+    }
+    
+    /**
+     * Setup modal functionality
+     */
+    setupModal() {
+        const modal = document.getElementById('procedure-modal');
+        const closeButton = document.querySelector('.close-modal');
+        
+        if (modal) {
+            this.modalTrap = new FocusTrap(modal);
+        }
+        
+        if (closeButton) {
+            closeButton.addEventListener('click', () => {
+                this.closeModal();
+            });
+        }
+        
+        // Close modal on outside click
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal();
+                }
+            });
+        }
+        
+        // Close modal on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal && modal.classList.contains('show')) {
+                this.closeModal();
+            }
+        });
+    }
+    
+    /**
+     * Put Dr. Toothy wherever the page asks for him, and notice when a
+     * child stops touching the screen in the middle of a procedure
+     */
+    setupMascot() {
+        document.querySelectorAll('[data-mascot]').forEach(element => {
+            this.mascots[element.dataset.mascot] = new Mascot(element);
+        });
+        
+        const modal = document.getElementById('procedure-modal');
+        if (modal) {
+            ['pointerdown', 'keydown'].forEach(type => {
+                modal.addEventListener(type, () => this.watchForPause(), { passive: true });
+            });
+        }
+    }
+    
+    /**
+     * The Dr. Toothy the child can see: on the time's-up screen, in the
+     * procedure, or on the home screen
+     */
+    mascotSay(event, params) {
+        const shown = ['timeUp', 'modal']
+            .map(name => this.mascots[name])
+            .find(mascot => mascot && !mascot.element.closest('[hidden]'));
+        const mascot = shown || this.mascots.home;
+        return mascot ? mascot.say(event, params) : null;
+    }
+    
+    /**
+     * Say hello, by name and with the visit count once the child has been before
+     */
+    greet() {
+        if (!this.mascots.home) return;
+        
+        const visits = this.userProgress.visitCount;
+        if (this.activeProfile && visits > 1) {
+            this.mascots.home.say('returnVisit', { name: this.activeProfile.name, count: visits });
+        } else {
+            this.mascots.home.say('firstVisit');
+        }
+    }
+    
+    guideStep(step) {
+        if (this.mascots.modal && MASCOT_SCRIPT[`step.${step}`]) {
+            this.mascots.modal.say(`step.${step}`);
+        }
+        this.watchForPause();
+    }
+    
+    /**
+     * Start counting again from the last touch; Dr. Toothy checks in if
+     * the child stays still for a while mid-procedure
+     */
+    watchForPause() {
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = null;
+        if (!this.mascots.modal || !this.currentProcedure || !this.currentStep || this.currentStep === 'complete') return;
+        
+        this.pauseTimer = setTimeout(() => {
+            this.pauseTimer = null;
+            if (!this.currentProcedure) return;
+            if (this.narrator.state === 'speaking') {
+                this.watchForPause();
+                return;
+            }
+            this.mascots.modal.say('pause');
+        }, MASCOT_PAUSE_SECONDS * 1000);
+    }
+    
+    quietModalMascot() {
+        clearTimeout(this.pauseTimer);
+        this.pauseTimer = null;
+        if (this.mascots.modal) {
+            this.mascots.modal.quiet();
+        }
+    }
+    
+    /**
+     * Show procedure modal, at the feelings check or straight at a step
+     * when the page was reloaded or opened from a link
+     */
+    showProcedureModal(procedureType, step = null) {
+        const modal = document.getElementById('procedure-modal');
+        const modalTitle = document.getElementById('modal-title');
+        const modalContent = document.getElementById('procedure-content');
+        
+        if (modal && modalTitle && modalContent) {
+            const procedureData = this.getProcedureData(procedureType);
+            this.stopMiniGame();
+            this.stopBrushing();
+            this.stopCalmTool();
+            this.stopQuiz();
+            this.endProcedureLog();
+            this.currentSessionId = procedureData ? `s${Date.now().toString(36)}` : null;
+            this.currentProcedure = procedureData ? procedureType : null;
+            if (procedureData) {
+                this.startProcedureLog(procedureType);
+            }
+            this.renderUpdateBanner();
+            modalTitle.textContent = procedureData ? procedureData.title : I18n.t('procedures.notFoundTitle');
+            
+            if (procedureData && step) {
+                this.renderProcedureStep(procedureType, step);
+            } else {
+                // Ask how the child feels before the procedure starts
+                this.currentStep = null;
+                this.logStep('check-pre');
+                modalContent.innerHTML = procedureData ? AnxietyScale.render(procedureType, 'pre') : this.getUnknownProcedureContent();
+                modalContent.scrollTop = 0;
+                this.narrateModal(this.shouldAutoNarrate(procedureType));
+            }
+            
+            // Show modal with animation
+            this.openModal();
+            
+            console.log(`📱 Opened modal for: ${procedureType}`);
+        }
+    }
+    
+    /**
+     * Close modal. A procedure is closed by leaving its route, so Back
+     * can reopen it where the child was.
+     */
+    closeModal() {
+        if (this.router.current().procedure) {
+            this.router.navigate({ section: this.currentSection });
+            return;
+        }
+        
+        this.hideModal();
+    }
+    
+    hideModal() {
+        const modal = document.getElementById('procedure-modal');
+        
+        if (modal) {
+            this.stopMiniGame();
+            this.stopBrushing();
+            this.stopCalmTool();
+            this.stopQuiz();
+            this.narrator.stop();
+            this.endProcedureLog();
+            this.currentProcedure = null;
+            this.currentStep = null;
+            this.quietModalMascot();
+            if (this.mascots.modal) {
+                this.mascots.modal.element.hidden = true;
+            }
+            modal.classList.remove('show');
+            document.body.style.overflow = this.isTimeUp() ? 'hidden' : '';
+            this.modalTrap.deactivate();
+            this.renderUpdateBanner();
+            
+            this.playClickSound();
+            console.log('📱 Modal closed');
+        }
+    }
+    
+    /**
+     * Get procedure data for modal
+     */
+    getProcedureData(procedureType) {
+        const procedure = ProcedureCatalog.get(procedureType);
+        if (!procedure) return null;
+        
+        return {
+            title: procedure.modalTitle,
+            content: ProcedureSteps.render(procedureType, 'show')
+        };
+    }
+    
+    /**
+     * Show the modal and keep keyboard focus inside it until it closes
+     */
+    openModal() {
+        const modal = document.getElementById('procedure-modal');
+        if (!modal) return;
+        
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        this.modalTrap.activate();
+        
+        // Dr. Toothy only comes along for procedures
+        if (this.mascots.modal) {
+            this.mascots.modal.element.hidden = !this.currentProcedure;
+        }
+        this.focusModalContent();
+    }
+    
+    /**
+     * Move focus to new modal content, since the button that was
+     * pressed has usually just been replaced
+     */
+    focusModalContent() {
+        const modal = document.getElementById('procedure-modal');
+        if (modal && modal.classList.contains('show')) {
+            this.modalTrap.focus(document.getElementById('procedure-content'));
+        }
+    }
+    
+    /**
+     * Tell screen reader users which step they're on now
+     */
+    announceModalStep() {
+        const indicator = document.querySelector('#procedure-content .step-indicator');
+        if (indicator) {
+            LiveAnnouncer.announce(indicator.textContent.trim());
+        }
+    }
+    
+    /**
+     * Handle next step in procedure (Show-Tell-Do flow)
+     */
+    nextProcedureStep(procedureType, step) {
+        this.router.navigate({ section: 'procedures', procedure: procedureType, step });
+    }
+    
+    /**
+     * Show a step of the open procedure
+     */
+    renderProcedureStep(procedureType, step) {
+        const modalContent = document.getElementById('procedure-content');
+        if (!modalContent) return;
+        
+        this.stopMiniGame();
+        this.currentStep = step;
+        this.logStep(step);
+        this.guideStep(step);
+        
+        const stepContent = this.getProcedureStepContent(procedureType, step);
+        modalContent.innerHTML = stepContent;
+        modalContent.scrollTop = 0;
+        this.narrateModal(this.shouldAutoNarrate(procedureType));
+        this.focusModalContent();
+        this.announceModalStep();
+        
+        if (step === 'do') {
+            this.startMiniGame(procedureType);
+        }
+        
+        this.playClickSound();
+        console.log(`📖 Showing ${step} step for ${procedureType}`);
+    }
+    
+    /**
+     * Get content for specific procedure step
+     */
+    getProcedureStepContent(procedureType, step) {
+        const stepContent = ProcedureSteps.render(procedureType, step);
+        if (stepContent) {
+            return stepContent;
+        }
+        
+        console.warn(`⚠️ No ${step} step for ${procedureType}`);
+        return this.getUnknownProcedureContent();
+    }
+    
+    /**
+     * Friendly message shown when a procedure or step can't be found
+     */
+    getUnknownProcedureContent() {
+        return `
+            <div class="procedure-steps">
+                <div class="complete-icon">🤔</div>
+                <h3>${I18n.t('procedures.notFound')}</h3>
+                <p>${I18n.t('procedures.pickAnother')}</p>
+                <button class="next-step-btn" onclick="app.closeModal(); showSection('procedures')">
+                    ${I18n.t('procedures.seeAll')}
+                </button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Toggle a practice action in the DO step and unlock the finish button
+     */
+    togglePracticeAction(actionButton) {
+        const done = actionButton.classList.toggle('done');
+        actionButton.setAttribute('aria-pressed', String(done));
+        
+        const container = actionButton.closest('.procedure-steps');
+        const actions = container.querySelectorAll('.practice-action');
+        const finishButton = container.querySelector('.finish-step-btn');
+        const allDone = Array.from(actions).every(action => action.classList.contains('done'));
+        
+        if (finishButton) {
+            finishButton.disabled = !allDone;
+        }
+        
+        this.playHoverSound();
+    }
+    
+    /**
+     * Mount the mini-game for the DO step, if the procedure has one
+     */
+    startMiniGame(procedureType) {
+        const stage = document.querySelector('#procedure-content .minigame-stage');
+        if (!stage) return;
+        
+        this.activeGame = MiniGames.create(stage.dataset.game, stage, {
+            level: AgeLevels.band,
+            playTone: (frequency, duration, type) => this.playTone(frequency, duration, type),
+            onComplete: result => this.finishMiniGame(procedureType, result)
+        });
+    }
+    
+    /**
+     * Tear down the running mini-game
+     */
+    stopMiniGame() {
+        if (this.activeGame) {
+            this.activeGame.destroy();
+            this.activeGame = null;
+        }
+    }
+    
+    /**
+     * Record the mini-game score and celebrate before completing
+     */
+    finishMiniGame(procedureType, result) {
+        const scores = this.userProgress.miniGameScores;
+        if (!scores[procedureType] || result.score > scores[procedureType]) {
+            scores[procedureType] = result.score;
+            this.saveProgress();
+        }
+        
+        this.activeGame = null;
+        this.playWelcomeSound();
+        console.log(`🎮 Mini-game finished: ${procedureType} (score ${result.score})`);
+        
+        setTimeout(() => {
+            const stage = document.querySelector('#procedure-content .minigame-stage');
+            if (stage && !this.activeGame) {
+                this.completeProcedure(procedureType);
+            }
+        }, 1500);
+    }
+    
+    /**
+     * Finish the DO step, record the procedure and show the completion screen
+     */
+    completeProcedure(procedureType) {
+        if (!ProcedureCatalog.has(procedureType)) {
+            console.error(`❌ Cannot complete unknown procedure: ${procedureType}`);
+            return;
+        }
+        
+        if (!this.userProgress.completedProcedures.includes(procedureType)) {
+            this.userProgress.completedProcedures.push(procedureType);
+            this.saveProgress();
+            console.log(`✅ Procedure completed: ${procedureType}`);
+        }
+        if (this.procedureLog) {
+            this.procedureLog.completed = true;
+        }
+        this.logEvent('complete', { procedure: procedureType });
+        
+        this.showAnxietyCheck(procedureType, 'post');
+        this.renderVisitPlan();
+        this.updateProgressDisplay();
+    }
+    
+    /**
+     * Show the faces scale in the modal
+     */
+    showAnxietyCheck(procedureType, phase) {
+        const modalContent = document.getElementById('procedure-content');
+        if (!modalContent) return;
+        
+        this.stopMiniGame();
+        this.logStep(`check-${phase}`);
+        this.quietModalMascot();
+        modalContent.innerHTML = AnxietyScale.render(procedureType, phase);
+        modalContent.scrollTop = 0;
+        this.narrateModal(this.shouldAutoNarrate(procedureType));
+        this.focusModalContent();
+        this.announceModalStep();
+    }
+    
+    /**
+     * Store a faces scale rating (or a skip) and continue the procedure
+     */
+    recordAnxietyRating(procedureType, phase, score) {
+        if (score !== null) {
+            this.userProgress.anxietyRatings.push({
+                sessionId: this.currentSessionId,
+                procedure: procedureType,
+                phase,
+                score,
+                timestamp: new Date().toISOString()
+            });
+            this.saveProgress();
+            console.log(`😊 Anxiety rating (${phase}) for ${procedureType}: ${score}`);
+        }
+        this.logEvent('anxiety', { procedure: procedureType, step: phase, value: score === null ? 'skipped' : score });
+        
+        this.nextProcedureStep(procedureType, phase === 'pre' ? 'show' : 'complete');
+    }
+    
+    /**
+     * Pass an event to the research log, which keeps it only if a
+     * grown-up enrolled the active child in a study
+     */
+    logEvent(type, details = {}) {
+        if (this.previewMode || !this.research || !this.activeProfile) return;
+        this.research.record(this.activeProfile.id, type, details);
+    }
+    
+    startResearchSession() {
+        if (!this.research) return;
+        this.research.startSession();
+        this.logEvent('session');
+    }
+    
+    /**
+     * Start timing the steps of a procedure that was just opened
+     */
+    startProcedureLog(procedureType) {
+        const replay = this.userProgress.completedProcedures.includes(procedureType);
+        this.procedureLog = { procedure: procedureType, startedAt: Date.now(), step: null, stepStartedAt: 0, seen: [], completed: false };
+        this.logEvent('procedureStart', { procedure: procedureType, value: replay ? 'replay' : 'first' });
+    }
+    
+    /**
+     * Note how long the child spent on the step they are leaving, and
+     * whether the one they are going to was already seen
+     */
+    logStep(step) {
+        const log = this.procedureLog;
+        if (!log || log.step === step) return;
+        
+        if (log.step) {
+            this.logEvent('step', { procedure: log.procedure, step: log.step, value: Math.round((Date.now() - log.stepStartedAt) / 1000) });
+        }
+        if (log.seen.includes(step)) {
+            this.logEvent('stepRepeat', { procedure: log.procedure, step });
+        } else if (step) {
+            log.seen.push(step);
+        }
+        log.step = step;
+        log.stepStartedAt = Date.now();
+    }
+    
+    /**
+     * The procedure was closed: a last step time, and where the child
+     * stopped if they didn't finish
+     */
+    endProcedureLog() {
+        const log = this.procedureLog;
+        if (!log) return;
+        
+        const step = log.step;
+        this.logStep(null);
+        if (!log.completed) {
+            this.logEvent('abandon', { procedure: log.procedure, step, value: Math.round((Date.now() - log.startedAt) / 1000) });
+        }
+        this.procedureLog = null;
+    }
+    
+    /**
+     * Draw the before/after worry chart in My Progress
+     */
+    renderAnxietyTrend() {
+        const chart = document.getElementById('anxiety-chart');
+        if (chart) {
+            chart.innerHTML = AnxietyScale.renderChart(this.userProgress.anxietyRatings);
+        }
+    }
+    
+    /**
+     * Wire the read-aloud toggle, the modal's replay and pause buttons
+     * and the read buttons on tip cards
+     */
+    setupNarration() {
+        this.narrator = new Narrator({
+            onStateChange: state => {
+                this.audio.duck(state === 'speaking');
+                this.updateNarrationControls();
+            }
+        });
+        
+        if (!this.narrator.isSupported()) {
+            console.warn('⚠️ Speech synthesis not supported, narration is off');
+        }
+        
+        const toggle = document.getElementById('narration-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.setNarrationEnabled(!this.narrationEnabled));
+        }
+        
+        const replay = document.getElementById('narration-replay');
+        if (replay) {
+            replay.addEventListener('click', () => this.narrateModal(true));
+        }
+        
+        const pause = document.getElementById('narration-pause');
+        if (pause) {
+            pause.addEventListener('click', () => this.narrator.togglePause());
+        }
+        
+        const tips = document.querySelector('.tips-grid');
+        if (tips) {
+            tips.addEventListener('click', (e) => {
+                const button = e.target.closest('.tip-read-btn');
+                if (button && this.canNarrate()) {
+                    this.narrator.speak(button.closest('.tip-card'));
+                }
+            });
+        }
+        
+        this.updateNarrationControls();
+    }
+    
+    /**
+     * Turn read-aloud on or off, from the header toggle or the parent area
+     */
+    setNarrationEnabled(enabled) {
+        const modal = document.getElementById('procedure-modal');
+        this.narrationEnabled = enabled;
+        this.saveProgress();
+        this.logEvent('narration', { value: this.narrationEnabled ? 'on' : 'off' });
+        this.narrateModal(this.narrationEnabled && modal.classList.contains('show'));
+        console.log(`🗣️ Narration ${this.narrationEnabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    canNarrate() {
+        return this.soundEnabled && Boolean(this.narrator) && this.narrator.isSupported();
+    }
+    
+    /**
+     * Steps read themselves when narration is on and the procedure allows it
+     */
+    shouldAutoNarrate(procedureType) {
+        const procedure = ProcedureCatalog.has(procedureType) ? ProcedureCatalog.get(procedureType) : null;
+        return this.narrationEnabled && Boolean(procedure && procedure.autoNarrate);
+    }
+    
+    /**
+     * Get the modal's text ready to be read and start reading if asked
+     */
+    narrateModal(autoStart) {
+        const modalContent = document.getElementById('procedure-content');
+        if (!this.narrator || !modalContent) return;
+        
+        this.narrator.stop();
+        this.narrator.prepare(modalContent);
+        
+        if (autoStart && this.canNarrate()) {
+            this.narrator.speak(modalContent);
+        }
+        this.updateNarrationControls();
+    }
+    
+    /**
+     * Show replay and pause only when there is something to read aloud
+     */
+    updateNarrationControls() {
+        if (!this.narrator) return;
+        
+        const state = this.narrator.state;
+        const modalContent = document.getElementById('procedure-content');
+        const readable = this.canNarrate() && Boolean(modalContent && modalContent.querySelector('[data-narrate]'));
+        
+        const toggle = document.getElementById('narration-toggle');
+        if (toggle) {
+            toggle.hidden = !this.narrator.isSupported();
+            toggle.setAttribute('aria-pressed', String(this.narrationEnabled));
+            toggle.classList.toggle('active', this.narrationEnabled);
+        }
+        
+        const replay = document.getElementById('narration-replay');
+        if (replay) {
+            replay.hidden = !readable;
+        }
+        
+        const pause = document.getElementById('narration-pause');
+        if (pause) {
+            pause.hidden = !readable || state === 'idle';
+            pause.textContent = state === 'paused' ? '▶️' : '⏸️';
+            pause.setAttribute('aria-label', I18n.t(state === 'paused' ? 'narration.resume' : 'narration.pause'));
+        }
+        
+        document.querySelectorAll('.tip-read-btn').forEach(button => {
+            button.hidden = !this.canNarrate();
+        });
+    }
+    
+    /**
+     * Setup help button
+     */
+    setupHelpButton() {
+        const helpButton = document.getElementById('help-button');
+        const calmButton = document.getElementById('calm-button');
+        
+        if (helpButton) {
+            helpButton.addEventListener('click', () => {
+                this.showHelpModal();
+            });
+        }
+        
+        if (calmButton) {
+            calmButton.addEventListener('click', () => this.showCalmCorner());
+        }
+    }
+    
+    /**
+     * Show help modal
+     */
+    showHelpModal() {
+        const modal = document.getElementById('procedure-modal');
+        const modalTitle = document.getElementById('modal-title');
+        const modalContent = document.getElementById('procedure-content');
+        
+        if (modal && modalTitle && modalContent) {
+            this.stopMiniGame();
+            this.stopBrushing();
+            this.stopCalmTool();
+            this.stopQuiz();
+            this.leaveProcedureRoute();
+            modalTitle.textContent = I18n.t('help.title');
+            modalContent.innerHTML = `
+                <div class="help-content">
+                    <h3 data-narrate>${I18n.t('help.howTo')}</h3>
+                    <ul>
+                        <li data-narrate>🏠 <strong>${I18n.t('nav.home')}:</strong> ${I18n.t('help.home')}</li>
+                        <li data-narrate>🔧 <strong>${I18n.t('nav.procedures')}:</strong> ${I18n.t('help.procedures')}</li>
+                        <li data-narrate>🏆 <strong>${I18n.t('nav.progress')}:</strong> ${I18n.t('help.progress')}</li>
+                        <li data-narrate>💡 <strong>${I18n.t('nav.tips')}:</strong> ${I18n.t('help.tips')}</li>
+                    </ul>
+                    
+                    <h3 data-narrate>${I18n.t('help.stepsTitle')}</h3>
+                    <div class="help-steps">
+                        <div class="help-step" data-narrate>
+                            <span class="step-number">1</span>
+                            <strong>${I18n.t('steps.show').toUpperCase()}:</strong> ${I18n.t('help.show')}
+                        </div>
+                        <div class="help-step" data-narrate>
+                            <span class="step-number">2</span>
+                            <strong>${I18n.t('steps.tell').toUpperCase()}:</strong> ${I18n.t('help.tell')}
+                        </div>
+                        <div class="help-step" data-narrate>
+                            <span class="step-number">3</span>
+                            <strong>${I18n.t('steps.do').toUpperCase()}:</strong> ${I18n.t('help.do')}
+                        </div>
+                    </div>
+                    
+                    <h3 data-narrate>${I18n.t('help.calmTitle')}</h3>
+                    <p data-narrate>${I18n.t('help.calm')}</p>
+                    <button class="help-calm-btn" onclick="app.showCalmCorner()">
+                        ${I18n.t('calm.open')}
+                    </button>
+                    
+                    <button class="help-close-btn" onclick="app.closeModal()">
+                        ${I18n.t('help.gotIt')}
+                    </button>
+                </div>
             `;
             
+            this.narrateModal(this.narrationEnabled);
+            this.openModal();
+            
+            this.playClickSound();
+        }
+    }
+    
+    /**
+     * Open the Calm Corner: things to do while sitting in the dental chair
+     */
+    showCalmCorner() {
+        this.showMessageModal(I18n.t('calm.title'), CalmCorner.renderMenu());
+        this.narrateModal(this.narrationEnabled);
+        this.playClickSound();
+    }
+    
+    /**
+     * Show one Calm Corner tool in place of the menu and start timing its use
+     */
+    openCalmTool(tool) {
+        const modalContent = document.getElementById('procedure-content');
+        if (!modalContent) return;
+        
+        this.stopCalmTool();
+        this.narrator.stop();
+        
+        const views = {
+            breathe: () => CalmCorner.renderBreathing(this.userProgress.calmPace),
+            count: () => CalmCorner.renderCount(),
+            stop: () => CalmCorner.renderStopSignal(),
+            gallery: () => CalmCorner.renderGallery(this.userProgress.calmFavorites)
+        };
+        if (!views[tool]) {
+            console.error(`❌ Unknown Calm Corner tool: ${tool}`);
+            return;
+        }
+        
+        modalContent.innerHTML = views[tool]();
+        modalContent.scrollTop = 0;
+        this.calmTool = { id: tool, startedAt: new Date(), count: 0, runner: null };
+        
+        if (tool === 'breathe') {
+            this.startBreathing();
+        } else if (tool === 'stop') {
+            this.calmTool.runner = new StopSignalDrill({
+                onBuzz: () => this.audio.tone(180, 0.3, 'sawtooth', 'effects', 0.05)
+            });
+        }
+        
+        this.narrateModal(this.narrationEnabled && tool !== 'breathe');
+        this.focusModalContent();
+        console.log(`🫧 Calm Corner: ${tool}`);
+    }
+    
+    /**
+     * Stop whatever Calm Corner tool is running and log how it was used
+     */
+    stopCalmTool() {
+        const tool = this.calmTool;
+        if (!tool) return;
+        
+        if (tool.runner) {
+            tool.runner.stop();
+        }
+        this.calmTool = null;
+        this.audio.holdMusic(false);
+        
+        CalmCorner.record(this.userProgress.calmLog, {
+            tool: tool.id,
+            startedAt: tool.startedAt.toISOString(),
+            seconds: (Date.now() - tool.startedAt.getTime()) / 1000,
+            count: tool.count
+        });
+        this.saveProgress();
+    }
+    
+    startBreathing() {
+        const bubble = new BreathingBubble({
+            pace: this.userProgress.calmPace,
+            onPhase: (phase, seconds, breaths) => this.showBreathingPhase(phase, seconds, breaths)
+        });
+        this.calmTool.runner = bubble;
+        this.audio.holdMusic(true);
+        bubble.start();
+    }
+    
+    showBreathingPhase(phase, seconds, breaths) {
+        const modalContent = document.getElementById('procedure-content');
+        const bubble = modalContent && modalContent.querySelector('.calm-bubble');
+        if (!bubble || !this.calmTool) return;
+        
+        this.calmTool.count = breaths;
+        bubble.style.transitionDuration = `${seconds}s`;
+        bubble.className = `calm-bubble ${phase}`;
+        modalContent.querySelector('.calm-breathe-phase').textContent = I18n.t(`calm.breathe.${phase}`);
+        modalContent.querySelector('.calm-breathe-count').textContent = breaths > 0
+            ? I18n.t('calm.breathe.breaths', { count: breaths })
+            : '';
+        
+        if (this.narrationEnabled && this.canNarrate()) {
+            this.narrator.speak(modalContent.querySelector('.calm-breathe-voice'));
+        }
+    }
+    
+    /**
+     * Change how fast the bubble breathes; the choice is kept for next time
+     */
+    setBreathingPace(pace) {
+        if (!BREATHING_PACES[pace]) return;
+        
+        this.userProgress.calmPace = pace;
+        this.saveProgress();
+        if (this.calmTool && this.calmTool.runner instanceof BreathingBubble) {
+            this.calmTool.runner.setPace(pace);
+        }
+        
+        document.querySelectorAll('#procedure-content .calm-pace-btn').forEach(button => {
+            const selected = button.dataset.pace === pace;
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-pressed', selected);
+        });
+    }
+    
+    /**
+     * Count along out loud, e.g. while the dentist does something quick
+     */
+    startCountAlong(seconds) {
+        const tool = this.calmTool;
+        if (!tool || tool.id !== 'count') return;
+        
+        if (tool.runner) {
+            tool.runner.stop();
+        }
+        tool.count = 0;
+        tool.runner = new CountAlong({
+            seconds,
+            onCount: (count, target) => this.showCount(count, target),
+            onFinish: count => {
+                const status = document.querySelector('#procedure-content .calm-count-status');
+                if (status) {
+                    status.textContent = I18n.t('calm.count.done', { count });
+                }
+                this.audio.melody([523, 659, 784]);
+            }
+        });
+        
+        const status = document.querySelector('#procedure-content .calm-count-status');
+        if (status) {
+            status.textContent = I18n.t('calm.count.counting', { count: seconds });
+        }
+        this.narrator.stop();
+        tool.runner.start();
+    }
+    
+    showCount(count, target) {
+        const modalContent = document.getElementById('procedure-content');
+        const number = modalContent && modalContent.querySelector('.calm-count-number');
+        if (!number || !this.calmTool) return;
+        
+        this.calmTool.count = count;
+        number.textContent = I18n.formatNumber(count);
+        modalContent.querySelector('.calm-count-bar .brushing-bar-fill').style.width = `${Math.round(count / target * 100)}%`;
+        
+        if (this.narrationEnabled && this.canNarrate()) {
+            this.narrator.speak(modalContent.querySelector('.calm-count-voice'));
+        } else {
+            this.audio.tone(440 + count * 10, 0.1);
+        }
+    }
+    
+    /**
+     * Start the pretend buzzing for the next stop-signal practice
+     */
+    startStopSignalRound() {
+        const tool = this.calmTool;
+        if (!tool || !(tool.runner instanceof StopSignalDrill)) return;
+        
+        const modalContent = document.getElementById('procedure-content');
+        const hand = modalContent.querySelector('.calm-hand-btn');
+        modalContent.querySelector('.calm-stop-start').disabled = true;
+        modalContent.querySelector('.calm-stop-tool').classList.add('buzzing');
+        modalContent.querySelector('.calm-stop-status').textContent = I18n.t('calm.stop.buzzing');
+        hand.disabled = false;
+        hand.focus();
+        
+        this.narrator.stop();
+        tool.runner.startRound();
+    }
+    
+    /**
+     * The child raised a hand, so the pretend dentist stops straight away
+     */
+    raiseHand() {
+        const tool = this.calmTool;
+        if (!tool || !(tool.runner instanceof StopSignalDrill)) return;
+        
+        const result = tool.runner.raise();
+        if (!result) return;
+        
+        tool.count = tool.runner.hands;
+        const modalContent = document.getElementById('procedure-content');
+        const start = modalContent.querySelector('.calm-stop-start');
+        modalContent.querySelector('.calm-hand-btn').disabled = true;
+        modalContent.querySelector('.calm-stop-tool').classList.remove('buzzing');
+        modalContent.querySelector('.calm-stop-status').textContent = I18n.t(result.done ? 'calm.stop.done' : 'calm.stop.stopped', {
+            count: tool.runner.rounds - tool.runner.hands
+        });
+        start.textContent = I18n.t('calm.stop.again');
+        start.disabled = false;
+        start.focus();
+        
+        this.audio.melody(result.done ? [523, 659, 784] : [659, 784]);
+        console.log(`✋ Stop signal in ${result.seconds.toFixed(1)}s`);
+    }
+    
+    /**
+     * Show a gallery picture big, with something to imagine about it
+     */
+    showFavoriteThing(id) {
+        const tool = this.calmTool;
+        const stage = document.querySelector('#procedure-content .calm-gallery-stage');
+        if (!tool || !stage) return;
+        
+        stage.innerHTML = CalmCorner.renderThing(id, this.userProgress.calmFavorites.includes(id));
+        stage.dataset.thing = id;
+        tool.count += 1;
+        this.audio.holdMusic(true);
+        
+        if (this.narrationEnabled && this.canNarrate()) {
+            this.narrator.speak(stage);
+        }
+        stage.querySelector('.calm-favorite-btn').focus();
+    }
+    
+    toggleFavoriteThing(id) {
+        const favorites = this.userProgress.calmFavorites;
+        const favorite = !favorites.includes(id);
+        this.userProgress.calmFavorites = favorite
+            ? favorites.concat(id)
+            : favorites.filter(item => item !== id);
+        this.saveProgress();
+        
+        const things = document.querySelector('#procedure-content .calm-things');
+        const stage = document.querySelector('#procedure-content .calm-gallery-stage');
+        if (things && stage) {
+            const view = document.createElement('div');
+            view.innerHTML = CalmCorner.renderGallery(this.userProgress.calmFavorites);
+            things.innerHTML = view.querySelector('.calm-things').innerHTML;
+            stage.innerHTML = CalmCorner.renderThing(id, favorite);
+            stage.querySelector('.calm-favorite-btn').focus();
+        }
+        this.playTone(favorite ? 880 : 440, 0.1, 'sine');
+    }
+    
+    /**
+     * Show the quiz card in the Tips section with the last score
+     */
+    renderQuizPanel() {
+        const panel = document.querySelector('.quiz-panel');
+        if (panel) {
+            panel.innerHTML = Quiz.renderPanel(this.userProgress.quizRounds);
+        }
+    }
+    
+    /**
+     * Start a round of the tooth quiz in the modal, asking missed and
+     * due questions first
+     */
+    startQuiz() {
+        this.showMessageModal(I18n.t('quiz.title'), '');
+        this.quiz = new QuizRound(Quiz.pickRound(this.userProgress.quizReview));
+        this.showQuizQuestion();
+        this.playClickSound();
+        console.log(`🧠 Quiz started (${this.quiz.total} questions)`);
+    }
+    
+    showQuizQuestion() {
+        const modalContent = document.getElementById('procedure-content');
+        const entry = this.quiz && this.quiz.current();
+        if (!modalContent || !entry) return;
+        
+        this.stopQuizBoard();
+        this.narrator.stop();
+        modalContent.innerHTML = Quiz.renderQuestion(entry, Math.min(this.quiz.index + 1, this.quiz.total), this.quiz.total);
+        modalContent.scrollTop = 0;
+        
+        if (entry.question.type === 'sort') {
+            this.quizBoard = new QuizSortBoard(modalContent.querySelector('.quiz-sort'), {
+                question: entry.question,
+                playTone: (frequency, duration, type) => this.playTone(frequency, duration, type),
+                onChange: ready => {
+                    modalContent.querySelector('.quiz-check-btn').disabled = !ready;
+                }
+            }).mount();
+        }
+        
+        this.narrateModal(this.narrationEnabled);
+        this.focusModalContent();
+        this.announceModalStep();
+    }
+    
+    /**
+     * Check the answer, move the question to its next review box and
+     * say how it went
+     */
+    answerQuiz(answer) {
+        const modalContent = document.getElementById('procedure-content');
+        const result = this.quiz && this.quiz.answer(answer);
+        if (!modalContent || !result) return;
+        
+        // Only the first try moves the question between boxes
+        if (!result.retry) {
+            Quiz.review(this.userProgress.quizReview, result.question.id, result.correct);
+            this.saveProgress();
+        }
+        
+        modalContent.querySelectorAll('.quiz-option').forEach(option => {
+            const value = result.question.type === 'truefalse' ? option.dataset.answer === 'true' : Number(option.dataset.answer);
+            option.disabled = true;
+            option.classList.toggle('right', Quiz.isCorrect(result.question, value));
+            option.classList.toggle('wrong', value === answer && !result.correct);
+        });
+        if (this.quizBoard) {
+            this.quizBoard.lock();
+        }
+        const check = modalContent.querySelector('.quiz-check-btn');
+        if (check) {
+            check.hidden = true;
+        }
+        
+        const feedback = modalContent.querySelector('.quiz-feedback');
+        feedback.innerHTML = Quiz.renderFeedback(result, this.quiz.index === this.quiz.queue.length - 1);
+        feedback.classList.toggle('right', result.correct);
+        
+        this.narrator.stop();
+        if (result.correct) {
+            this.audio.melody([523, 659, 784]);
+        } else {
+            this.playTone(392, 0.2, 'triangle');
+        }
+        if (this.narrationEnabled && this.canNarrate()) {
+            this.narrator.speak(feedback);
+        }
+        feedback.querySelector('.quiz-next-btn').focus();
+        console.log(`🧠 Quiz ${result.question.id}: ${result.correct ? 'right' : 'missed'}`);
+    }
+    
+    checkQuizSort() {
+        if (this.quizBoard) {
+            this.answerQuiz(this.quizBoard.placements());
+        }
+    }
+    
+    nextQuizQuestion() {
+        if (!this.quiz) return;
+        
+        if (this.quiz.next()) {
+            this.showQuizQuestion();
+        } else {
+            this.finishQuiz();
+        }
+    }
+    
+    /**
+     * Record the round's score, which may unlock quiz badges
+     */
+    finishQuiz() {
+        const modalContent = document.getElementById('procedure-content');
+        const result = this.quiz.result();
+        this.stopQuiz();
+        
+        Quiz.record(this.userProgress.quizRounds, result);
+        this.saveProgress();
+        this.renderQuizPanel();
+        this.playWelcomeSound();
+        console.log(`🧠 Quiz finished: ${result.correct}/${result.total}`);
+        
+        if (!modalContent) return;
+        modalContent.innerHTML = Quiz.renderSummary(result, Quiz.mastered(this.userProgress.quizReview));
+        modalContent.scrollTop = 0;
+        this.narrateModal(this.narrationEnabled);
+        this.focusModalContent();
+    }
+    
+    /**
+     * Leave a quiz round; answers already given stay in the review boxes
+     */
+    stopQuiz() {
+        this.stopQuizBoard();
+        this.quiz = null;
+    }
+    
+    stopQuizBoard() {
+        if (this.quizBoard) {
+            this.quizBoard.destroy();
+            this.quizBoard = null;
+        }
+    }
+    
+    /**
+     * Calculate completion rate based on user progress.
+     * With an upcoming visit plan, only the planned procedures count.
+     */
+    calculateCompletionRate() {
+        const plan = this.userProgress.visitPlan;
+        if (VisitPlans.isActive(plan)) {
+            return VisitPlans.completionRate(plan, this.userProgress);
+        }
+        
+        const totalProcedures = ProcedureCatalog.count();
+        if (totalProcedures === 0) return 0;
+        
+        const completed = this.userProgress.completedProcedures
+            .filter(procedureId => ProcedureCatalog.has(procedureId)).length;
+        return Math.round((completed / totalProcedures) * 100);
+    }
+    
+    /**
+     * Animate badges display
+     */
+    animateBadges() {
+        const badgesContainer = document.getElementById('badges-container');
+        if (!badgesContainer) return;
+        
+        // Clear existing badges
+        badgesContainer.innerHTML = '';
+        
+        // Add every badge, earned ones first and locked ones as silhouettes
+        const earnedBadges = new Map(this.userProgress.badges.map(badge => [badge.id, badge]));
+        const definitions = Achievements.all()
+            .slice()
+            .sort((a, b) => Number(earnedBadges.has(b.id)) - Number(earnedBadges.has(a.id)));
+        
+        definitions.forEach((definition, index) => {
+            const badge = earnedBadges.get(definition.id);
+            const badgeElement = document.createElement('div');
+            
+            if (badge) {
+                badgeElement.className = 'badge-item earned';
+                badgeElement.innerHTML = `
+                    <div class="badge-icon">${escapeHTML(badge.icon)}</div>
+                    <div class="badge-name">${escapeHTML(definition.name)}</div>
+                    <div class="badge-date">${I18n.formatDate(badge.earnedAt)}</div>
+                `;
+            } else {
+                badgeElement.className = 'badge-item locked';
+                badgeElement.innerHTML = `
+                    <div class="badge-icon">${definition.icon}</div>
+                    <div class="badge-name">${I18n.t('badges.locked')}</div>
+                    <div class="badge-hint">${definition.hint}</div>
+                `;
+            }
+            
+            badgesContainer.appendChild(badgeElement);
+            if (this.reducedMotion) return;
+            
             badgeElement.style.opacity = '0';
             badgeElement.style.transform = 'scale(0)';
-            badgesContainer.appendChild(badgeElement);
             
             // Animate in with delay
             setTimeout(() => {
@@ -573,60 +2979,102 @@ class DentalKidsApp {
     
     playWelcomeSound() {
         if (this.soundEnabled) {
-            // Play a welcome melody
-            setTimeout(() => this.playTone(523, 0.2, 'sine'), 100); // C
-            setTimeout(() => this.playTone(659, 0.2, 'sine'), 300); // E
-            setTimeout(() => this.playTone(784, 0.2, 'sine'), 500); // G
+            // Play a welcome melody: C, E, G
+            this.audio.melody([523, 659, 784]);
         }
     }
     
     /**
-     * Play tone using Web Audio API
+     * Play a tone through the shared audio engine
      */
     playTone(frequency, duration, type = 'sine') {
         if (!this.soundEnabled) return;
-        
-        try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            
-            oscillator.frequency.value = frequency;
-            oscillator.type = type;
-            
-            gainNode.gain.setValueAtTime(0.1, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + duration);
-            
-            oscillator.start(audioContext.currentTime);
-            oscillator.stop(audioContext.currentTime + duration);
-        } catch (error) {
-            console.log('Audio not supported in this browser');
-        }
+        this.audio.tone(frequency, duration, type);
     }
     
     /**
      * Progress tracking
      */
     loadProgress() {
-        const savedProgress = localStorage.getItem('dentalKidsProgress');
-        if (savedProgress) {
-            return JSON.parse(savedProgress);
+        if (this.activeProfile) {
+            return this.profiles.loadProgress(this.activeProfile.id);
         }
         
-        return {
-            completedProcedures: [],
-            badges: [],
-            soundEnabled: true,
-            visitCount: 0
-        };
+        return ProgressSchema.createDefault();
     }
     
     saveProgress() {
+        // Nothing is saved until a child has been picked
+        if (!this.activeProfile || this.isPickingProfile()) return;
+        
         this.userProgress.soundEnabled = this.soundEnabled;
-        localStorage.setItem('dentalKidsProgress', JSON.stringify(this.userProgress));
+        this.userProgress.narrationEnabled = this.narrationEnabled;
+        this.userProgress.effectsVolume = this.audio.volumes.effects;
+        this.userProgress.musicVolume = this.audio.volumes.music;
+        this.userProgress.narrationVolume = this.audio.volumes.narration;
+        this.userProgress.musicEnabled = this.audio.musicEnabled;
+        this.profiles.saveProgress(this.activeProfile.id, this.userProgress);
+        this.checkAchievements();
+    }
+    
+    /**
+     * Count this visit and update the consecutive-day streak.
+     * Switching back and forth between children doesn't count again.
+     */
+    recordVisit() {
+        if (this.visitedProfiles.has(this.activeProfile.id)) return;
+        this.visitedProfiles.add(this.activeProfile.id);
+        
+        const today = new Date();
+        const todayKey = today.toDateString();
+        const yesterday = new Date(today);
+        yesterday.setDate(today.getDate() - 1);
+        
+        if (this.userProgress.lastVisitDate !== todayKey) {
+            this.userProgress.visitStreak = this.userProgress.lastVisitDate === yesterday.toDateString()
+                ? this.userProgress.visitStreak + 1
+                : 1;
+            this.userProgress.lastVisitDate = todayKey;
+        }
+        
+        this.userProgress.visitCount += 1;
+        this.saveProgress();
+    }
+    
+    /**
+     * Count time spent while the app is visible, overall and per procedure
+     */
+    startActivityTimer() {
+        setInterval(() => {
+            if (!this.activeProfile || this.isPickingProfile() || document.visibilityState === 'hidden') return;
+            // Time spent in the parent area or on the time's-up screen isn't play
+            if (this.isParentAreaOpen() || this.isTimeUp()) return;
+            
+            this.userProgress.timeSpentSeconds += this.activityTickSeconds;
+            DailyLimit.add(this.userProgress, this.activityTickSeconds);
+            if (this.currentProcedure) {
+                const procedureSeconds = this.userProgress.procedureSeconds;
+                procedureSeconds[this.currentProcedure] = (procedureSeconds[this.currentProcedure] || 0) + this.activityTickSeconds;
+            }
+            this.saveProgress();
+            this.checkDailyLimit();
+        }, this.activityTickSeconds * 1000);
+    }
+    
+    /**
+     * Award every badge whose criteria are now met
+     */
+    checkAchievements() {
+        if (this.checkingAchievements) return;
+        this.checkingAchievements = true;
+        
+        try {
+            Achievements.evaluate(this.userProgress).forEach(definition => {
+                this.awardBadge(definition.id, definition.name, definition.icon);
+            });
+        } finally {
+            this.checkingAchievements = false;
+        }
     }
     
     /**
@@ -643,11 +3091,35 @@ class DentalKidsApp {
             });
             
             this.saveProgress();
-            this.showBadgeNotification(badgeName, badgeIcon);
+            this.queueBadgeNotification(badgeName, badgeIcon);
+            this.updateProgressDisplay();
             console.log(`🏆 Badge awarded: ${badgeName}`);
         }
     }
     
+    /**
+     * Show badge notifications one after another
+     */
+    queueBadgeNotification(badgeName, badgeIcon) {
+        this.badgeNotificationQueue.push({ badgeName, badgeIcon });
+        
+        if (this.badgeNotificationQueue.length === 1) {
+            this.showNextBadgeNotification();
+        }
+    }
+    
+    showNextBadgeNotification() {
+        const next = this.badgeNotificationQueue[0];
+        if (!next) return;
+        
+        this.showBadgeNotification(next.badgeName, next.badgeIcon);
+        this.mascotSay('badge', { badge: next.badgeName });
+        setTimeout(() => {
+            this.badgeNotificationQueue.shift();
+            this.showNextBadgeNotification();
+        }, 3600);
+    }
+    
     /**
      * Show badge notification
      */
@@ -659,13 +3131,14 @@ class DentalKidsApp {
             <div class="badge-notification-content">
                 <div class="badge-icon-large">${badgeIcon}</div>
                 <div class="badge-text">
-                    <div class="badge-title">Badge Earned!</div>
+                    <div class="badge-title">${I18n.t('badges.earned')}</div>
                     <div class="badge-name">${badgeName}</div>
                 </div>
             </div>
         `;
         
         document.body.appendChild(notification);
+        LiveAnnouncer.announce(`${I18n.t('badges.earned')} ${badgeName}`);
         
         // Animate in
         setTimeout(() => {
@@ -687,19 +3160,24 @@ class DentalKidsApp {
      * Update progress display
      */
     updateProgressDisplay() {
+        this.renderHabits();
+        this.renderQuizPanel();
+        
         // This will be called when navigating to progress section
         const progressSection = document.getElementById('progress-section');
         if (progressSection && progressSection.classList.contains('active')) {
             this.animateProgressCircle();
             this.animateBadges();
+            this.renderAnxietyTrend();
         }
     }
 }
 
-// Initialize the app
-const app = new DentalKidsApp();
+// Initialize the app; the dashboard's content preview runs on throwaway storage
+const contentPreview = new URLSearchParams(window.location.search).has(CONTENT_PREVIEW_PARAM);
+const app = new DentalKidsApp(contentPreview ? new MemoryStorageAdapter() : undefined, { preview: contentPreview });
 
-// Global function for modal interactions
+// Global function for modal interactions; goes through the router
 window.showSection = function(sectionName) {
     app.navigateToSection(sectionName);
 };
@@ -0,0 +1,256 @@
+// js/audio.js - Shared audio engine for effects, samples and music
+
+/**
+ * Dental Kids App - Audio Engine
+ * One AudioContext for the whole app. Effects and samples play through
+ * the effects bus, background music through the music bus, and each bus
+ * has its own volume. Browsers keep audio suspended until the first
+ * tap or key press, so the engine unlocks itself on that gesture.
+ */
+
+const AUDIO_DEFAULT_VOLUMES = {
+    effects: 0.8,
+    music: 0.4,
+    narration: 1
+};
+
+/**
+ * Real audio files, keyed by the name used with playSample()
+ */
+const AUDIO_SAMPLES = {};
+
+/**
+ * Calming background loop: a slow C major pentatonic pattern
+ */
+const AUDIO_MUSIC_PATTERN = [261.63, 329.63, 392, 440, 392, 329.63, 293.66, 329.63];
+const AUDIO_MUSIC_STEP_SECONDS = 1.2;
+
+class AudioEngine {
+    constructor(options = {}) {
+        this.context = null;
+        this.buses = {};
+        this.buffers = new Map();
+        this.volumes = Object.assign({}, AUDIO_DEFAULT_VOLUMES, options.volumes);
+        this.enabled = options.enabled !== false;
+        this.musicEnabled = Boolean(options.musicEnabled);
+        this.musicHeld = false;
+        this.musicTimer = null;
+        this.musicStep = 0;
+        this.ducked = false;
+    }
+
+    isSupported() {
+        return Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * Create the shared context and its buses the first time audio is needed
+     */
+    getContext() {
+        if (this.context || !this.isSupported()) return this.context;
+
+        try {
+            this.context = new (window.AudioContext || window.webkitAudioContext)();
+        } catch (error) {
+            console.warn('⚠️ Audio not available:', error.message);
+            return null;
+        }
+
+        ['effects', 'music'].forEach(bus => {
+            this.buses[bus] = this.context.createGain();
+            this.buses[bus].connect(this.context.destination);
+        });
+        this.applyVolumes();
+        return this.context;
+    }
+
+    /**
+     * Resume audio on the first user gesture, as browsers require
+     */
+    bindUnlock(target = document) {
+        const events = ['pointerdown', 'keydown', 'touchend'];
+        const unlock = () => {
+            events.forEach(type => target.removeEventListener(type, unlock, true));
+            this.unlock();
+        };
+        events.forEach(type => target.addEventListener(type, unlock, true));
+    }
+
+    unlock() {
+        const context = this.getContext();
+        if (!context) return;
+
+        if (context.state === 'suspended') {
+            context.resume().catch(error => console.warn('⚠️ Could not unlock audio:', error.message));
+        }
+        this.updateMusic();
+        console.log('🔓 Audio unlocked');
+    }
+
+    isReady() {
+        return this.enabled && Boolean(this.context) && this.context.state === 'running';
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.updateMusic();
+    }
+
+    /**
+     * Set one of the effects, music or narration volumes (0 to 1)
+     */
+    setVolume(channel, value) {
+        if (!(channel in this.volumes)) {
+            console.warn(`⚠️ Unknown audio channel: ${channel}`);
+            return;
+        }
+
+        this.volumes[channel] = Math.max(0, Math.min(1, Number(value) || 0));
+        this.applyVolumes();
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        this.buses.effects.gain.setTargetAtTime(this.volumes.effects, now, 0.05);
+        this.buses.music.gain.setTargetAtTime(this.volumes.music * (this.ducked ? 0.3 : 1), now, 0.2);
+    }
+
+    /**
+     * Quieten the music while narration is speaking
+     */
+    duck(ducked) {
+        this.ducked = ducked;
+        this.applyVolumes();
+    }
+
+    /**
+     * Short synthesized sound effect
+     */
+    tone(frequency, duration, type = 'sine', bus = 'effects', peak = 0.1) {
+        if (!this.isReady()) return;
+
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const gainNode = this.context.createGain();
+
+        oscillator.connect(gainNode);
+        gainNode.connect(this.buses[bus]);
+
+        oscillator.frequency.value = frequency;
+        oscillator.type = type;
+
+        gainNode.gain.setValueAtTime(peak, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + duration);
+
+        oscillator.start(now);
+        oscillator.stop(now + duration);
+    }
+
+    /**
+     * Play notes one after another, e.g. the welcome melody
+     */
+    melody(notes, spacing = 0.2) {
+        notes.forEach((frequency, index) => {
+            setTimeout(() => this.tone(frequency, spacing, 'sine'), index * spacing * 1000);
+        });
+    }
+
+    /**
+     * Fetch and decode an audio file once, keeping it for replays
+     */
+    async loadSample(name) {
+        if (this.buffers.has(name)) return this.buffers.get(name);
+
+        const url = AUDIO_SAMPLES[name];
+        const context = this.getContext();
+        if (!url || !context) {
+            console.warn(`⚠️ Unknown sound: ${name}`);
+            return null;
+        }
+
+        try {
+            const response = await fetch(url);
+            const buffer = await context.decodeAudioData(await response.arrayBuffer());
+            this.buffers.set(name, buffer);
+            return buffer;
+        } catch (error) {
+            console.warn(`⚠️ Could not load sound ${name}:`, error.message);
+            return null;
+        }
+    }
+
+    async playSample(name, bus = 'effects') {
+        if (!this.isReady()) return;
+
+        const buffer = await this.loadSample(name);
+        if (!buffer || !this.isReady()) return;
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.buses[bus]);
+        source.start();
+    }
+
+    /**
+     * Register an audio file so it can be played with playSample()
+     */
+    registerSample(name, url) {
+        AUDIO_SAMPLES[name] = url;
+        this.buffers.delete(name);
+    }
+
+    setMusicEnabled(enabled) {
+        this.musicEnabled = enabled;
+        this.updateMusic();
+    }
+
+    /**
+     * Keep the music playing during an activity such as the brushing
+     * coach, even when background music is switched off
+     */
+    holdMusic(held) {
+        this.musicHeld = held;
+        this.updateMusic();
+    }
+
+    /**
+     * Start or stop the background loop to match the settings
+     */
+    updateMusic() {
+        const shouldPlay = this.enabled && (this.musicEnabled || this.musicHeld) && Boolean(this.context);
+
+        if (shouldPlay && !this.musicTimer) {
+            this.musicStep = 0;
+            this.playMusicStep();
+            this.musicTimer = setInterval(() => this.playMusicStep(), AUDIO_MUSIC_STEP_SECONDS * 1000);
+        } else if (!shouldPlay && this.musicTimer) {
+            clearInterval(this.musicTimer);
+            this.musicTimer = null;
+        }
+    }
+
+    playMusicStep() {
+        if (!this.isReady()) return;
+
+        const frequency = AUDIO_MUSIC_PATTERN[this.musicStep % AUDIO_MUSIC_PATTERN.length];
+        const now = this.context.currentTime;
+        const oscillator = this.context.createOscillator();
+        const gainNode = this.context.createGain();
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency / 2;
+        oscillator.connect(gainNode);
+        gainNode.connect(this.buses.music);
+
+        // Slow swell in and out so the notes blend into a soft pad
+        gainNode.gain.setValueAtTime(0.0001, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.08, now + AUDIO_MUSIC_STEP_SECONDS * 0.5);
+        gainNode.gain.exponentialRampToValueAtTime(0.0001, now + AUDIO_MUSIC_STEP_SECONDS * 1.8);
+
+        oscillator.start(now);
+        oscillator.stop(now + AUDIO_MUSIC_STEP_SECONDS * 1.8);
+        this.musicStep += 1;
+    }
+}
@@ -0,0 +1,601 @@
+// js/authoring.js - Content editor for the clinician dashboard
+
+/**
+ * Dental Kids App - Content Authoring
+ * Lets staff write their own procedures, Show/Tell/Do steps, tips and
+ * badges, see a procedure in the real app modal while they type, go back
+ * to the built-in content, and share it with other clinics as a bundle.
+ * Saving and checking is done by ContentLibrary (see js/content.js).
+ */
+
+const AUTHORING_PARTS = [
+    { id: 'procedures', label: 'Procedures', icon: '🦷', single: 'procedure' },
+    { id: 'tips', label: 'Tips', icon: '💡', single: 'tip' },
+    { id: 'badges', label: 'Badges', icon: '🏆', single: 'badge' }
+];
+
+const AUTHORING_PREVIEW_STEPS = ['show', 'tell', 'do', 'complete'];
+const AUTHORING_PREVIEW_DELAY = 300;
+
+/**
+ * How each badge rule reads in the editor
+ */
+const AUTHORING_CRITERIA_LABELS = {
+    proceduresCompleted: 'Finish a number of procedures',
+    procedureCompleted: 'Finish one procedure',
+    allProcedures: 'Finish every procedure',
+    visitStreak: 'Visit a number of days in a row',
+    miniGameScore: 'Reach a score in a practice game',
+    brushingSessions: 'Brush with the coach a number of times',
+    habitStreak: 'Keep a habit up for a number of days in a row',
+    quizRounds: 'Finish a number of tooth quizzes',
+    quizScore: 'Reach a score (out of 100) in a tooth quiz'
+};
+
+class ContentEditor {
+    constructor(content, container, options = {}) {
+        this.content = content;
+        this.container = container;
+        this.clinic = options.clinic || '';
+        this.part = 'procedures';
+        this.editingIndex = null;
+        this.previewStep = 'show';
+        this.previewReady = false;
+        this.previewTimer = null;
+        this.handlePreviewMessage = (e) => {
+            if (e.origin === window.location.origin && e.data && e.data.type === CONTENT_PREVIEW_READY) {
+                this.previewReady = true;
+                this.updatePreview();
+            }
+        };
+        window.addEventListener('message', this.handlePreviewMessage);
+    }
+
+    partInfo(part = this.part) {
+        return AUTHORING_PARTS.find(info => info.id === part);
+    }
+
+    /**
+     * Lists of procedures, tips and badges, with sharing tools
+     */
+    show(part = this.part, message = '') {
+        this.part = part;
+        this.editingIndex = null;
+        this.previewReady = false;
+
+        const info = this.partInfo();
+        const items = this.content.current(part);
+        const customized = this.content.isCustomized(part);
+        const tabs = AUTHORING_PARTS.map(tab => `
+            <button type="button" class="content-tab${tab.id === part ? ' active' : ''}" aria-pressed="${tab.id === part}"
+                    data-content-action="tab" data-part="${tab.id}">${tab.icon} ${tab.label}</button>
+        `).join('');
+        const list = items.map((item, index) => `
+            <li class="content-item">
+                <span class="content-item-icon" aria-hidden="true">${item.icon}</span>
+                <span class="child-summary">
+                    <strong>${escapeHTML(item.title || item.name)}</strong>
+                    <small>${item.id}</small>
+                </span>
+                <button type="button" class="dashboard-action-btn secondary" data-content-action="edit" data-index="${index}">Edit</button>
+                <button type="button" class="dashboard-action-btn secondary" data-content-action="delete" data-index="${index}"${items.length === 1 ? ' disabled' : ''}>Delete</button>
+            </li>
+        `).join('');
+
+        this.container.innerHTML = `
+            <h2 class="dashboard-heading">✏️ Content on this device</h2>
+            <p class="dashboard-muted">Write your own explanations, tips and badges. Children see your content exactly as you write it, whatever language the app is in.</p>
+            <div class="content-tabs" role="group" aria-label="Content to edit">${tabs}</div>
+            <div class="dashboard-card">
+                <p class="dashboard-muted">${customized
+                    ? `Your clinic's own ${info.label.toLowerCase()}.`
+                    : `The built-in ${info.label.toLowerCase()}. Saving a change makes them your own.`}</p>
+                <ul class="content-list">${list}</ul>
+                <div class="plan-actions">
+                    <button type="button" class="dashboard-action-btn" data-content-action="add">➕ Add a ${info.single}</button>
+                    ${customized ? `<button type="button" class="dashboard-action-btn secondary" data-content-action="revert">↩️ Back to the built-in ${info.label.toLowerCase()}</button>` : ''}
+                </div>
+            </div>
+            <div class="dashboard-card">
+                <h3 class="dashboard-subheading">Share with another clinic</h3>
+                <p class="dashboard-muted">A content bundle holds everything you have made your own. Importing one replaces the same kinds of content on this device.</p>
+                <div class="plan-actions">
+                    <button type="button" class="dashboard-action-btn secondary" data-content-action="export"${CONTENT_PARTS.some(name => this.content.isCustomized(name)) ? '' : ' disabled'}>📦 Export content bundle</button>
+                    <label class="dashboard-action-btn secondary content-import-label">
+                        <input type="file" class="content-import-input" accept=".json,application/json">
+                        📥 Import content bundle
+                    </label>
+                </div>
+                <p class="content-message" role="status">${escapeHTML(message)}</p>
+            </div>
+        `;
+
+        this.container.querySelectorAll('[data-content-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleAction(button.dataset.contentAction, button.dataset));
+        });
+        this.container.querySelector('.content-import-input').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importFile(e.target.files[0]);
+            }
+        });
+    }
+
+    handleAction(action, data) {
+        const info = this.partInfo();
+        const items = this.content.current(this.part);
+        const index = Number(data.index);
+
+        switch (action) {
+            case 'tab':
+                this.show(data.part);
+                break;
+            case 'edit':
+                this.edit(index);
+                break;
+            case 'add':
+                this.edit(null);
+                break;
+            case 'delete':
+                if (window.confirm(`Delete the ${info.single} "${items[index].title || items[index].name}"?`)) {
+                    this.saveList(items.filter((_, i) => i !== index), 'Deleted. Children see the change straight away.');
+                }
+                break;
+            case 'revert':
+                if (window.confirm(`Go back to the built-in ${info.label.toLowerCase()}? Your own ${info.label.toLowerCase()} on this device will be gone.`)) {
+                    this.content.revert(this.part);
+                    this.show(this.part, `Back to the built-in ${info.label.toLowerCase()}.`);
+                }
+                break;
+            case 'export':
+                this.exportBundle();
+                break;
+        }
+    }
+
+    /**
+     * Save a whole list, or say what is wrong with it
+     */
+    saveList(items, message) {
+        try {
+            this.content.save(this.part, items);
+            this.show(this.part, message);
+            return true;
+        } catch (error) {
+            const status = this.container.querySelector('.content-message');
+            if (status) {
+                status.textContent = error.message;
+            }
+            return false;
+        }
+    }
+
+    exportBundle() {
+        const bundle = this.content.exportBundle(this.clinic);
+        const date = bundle.exportedAt.slice(0, 10);
+        ProgressTransfer.download(`dental-kids-content-${date}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+        console.log('📦 Content bundle exported');
+    }
+
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let parts;
+            try {
+                let bundle;
+                try {
+                    bundle = JSON.parse(reader.result);
+                } catch (error) {
+                    throw new Error('This file isn\'t a Dental Kids content bundle.');
+                }
+                parts = this.content.importBundle(bundle);
+            } catch (error) {
+                this.show(this.part, error.message);
+                return;
+            }
+            this.show(this.part, `Imported ${parts.join(', ')}. Children see the new content straight away.`);
+        };
+        reader.onerror = () => console.error('❌ Could not read content bundle');
+        reader.readAsText(file);
+    }
+
+    /**
+     * Form for one item; null adds a new one
+     */
+    edit(index) {
+        const items = this.content.current(this.part);
+        const item = index === null ? this.blank() : items[index];
+        const info = this.partInfo();
+        const forms = {
+            procedures: () => this.renderProcedureFields(item, index === null),
+            tips: () => this.renderTipFields(item, index === null),
+            badges: () => this.renderBadgeFields(item, index === null)
+        };
+
+        this.editingIndex = index;
+        this.previewReady = false;
+        this.previewStep = 'show';
+        this.container.innerHTML = `
+            <h2 class="dashboard-heading">✏️ ${index === null ? `New ${info.single}` : escapeHTML(item.title || item.name)}</h2>
+            <div class="content-editor${this.part === 'procedures' ? ' with-preview' : ''}">
+                <form id="content-form" class="plan-form content-form">
+                    <p class="dashboard-muted">Text you change is shown as you wrote it in every language. Text you leave as it was stays translated.</p>
+                    ${forms[this.part]()}
+                    <p class="plan-form-message" role="alert"></p>
+                    <div class="plan-actions">
+                        <button type="submit" class="dashboard-action-btn">💾 Save ${info.single}</button>
+                        <button type="button" class="dashboard-action-btn secondary" data-content-cancel>Cancel</button>
+                    </div>
+                </form>
+                ${this.part === 'procedures' ? this.renderPreview() : ''}
+            </div>
+        `;
+
+        const form = document.getElementById('content-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveItem(form, item);
+        });
+        form.querySelector('[data-content-cancel]').addEventListener('click', () => this.show(this.part));
+
+        if (this.part === 'badges') {
+            const type = form.querySelector('[name="criteriaType"]');
+            type.addEventListener('change', () => this.showCriteriaFields(form));
+            this.showCriteriaFields(form);
+        }
+
+        if (this.part === 'procedures') {
+            form.addEventListener('input', () => this.schedulePreview());
+            form.addEventListener('change', () => this.schedulePreview());
+            this.container.querySelectorAll('[data-preview-step]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.previewStep = button.dataset.previewStep;
+                    this.container.querySelectorAll('[data-preview-step]').forEach(other => {
+                        other.setAttribute('aria-pressed', String(other === button));
+                    });
+                    this.updatePreview();
+                });
+            });
+        }
+    }
+
+    blank() {
+        const blanks = {
+            procedures: {
+                id: '', title: '', modalTitle: '', icon: '🦷', description: '', difficulty: 1, autoNarrate: true,
+                steps: {
+                    show: { media: [], heading: '', text: '' },
+                    tell: { media: [], heading: '', points: [] },
+                    do: { heading: 'Now you try it!', intro: '', actions: [] },
+                    complete: { icon: '🌟', message: '' }
+                }
+            },
+            tips: { id: '', icon: '💡', title: '', text: '' },
+            badges: { id: '', name: '', icon: '🏅', hint: '', criteria: { type: 'proceduresCompleted', count: 1 } }
+        };
+        return blanks[this.part];
+    }
+
+    saveItem(form, original) {
+        const items = this.content.current(this.part).slice();
+        const item = this.readForm(form, original);
+        const message = form.querySelector('.plan-form-message');
+
+        if (this.editingIndex === null) {
+            items.push(item);
+        } else {
+            items[this.editingIndex] = item;
+        }
+
+        try {
+            this.content.save(this.part, items);
+        } catch (error) {
+            message.textContent = error.message;
+            return;
+        }
+        this.show(this.part, `Saved "${item.title || item.name}". Children see it straight away.`);
+    }
+
+    readForm(form, original) {
+        const readers = {
+            procedures: () => this.readProcedure(form, original),
+            tips: () => this.readTip(form, original),
+            badges: () => this.readBadge(form)
+        };
+        return readers[this.part]();
+    }
+
+    field(label, name, value, options = {}) {
+        const attributes = `name="${name}"${options.readonly ? ' readonly' : ''}${options.required === false ? '' : ' required'}`;
+        const input = options.rows
+            ? `<textarea ${attributes} rows="${options.rows}">${escapeHTML(value)}</textarea>`
+            : `<input type="text" ${attributes} value="${escapeHTML(value)}"${options.size ? ` size="${options.size}"` : ''}>`;
+
+        return `
+            <label class="plan-field">
+                <span>${label}</span>
+                ${input}
+                ${options.help ? `<small class="dashboard-muted">${options.help}</small>` : ''}
+            </label>
+        `;
+    }
+
+    idField(item, isNew) {
+        return this.field('Id', 'id', item.id, {
+            readonly: !isNew,
+            help: isNew
+                ? 'Lowercase letters, numbers and dashes, like "fluoride-varnish". It can\'t be changed later.'
+                : 'Children\'s progress is kept under this id, so it can\'t be changed.'
+        });
+    }
+
+    /**
+     * The first emoji picture of a step
+     */
+    picture(media = []) {
+        const emoji = media.find(entry => entry.type === 'emoji');
+        return emoji ? emoji.value : '';
+    }
+
+    renderProcedureFields(procedure, isNew) {
+        const steps = procedure.steps;
+        const complete = steps.complete || { icon: '', message: '' };
+        const games = Object.keys(MiniGames.registry).map(game => `
+            <option value="${game}"${steps.do.game === game ? ' selected' : ''}>Mini-game: ${game}</option>
+        `).join('');
+        const actions = (steps.do.actions || []).map(action => `${action.icon} ${action.label}`).join('\n');
+        const stars = Array.from({ length: MAX_DIFFICULTY }, (_, index) => `
+            <option value="${index + 1}"${procedure.difficulty === index + 1 ? ' selected' : ''}>${'⭐'.repeat(index + 1)}</option>
+        `).join('');
+
+        return `
+            <fieldset class="plan-field">
+                <legend>Card</legend>
+                ${this.idField(procedure, isNew)}
+                ${this.field('Title', 'title', procedure.title)}
+                ${this.field('Icon', 'icon', procedure.icon, { size: 4 })}
+                ${this.field('Description', 'description', procedure.description, { required: false })}
+                ${this.field('Title in the window (optional)', 'modalTitle', procedure.modalTitle === procedure.title ? '' : procedure.modalTitle, { required: false })}
+                <label class="plan-field">
+                    <span>Difficulty</span>
+                    <select name="difficulty">${stars}</select>
+                </label>
+                <label class="plan-procedure">
+                    <input type="checkbox" name="autoNarrate"${procedure.autoNarrate ? ' checked' : ''}>
+                    Read each step aloud when narration is on
+                </label>
+                ${this.ageVersionsField(procedure)}
+            </fieldset>
+            <fieldset class="plan-field">
+                <legend>1. Show</legend>
+                ${this.field('Picture (emoji)', 'showPicture', this.picture(steps.show.media), { required: false, size: 6 })}
+                ${this.field('Heading', 'showHeading', steps.show.heading)}
+                ${this.field('Text', 'showText', steps.show.text, { rows: 3 })}
+            </fieldset>
+            <fieldset class="plan-field">
+                <legend>2. Tell</legend>
+                ${this.field('Picture (emoji)', 'tellPicture', this.picture(steps.tell.media), { required: false, size: 6 })}
+                ${this.field('Heading', 'tellHeading', steps.tell.heading)}
+                ${this.field('Points', 'tellPoints', steps.tell.points.join('\n'), { rows: 5, help: 'One point per line.' })}
+            </fieldset>
+            <fieldset class="plan-field">
+                <legend>3. Do</legend>
+                ${this.field('Heading', 'doHeading', steps.do.heading)}
+                ${this.field('Instructions', 'doIntro', steps.do.intro, { rows: 2 })}
+                <label class="plan-field">
+                    <span>Activity</span>
+                    <select name="doGame">
+                        <option value=""${steps.do.game ? '' : ' selected'}>Practice buttons</option>
+                        ${games}
+                    </select>
+                </label>
+                ${this.field('Practice buttons', 'doActions', actions, { rows: 4, required: false, help: 'One per line, starting with an emoji, like "👄 Open wide". Used when there is no mini-game.' })}
+            </fieldset>
+            <fieldset class="plan-field">
+                <legend>Finish</legend>
+                ${this.field('Icon', 'completeIcon', complete.icon, { size: 4 })}
+                ${this.field('Message', 'completeMessage', complete.message, { rows: 2 })}
+            </fieldset>
+        `;
+    }
+
+    readProcedure(form, original) {
+        const data = new FormData(form);
+        const text = name => String(data.get(name) || '').trim();
+        const lines = name => text(name).split('\n').map(line => line.trim()).filter(Boolean);
+        const procedure = JSON.parse(JSON.stringify(original));
+        const steps = procedure.steps;
+
+        procedure.id = text('id');
+        procedure.title = text('title');
+        procedure.icon = text('icon');
+        procedure.description = text('description');
+        procedure.modalTitle = text('modalTitle') || procedure.title;
+        procedure.difficulty = Number(data.get('difficulty'));
+        procedure.autoNarrate = data.get('autoNarrate') === 'on';
+
+        steps.show.media = this.withPicture(steps.show.media, text('showPicture'));
+        steps.show.heading = text('showHeading');
+        steps.show.text = text('showText');
+        steps.tell.media = this.withPicture(steps.tell.media, text('tellPicture'));
+        steps.tell.heading = text('tellHeading');
+        steps.tell.points = lines('tellPoints');
+        steps.do.heading = text('doHeading');
+        steps.do.intro = text('doIntro');
+
+        if (text('doGame')) {
+            steps.do.game = text('doGame');
+            delete steps.do.actions;
+        } else {
+            delete steps.do.game;
+            steps.do.actions = lines('doActions').map(line => {
+                const [icon, ...label] = line.split(/\s+/);
+                return { icon, label: label.join(' ') };
+            });
+        }
+
+        steps.complete = { icon: text('completeIcon'), message: text('completeMessage') };
+        if (data.get('keepVariants') !== 'on') {
+            delete procedure.variants;
+        }
+        return procedure;
+    }
+
+    /**
+     * Built-in and imported items can have their own wording for younger
+     * and older children (see js/levels.js), which the form doesn't edit
+     */
+    ageVersionsField(item) {
+        const bands = Object.keys(item.variants || {});
+        if (bands.length === 0) return '';
+
+        return `
+            <label class="plan-procedure">
+                <input type="checkbox" name="keepVariants" checked>
+                Keep the separate wording for ages ${bands.join(' and ')}
+            </label>
+            <small class="dashboard-muted">Untick this after rewriting the text, so children of every age see your version.</small>
+        `;
+    }
+
+    /**
+     * Change the first emoji picture, keeping its animation style and any
+     * images or videos
+     */
+    withPicture(media = [], value) {
+        const emoji = media.find(entry => entry.type === 'emoji');
+        if (!value) {
+            return media.filter(entry => entry !== emoji);
+        }
+        if (emoji) {
+            return media.map(entry => (entry === emoji ? Object.assign({}, entry, { value }) : entry));
+        }
+        return [{ type: 'emoji', className: 'emoji-demo', value }].concat(media);
+    }
+
+    renderTipFields(tip, isNew) {
+        return `
+            ${this.idField(tip, isNew)}
+            ${this.field('Icon', 'icon', tip.icon, { size: 4 })}
+            ${this.field('Title', 'title', tip.title)}
+            ${this.field('Text', 'text', tip.text, { rows: 3 })}
+            ${this.ageVersionsField(tip)}
+        `;
+    }
+
+    readTip(form, original) {
+        const data = new FormData(form);
+        const text = name => String(data.get(name) || '').trim();
+        const tip = { id: text('id'), icon: text('icon'), title: text('title'), text: text('text') };
+
+        if (original.variants && data.get('keepVariants') === 'on') {
+            tip.variants = original.variants;
+        }
+        return tip;
+    }
+
+    renderBadgeFields(badge, isNew) {
+        const criteria = badge.criteria;
+        const types = Object.keys(ACHIEVEMENT_CRITERIA).map(type => `
+            <option value="${type}"${criteria.type === type ? ' selected' : ''}>${AUTHORING_CRITERIA_LABELS[type]}</option>
+        `).join('');
+        const procedures = ProcedureCatalog.all().map(procedure => `
+            <option value="${escapeHTML(procedure.id)}"${criteria.procedure === procedure.id ? ' selected' : ''}>${procedure.icon} ${procedure.title}</option>
+        `).join('');
+        const habits = Object.keys(HABIT_STREAKS).map(habit => `
+            <option value="${habit}"${criteria.habit === habit ? ' selected' : ''}>${habit === 'brush' ? 'Brushing morning and evening' : 'Flossing'}</option>
+        `).join('');
+        const amount = criteria.count || criteria.days || criteria.min || 1;
+
+        return `
+            ${this.idField(badge, isNew)}
+            ${this.field('Name', 'name', badge.name)}
+            ${this.field('Icon', 'icon', badge.icon, { size: 4 })}
+            ${this.field('Hint while locked', 'hint', badge.hint, { help: 'Tells children how to earn it, like "Visit 3 days in a row".' })}
+            <label class="plan-field">
+                <span>How to earn it</span>
+                <select name="criteriaType">${types}</select>
+            </label>
+            <label class="plan-field" data-criteria-field="procedure">
+                <span>Procedure</span>
+                <select name="procedure">${procedures}</select>
+            </label>
+            <label class="plan-field" data-criteria-field="habit">
+                <span>Habit</span>
+                <select name="habit">${habits}</select>
+            </label>
+            <label class="plan-field" data-criteria-field="count days min">
+                <span>How many (times, days or points)</span>
+                <input type="number" name="amount" min="1" max="365" value="${escapeHTML(amount)}">
+            </label>
+        `;
+    }
+
+    /**
+     * Only show the inputs the chosen rule needs
+     */
+    showCriteriaFields(form) {
+        const needs = ACHIEVEMENT_CRITERIA[form.querySelector('[name="criteriaType"]').value] || [];
+        form.querySelectorAll('[data-criteria-field]').forEach(field => {
+            field.hidden = !field.dataset.criteriaField.split(' ').some(name => needs.includes(name));
+        });
+    }
+
+    readBadge(form) {
+        const data = new FormData(form);
+        const text = name => String(data.get(name) || '').trim();
+        const type = text('criteriaType');
+        const criteria = { type };
+
+        (ACHIEVEMENT_CRITERIA[type] || []).forEach(field => {
+            criteria[field] = ['procedure', 'habit'].includes(field) ? text(field) : Number(data.get('amount'));
+        });
+
+        return { id: text('id'), name: text('name'), icon: text('icon'), hint: text('hint'), criteria };
+    }
+
+    /**
+     * The real app in a frame, showing the draft at the chosen step
+     */
+    renderPreview() {
+        const steps = AUTHORING_PREVIEW_STEPS.map(step => `
+            <button type="button" class="content-tab" data-preview-step="${step}" aria-pressed="${step === this.previewStep}">
+                ${step === 'complete' ? 'Finish' : step.charAt(0).toUpperCase() + step.slice(1)}
+            </button>
+        `).join('');
+
+        return `
+            <div class="content-preview">
+                <div class="content-tabs" role="group" aria-label="Step to preview">${steps}</div>
+                <iframe class="content-preview-frame" src="index.html?${CONTENT_PREVIEW_PARAM}" title="Preview of the procedure in the app"></iframe>
+                <p class="content-preview-status dashboard-muted" role="status">Loading the preview…</p>
+            </div>
+        `;
+    }
+
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), AUTHORING_PREVIEW_DELAY);
+    }
+
+    updatePreview() {
+        const form = document.getElementById('content-form');
+        const frame = this.container.querySelector('.content-preview-frame');
+        const status = this.container.querySelector('.content-preview-status');
+        if (!form || !frame || !this.previewReady) return;
+
+        const original = this.editingIndex === null ? this.blank() : this.content.current('procedures')[this.editingIndex];
+        let procedure;
+        try {
+            procedure = this.content.validateProcedure(this.readProcedure(form, original));
+        } catch (error) {
+            status.textContent = `Not shown yet: ${error.message}`;
+            return;
+        }
+
+        status.textContent = 'Live preview. Nothing here is saved until you press Save.';
+        frame.contentWindow.postMessage(
+            { type: CONTENT_PREVIEW_MESSAGE, procedure, step: this.previewStep },
+            window.location.origin
+        );
+    }
+}
@@ -0,0 +1,278 @@
+// js/brushing.js - Two-minute brushing coach and daily habit tracker
+
+/**
+ * Dental Kids App - Brushing Coach
+ * A two-minute timer that spends thirty seconds on each quarter of the
+ * mouth, plus a daily checklist for morning and evening brushing and
+ * flossing. The log is kept per child as
+ *   habitLog: { 'YYYY-MM-DD': { checks: ['morning', 'floss'], sessions: 1 } }
+ * and feeds the weekly calendar, streaks and habit badges.
+ */
+
+const BRUSHING_SECONDS = 120;
+
+/**
+ * Mouth quarters in coaching order. The picture is drawn like a mirror,
+ * so the child's top right is at the top right of the screen.
+ */
+const BRUSHING_QUADRANTS = ['upperRight', 'upperLeft', 'lowerLeft', 'lowerRight'];
+
+const HABIT_CHECKS = [
+    { id: 'morning', icon: '☀️' },
+    { id: 'evening', icon: '🌙' },
+    { id: 'floss', icon: '🧵' }
+];
+
+/**
+ * Which checks make a day count towards each streak
+ */
+const HABIT_STREAKS = {
+    brush: ['morning', 'evening'],
+    floss: ['floss']
+};
+
+/**
+ * Ticking timer for one brushing session, with pause and resume
+ */
+class BrushingCoach {
+    constructor(options = {}) {
+        this.seconds = options.seconds || BRUSHING_SECONDS;
+        this.onTick = options.onTick || (() => {});
+        this.onQuadrant = options.onQuadrant || (() => {});
+        this.onFinish = options.onFinish || (() => {});
+        this.elapsedBefore = 0;
+        this.startedAt = null;
+        this.timer = null;
+        this.quadrant = -1;
+        this.finished = false;
+    }
+
+    start() {
+        if (this.timer || this.finished) return;
+
+        this.startedAt = Date.now();
+        this.timer = setInterval(() => this.tick(), 250);
+        this.tick();
+    }
+
+    pause() {
+        if (!this.timer) return;
+
+        this.elapsedBefore = this.elapsed();
+        this.startedAt = null;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isRunning() {
+        return Boolean(this.timer);
+    }
+
+    /**
+     * Stop for good, e.g. when the coach is closed early
+     */
+    stop() {
+        this.pause();
+        this.finished = true;
+    }
+
+    elapsed() {
+        const running = this.startedAt ? (Date.now() - this.startedAt) / 1000 : 0;
+        return Math.min(this.seconds, this.elapsedBefore + running);
+    }
+
+    remaining() {
+        return Math.ceil(this.seconds - this.elapsed());
+    }
+
+    tick() {
+        const elapsed = this.elapsed();
+        const quadrant = Math.min(
+            BRUSHING_QUADRANTS.length - 1,
+            Math.floor(elapsed / (this.seconds / BRUSHING_QUADRANTS.length))
+        );
+
+        if (quadrant !== this.quadrant) {
+            this.quadrant = quadrant;
+            this.onQuadrant(BRUSHING_QUADRANTS[quadrant], quadrant);
+        }
+        this.onTick(this.remaining(), elapsed / this.seconds);
+
+        if (elapsed >= this.seconds) {
+            this.stop();
+            this.onFinish();
+        }
+    }
+}
+
+/**
+ * Build HTML for the coach in the modal: a mirror picture of the mouth,
+ * Dr. Toothy's tip for the current quarter, and the countdown
+ */
+function renderBrushingCoach() {
+    // Mirror layout: screen left is the child's left
+    const layout = ['upperLeft', 'upperRight', 'lowerLeft', 'lowerRight'];
+    const quadrants = layout.map(quadrant => `
+        <span class="brushing-quadrant" data-quadrant="${quadrant}">
+            <span class="brushing-quadrant-teeth">🦷🦷🦷</span>
+            <span class="brushing-quadrant-label">${I18n.t(`brushing.quadrants.${quadrant}`)}</span>
+        </span>
+    `).join('');
+
+    return `
+        <div class="procedure-steps brushing-coach">
+            <div class="brushing-stage">
+                <div class="brushing-mascot" aria-hidden="true">🦷</div>
+                <p class="brushing-coach-line" data-narrate>${I18n.t('brushing.ready')}</p>
+            </div>
+            <div class="brushing-mouth" aria-hidden="true">${quadrants}</div>
+            <div class="brushing-time" role="timer" aria-label="${I18n.t('brushing.timeLeft', { time: formatBrushingTime(BRUSHING_SECONDS) })}">
+                ${formatBrushingTime(BRUSHING_SECONDS)}
+            </div>
+            <div class="brushing-bar" aria-hidden="true"><span class="brushing-bar-fill"></span></div>
+            <div class="step-navigation">
+                <button class="prev-step-btn" onclick="app.closeModal()">${I18n.t('brushing.stop')}</button>
+                <button class="next-step-btn brushing-toggle-btn" onclick="app.toggleBrushing()">${I18n.t('brushing.start')}</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Seconds as m:ss
+ */
+function formatBrushingTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+const HabitTracker = {
+    /**
+     * Local calendar day as YYYY-MM-DD
+     */
+    dateKey(date = new Date()) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    day(log, date = new Date()) {
+        return log[this.dateKey(date)] || { checks: [], sessions: 0 };
+    },
+
+    isChecked(log, check, date = new Date()) {
+        return this.day(log, date).checks.includes(check);
+    },
+
+    /**
+     * Tick or untick a habit for the day; returns whether it is now ticked
+     */
+    toggle(log, check, date = new Date()) {
+        const key = this.dateKey(date);
+        const day = log[key] = this.day(log, date);
+        const checked = !day.checks.includes(check);
+
+        day.checks = checked
+            ? day.checks.concat(check)
+            : day.checks.filter(item => item !== check);
+        return checked;
+    },
+
+    /**
+     * Count a finished coach session and tick the brushing for this time of day
+     */
+    recordSession(log, date = new Date()) {
+        const key = this.dateKey(date);
+        const day = log[key] = this.day(log, date);
+        const check = date.getHours() < 15 ? 'morning' : 'evening';
+
+        day.sessions += 1;
+        if (!day.checks.includes(check)) {
+            day.checks = day.checks.concat(check);
+        }
+        return check;
+    },
+
+    totalSessions(log) {
+        return Object.values(log).reduce((total, day) => total + day.sessions, 0);
+    },
+
+    /**
+     * Days in a row the habit was done, counting back from today. A day
+     * that isn't finished yet doesn't break the streak.
+     */
+    streak(log, habit, today = new Date()) {
+        const needed = HABIT_STREAKS[habit];
+        const done = date => needed.every(check => this.isChecked(log, check, date));
+        const date = new Date(today);
+        let count = 0;
+
+        if (!done(date)) {
+            date.setDate(date.getDate() - 1);
+        }
+        while (done(date)) {
+            count += 1;
+            date.setDate(date.getDate() - 1);
+        }
+        return count;
+    },
+
+    /**
+     * The last seven days, oldest first
+     */
+    week(log, today = new Date()) {
+        return Array.from({ length: 7 }, (_, index) => {
+            const date = new Date(today);
+            date.setDate(today.getDate() - (6 - index));
+            return Object.assign({ date, today: index === 6 }, this.day(log, date));
+        });
+    },
+
+    renderChecklist(log) {
+        const items = HABIT_CHECKS.map(check => {
+            const done = this.isChecked(log, check.id);
+            return `
+                <button type="button" class="habit-check${done ? ' done' : ''}" data-check="${check.id}"
+                        aria-pressed="${done}" onclick="app.toggleHabit('${check.id}')">
+                    <span class="habit-check-icon">${check.icon}</span>
+                    <span class="habit-check-label">${I18n.t(`brushing.checks.${check.id}`)}</span>
+                    <span class="habit-check-mark" aria-hidden="true">${done ? '✅' : '⬜'}</span>
+                </button>
+            `;
+        }).join('');
+
+        return `
+            <h4 class="habit-heading">${I18n.t('brushing.checklistTitle')}</h4>
+            <div class="habit-checklist">${items}</div>
+        `;
+    },
+
+    renderWeek(log) {
+        const days = this.week(log).map(day => {
+            const marks = HABIT_CHECKS.map(check => `
+                <span class="habit-mark${day.checks.includes(check.id) ? ' done' : ''}"
+                      title="${I18n.t(`brushing.checks.${check.id}`)}">${check.icon}</span>
+            `).join('');
+            const label = I18n.t('brushing.dayLabel', {
+                date: I18n.formatDate(day.date, { weekday: 'long', month: 'short', day: 'numeric' }),
+                done: HABIT_CHECKS.filter(check => day.checks.includes(check.id))
+                    .map(check => I18n.t(`brushing.checks.${check.id}`)).join(', ') || I18n.t('brushing.nothingYet'),
+                count: day.sessions
+            });
+
+            return `
+                <li class="habit-day${day.today ? ' today' : ''}" aria-label="${label}">
+                    <span class="habit-day-name" aria-hidden="true">${I18n.formatDate(day.date, { weekday: 'short' })}</span>
+                    <span class="habit-day-marks" aria-hidden="true">${marks}</span>
+                    <span class="habit-day-sessions" aria-hidden="true">${day.sessions > 0 ? `⏱️ ${day.sessions}` : ''}</span>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <ol class="habit-week">${days}</ol>
+            <p class="habit-streaks">
+                <span>🔥 ${I18n.t('brushing.brushStreak', { count: this.streak(log, 'brush') })}</span>
+                <span>🧵 ${I18n.t('brushing.flossStreak', { count: this.streak(log, 'floss') })}</span>
+            </p>
+        `;
+    }
+};
@@ -0,0 +1,348 @@
+// js/calm.js - Calm Corner tools for use in the dental chair
+
+/**
+ * Dental Kids App - Calm Corner
+ * Things a child can do while the dentist is working: breathe along with
+ * a bubble, count along with a short timer, practise raising a hand to
+ * ask the dentist to stop, and look at a gallery of favourite things.
+ * Each use is kept per child as
+ *   calmLog: [{ tool: 'breathe', startedAt: ISO, seconds: 42, count: 5 }]
+ * where count is breaths, numbers, hands raised or pictures looked at.
+ */
+
+const CALM_TOOLS = [
+    { id: 'breathe', icon: '🫧' },
+    { id: 'count', icon: '🔢' },
+    { id: 'stop', icon: '✋' },
+    { id: 'gallery', icon: '🖼️' }
+];
+
+/**
+ * Seconds for each part of one breath
+ */
+const BREATHING_PACES = {
+    slow: { inhale: 5, hold: 2, exhale: 6 },
+    medium: { inhale: 4, hold: 1, exhale: 5 },
+    quick: { inhale: 3, hold: 1, exhale: 3 }
+};
+
+const BREATHING_PHASES = ['inhale', 'hold', 'exhale'];
+
+const COUNT_LENGTHS = [10, 20, 30, 60];
+
+const STOP_SIGNAL_ROUNDS = 3;
+
+/**
+ * Gallery pictures; labels and prompts are under "calm.things.<id>"
+ */
+const FAVORITE_THINGS = [
+    { id: 'puppy', icon: '🐶' },
+    { id: 'kitten', icon: '🐱' },
+    { id: 'dinosaur', icon: '🦕' },
+    { id: 'unicorn', icon: '🦄' },
+    { id: 'rocket', icon: '🚀' },
+    { id: 'beach', icon: '🏖️' },
+    { id: 'rainbow', icon: '🌈' },
+    { id: 'football', icon: '⚽' },
+    { id: 'train', icon: '🚂' },
+    { id: 'fish', icon: '🐠' },
+    { id: 'butterfly', icon: '🦋' },
+    { id: 'castle', icon: '🏰' }
+];
+
+const CALM_LOG_LIMIT = 200;
+
+/**
+ * Breathe in, hold, breathe out, round and round until stopped
+ */
+class BreathingBubble {
+    constructor(options = {}) {
+        this.pace = BREATHING_PACES[options.pace] ? options.pace : 'medium';
+        this.onPhase = options.onPhase || (() => {});
+        this.phase = -1;
+        this.breaths = 0;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.phase = -1;
+        this.next();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    isRunning() {
+        return Boolean(this.timer);
+    }
+
+    /**
+     * Change the pace; takes effect from the next part of the breath
+     */
+    setPace(pace) {
+        if (BREATHING_PACES[pace]) {
+            this.pace = pace;
+        }
+    }
+
+    next() {
+        this.phase = (this.phase + 1) % BREATHING_PHASES.length;
+        if (this.phase === 0 && this.timer) {
+            this.breaths += 1;
+        }
+
+        const phase = BREATHING_PHASES[this.phase];
+        const seconds = BREATHING_PACES[this.pace][phase];
+        this.timer = setTimeout(() => this.next(), seconds * 1000);
+        this.onPhase(phase, seconds, this.breaths);
+    }
+}
+
+/**
+ * Counts 1, 2, 3... once a second up to a chosen number
+ */
+class CountAlong {
+    constructor(options = {}) {
+        this.target = options.seconds || COUNT_LENGTHS[0];
+        this.onCount = options.onCount || (() => {});
+        this.onFinish = options.onFinish || (() => {});
+        this.count = 0;
+        this.timer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.count = 0;
+        this.timer = setInterval(() => this.tick(), 1000);
+        this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    isRunning() {
+        return Boolean(this.timer);
+    }
+
+    tick() {
+        this.count += 1;
+        this.onCount(this.count, this.target);
+
+        if (this.count >= this.target) {
+            this.stop();
+            this.onFinish(this.count);
+        }
+    }
+}
+
+/**
+ * A pretend dental tool buzzes until the child raises a hand, so they
+ * know the stop signal works before they need it
+ */
+class StopSignalDrill {
+    constructor(options = {}) {
+        this.rounds = options.rounds || STOP_SIGNAL_ROUNDS;
+        this.onBuzz = options.onBuzz || (() => {});
+        this.hands = 0;
+        this.startedAt = null;
+        this.timer = null;
+    }
+
+    startRound() {
+        if (this.timer) return;
+
+        this.startedAt = Date.now();
+        this.timer = setInterval(() => this.onBuzz(), 400);
+        this.onBuzz();
+    }
+
+    isBuzzing() {
+        return Boolean(this.timer);
+    }
+
+    /**
+     * The hand went up: stop buzzing and say how quickly it happened
+     */
+    raise() {
+        if (!this.timer) return null;
+
+        this.stop();
+        this.hands += 1;
+        return {
+            seconds: (Date.now() - this.startedAt) / 1000,
+            done: this.hands >= this.rounds
+        };
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+const CalmCorner = {
+    /**
+     * Note one use of a tool, keeping only the most recent entries
+     */
+    record(log, entry) {
+        log.push({
+            tool: entry.tool,
+            startedAt: entry.startedAt,
+            seconds: Math.max(0, Math.round(entry.seconds)),
+            count: entry.count || 0
+        });
+        if (log.length > CALM_LOG_LIMIT) {
+            log.splice(0, log.length - CALM_LOG_LIMIT);
+        }
+    },
+
+    /**
+     * Uses and total minutes per tool, for grown-ups
+     */
+    summary(log) {
+        return CALM_TOOLS.map(tool => {
+            const uses = log.filter(entry => entry.tool === tool.id);
+            return {
+                id: tool.id,
+                icon: tool.icon,
+                uses: uses.length,
+                seconds: uses.reduce((total, entry) => total + entry.seconds, 0)
+            };
+        });
+    },
+
+    /**
+     * Favourite things first, then the rest in gallery order
+     */
+    galleryOrder(favorites) {
+        return FAVORITE_THINGS.filter(thing => favorites.includes(thing.id))
+            .concat(FAVORITE_THINGS.filter(thing => !favorites.includes(thing.id)));
+    },
+
+    renderMenu() {
+        const tools = CALM_TOOLS.map(tool => `
+            <button type="button" class="calm-tool-btn" onclick="app.openCalmTool('${tool.id}')">
+                <span class="calm-tool-icon" aria-hidden="true">${tool.icon}</span>
+                <span class="calm-tool-name">${I18n.t(`calm.tools.${tool.id}.name`)}</span>
+                <span class="calm-tool-hint">${I18n.t(`calm.tools.${tool.id}.hint`)}</span>
+            </button>
+        `).join('');
+
+        return `
+            <div class="procedure-steps calm-menu">
+                <p data-narrate>${I18n.t('calm.intro')}</p>
+                <div class="calm-tools">${tools}</div>
+            </div>
+        `;
+    },
+
+    renderBreathing(pace) {
+        const paces = Object.keys(BREATHING_PACES).map(id => `
+            <button type="button" class="calm-pace-btn${id === pace ? ' selected' : ''}" aria-pressed="${id === pace}"
+                    data-pace="${id}" onclick="app.setBreathingPace('${id}')">${I18n.t(`calm.breathe.paces.${id}`)}</button>
+        `).join('');
+
+        return `
+            <div class="procedure-steps calm-tool calm-breathe">
+                <p data-narrate>${I18n.t('calm.breathe.intro')}</p>
+                <div class="calm-bubble-stage" aria-hidden="true">
+                    <div class="calm-bubble"></div>
+                </div>
+                <div class="calm-breathe-voice">
+                    <p class="calm-breathe-phase" role="status" data-narrate>${I18n.t('calm.breathe.ready')}</p>
+                </div>
+                <p class="calm-breathe-count"></p>
+                <div class="calm-paces" role="group" aria-label="${I18n.t('calm.breathe.pace')}">${paces}</div>
+                ${this.renderBack()}
+            </div>
+        `;
+    },
+
+    renderCount() {
+        const lengths = COUNT_LENGTHS.map(seconds => `
+            <button type="button" class="calm-count-length" onclick="app.startCountAlong(${seconds})">
+                ${I18n.t('calm.count.upTo', { count: seconds })}
+            </button>
+        `).join('');
+
+        return `
+            <div class="procedure-steps calm-tool calm-count">
+                <p data-narrate>${I18n.t('calm.count.intro')}</p>
+                <div class="calm-count-voice"><span class="calm-count-number" data-narrate>🔢</span></div>
+                <div class="brushing-bar calm-count-bar" aria-hidden="true"><span class="brushing-bar-fill"></span></div>
+                <p class="calm-count-status" role="status">${I18n.t('calm.count.forDentist')}</p>
+                <div class="calm-count-lengths">${lengths}</div>
+                ${this.renderBack()}
+            </div>
+        `;
+    },
+
+    renderStopSignal() {
+        return `
+            <div class="procedure-steps calm-tool calm-stop">
+                <p data-narrate>${I18n.t('calm.stop.intro')}</p>
+                <div class="calm-stop-tool" aria-hidden="true">🪥</div>
+                <p class="calm-stop-status" role="status">${I18n.t('calm.stop.ready')}</p>
+                <div class="step-navigation">
+                    <button type="button" class="next-step-btn calm-stop-start" onclick="app.startStopSignalRound()">
+                        ${I18n.t('calm.stop.start')}
+                    </button>
+                    <button type="button" class="calm-hand-btn" onclick="app.raiseHand()" disabled>
+                        <span aria-hidden="true">✋</span> ${I18n.t('calm.stop.raise')}
+                    </button>
+                </div>
+                ${this.renderBack()}
+            </div>
+        `;
+    },
+
+    renderGallery(favorites) {
+        const things = this.galleryOrder(favorites).map(thing => `
+            <button type="button" class="calm-thing${favorites.includes(thing.id) ? ' favorite' : ''}"
+                    data-thing="${thing.id}" onclick="app.showFavoriteThing('${thing.id}')">
+                <span class="calm-thing-icon" aria-hidden="true">${thing.icon}</span>
+                <span class="calm-thing-name">${I18n.t(`calm.things.${thing.id}.name`)}</span>
+                ${favorites.includes(thing.id) ? `<span class="calm-thing-star">⭐<span class="sr-only">${I18n.t('calm.gallery.favorite')}</span></span>` : ''}
+            </button>
+        `).join('');
+
+        return `
+            <div class="procedure-steps calm-tool calm-gallery">
+                <p data-narrate>${I18n.t('calm.gallery.intro')}</p>
+                <div class="calm-gallery-stage"></div>
+                <div class="calm-things">${things}</div>
+                ${this.renderBack()}
+            </div>
+        `;
+    },
+
+    /**
+     * One picture shown big, with something to imagine about it
+     */
+    renderThing(id, favorite) {
+        const thing = FAVORITE_THINGS.find(item => item.id === id);
+        if (!thing) return '';
+
+        return `
+            <div class="calm-thing-big" aria-hidden="true">${thing.icon}</div>
+            <p class="calm-thing-prompt" data-narrate>${I18n.t(`calm.things.${id}.prompt`)}</p>
+            <button type="button" class="calm-favorite-btn" aria-pressed="${favorite}" onclick="app.toggleFavoriteThing('${id}')">
+                ${I18n.t(favorite ? 'calm.gallery.unfavorite' : 'calm.gallery.makeFavorite')}
+            </button>
+        `;
+    },
+
+    renderBack() {
+        return `
+            <button type="button" class="prev-step-btn calm-back-btn" onclick="app.showCalmCorner()">
+                ${I18n.t('calm.back')}
+            </button>
+        `;
+    }
+};
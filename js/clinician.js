@@ -0,0 +1,156 @@
+// js/clinician.js - Local clinician accounts and sessions
+
+/**
+ * Dental Kids App - Clinician Auth
+ * Works fully offline: accounts live in app storage with PBKDF2-hashed
+ * passwords, and a signed-in session expires after a period of inactivity.
+ */
+
+const CLINICIAN_SESSION_MINUTES = 30;
+const CLINICIAN_HASH_ITERATIONS = 150000;
+const CLINICIAN_MIN_PASSWORD_LENGTH = 8;
+
+class ClinicianAuth {
+    constructor(storage) {
+        this.storage = storage;
+        this.accountsKey = 'dentalKidsClinicians';
+        this.sessionKey = 'dentalKidsClinicianSession';
+    }
+
+    static isSupported() {
+        return Boolean(window.crypto && window.crypto.subtle);
+    }
+
+    accounts() {
+        const accounts = this.storage.readJSON(this.accountsKey, []);
+        return Array.isArray(accounts) ? accounts : [];
+    }
+
+    hasAccounts() {
+        return this.accounts().length > 0;
+    }
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Create a clinician account with a salted password hash
+     */
+    async createAccount({ name, email, password }) {
+        const normalizedEmail = this.normalizeEmail(email);
+
+        if (!String(name || '').trim()) {
+            throw new Error('Please enter your name.');
+        }
+        if (!/^[^\s@]+@[^\s@]+$/.test(normalizedEmail)) {
+            throw new Error('Please enter a valid email address.');
+        }
+        if (String(password || '').length < CLINICIAN_MIN_PASSWORD_LENGTH) {
+            throw new Error(`Passwords need at least ${CLINICIAN_MIN_PASSWORD_LENGTH} characters.`);
+        }
+        if (this.accounts().some(account => account.email === normalizedEmail)) {
+            throw new Error('An account with this email already exists.');
+        }
+
+        const salt = this.toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+        const account = {
+            id: `c${Date.now().toString(36)}`,
+            name: String(name).trim(),
+            email: normalizedEmail,
+            salt,
+            iterations: CLINICIAN_HASH_ITERATIONS,
+            hash: await this.hashPassword(password, salt, CLINICIAN_HASH_ITERATIONS),
+            createdAt: new Date().toISOString()
+        };
+
+        this.storage.writeJSON(this.accountsKey, this.accounts().concat(account));
+        console.log(`👩‍⚕️ Clinician account created: ${account.email}`);
+        return account;
+    }
+
+    /**
+     * Check credentials and start a session
+     */
+    async login(email, password) {
+        const account = this.accounts().find(a => a.email === this.normalizeEmail(email));
+
+        // Hash even for unknown emails so both failures take the same time
+        const hash = await this.hashPassword(
+            password,
+            account ? account.salt : '00',
+            account ? account.iterations : CLINICIAN_HASH_ITERATIONS
+        );
+
+        if (!account || hash !== account.hash) {
+            throw new Error('Email or password is not correct.');
+        }
+
+        this.startSession(account);
+        console.log(`🔐 Clinician signed in: ${account.email}`);
+        return account;
+    }
+
+    logout() {
+        this.storage.remove(this.sessionKey);
+        console.log('🔐 Clinician signed out');
+    }
+
+    startSession(account) {
+        this.storage.writeJSON(this.sessionKey, {
+            accountId: account.id,
+            expiresAt: Date.now() + CLINICIAN_SESSION_MINUTES * 60 * 1000
+        });
+    }
+
+    /**
+     * Get the current session, clearing it once it has expired
+     */
+    getSession() {
+        const session = this.storage.readJSON(this.sessionKey);
+        if (!session || typeof session.expiresAt !== 'number') return null;
+
+        if (session.expiresAt <= Date.now()) {
+            this.logout();
+            return null;
+        }
+        return session;
+    }
+
+    currentAccount() {
+        const session = this.getSession();
+        if (!session) return null;
+        return this.accounts().find(account => account.id === session.accountId) || null;
+    }
+
+    /**
+     * Push the expiry back while the clinician is active
+     */
+    touch() {
+        const account = this.currentAccount();
+        if (account) {
+            this.startSession(account);
+        }
+    }
+
+    async hashPassword(password, saltHex, iterations) {
+        const encoder = new TextEncoder();
+        const key = await window.crypto.subtle.importKey(
+            'raw', encoder.encode(String(password)), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await window.crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.fromHex(saltHex), iterations, hash: 'SHA-256' },
+            key,
+            256
+        );
+        return this.toHex(new Uint8Array(bits));
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    fromHex(hex) {
+        return new Uint8Array((hex.match(/.{2}/g) || []).map(pair => parseInt(pair, 16)));
+    }
+}
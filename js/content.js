@@ -0,0 +1,408 @@
+// js/content.js - Clinic-authored procedures, tips and badges
+
+/**
+ * Dental Kids App - Custom Content
+ * Clinicians can replace the built-in procedures, tips and badges with
+ * their own from the dashboard. Each part is kept on the device as a
+ * complete list, so removing and reordering work too:
+ *   dentalKidsContent: { procedures: [...], tips: [...], badges: [...], updatedAt: ISO }
+ * A missing part means the built-in one. The same parts travel between
+ * clinics as an exported content bundle. Everything is checked before it
+ * is saved or imported; text may not contain markup because the catalogs
+ * hold HTML.
+ */
+
+const CONTENT_BUNDLE_FORMAT = 'dental-kids-content';
+const CONTENT_BUNDLE_VERSION = 1;
+const CONTENT_PARTS = ['procedures', 'tips', 'badges'];
+const CONTENT_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const CONTENT_TEXT_LIMIT = 600;
+const CONTENT_MEDIA_CLASS_PATTERN = /^[a-z-]*$/;
+const CONTENT_MEDIA_SRC_PATTERN = /^(https:\/\/[^\s"'<>]+|[\w-][\w./-]*)$/;
+
+/**
+ * index.html?preview runs the app on throwaway storage for the
+ * dashboard's live preview. The dashboard posts drafts to it as
+ *   { type: CONTENT_PREVIEW_MESSAGE, procedure, step }
+ * once it has posted { type: CONTENT_PREVIEW_READY }.
+ */
+const CONTENT_PREVIEW_PARAM = 'preview';
+const CONTENT_PREVIEW_MESSAGE = 'dental-kids-preview';
+const CONTENT_PREVIEW_READY = 'dental-kids-preview-ready';
+
+class ContentLibrary {
+    constructor(storage) {
+        this.storage = storage;
+        this.contentKey = 'dentalKidsContent';
+    }
+
+    saved() {
+        const saved = this.storage.readJSON(this.contentKey, {});
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    }
+
+    isCustomized(part) {
+        return Array.isArray(this.saved()[part]);
+    }
+
+    /**
+     * Editable list for a part: the clinic's own, or a copy of the built-in one
+     */
+    current(part) {
+        const saved = this.saved()[part];
+        return Array.isArray(saved) ? saved : this.defaults(part);
+    }
+
+    defaults(part) {
+        return { procedures: ProcedureCatalog, tips: TipCatalog, badges: Achievements }[part].defaults();
+    }
+
+    /**
+     * Hand the saved content to the catalogs
+     */
+    apply() {
+        const saved = this.saved();
+        const custom = part => (Array.isArray(saved[part]) ? saved[part] : null);
+
+        ProcedureCatalog.useCustom(custom('procedures'));
+        TipCatalog.useCustom(custom('tips'));
+        Achievements.useCustom(custom('badges'));
+    }
+
+    /**
+     * Check and keep a whole part; throws with a message for the clinician
+     */
+    save(part, list) {
+        const checked = this.validatePart(part, list);
+        this.write(Object.assign(this.saved(), { [part]: checked }));
+        console.log(`✏️ Custom ${part} saved (${checked.length})`);
+        return checked;
+    }
+
+    /**
+     * Go back to the built-in content for one part, or for everything
+     */
+    revert(part = null) {
+        const saved = this.saved();
+        (part ? [part] : CONTENT_PARTS).forEach(name => delete saved[name]);
+
+        if (CONTENT_PARTS.some(name => Array.isArray(saved[name]))) {
+            this.write(saved);
+        } else {
+            this.storage.remove(this.contentKey);
+            this.apply();
+        }
+        console.log(`↩️ Built-in ${part || 'content'} restored`);
+    }
+
+    write(saved) {
+        saved.updatedAt = new Date().toISOString();
+        this.storage.writeJSON(this.contentKey, saved);
+        this.apply();
+    }
+
+    /**
+     * Bundle of the parts this clinic has made its own
+     */
+    exportBundle(clinic) {
+        const saved = this.saved();
+        const bundle = {
+            format: CONTENT_BUNDLE_FORMAT,
+            version: CONTENT_BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            clinic: clinic || ''
+        };
+
+        CONTENT_PARTS.filter(part => Array.isArray(saved[part])).forEach(part => {
+            bundle[part] = saved[part];
+        });
+        return bundle;
+    }
+
+    /**
+     * Replace the parts a bundle contains. Nothing changes unless every
+     * part checks out. Returns the names of the imported parts.
+     */
+    importBundle(bundle) {
+        if (!bundle || bundle.format !== CONTENT_BUNDLE_FORMAT) {
+            throw new Error('This file isn\'t a Dental Kids content bundle.');
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version > CONTENT_BUNDLE_VERSION) {
+            throw new Error('This bundle was made by a newer version of Dental Kids. Please update the app first.');
+        }
+
+        const parts = CONTENT_PARTS.filter(part => bundle[part] !== undefined);
+        if (parts.length === 0) {
+            throw new Error('This bundle has no procedures, tips or badges in it.');
+        }
+
+        const checked = {};
+        parts.forEach(part => {
+            checked[part] = this.validatePart(part, bundle[part]);
+        });
+
+        this.write(Object.assign(this.saved(), checked));
+        console.log(`📥 Content bundle imported: ${parts.join(', ')}`);
+        return parts;
+    }
+
+    validatePart(part, list) {
+        const validators = {
+            procedures: item => this.validateProcedure(item),
+            tips: item => this.validateTip(item),
+            badges: item => this.validateBadge(item)
+        };
+        if (!validators[part]) {
+            throw new Error(`Unknown content: ${part}`);
+        }
+        if (!Array.isArray(list) || list.length === 0) {
+            throw new Error(`Keep at least one item in ${part}.`);
+        }
+
+        const checked = list.map(validators[part]);
+        const ids = new Set();
+        checked.forEach(item => {
+            if (ids.has(item.id)) {
+                throw new Error(`Two ${part} use the id "${item.id}". Each needs its own.`);
+            }
+            ids.add(item.id);
+        });
+        return checked;
+    }
+
+    validateProcedure(procedure) {
+        const item = this.object(procedure, 'A procedure');
+        const id = this.id(item.id, 'A procedure');
+        const label = field => `Procedure "${id}": ${field}`;
+        const text = (value, field, required = true) => this.text(value, label(field), required);
+
+        const steps = this.object(item.steps, label('the steps'));
+        const show = this.object(steps.show, label('the Show step'));
+        const tell = this.object(steps.tell, label('the Tell step'));
+        const doStep = this.object(steps.do, label('the Do step'));
+
+        const difficulty = item.difficulty === undefined ? 1 : item.difficulty;
+        if (!Number.isInteger(difficulty) || difficulty < 1 || difficulty > MAX_DIFFICULTY) {
+            throw new Error(`${label('difficulty')} must be 1 to ${MAX_DIFFICULTY} stars.`);
+        }
+
+        const points = Array.isArray(tell.points) ? tell.points.map((point, index) => text(point, `Tell point ${index + 1}`)) : [];
+        if (points.length === 0) {
+            throw new Error(`${label('the Tell step')} needs at least one point.`);
+        }
+
+        const title = text(item.title, 'title');
+        const checked = {
+            id,
+            title,
+            modalTitle: text(item.modalTitle, 'modal title', false) || title,
+            icon: text(item.icon, 'icon'),
+            description: text(item.description, 'description', false),
+            difficulty,
+            autoNarrate: item.autoNarrate === true,
+            steps: {
+                show: {
+                    media: this.media(show.media, label('Show picture')),
+                    heading: text(show.heading, 'Show heading'),
+                    text: text(show.text, 'Show text')
+                },
+                tell: {
+                    media: this.media(tell.media, label('Tell picture')),
+                    heading: text(tell.heading, 'Tell heading'),
+                    points
+                },
+                do: {
+                    media: this.media(doStep.media, label('Do picture')),
+                    heading: text(doStep.heading, 'Do heading'),
+                    intro: text(doStep.intro, 'Do instructions')
+                }
+            }
+        };
+
+        if (doStep.game) {
+            if (!MiniGames.has(doStep.game)) {
+                throw new Error(`${label('the Do step')} uses an unknown game: ${doStep.game}`);
+            }
+            checked.steps.do.game = doStep.game;
+        } else {
+            const actions = Array.isArray(doStep.actions) ? doStep.actions.map((action, index) => {
+                const entry = this.object(action, label(`practice button ${index + 1}`));
+                return {
+                    icon: text(entry.icon, `practice button ${index + 1} icon`),
+                    label: text(entry.label, `practice button ${index + 1} label`)
+                };
+            }) : [];
+            if (actions.length === 0) {
+                throw new Error(`${label('the Do step')} needs a game or at least one practice button.`);
+            }
+            checked.steps.do.actions = actions;
+        }
+
+        if (steps.complete) {
+            const complete = this.object(steps.complete, label('the finish screen'));
+            checked.steps.complete = {
+                icon: text(complete.icon, 'finish icon'),
+                message: text(complete.message, 'finish message')
+            };
+        }
+
+        const variants = this.variants(item, checked, entry => this.validateProcedure(entry), label('age versions'));
+        if (variants) {
+            checked.variants = variants;
+        }
+
+        return checked;
+    }
+
+    validateTip(tip) {
+        const item = this.object(tip, 'A tip');
+        const id = this.id(item.id, 'A tip');
+        const label = field => `Tip "${id}": ${field}`;
+
+        const checked = {
+            id,
+            icon: this.text(item.icon, label('icon')),
+            title: this.text(item.title, label('title')),
+            text: this.text(item.text, label('text'))
+        };
+
+        const variants = this.variants(item, checked, entry => this.validateTip(entry), label('age versions'));
+        if (variants) {
+            checked.variants = variants;
+        }
+        return checked;
+    }
+
+    validateBadge(badge) {
+        const item = this.object(badge, 'A badge');
+        const id = this.id(item.id, 'A badge');
+        const label = field => `Badge "${id}": ${field}`;
+
+        // Each procedure gets its own badge under this prefix
+        if (id.startsWith('procedure-')) {
+            throw new Error(`${label('id')} can't start with "procedure-".`);
+        }
+
+        const criteria = this.object(item.criteria, label('how to earn it'));
+        const fields = ACHIEVEMENT_CRITERIA[criteria.type];
+        if (!fields) {
+            throw new Error(`${label('how to earn it')} isn't a rule the app knows.`);
+        }
+
+        const checkedCriteria = { type: criteria.type };
+        fields.forEach(field => {
+            const value = criteria[field];
+            if (field === 'procedure') {
+                checkedCriteria.procedure = this.id(value, label('procedure'));
+            } else if (field === 'habit') {
+                if (!HABIT_STREAKS[value]) {
+                    throw new Error(`${label('habit')} must be one of: ${Object.keys(HABIT_STREAKS).join(', ')}.`);
+                }
+                checkedCriteria.habit = value;
+            } else {
+                const max = field === 'min' ? 100 : 365;
+                if (!Number.isInteger(value) || value < 1 || value > max) {
+                    throw new Error(`${label(field)} must be a whole number from 1 to ${max}.`);
+                }
+                checkedCriteria[field] = value;
+            }
+        });
+
+        return {
+            id,
+            name: this.text(item.name, label('name')),
+            icon: this.text(item.icon, label('icon')),
+            hint: this.text(item.hint, label('hint')),
+            criteria: checkedCriteria
+        };
+    }
+
+    /**
+     * Age-band versions of an item (see js/levels.js). Each is checked by
+     * laying it over the checked item; only the parts it changes are kept.
+     */
+    variants(item, checked, validate, label) {
+        if (item.variants === undefined) return null;
+
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        const pick = (changes, valid) => Object.fromEntries(Object.keys(changes)
+            .filter(key => key !== 'id' && key in valid)
+            .map(key => [key, isObject(changes[key]) && isObject(valid[key]) ? pick(changes[key], valid[key]) : valid[key]]));
+
+        const variants = this.object(item.variants, label);
+        const bands = Object.keys(variants);
+        if (bands.length === 0) return null;
+
+        return Object.fromEntries(bands.map(band => {
+            if (!AgeLevels.isBand(band) || band === AGE_BAND_DEFAULT) {
+                throw new Error(`${label} use an unknown age group: ${band}`);
+            }
+
+            const changes = this.object(variants[band], `${label} for ages ${band}`);
+            try {
+                return [band, pick(changes, validate(AgeLevels.apply(Object.assign({}, checked, { variants: { [band]: changes } }), band)))];
+            } catch (error) {
+                throw new Error(`Ages ${band}: ${error.message}`);
+            }
+        }));
+    }
+
+    /**
+     * Emoji pictures, or images and videos from the app or an https address
+     */
+    media(media, label) {
+        if (media === undefined) return [];
+        if (!Array.isArray(media)) {
+            throw new Error(`${label} isn't a list.`);
+        }
+
+        return media.map(item => {
+            const entry = this.object(item, label);
+            const className = entry.className || '';
+            if (!CONTENT_MEDIA_CLASS_PATTERN.test(className)) {
+                throw new Error(`${label} has an unusable style name.`);
+            }
+
+            if (entry.type === 'image' || entry.type === 'video') {
+                if (!CONTENT_MEDIA_SRC_PATTERN.test(String(entry.src || ''))) {
+                    throw new Error(`${label} needs an https:// address or a file in the app.`);
+                }
+                return Object.assign(
+                    { type: entry.type, className, src: entry.src },
+                    entry.type === 'image' ? { alt: this.text(entry.alt, `${label} description`, false) } : {},
+                    entry.poster && CONTENT_MEDIA_SRC_PATTERN.test(entry.poster) ? { poster: entry.poster } : {}
+                );
+            }
+            return { type: 'emoji', className: className || 'emoji-demo', value: this.text(entry.value, label) };
+        });
+    }
+
+    object(value, label) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`${label} is missing.`);
+        }
+        return value;
+    }
+
+    id(value, label) {
+        if (typeof value !== 'string' || !CONTENT_ID_PATTERN.test(value)) {
+            throw new Error(`${label} needs an id of lowercase letters, numbers and dashes, like "fluoride-varnish".`);
+        }
+        return value;
+    }
+
+    text(value, label, required = true) {
+        const text = typeof value === 'string' ? value.trim() : '';
+
+        if (required && !text) {
+            throw new Error(`${label} is missing.`);
+        }
+        if (text.length > CONTENT_TEXT_LIMIT) {
+            throw new Error(`${label} is too long (${CONTENT_TEXT_LIMIT} characters at most).`);
+        }
+        if (/[<>"]/.test(text)) {
+            throw new Error(`${label} can't contain <, > or " (use “ ” for quotes).`);
+        }
+        return text;
+    }
+}
@@ -0,0 +1,673 @@
+// js/dashboard.js - Clinician dashboard controller
+
+/**
+ * Dental Kids App - Clinician Dashboard
+ * Lists the child profiles stored on this device and shows each child's
+ * procedures, badges, time spent and anxiety ratings. Also builds visit
+ * preparation plans, sets up kiosk mode, edits the clinic's own
+ * content and runs the opt-in research log. Requires a signed-in clinician session (see js/clinician.js).
+ */
+
+class ClinicianDashboard {
+    constructor(storageAdapter = StorageAdapters.createDefault()) {
+        this.storage = new AppStorage(storageAdapter);
+        this.auth = null;
+        this.account = null;
+        this.profiles = null;
+        this.kiosk = null;
+        this.research = null;
+        this.content = null;
+        this.contentEditor = null;
+        this.selectedProfileId = null;
+
+        const domReady = new Promise(resolve => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', resolve);
+            } else {
+                resolve();
+            }
+        });
+
+        Promise.all([domReady, this.storage.load()]).then(() => this.init());
+    }
+
+    /**
+     * Check the session, then render the dashboard
+     */
+    init() {
+        this.auth = new ClinicianAuth(this.storage);
+        this.kiosk = new KioskMode(this.storage);
+        const account = this.auth.currentAccount();
+
+        // The dashboard stays out of reach until staff leave kiosk mode
+        if (this.kiosk.isActive()) {
+            window.location.href = 'index.html';
+            return;
+        }
+
+        if (!account) {
+            this.redirectToLogin(true);
+            return;
+        }
+
+        this.account = account;
+        this.profiles = new ProfileManager(this.storage);
+        this.research = new ResearchLog(this.storage);
+        this.content = new ContentLibrary(this.storage);
+        this.content.apply();
+        this.contentEditor = new ContentEditor(this.content, document.getElementById('child-detail'), { clinic: account.name });
+
+        document.getElementById('clinician-name').textContent = `👩‍⚕️ ${account.name}`;
+        document.getElementById('logout-button').addEventListener('click', () => this.logout());
+        document.getElementById('new-plan-button').addEventListener('click', () => this.showPlanBuilder());
+        document.getElementById('content-button').addEventListener('click', () => this.showContentEditor());
+        document.getElementById('kiosk-button').addEventListener('click', () => this.showKioskSetup());
+        document.getElementById('research-button').addEventListener('click', () => this.showResearch());
+
+        this.watchSession();
+        this.renderChildList();
+
+        const firstProfile = this.profiles.list()[0];
+        if (firstProfile) {
+            this.showChild(firstProfile.id);
+        }
+
+        console.log('🩺 Clinician dashboard ready');
+    }
+
+    /**
+     * Keep the session alive while in use and leave once it expires
+     */
+    watchSession() {
+        ['click', 'keydown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => this.auth.touch(), { passive: true });
+        });
+
+        setInterval(() => {
+            if (!this.auth.getSession()) {
+                this.redirectToLogin(true);
+            }
+        }, 30000);
+    }
+
+    async logout() {
+        this.auth.logout();
+        await this.storage.flush();
+        this.redirectToLogin(false);
+    }
+
+    redirectToLogin(expired) {
+        window.location.href = expired ? 'login.html?expired=1' : 'login.html';
+    }
+
+    renderChildList() {
+        const list = document.getElementById('child-list');
+        const profiles = this.profiles.list();
+
+        if (profiles.length === 0) {
+            list.innerHTML = '<li class="dashboard-empty">No child profiles on this device yet.</li>';
+            return;
+        }
+
+        list.innerHTML = profiles.map(profile => `
+            <li>
+                <button class="child-list-item${profile.id === this.selectedProfileId ? ' active' : ''}" data-profile="${escapeHTML(profile.id)}">
+                    <span class="child-avatar">${profile.avatar}</span>
+                    <span class="child-summary">
+                        <strong>${escapeHTML(profile.name)}</strong>
+                        <small>Age ${profile.age}</small>
+                    </span>
+                </button>
+            </li>
+        `).join('');
+
+        list.querySelectorAll('.child-list-item').forEach(button => {
+            button.addEventListener('click', () => this.showChild(button.dataset.profile));
+        });
+    }
+
+    /**
+     * Show one child's progress in the detail panel
+     */
+    showChild(profileId) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return;
+
+        this.selectedProfileId = profileId;
+        this.renderChildList();
+
+        const progress = this.profiles.loadProgress(profileId);
+        const detail = document.getElementById('child-detail');
+        detail.innerHTML = this.renderChildDetail(profile, progress);
+        this.bindPlanForm(profileId);
+
+        detail.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportChild(profileId, button.dataset.export));
+        });
+        this.bindResearchForm(profileId);
+    }
+
+    /**
+     * Build a plan for a child whose profile lives on the family's device
+     */
+    showPlanBuilder() {
+        this.selectedProfileId = null;
+        this.renderChildList();
+
+        document.getElementById('child-detail').innerHTML = `
+            <h2 class="dashboard-heading">📅 Visit plan for a family device</h2>
+            <p class="dashboard-muted">Share the plan as a file or a QR code. The family opens it in Dental Kids on their own device.</p>
+            <div class="dashboard-card">
+                ${this.renderPlanForm(null, false)}
+            </div>
+        `;
+        this.bindPlanForm(null);
+    }
+
+    /**
+     * Write this clinic's own procedures, tips and badges
+     */
+    showContentEditor() {
+        this.selectedProfileId = null;
+        this.renderChildList();
+        this.contentEditor.show();
+    }
+
+    /**
+     * Lock this device into kiosk mode for the waiting room or chairside
+     */
+    showKioskSetup() {
+        this.selectedProfileId = null;
+        this.renderChildList();
+
+        const settings = this.kiosk.settings();
+        const sections = settings.sections.length > 0 ? settings.sections : ROUTER_SECTIONS;
+        const procedures = settings.procedures.length > 0 ? settings.procedures : ProcedureCatalog.all().map(procedure => procedure.id);
+        const checkbox = (name, value, label, checked) => `
+            <label class="plan-procedure">
+                <input type="checkbox" name="${escapeHTML(name)}" value="${escapeHTML(value)}"${checked ? ' checked' : ''}>
+                ${label}
+            </label>
+        `;
+
+        document.getElementById('child-detail').innerHTML = `
+            <h2 class="dashboard-heading">🔒 Kiosk mode for this device</h2>
+            <p class="dashboard-muted">For waiting-room and chairside tablets. Children only see what you choose here, the doctor link is hidden, and the app starts a fresh guest session when nobody has touched it for a while. You need the staff PIN to leave kiosk mode.</p>
+            <div class="dashboard-card">
+                <form id="kiosk-form" class="plan-form">
+                    <fieldset class="plan-field">
+                        <legend>Sections</legend>
+                        <div class="plan-procedures">
+                            ${ROUTER_SECTIONS.map(section => checkbox('sections', section, I18n.t(`nav.${section}`), sections.includes(section))).join('')}
+                        </div>
+                    </fieldset>
+                    <fieldset class="plan-field">
+                        <legend>Procedures</legend>
+                        <div class="plan-procedures">
+                            ${ProcedureCatalog.all().map(procedure => checkbox('procedures', procedure.id, `${procedure.icon} ${procedure.title}`, procedures.includes(procedure.id))).join('')}
+                        </div>
+                    </fieldset>
+                    <label class="plan-field">
+                        <span>Start a new guest session after</span>
+                        <select name="idleMinutes">
+                            ${KIOSK_IDLE_MINUTES.map(minutes => `<option value="${minutes}"${minutes === settings.idleMinutes ? ' selected' : ''}>${minutes} minute${minutes === 1 ? '' : 's'} without a touch</option>`).join('')}
+                        </select>
+                    </label>
+                    <fieldset class="plan-field">
+                        <legend>The previous child's session</legend>
+                        <label class="plan-procedure">
+                            <input type="radio" name="afterIdle" value="discard"${settings.afterIdle === 'discard' ? ' checked' : ''}>
+                            Discard it
+                        </label>
+                        <label class="plan-procedure">
+                            <input type="radio" name="afterIdle" value="save"${settings.afterIdle === 'save' ? ' checked' : ''}>
+                            Save it as a guest profile in this list
+                        </label>
+                    </fieldset>
+                    <label class="plan-field">
+                        <span>Staff PIN (4 to 8 digits)</span>
+                        <input type="password" name="pin" inputmode="numeric" pattern="[0-9]*" maxlength="8" autocomplete="new-password" required>
+                    </label>
+                    <label class="plan-field">
+                        <span>Staff PIN again</span>
+                        <input type="password" name="pinConfirm" inputmode="numeric" pattern="[0-9]*" maxlength="8" autocomplete="new-password" required>
+                    </label>
+                    <p class="plan-form-message" role="alert"></p>
+                    <div class="plan-actions">
+                        <button type="submit" class="dashboard-action-btn">🔒 Start kiosk mode</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.getElementById('kiosk-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startKiosk(e.target);
+        });
+    }
+
+    async startKiosk(form) {
+        const data = new FormData(form);
+        const message = form.querySelector('.plan-form-message');
+
+        if (data.get('pin') !== data.get('pinConfirm')) {
+            message.textContent = 'The two PINs don\'t match.';
+            return;
+        }
+
+        try {
+            await this.kiosk.enable({
+                sections: data.getAll('sections'),
+                procedures: data.getAll('procedures'),
+                idleMinutes: Number(data.get('idleMinutes')),
+                afterIdle: data.get('afterIdle'),
+                pin: data.get('pin')
+            });
+        } catch (error) {
+            message.textContent = error.message;
+            return;
+        }
+
+        // Nobody should be able to come back here without leaving kiosk mode
+        this.auth.logout();
+        await this.storage.flush();
+        window.location.href = 'index.html';
+    }
+
+    renderChildDetail(profile, progress) {
+        const procedures = ProcedureCatalog.all();
+        const completed = procedures.filter(procedure => progress.completedProcedures.includes(procedure.id));
+        const badges = Achievements.earned(progress.badges);
+        // A grown-up chose content for another age band in the picker
+        const level = AgeLevels.isBand(profile.level) ? ` · Content set for ages ${profile.level}` : '';
+
+        return `
+            <div class="child-header">
+                <span class="child-avatar large">${profile.avatar}</span>
+                <div>
+                    <h2 class="dashboard-heading">${escapeHTML(profile.name)}</h2>
+                    <p class="dashboard-muted">Age ${profile.age}${level} · Last visit ${progress.lastVisitDate ? this.formatDate(progress.lastVisitDate) : 'never'}</p>
+                </div>
+                <div class="child-actions">
+                    <a class="dashboard-action-btn secondary" href="report.html?profile=${encodeURIComponent(profile.id)}" target="_blank">🖨️ Report</a>
+                    <button class="dashboard-action-btn secondary" data-export="json">💾 JSON</button>
+                    <button class="dashboard-action-btn secondary" data-export="csv">📊 CSV</button>
+                </div>
+            </div>
+
+            <div class="dashboard-stats">
+                ${this.renderStat('Procedures', `${completed.length} / ${procedures.length}`)}
+                ${this.renderStat('Badges', badges.length)}
+                ${this.renderStat('Time spent', this.formatDuration(progress.timeSpentSeconds))}
+                ${this.renderStat('Visits', progress.visitCount)}
+                ${this.renderStat('Brushing streak', `${HabitTracker.streak(progress.habitLog, 'brush')} days`)}
+                ${this.renderStat('Calm Corner', `${progress.calmLog.length} uses`)}
+                ${this.renderStat('Best quiz score', progress.quizRounds.length ? `${Quiz.bestScore(progress.quizRounds)}%` : '—')}
+            </div>
+
+            <div class="dashboard-card">
+                <h3 class="dashboard-subheading">Visit plan</h3>
+                ${this.renderPlanSummary(progress.visitPlan)}
+                ${this.renderPlanForm(progress.visitPlan, true)}
+            </div>
+
+            <div class="dashboard-card">
+                <h3 class="dashboard-subheading">Procedures</h3>
+                ${this.renderProcedureTable(procedures, progress)}
+            </div>
+
+            <div class="dashboard-card">
+                <h3 class="dashboard-subheading">Anxiety ratings</h3>
+                <div class="anxiety-chart">${AnxietyScale.renderChart(progress.anxietyRatings)}</div>
+                ${this.renderRatingsTable(progress.anxietyRatings)}
+            </div>
+
+            <div class="dashboard-card">
+                <h3 class="dashboard-subheading">Badges</h3>
+                ${this.renderBadges(badges)}
+            </div>
+
+            <div class="dashboard-card">
+                <h3 class="dashboard-subheading">Research study</h3>
+                ${this.renderResearchForm(profile)}
+            </div>
+        `;
+    }
+
+    /**
+     * Enrol a child in the study once consent is recorded, or take them out
+     */
+    renderResearchForm(profile) {
+        const participant = this.research.participant(profile.id);
+
+        if (participant) {
+            return `
+                <p class="dashboard-muted">Enrolled as <strong>${participant.participantId}</strong> since ${this.formatDate(participant.consentedAt)}${participant.recordedBy ? `, consent recorded by ${escapeHTML(participant.recordedBy)}` : ''}. Step times, unfinished procedures, replays, sound settings and anxiety ratings are logged on this device.</p>
+                <div class="plan-actions">
+                    <button type="button" class="dashboard-action-btn secondary" data-research-action="withdraw">Withdraw and delete their study data</button>
+                </div>
+            `;
+        }
+
+        return `
+            <p class="dashboard-muted">Not taking part. Nothing is logged for research until a child is enrolled.</p>
+            <form id="research-form" class="plan-form">
+                <label class="plan-procedure">
+                    <input type="checkbox" name="consent" value="yes">
+                    A parent or guardian has given consent for ${escapeHTML(profile.name)} to take part
+                </label>
+                <p class="plan-form-message" role="alert"></p>
+                <div class="plan-actions">
+                    <button type="submit" class="dashboard-action-btn">🔬 Enrol in study</button>
+                </div>
+            </form>
+        `;
+    }
+
+    bindResearchForm(profileId) {
+        const form = document.getElementById('research-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                try {
+                    this.research.enroll(profileId, {
+                        consent: new FormData(form).get('consent') === 'yes',
+                        recordedBy: this.account.name
+                    });
+                } catch (error) {
+                    form.querySelector('.plan-form-message').textContent = error.message;
+                    return;
+                }
+                this.showChild(profileId);
+            });
+        }
+
+        const withdraw = document.querySelector('[data-research-action="withdraw"]');
+        if (withdraw) {
+            withdraw.addEventListener('click', () => {
+                if (confirm('Withdraw this child from the study? Everything logged for them will be deleted.')) {
+                    this.research.withdraw(profileId);
+                    this.showChild(profileId);
+                }
+            });
+        }
+    }
+
+    /**
+     * Export or delete the study data for every enrolled child
+     */
+    showResearch() {
+        this.selectedProfileId = null;
+        this.renderChildList();
+
+        const summary = this.research.summary();
+        const detail = document.getElementById('child-detail');
+        detail.innerHTML = `
+            <h2 class="dashboard-heading">🔬 Research study</h2>
+            <p class="dashboard-muted">Enrol children from their own page once a parent or guardian has given consent. The export uses participant IDs only: no names, profiles or dates, and times are counted from enrolment and from the start of each session.</p>
+
+            <div class="dashboard-stats">
+                ${this.renderStat('Participants', summary.participants)}
+                ${this.renderStat('Sessions', summary.sessions)}
+                ${this.renderStat('Events', summary.events)}
+            </div>
+
+            <div class="dashboard-card">
+                <div class="plan-actions">
+                    <button type="button" class="dashboard-action-btn" data-research-action="export"${summary.events === 0 ? ' disabled' : ''}>📊 Export anonymized study data</button>
+                    <button type="button" class="dashboard-action-btn secondary" data-research-action="purge"${summary.participants === 0 && summary.events === 0 ? ' disabled' : ''}>🗑️ Delete all research data</button>
+                </div>
+            </div>
+        `;
+
+        detail.querySelector('[data-research-action="export"]').addEventListener('click', () => {
+            ProgressTransfer.download(this.research.fileName(), this.research.toCSV(), 'text/csv');
+        });
+        detail.querySelector('[data-research-action="purge"]').addEventListener('click', () => {
+            if (confirm('Delete all research data on this device? Every child is withdrawn and their logged events are gone for good.')) {
+                this.research.purge();
+                this.showResearch();
+            }
+        });
+    }
+
+    renderPlanSummary(plan) {
+        if (!plan) {
+            return '<p class="dashboard-empty">No visit plan yet.</p>';
+        }
+
+        const days = VisitPlans.daysUntil(plan);
+        const when = days < 0 ? 'passed' : days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`;
+        return `<p class="dashboard-muted">Appointment on ${VisitPlans.formatDate(plan)} (${when}).</p>`;
+    }
+
+    /**
+     * Form for the appointment date, planned procedures and a note.
+     * Saving to a profile is only offered when one is selected.
+     */
+    renderPlanForm(plan, canSave) {
+        const procedures = ProcedureCatalog.all().map(procedure => `
+            <label class="plan-procedure">
+                <input type="checkbox" name="procedures" value="${escapeHTML(procedure.id)}"${plan && plan.procedures.includes(procedure.id) ? ' checked' : ''}>
+                ${procedure.icon} ${procedure.title}
+            </label>
+        `).join('');
+
+        return `
+            <form id="plan-form" class="plan-form">
+                <label class="plan-field">
+                    <span>Appointment date</span>
+                    <input type="date" name="appointmentDate" value="${plan ? escapeHTML(plan.appointmentDate) : ''}" required>
+                </label>
+                <fieldset class="plan-field">
+                    <legend>Procedures</legend>
+                    <div class="plan-procedures">${procedures}</div>
+                </fieldset>
+                <label class="plan-field">
+                    <span>Note for the family (optional)</span>
+                    <textarea name="note" maxlength="200" rows="2">${plan ? escapeHTML(plan.note) : ''}</textarea>
+                </label>
+                <p class="plan-form-message" role="alert"></p>
+                <div class="plan-actions">
+                    ${canSave ? '<button type="submit" class="dashboard-action-btn">💾 Save plan</button>' : ''}
+                    ${canSave && plan ? '<button type="button" class="dashboard-action-btn secondary" data-plan-action="remove">Remove plan</button>' : ''}
+                    <button type="button" class="dashboard-action-btn secondary" data-plan-action="download">📄 Download file</button>
+                    <button type="button" class="dashboard-action-btn secondary" data-plan-action="qr">🔳 Show QR code</button>
+                </div>
+            </form>
+            <div class="plan-share"></div>
+        `;
+    }
+
+    bindPlanForm(profileId) {
+        const form = document.getElementById('plan-form');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const plan = this.readPlanForm(form);
+            if (plan && profileId) {
+                this.savePlan(profileId, plan);
+            }
+        });
+
+        form.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-plan-action]');
+            if (!button) return;
+
+            if (button.dataset.planAction === 'remove') {
+                this.savePlan(profileId, null);
+                return;
+            }
+
+            const plan = this.readPlanForm(form);
+            if (!plan) return;
+
+            if (button.dataset.planAction === 'download') {
+                this.downloadPlan(plan);
+            } else {
+                this.showPlanCode(plan);
+            }
+        });
+    }
+
+    /**
+     * Turn the form into a plan, showing what is missing if it can't
+     */
+    readPlanForm(form) {
+        const data = new FormData(form);
+        const message = form.querySelector('.plan-form-message');
+
+        try {
+            const plan = VisitPlans.create({
+                appointmentDate: data.get('appointmentDate'),
+                procedures: data.getAll('procedures'),
+                note: data.get('note'),
+                clinician: this.account.name
+            });
+            message.textContent = '';
+            return plan;
+        } catch (error) {
+            message.textContent = error.message;
+            return null;
+        }
+    }
+
+    savePlan(profileId, plan) {
+        const progress = this.profiles.loadProgress(profileId);
+        progress.visitPlan = plan;
+        this.profiles.saveProgress(profileId, progress);
+        console.log(`📅 Visit plan ${plan ? 'saved' : 'removed'} for ${profileId}`);
+
+        this.showChild(profileId);
+    }
+
+    downloadPlan(plan) {
+        ProgressTransfer.download(VisitPlans.fileName(plan), VisitPlans.toFile(plan), 'application/json');
+    }
+
+    /**
+     * Download a child's progress for another device or a spreadsheet
+     */
+    exportChild(profileId, format) {
+        const profile = this.profiles.get(profileId);
+        const progress = this.profiles.loadProgress(profileId);
+
+        if (format === 'csv') {
+            ProgressTransfer.download(ProgressTransfer.fileName(profile, 'csv'), ProgressTransfer.toCSV(profile, progress), 'text/csv');
+        } else {
+            ProgressTransfer.download(ProgressTransfer.fileName(profile, 'json'), ProgressTransfer.toJSON(profile, progress), 'application/json');
+        }
+    }
+
+    /**
+     * Show a QR code the family can scan to open the plan
+     */
+    showPlanCode(plan) {
+        const share = document.querySelector('.plan-share');
+        const url = VisitPlans.shareUrl(plan);
+
+        try {
+            share.innerHTML = `
+                ${QRCode.toSVG(url, { label: 'Visit plan QR code' })}
+                <p class="dashboard-muted">Scan with the family's phone or tablet to open the plan in Dental Kids.</p>
+                <input class="plan-link" type="text" value="${escapeHTML(url)}" readonly aria-label="Visit plan link">
+            `;
+        } catch (error) {
+            share.innerHTML = '<p class="plan-form-message">This plan is too long for a QR code. Shorten the note or share the file instead.</p>';
+        }
+    }
+
+    renderStat(label, value) {
+        return `
+            <div class="dashboard-stat">
+                <span class="stat-number">${value}</span>
+                <span class="stat-label">${label}</span>
+            </div>
+        `;
+    }
+
+    renderProcedureTable(procedures, progress) {
+        const rows = procedures.map(procedure => {
+            const done = progress.completedProcedures.includes(procedure.id);
+            const score = progress.miniGameScores[procedure.id];
+            return `
+                <tr>
+                    <td>${procedure.icon} ${procedure.title}</td>
+                    <td>${done ? '✅ Completed' : '—'}</td>
+                    <td>${score === undefined ? '—' : score}</td>
+                    <td>${this.formatDuration(progress.procedureSeconds[procedure.id] || 0)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="dashboard-table">
+                <thead>
+                    <tr><th>Procedure</th><th>Status</th><th>Best game score</th><th>Time spent</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderRatingsTable(ratings) {
+        const sessions = AnxietyScale.sessions(ratings).reverse();
+        if (sessions.length === 0) {
+            return '<p class="dashboard-empty">No ratings recorded yet.</p>';
+        }
+
+        const rows = sessions.map(session => {
+            const procedure = ProcedureCatalog.has(session.procedure)
+                ? ProcedureCatalog.get(session.procedure).title
+                : escapeHTML(session.procedure);
+            const change = session.pre !== null && session.post !== null ? session.post - session.pre : null;
+            return `
+                <tr>
+                    <td>${this.formatDate(session.timestamp)}</td>
+                    <td>${procedure}</td>
+                    <td>${session.pre === null ? '—' : session.pre}</td>
+                    <td>${session.post === null ? '—' : session.post}</td>
+                    <td>${change === null ? '—' : (change > 0 ? `+${change}` : change)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="dashboard-table">
+                <thead>
+                    <tr><th>Date</th><th>Procedure</th><th>Before</th><th>After</th><th>Change</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderBadges(badges) {
+        if (badges.length === 0) {
+            return '<p class="dashboard-empty">No badges earned yet.</p>';
+        }
+
+        return `
+            <ul class="dashboard-badges">
+                ${badges.map(badge => `
+                    <li><span class="badge-icon">${escapeHTML(badge.icon)}</span> ${escapeHTML(badge.name)} <small>${this.formatDate(badge.earnedAt)}</small></li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    formatDate(isoString) {
+        const date = new Date(isoString);
+        return isNaN(date) ? '—' : date.toLocaleDateString();
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.round((seconds || 0) / 60);
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    }
+}
+
+// Initialize the dashboard
+const dashboard = new ClinicianDashboard();
@@ -0,0 +1,169 @@
+// js/i18n.js - Message catalogs, locale switching and formatting
+
+/**
+ * Dental Kids App - Internationalization
+ * Each language registers a message catalog (see js/locales/). Text is
+ * looked up by key with I18n.t(), static markup is translated through
+ * data-i18n attributes, and right-to-left languages flip the page.
+ */
+
+const I18N_DEFAULT_LOCALE = 'en';
+const I18N_PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const I18N_LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+/**
+ * Flat catalogs keyed by locale, then by dotted message key
+ */
+const I18N_MESSAGES = {};
+
+const I18n = {
+    locale: I18N_DEFAULT_LOCALE,
+    missing: new Set(),
+
+    /**
+     * Add messages for a locale. Nested objects become dotted keys and
+     * arrays use their index, so { tips: { brush: { title } } } is "tips.brush.title".
+     */
+    register(locale, messages) {
+        const catalog = I18N_MESSAGES[locale] || (I18N_MESSAGES[locale] = {});
+
+        const flatten = (value, prefix) => {
+            if (typeof value === 'string' || this.isPlural(value)) {
+                catalog[prefix] = value;
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, child]) => {
+                    flatten(child, prefix ? `${prefix}.${key}` : key);
+                });
+            }
+        };
+
+        flatten(messages, '');
+    },
+
+    isPlural(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && 'other' in value &&
+            Object.keys(value).every(key => I18N_PLURAL_CATEGORIES.includes(key));
+    },
+
+    isSupported(locale) {
+        return Object.prototype.hasOwnProperty.call(I18N_LOCALES, locale);
+    },
+
+    /**
+     * Best match for the browser's preferred languages
+     */
+    detect() {
+        const preferred = navigator.languages || [navigator.language || ''];
+        const match = preferred
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => this.isSupported(language));
+        return match || I18N_DEFAULT_LOCALE;
+    },
+
+    /**
+     * Switch language, direction and every data-i18n element on the page
+     */
+    setLocale(locale) {
+        if (!this.isSupported(locale)) {
+            console.warn(`⚠️ Unsupported locale: ${locale}`);
+            locale = I18N_DEFAULT_LOCALE;
+        }
+
+        this.locale = locale;
+        document.documentElement.lang = locale;
+        document.documentElement.dir = I18N_LOCALES[locale].dir;
+        this.translatePage();
+        return locale;
+    },
+
+    isRTL() {
+        return I18N_LOCALES[this.locale].dir === 'rtl';
+    },
+
+    has(key, locale = this.locale) {
+        return Boolean(I18N_MESSAGES[locale]) && key in I18N_MESSAGES[locale];
+    },
+
+    /**
+     * Translate a key, filling {placeholders} from params.
+     * A numeric params.count picks the plural form for the locale.
+     */
+    t(key, params = {}) {
+        const locale = this.has(key) ? this.locale : I18N_DEFAULT_LOCALE;
+        let message = this.has(key, locale) ? I18N_MESSAGES[locale][key] : null;
+
+        if (message === null) {
+            if (!this.missing.has(key)) {
+                this.missing.add(key);
+                console.warn(`⚠️ Missing translation: ${key}`);
+            }
+            return key;
+        }
+
+        if (this.isPlural(message)) {
+            const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+            message = message[category] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (name in params ? String(params[name]) : placeholder)
+        );
+    },
+
+    /**
+     * Copy of an object with every string replaced by its translation
+     * under prefix, e.g. "procedures.xray.steps.show.heading".
+     * Given the English original an edited copy came from, only strings
+     * still the same as the original's are translated.
+     */
+    localize(object, prefix, original = object) {
+        const child = (value, key) => (value && typeof value === 'object' ? value[key] : undefined);
+        const walk = (value, path, source) => {
+            if (typeof value === 'string') {
+                return this.has(path) && value === source ? this.t(path) : value;
+            }
+            if (Array.isArray(value)) {
+                return value.map((item, index) => walk(item, `${path}.${index}`, child(source, index)));
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, entry]) =>
+                    [key, walk(entry, `${path}.${key}`, child(source, key))]));
+            }
+            return value;
+        };
+
+        return this.locale === I18N_DEFAULT_LOCALE ? object : walk(object, prefix, original);
+    },
+
+    /**
+     * Translate static markup: data-i18n sets the text and
+     * data-i18n-attr="aria-label:key,title:key" sets attributes
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                element.setAttribute(attribute, this.t(key));
+            });
+        });
+    },
+
+    formatDate(value, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date)) return '';
+        return new Intl.DateTimeFormat(this.locale, options).format(date);
+    },
+
+    formatNumber(value) {
+        return new Intl.NumberFormat(this.locale).format(value);
+    }
+};
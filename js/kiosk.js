@@ -0,0 +1,216 @@
+// js/kiosk.js - Locked kiosk mode for clinic tablets
+
+/**
+ * Dental Kids App - Kiosk Mode
+ * Staff turn this on from the clinician dashboard for waiting-room and
+ * chairside tablets. While it is on, the app only shows the sections and
+ * procedures that were chosen, hides the doctor link, and starts a fresh
+ * guest session whenever the tablet has been left alone. Only the staff
+ * PIN turns it off again. Settings are kept on the device as
+ *   dentalKidsKiosk: { enabled, sections, procedures, idleMinutes,
+ *                      afterIdle: 'save' | 'discard', pin: { salt, iterations, hash },
+ *                      guestProfileId, failedAttempts, lockedUntil }
+ * Wrong PIN tries are saved too, so reloading the page doesn't lift a lockout.
+ */
+
+const KIOSK_IDLE_MINUTES = [1, 2, 5, 10];
+const KIOSK_AFTER_IDLE = ['save', 'discard'];
+const KIOSK_PIN_PATTERN = /^\d{4,8}$/;
+const KIOSK_PIN_ITERATIONS = 100000;
+const KIOSK_MAX_PIN_ATTEMPTS = 5;
+const KIOSK_LOCKOUT_SECONDS = 60;
+
+/**
+ * What Dr. Toothy says on the attract screen, under "kiosk.attract.<line>"
+ */
+const KIOSK_ATTRACT_LINES = ['hello', 'explore', 'badges', 'calm'];
+
+class KioskMode {
+    constructor(storage) {
+        this.storage = storage;
+        this.settingsKey = 'dentalKidsKiosk';
+
+        const { failedAttempts, lockedUntil } = this.settings();
+        this.failedAttempts = failedAttempts;
+        this.lockedUntil = lockedUntil;
+    }
+
+    /**
+     * Saved settings, with anything unusable replaced by a safe default
+     */
+    settings() {
+        const saved = this.storage.readJSON(this.settingsKey, {});
+        const settings = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        const list = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+        const pin = settings.pin;
+
+        return {
+            enabled: settings.enabled === true,
+            sections: list(settings.sections),
+            procedures: list(settings.procedures),
+            idleMinutes: KIOSK_IDLE_MINUTES.includes(settings.idleMinutes) ? settings.idleMinutes : 2,
+            afterIdle: KIOSK_AFTER_IDLE.includes(settings.afterIdle) ? settings.afterIdle : 'discard',
+            pin: pin && typeof pin.salt === 'string' && typeof pin.hash === 'string' && Number.isInteger(pin.iterations)
+                ? pin
+                : null,
+            guestProfileId: typeof settings.guestProfileId === 'string' ? settings.guestProfileId : null,
+            failedAttempts: Number.isInteger(settings.failedAttempts) && settings.failedAttempts > 0 ? settings.failedAttempts : 0,
+            lockedUntil: Number.isFinite(settings.lockedUntil) && settings.lockedUntil > 0 ? settings.lockedUntil : 0
+        };
+    }
+
+    save(changes) {
+        this.storage.writeJSON(this.settingsKey, Object.assign(this.settings(), changes));
+    }
+
+    /**
+     * On only with a PIN to get out again and at least one section to show
+     */
+    isActive() {
+        const settings = this.settings();
+        return settings.enabled && Boolean(settings.pin) && settings.sections.length > 0;
+    }
+
+    /**
+     * Turn kiosk mode on, checking the choices and hashing the staff PIN
+     */
+    async enable({ sections, procedures, idleMinutes, afterIdle, pin }) {
+        if (!Array.isArray(sections) || sections.length === 0) {
+            throw new Error('Choose at least one section to show.');
+        }
+        if (sections.includes('procedures') && (!Array.isArray(procedures) || procedures.length === 0)) {
+            throw new Error('Choose at least one procedure, or hide the procedures section.');
+        }
+        if (!KIOSK_IDLE_MINUTES.includes(idleMinutes)) {
+            throw new Error('Choose how long before the tablet resets.');
+        }
+        if (!KIOSK_AFTER_IDLE.includes(afterIdle)) {
+            throw new Error('Choose whether to keep or discard sessions.');
+        }
+        if (!KIOSK_PIN_PATTERN.test(String(pin || ''))) {
+            throw new Error('The staff PIN needs 4 to 8 digits.');
+        }
+
+        const auth = new ClinicianAuth(this.storage);
+        const salt = auth.toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+
+        this.save({
+            enabled: true,
+            sections,
+            procedures: sections.includes('procedures') ? procedures : [],
+            idleMinutes,
+            afterIdle,
+            pin: { salt, iterations: KIOSK_PIN_ITERATIONS, hash: await auth.hashPassword(pin, salt, KIOSK_PIN_ITERATIONS) },
+            guestProfileId: null
+        });
+        this.recordAttempts(0, 0);
+        console.log('🔒 Kiosk mode on');
+    }
+
+    /**
+     * Check the staff PIN, locking out for a minute after too many tries
+     */
+    async checkPin(pin) {
+        const settings = this.settings();
+        if (!settings.pin || this.isLockedOut()) return false;
+
+        const auth = new ClinicianAuth(this.storage);
+        const hash = await auth.hashPassword(String(pin), settings.pin.salt, settings.pin.iterations);
+        if (hash === settings.pin.hash) {
+            this.recordAttempts(0, 0);
+            return true;
+        }
+
+        if (this.failedAttempts + 1 >= KIOSK_MAX_PIN_ATTEMPTS) {
+            this.recordAttempts(0, Date.now() + KIOSK_LOCKOUT_SECONDS * 1000);
+            console.warn('⚠️ Too many wrong kiosk PINs, locked for a minute');
+        } else {
+            this.recordAttempts(this.failedAttempts + 1, this.lockedUntil);
+        }
+        return false;
+    }
+
+    recordAttempts(failedAttempts, lockedUntil) {
+        this.failedAttempts = failedAttempts;
+        this.lockedUntil = lockedUntil;
+        this.save({ failedAttempts, lockedUntil });
+    }
+
+    isLockedOut() {
+        return Date.now() < this.lockedUntil;
+    }
+
+    /**
+     * Turn kiosk mode off, keeping the choices for next time
+     */
+    disable() {
+        this.save({ enabled: false, guestProfileId: null });
+        console.log('🔓 Kiosk mode off');
+    }
+
+    allowsSection(section) {
+        return this.settings().sections.includes(section);
+    }
+
+    allowsProcedure(procedureId) {
+        const settings = this.settings();
+        return settings.sections.includes('procedures') && settings.procedures.includes(procedureId);
+    }
+
+    /**
+     * Where the kiosk starts and where blocked routes end up
+     */
+    homeSection() {
+        const sections = this.settings().sections;
+        return sections.includes('home') ? 'home' : sections[0];
+    }
+}
+
+/**
+ * Calls back once nobody has touched the screen for a while
+ */
+class IdleWatcher {
+    constructor(options = {}) {
+        this.minutes = options.minutes || KIOSK_IDLE_MINUTES[0];
+        this.onIdle = options.onIdle || (() => {});
+        this.isBusy = options.isBusy || (() => false);
+        this.lastActivity = Date.now();
+        this.timer = null;
+        this.handleActivity = () => this.touch();
+    }
+
+    start() {
+        if (this.timer) return;
+
+        ['pointerdown', 'keydown', 'touchstart', 'wheel'].forEach(type => {
+            document.addEventListener(type, this.handleActivity, { passive: true, capture: true });
+        });
+        this.touch();
+        this.timer = setInterval(() => this.check(), 5000);
+    }
+
+    stop() {
+        ['pointerdown', 'keydown', 'touchstart', 'wheel'].forEach(type => {
+            document.removeEventListener(type, this.handleActivity, { capture: true });
+        });
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    touch() {
+        this.lastActivity = Date.now();
+    }
+
+    check() {
+        // A breathing exercise or brushing timer counts as being used
+        if (this.isBusy()) {
+            this.touch();
+            return;
+        }
+
+        if (Date.now() - this.lastActivity >= this.minutes * 60 * 1000) {
+            this.touch();
+            this.onIdle();
+        }
+    }
+}
@@ -0,0 +1,89 @@
+// js/levels.js - Age bands and age-adapted content
+
+/**
+ * Dental Kids App - Age Levels
+ * Procedures, tips and quiz questions are written for 6 to 8 year olds.
+ * Any of them can carry variants for younger and older children that
+ * list only what changes:
+ *   variants: { '3-5': { steps: { tell: { points: [...] } } }, '9-12': { ... } }
+ * Objects in a variant are merged into the base; lists and text replace
+ * it whole. The band follows the active child's age unless a grown-up
+ * chose one for them (profile.level).
+ */
+
+const AGE_BANDS = [
+    { id: '3-5', min: 3, max: 5 },
+    { id: '6-8', min: 6, max: 8 },
+    { id: '9-12', min: 9, max: 12 }
+];
+
+const AGE_BAND_DEFAULT = '6-8';
+
+const AgeLevels = {
+    band: AGE_BAND_DEFAULT,
+
+    isBand(bandId) {
+        return AGE_BANDS.some(band => band.id === bandId);
+    },
+
+    /**
+     * The band for an age, clamped to the youngest or oldest band
+     */
+    forAge(age) {
+        const band = AGE_BANDS.find(b => age >= b.min && age <= b.max);
+        if (band) return band.id;
+        return age < AGE_BANDS[0].min ? AGE_BANDS[0].id : AGE_BANDS[AGE_BANDS.length - 1].id;
+    },
+
+    /**
+     * The band for a child: the one a grown-up chose, or else their age's
+     */
+    forProfile(profile) {
+        if (!profile) return AGE_BAND_DEFAULT;
+        if (this.isBand(profile.level)) return profile.level;
+        return Number.isInteger(profile.age) ? this.forAge(profile.age) : AGE_BAND_DEFAULT;
+    },
+
+    /**
+     * Switch the band used for content and games
+     */
+    use(bandId) {
+        this.band = this.isBand(bandId) ? bandId : AGE_BAND_DEFAULT;
+        return this.band;
+    },
+
+    /**
+     * Copy of an item with its variant for the band laid over it
+     */
+    apply(item, band = this.band) {
+        const merge = (base, changes) => {
+            const result = Object.assign({}, base);
+            Object.keys(changes).forEach(key => {
+                const value = changes[key];
+                const isObject = entry => entry && typeof entry === 'object' && !Array.isArray(entry);
+                result[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+            });
+            return result;
+        };
+
+        const variant = item.variants && item.variants[band];
+        const result = variant ? merge(item, variant) : Object.assign({}, item);
+        delete result.variants;
+        return result;
+    },
+
+    /**
+     * Whether an item is meant for the band; items without ages suit everyone
+     */
+    suits(item, band = this.band) {
+        return !Array.isArray(item.ages) || item.ages.includes(band);
+    },
+
+    /**
+     * The band's name, e.g. "Ages 3–5"
+     */
+    label(bandId) {
+        const band = AGE_BANDS.find(b => b.id === bandId);
+        return band ? I18n.t('levels.ages', { min: band.min, max: band.max }) : '';
+    }
+};
@@ -0,0 +1,1252 @@
+// js/locales/ar.js - Arabic messages (right-to-left)
+
+I18n.register('ar', {
+    app: {
+        documentTitle: '🦷 Dental Kids - زيارات ممتعة لطبيب الأسنان!',
+        title: 'Dental Kids',
+        tagline: 'زيارات ممتعة لطبيب الأسنان!'
+    },
+    nav: {
+        label: 'التنقل الرئيسي',
+        home: 'الرئيسية',
+        procedures: 'العلاجات',
+        progress: 'تقدّمي',
+        tips: 'نصائح',
+        doctorLogin: '👨‍⚕️ دخول الطبيب'
+    },
+    language: {
+        label: 'اللغة'
+    },
+    sound: {
+        toggle: 'تشغيل الصوت أو إيقافه'
+    },
+    narration: {
+        toggle: 'اقرأ لي',
+        replay: 'اقرأ مرة أخرى',
+        pause: 'إيقاف القراءة مؤقتاً',
+        resume: 'تابع القراءة',
+        readTip: 'اقرأ لي هذه النصيحة'
+    },
+    home: {
+        title: 'أهلاً بك في مغامرة الأسنان!',
+        intro: 'مرحباً! أنا الدكتور سنّون، وأنا هنا لأريك أن زيارة طبيب الأسنان يمكن أن تكون ممتعة ومثيرة. هيا نستكشف معاً!',
+        start: 'لنبدأ التعلّم!',
+        learnTitle: 'تعلّم',
+        learnText: 'اكتشف ما يحدث أثناء زيارة طبيب الأسنان',
+        practiceTitle: 'تدرّب',
+        practiceText: 'جرّب العلاجات بنفسك بطريقة آمنة',
+        badgesTitle: 'اربح الشارات',
+        badgesText: 'اجمع المكافآت لأنك شجاع!'
+    },
+    mascot: {
+        firstVisit: {
+            hello: 'مرحباً! أنا الدكتور سنّون! 👋',
+            explore: 'اختر شيئاً لتستكشفه. سأكون هنا معك!'
+        },
+        returnVisit: {
+            welcomeBack: 'أهلاً بعودتك يا {name}! 😊',
+            visits: {
+                zero: 'مرحباً يا {name}!',
+                one: 'مرحباً يا {name}! هذه زيارتك الأولى!',
+                two: 'مرحباً يا {name}! لقد زرتني مرتين!',
+                few: 'مرحباً يا {name}! لقد زرتني {count} مرات!',
+                many: 'مرحباً يا {name}! لقد زرتني {count} مرة!',
+                other: 'مرحباً يا {name}! لقد زرتني {count} مرة!'
+            },
+            missedYou: 'اشتقت إليك يا {name}! ماذا سنفعل اليوم؟'
+        },
+        badge: {
+            wow: 'رائع، لقد ربحت {badge}! 🎉',
+            proud: 'أنا فخور بك جداً! 🌟',
+            collect: 'شارة جديدة لمجموعتك! 🏆'
+        },
+        pause: {
+            takeYourTime: 'خذ وقتك. سأنتظر معك.',
+            breathe: 'هل تحتاج إلى استراحة؟ لنأخذ نفساً عميقاً وبطيئاً. 🫧',
+            ready: 'اضغط على الزر عندما تكون مستعداً!'
+        },
+        step: {
+            show: {
+                look: 'لنرَ ما يستخدمه طبيب الأسنان!',
+                tools: 'كل هذه الأدوات لطيفة. ألقِ نظرة!'
+            },
+            tell: {
+                listen: 'هذا ما سيحدث، خطوة بخطوة.',
+                why: 'هل تساءلت لماذا؟ لنكتشف معاً!'
+            },
+            do: {
+                yourTurn: 'دورك الآن! جرّبها. 🙌',
+                try: 'تستطيع فعلها! التدريب يجعلك شجاعاً.'
+            },
+            complete: {
+                didIt: 'لقد فعلتها! كفّك يا بطل! ✋',
+                brave: 'كنت شجاعاً جداً! 🦸'
+            }
+        },
+        timeAlmostUp: {
+            fewMinutes: 'بقيت دقائق قليلة اليوم. هيا ننهي شيئاً ممتعاً!'
+        },
+        timeUp: {
+            seeYou: 'لعبت جيداً اليوم يا {name}! أراك غداً! 👋',
+            rest: 'حان وقت أن ترتاح ابتسامتك الشجاعة يا {name}. عد غداً!'
+        },
+        grownUpsOnly: {
+            holdIt: 'هذا الزر للكبار! 🤔'
+        }
+    },
+    procedures: {
+        sectionTitle: 'علاجات الأسنان',
+        sectionIntro: 'اضغط على أي علاج لتتعرّف عليه خطوة بخطوة!',
+        difficulty: 'الصعوبة:',
+        start: 'ابدأ المغامرة',
+        startLabel: 'ابدأ {title}',
+        notFoundTitle: '🤔 لم نجد المغامرة',
+        notFound: 'عذراً! لم نجد هذه المغامرة.',
+        pickAnother: 'هيا نختار مغامرة أخرى معاً.',
+        seeAll: 'كل المغامرات 🚀',
+        cleaning: {
+            title: 'تنظيف الأسنان',
+            modalTitle: '🪥 مغامرة تنظيف الأسنان',
+            description: 'تعلّم كيف نجعل أسنانك لامعة ونظيفة!',
+            steps: {
+                show: {
+                    heading: 'دعني أريك كيف ننظّف الأسنان!',
+                    text: 'شاهد الفرشاة الخاصة وهي تنظّف حول سنّك بلطف. قد تدغدغك قليلاً، لكنها لا تؤلم!'
+                },
+                tell: {
+                    heading: 'هذا ما يحدث أثناء التنظيف',
+                    points: [
+                        '🪑 تجلس على كرسي كبير مريح يصعد وينزل مثل لعبة الملاهي.',
+                        '💡 ضوء ساطع يساعد الطبيب على الرؤية. ويمكنك ارتداء نظارة شمسية رائعة!',
+                        '🪥 فرشاة خاصة تدور وتلمّع كل سن. إنها تدغدغ وتطنّ.',
+                        '💧 شفّاطة صغيرة تسحب الماء، مثل مكنسة كهربائية صغيرة.'
+                    ]
+                },
+                do: {
+                    heading: 'الآن جرّب بنفسك!',
+                    intro: 'امسح البقع الصفراء باستخدام أداة التلميع.'
+                },
+                complete: {
+                    message: 'أنت تعرف كل شيء عن تنظيف الأسنان. ستلمع أسنانك!'
+                }
+            },
+            variants: {
+                '3-5': {
+                    description: 'شاهد كيف نجعل الأسنان لامعة!',
+                    steps: {
+                        show: {
+                            heading: 'هيا ننظّف سنّاً!',
+                            text: 'فرشاة صغيرة تجعل سنّك لامعة. إنها تدغدغ!'
+                        },
+                        tell: {
+                            heading: 'في جلسة التنظيف',
+                            points: [
+                                '🪑 تجلس على كرسي كبير يصعد وينزل.',
+                                '💡 يلمع ضوء ساطع. يمكنك ارتداء نظارة شمسية!',
+                                '🪥 فرشاة تطنّ وتدغدغ أسنانك.'
+                            ]
+                        },
+                        do: {
+                            intro: 'امسح البقع الصفراء!'
+                        },
+                        complete: {
+                            message: 'أحسنت! ستلمع أسنانك!'
+                        }
+                    }
+                },
+                '9-12': {
+                    description: 'اكتشف كيف يُزال البلاك والجير.',
+                    steps: {
+                        show: {
+                            text: 'يستخدم أخصائي صحة الفم أدوات صغيرة لكشط البلاك والجير، وهو الطبقة القاسية التي لا تستطيع فرشاتك إزالتها. ثم تجعل أداة تلميع دوّارة كل سنّ ناعمة.'
+                        },
+                        tell: {
+                            points: [
+                                '🪑 يميل الكرسي إلى الخلف ليرى الأخصائي كل سنّ بوضوح.',
+                                '💡 يضيء ضوء ساطع فمك، والنظارة الشمسية تحمي عينيك.',
+                                '🪝 تزيل أداة كشط صغيرة الجير قرب اللثة. قد تشعر بخدش خفيف، لكنه لا يؤلم.',
+                                '🪥 تدور أداة التلميع مع معجون خشن على كل سنّ لتصبح ناعمة ولامعة.',
+                                '💧 يسحب أنبوب الشفط الماء واللعاب. ارفع يدك إذا احتجت إلى استراحة.'
+                            ]
+                        },
+                        do: {
+                            intro: 'لمّع كل بقع البلاك قبل أن تتصلّب وتصبح جيراً.'
+                        },
+                        complete: {
+                            message: 'أنت تعرف الآن كيف يزيل التنظيف عند الطبيب البلاك والجير. ابتسامتك ستشكرك!'
+                        }
+                    }
+                }
+            }
+        },
+        xray: {
+            title: 'صور الأشعة',
+            modalTitle: '📸 رؤية الأبطال الخارقين بالأشعة',
+            description: 'اكتشف قوة الرؤية الخارقة لديك!',
+            steps: {
+                show: {
+                    heading: 'الأشعة تعطينا رؤية الأبطال الخارقين!',
+                    text: 'كما يرى سوبرمان عبر الجدران، تساعدنا الأشعة على رؤية داخل أسنانك للتأكد من أنها سليمة!'
+                },
+                tell: {
+                    heading: 'هكذا تعمل صورة الأشعة',
+                    points: [
+                        '🦺 ترتدي غطاءً ثقيلاً، مثل عباءة بطل خارق لبطنك.',
+                        '😬 تعضّ بلطف على حامل صغير. قد تشعر أنه كبير قليلاً.',
+                        '🗿 تبقى ثابتاً مثل التمثال لبضع ثوانٍ فقط.',
+                        '🖥️ تظهر الصورة على الكمبيوتر لترى أسنانك!'
+                    ]
+                },
+                do: {
+                    heading: 'الآن جرّب بنفسك!',
+                    intro: 'عضّ على الحامل وابقَ ثابتاً من أجل الصورة.'
+                },
+                complete: {
+                    message: 'لقد استخدمت رؤيتك الخارقة! صور الأشعة سريعة وسهلة.'
+                }
+            },
+            variants: {
+                '3-5': {
+                    description: 'التقط صورة لأسنانك!',
+                    steps: {
+                        show: {
+                            heading: 'هيا نلتقط صورة للأسنان!',
+                            text: 'كاميرا خاصة تلتقط صورة لأسنانك. إنها لا تؤلم!'
+                        },
+                        tell: {
+                            heading: 'صور الأسنان',
+                            points: [
+                                '🦺 ترتدي بطانية ثقيلة ودافئة.',
+                                '😬 تعضّ على حامل صغير.',
+                                '🗿 تبقى ساكناً مثل التمثال. كليك!'
+                            ]
+                        },
+                        do: {
+                            intro: 'عضّ وابقَ ساكناً!'
+                        },
+                        complete: {
+                            message: 'كليك! التقطت صورة رائعة لأسنانك!'
+                        }
+                    }
+                },
+                '9-12': {
+                    description: 'اكتشف كيف تُظهر الأشعة السينية ما يختبئ داخل أسنانك.',
+                    steps: {
+                        show: {
+                            text: 'تمرّ الأشعة السينية عبر الأجزاء الطرية في فمك، لكنها لا تمرّ عبر الأسنان والعظام، لذلك تظهر في الصورة. يستخدمها أطباء الأسنان لاكتشاف التسوّس بين الأسنان وللاطمئنان على الأسنان الدائمة التي تنمو تحت اللثة.'
+                        },
+                        tell: {
+                            points: [
+                                '🦺 مريلة ثقيلة تغطي جسمك. تستخدم الأشعة كمية صغيرة جداً من الإشعاع، والمريلة تزيدك أماناً.',
+                                '😬 تعضّ على حامل اسمه جناح العضّ، يُبقي المستشعر في مكانه الصحيح.',
+                                '🗿 تحتاج الكاميرا إلى ثانية تقريباً، فتبقى ساكناً تماماً.',
+                                '🖥️ تظهر الصورة على الشاشة فوراً، ويمكن للطبيب أن يريك ما يراه.'
+                            ]
+                        },
+                        do: {
+                            intro: 'أمسك جناح العضّ بثبات حتى ينتهي العدّ التنازلي.'
+                        },
+                        complete: {
+                            message: 'أنت تعرف كيف تساعد الأشعة الطبيب على رؤية ما لا تراه العين. سريعة وبلا ألم!'
+                        }
+                    }
+                }
+            }
+        },
+        filling: {
+            title: 'حشو التسوّس',
+            modalTitle: '🔧 مهمة بطل حشو الأسنان',
+            description: 'ساعد في إصلاح الأسنان مثل بطل خارق!',
+            steps: {
+                show: {
+                    heading: 'نحن أبطال إصلاح الأسنان!',
+                    text: 'أحياناً تظهر في الأسنان ثقوب صغيرة اسمها التسوّس. نصلحها بمادة خاصة بلون السن، تماماً مثل إصلاح الجدار!'
+                },
+                tell: {
+                    heading: 'هكذا نصلح التسوّس',
+                    points: [
+                        '😴 دواء منوّم يجعل سنّك يأخذ قيلولة حتى لا يؤلمك.',
+                        '🌬️ قليل من الماء والهواء يغسلان السن. صوتهما مثل الصفير.',
+                        '🧱 حشوة بلون السن تملأ الثقب، مثل ترقيع الجدار.',
+                        '🔦 ضوء أزرق يجعل الحشوة صلبة وقوية.'
+                    ]
+                },
+                do: {
+                    heading: 'الآن جرّب بنفسك!',
+                    intro: 'اغسل التسوّس واحشُه ولمّعه مثل بطل الأسنان.'
+                },
+                complete: {
+                    message: 'المهمة اكتملت! أنت تعرف كيف يصلح أبطال الأسنان التسوّس.'
+                }
+            },
+            variants: {
+                '3-5': {
+                    description: 'ساعد في إصلاح سنّ!',
+                    steps: {
+                        show: {
+                            heading: 'هيا نصلح سنّاً!',
+                            text: 'أحياناً يظهر ثقب صغير في السنّ. يملؤه الطبيب لتعود قوية من جديد.'
+                        },
+                        tell: {
+                            heading: 'إصلاح السنّ',
+                            points: [
+                                '😴 دواء خاص يجعل سنّك تنام.',
+                                '🧱 يملأ الطبيب الثقب الصغير.',
+                                '🔦 ضوء أزرق يجعلها صلبة وقوية.'
+                            ]
+                        },
+                        do: {
+                            intro: 'اغسل السنّ واملأها ولمّعها!'
+                        },
+                        complete: {
+                            message: 'أصلحت السنّ يا بطل!'
+                        }
+                    }
+                },
+                '9-12': {
+                    description: 'تعرّف خطوة بخطوة على كيفية علاج الطبيب للتسوّس.',
+                    steps: {
+                        show: {
+                            text: 'التسوّس ثقب يتكوّن عندما تحوّل الجراثيم في البلاك السكر إلى حمض يُتلف المينا. يزيل الطبيب الجزء التالف ويملأ الفراغ بمادة بلون السنّ حتى لا يكبر الثقب.'
+                        },
+                        tell: {
+                            points: [
+                                '😴 هلام مخدّر وحقنة صغيرة يخدّران المنطقة. قد تشعر بأن شفتك منتفخة لبضع ساعات بعد ذلك.',
+                                '🌬️ يزيل مثقاب صغير التسوّس. صوته عالٍ كالصفير، ورذاذ الماء يُبقي السنّ باردة.',
+                                '🧱 يضغط الطبيب الحشوة بلون السنّ داخل الثقب ويشكّلها لتناسب سنّك.',
+                                '🔦 يقسّي ضوء أزرق خاص الحشوة في ثوانٍ.',
+                                '📄 تعضّ على ورقة رقيقة ملوّنة ليتأكد الطبيب من أن الحشوة تناسب عضّتك.'
+                            ]
+                        },
+                        do: {
+                            intro: 'اغسل التسوّس واملأه وقسّه بالترتيب الصحيح.'
+                        },
+                        complete: {
+                            message: 'أنت تعرف كل خطوة في الحشوة. لا داعي للقلق!'
+                        }
+                    }
+                }
+            }
+        },
+        checkup: {
+            title: 'فحص الأسنان',
+            modalTitle: '🔍 البحث عن الكنز في الفم',
+            description: 'استكشف فمك مثل صائد الكنوز!',
+            steps: {
+                show: {
+                    heading: 'هيا نبحث عن الكنز في فمك!',
+                    text: 'نستخدم مرآة خاصة وضوءاً لنستكشف كل سن، ونبحث عن المشاكل المخفية قبل أن تكبر!'
+                },
+                tell: {
+                    heading: 'هذا ما يحدث أثناء الفحص',
+                    points: [
+                        '👋 يلقي الطبيب التحية ويعدّ أسنانك بصوت عالٍ.',
+                        '🪞 مرآة صغيرة تساعد على النظر خلف كل سن.',
+                        '🔦 ضوء ساطع يجعل استكشاف فمك سهلاً.',
+                        '🏅 تحصل على تحية كفّ لأنك صائد كنوز رائع!'
+                    ]
+                },
+                do: {
+                    heading: 'الآن جرّب بنفسك!',
+                    intro: 'حرّك الضوء لتجد حشرات السكر المختبئة.'
+                },
+                complete: {
+                    message: 'وجدت الكنز! أنت مستعد لفحص أسنانك.'
+                }
+            },
+            variants: {
+                '3-5': {
+                    description: 'ابحث عن حشرات السكر!',
+                    steps: {
+                        show: {
+                            heading: 'هيا ننظر إلى أسنانك!',
+                            text: 'يستخدم الطبيب مرآة صغيرة وضوءاً لينظر إلى كل سنّ.'
+                        },
+                        tell: {
+                            heading: 'في الفحص',
+                            points: [
+                                '👋 يلقي الطبيب التحية ويعدّ أسنانك.',
+                                '🪞 مرآة صغيرة تنظر إلى أسنانك.',
+                                '🏅 كفّك! لقد نجحت!'
+                            ]
+                        },
+                        do: {
+                            intro: 'سلّط الضوء لتجد حشرات السكر!'
+                        },
+                        complete: {
+                            message: 'وجدتها كلها! يا لك من باحث رائع!'
+                        }
+                    }
+                },
+                '9-12': {
+                    description: 'اكتشف ما يفحصه الطبيب ولماذا.',
+                    steps: {
+                        show: {
+                            text: 'في الفحص يبحث الطبيب عن العلامات الأولى للتسوّس ومشاكل اللثة، ويتابع كيف تظهر أسنانك الدائمة. اكتشاف المشاكل مبكراً يعني علاجاً أصغر وأسهل.'
+                        },
+                        tell: {
+                            points: [
+                                '👋 يعدّ الطبيب أسنانك ويسجّل أيّها لبنية وأيّها دائمة.',
+                                '🪞 تفحص مرآة صغيرة وأداة مستديرة كل سطح، حتى الأضراس الخلفية.',
+                                '👅 ينظر الطبيب أيضاً إلى لثتك ولسانك وخدّيك.',
+                                '📋 قد يتحدث عن السدّادات أو الفلورايد أو التقويم، فاسأل عن أي شيء تريده.'
+                            ]
+                        },
+                        do: {
+                            intro: 'ابحث في كل زاوية من الفم لتجد كل حشرات السكر المختبئة.'
+                        },
+                        complete: {
+                            message: 'أنت تعرف ما يحدث في الفحص ولماذا هو مهم. أنت مستعد!'
+                        }
+                    }
+                }
+            }
+        }
+    },
+    steps: {
+        show: 'شاهد',
+        tell: 'اسمع',
+        do: 'جرّب',
+        indicator: 'الخطوة {number} من {total}: {name}',
+        tellMore: 'أخبرني المزيد! 📚',
+        back: '➡️ رجوع',
+        tryIt: 'دعني أجرّب! 🎮',
+        didIt: 'لقد فعلتها! 🎉',
+        amazing: 'عمل رائع أيها المستكشف الشجاع!',
+        learnedAll: 'لقد تعلّمت كل شيء عن {title}!',
+        watchAgain: 'شاهد مرة أخرى 🔁',
+        moreAdventures: 'مغامرات أخرى 🚀'
+    },
+    games: {
+        polish: {
+            start: 'اسحب أداة التلميع فوق البقع الصفراء!',
+            left: {
+                zero: 'لم تبقَ أي بقعة!',
+                one: 'بقيت بقعة واحدة. واصل الفرك!',
+                two: 'بقيت بقعتان. واصل الفرك!',
+                few: 'بقيت {count} بقع. واصل الفرك!',
+                many: 'بقيت {count} بقعة. واصل الفرك!',
+                other: 'بقيت {count} بقعة. واصل الفرك!'
+            },
+            done: '✨ نظيفة ولامعة! تلميع رائع!',
+            keys: 'منطقة اللعب. استخدم مفاتيح الأسهم لتحريك أداة التلميع.'
+        },
+        hold: {
+            button: 'اضغط مطوّلاً لتعضّ',
+            start: 'اضغط مطوّلاً على الحامل، ثم ابقَ ثابتاً مثل التمثال!',
+            still: 'ابقَ ثابتاً مثل التمثال...',
+            wiggly: 'أوه، تحرّكت قليلاً! اضغط مطوّلاً مرة أخرى. 🐛',
+            early: 'تركت مبكراً قليلاً. هيا نحاول مرة أخرى! 😊',
+            click: '📸 تِك!',
+            done: '🦸 صورة رائعة! كنت تمثالاً خارقاً!'
+        },
+        filling: {
+            cavity: 'التسوّس',
+            wash: 'اغسل',
+            washHint: 'اضغط على التسوّس لتغسله!',
+            fill: 'احشُ',
+            fillHint: 'اضغط لتملأ الثقب!',
+            shine: 'لمّع',
+            shineHint: 'اضغط لتشغّل الضوء الأزرق!',
+            first: 'اختر أداة {tool} أولاً!',
+            wrongTool: 'محاولة جيدة! أولاً نستخدم {tool}.',
+            pickTool: 'اختر أداة {tool}، ثم اضغط على التسوّس.',
+            tapsLeft: {
+                zero: '{tool} انتهيت!',
+                one: '{tool} ضغطة واحدة بعد!',
+                two: '{tool} ضغطتان بعد!',
+                few: '{tool} {count} ضغطات بعد!',
+                many: '{tool} {count} ضغطة بعد!',
+                other: '{tool} {count} ضغطة بعد!'
+            },
+            next: 'رائع! الآن اختر أداة {tool}.',
+            done: '🦸‍♀️ تم إصلاح السن! أنت بطل التسوّس!'
+        },
+        hunt: {
+            start: {
+                one: 'حرّك الضوء لتجد حشرة سكر واحدة مختبئة!',
+                two: 'حرّك الضوء لتجد حشرتَي سكر مختبئتين!',
+                few: 'حرّك الضوء لتجد {count} حشرات سكر مختبئة!',
+                many: 'حرّك الضوء لتجد {count} حشرة سكر مختبئة!',
+                other: 'حرّك الضوء لتجد {count} حشرة سكر مختبئة!'
+            },
+            found: {
+                zero: 'وجدت واحدة!',
+                one: 'وجدت واحدة! بقيت حشرة واحدة مختبئة.',
+                two: 'وجدت واحدة! بقيت حشرتان مختبئتان.',
+                few: 'وجدت واحدة! بقيت {count} حشرات مختبئة.',
+                many: 'وجدت واحدة! بقيت {count} حشرة مختبئة.',
+                other: 'وجدت واحدة! بقيت {count} حشرة مختبئة.'
+            },
+            done: '🏴‍☠️ وجدت كل حشرات السكر! أنت صائد كنوز!',
+            keys: 'منطقة اللعب. استخدم مفاتيح الأسهم لتحريك الضوء.'
+        }
+    },
+    anxiety: {
+        before: 'قبل أن نبدأ',
+        after: 'انتهينا!',
+        preQuestion: 'ما شعورك تجاه هذه المغامرة؟',
+        postQuestion: 'ما شعورك الآن؟',
+        tapFace: 'اضغط على الوجه الذي يشبه شعورك.',
+        skip: 'تخطَّ الآن',
+        faces: {
+            0: 'هادئ جداً',
+            2: 'بخير',
+            4: 'قلق قليلاً',
+            6: 'قلق',
+            8: 'قلق جداً',
+            10: 'خائف جداً'
+        },
+        chartEmpty: 'أخبرنا بشعورك قبل المغامرة وبعدها لترى رسمك البياني هنا! 📈',
+        chartLabel: 'القلق قبل كل مغامرة وبعدها',
+        legendBefore: 'قبل',
+        legendAfter: 'بعد'
+    },
+    progress: {
+        title: 'تقدّمي',
+        intro: 'انظر إلى كل الأشياء الشجاعة التي أنجزتها!',
+        complete: 'مكتمل',
+        proceduresLearned: 'علاجات تعلّمتها',
+        badgesEarned: 'شارات ربحتها',
+        feelingsTitle: 'كم أشعر بالشجاعة؟',
+        feelingsIntro: 'القلق قبل كل مغامرة وبعدها. الأقل يعني أهدأ!',
+        badgesTitle: 'شارات الشجاعة'
+    },
+    badges: {
+        earned: 'ربحت شارة!',
+        locked: '؟؟؟',
+        procedureHero: {
+            name: 'بطل {title}',
+            hint: 'أكمل {title}'
+        },
+        'first-procedure': {
+            name: 'المغامرة الأولى',
+            hint: 'أكمل أي علاج'
+        },
+        'all-procedures': {
+            name: 'بطل الأسنان',
+            hint: 'أكمل كل العلاجات'
+        },
+        'visit-streak-3': {
+            name: 'أهلاً بعودتك',
+            hint: 'زُرنا 3 أيام متتالية'
+        },
+        'visit-streak-7': {
+            name: 'زائر دائم',
+            hint: 'زُرنا 7 أيام متتالية'
+        },
+        'game-star': {
+            name: 'نجم الألعاب',
+            hint: 'احصل على 90 أو أكثر في لعبة تدريب'
+        },
+        'brushing-coach': {
+            name: 'دقيقتان كاملتان',
+            hint: 'نظّف أسنانك مع مدرّب التنظيف'
+        },
+        'brushing-streak-3': {
+            name: 'سلسلة لامعة',
+            hint: 'نظّف أسنانك صباحاً ومساءً 3 أيام متتالية'
+        },
+        'brushing-streak-7': {
+            name: 'ابتسامة الماس',
+            hint: 'نظّف أسنانك صباحاً ومساءً 7 أيام متتالية'
+        },
+        'floss-streak-7': {
+            name: 'بطل خيط الأسنان',
+            hint: 'استخدم خيط الأسنان 7 أيام متتالية'
+        },
+        'quiz-round': {
+            name: 'بطل المسابقة',
+            hint: 'أنهِ مسابقة الأسنان'
+        },
+        'quiz-perfect': {
+            name: 'عبقري الأسنان',
+            hint: 'أجب عن كل أسئلة مسابقة الأسنان إجابة صحيحة'
+        }
+    },
+    tips: {
+        title: 'نصائح لصحة الأسنان',
+        intro: 'تعلّم كيف تحافظ على أسنانك صحية وقوية!',
+        brush: {
+            title: 'نظّف أسنانك مرتين يومياً',
+            text: 'نظّف أسنانك في الصباح وقبل النوم لمدة دقيقتين كل مرة!',
+            variants: {
+                '3-5': {
+                    title: 'نظّف أسنانك مرتين',
+                    text: 'نظّف أسنانك في الصباح وعند النوم. غنِّ أغنية وأنت تنظّفها!'
+                },
+                '9-12': {
+                    text: 'نظّف أسنانك دقيقتين في الصباح وقبل النوم بكمية من معجون الفلورايد بحجم حبة البازلاء. لا تنسَ لسانك!'
+                }
+            }
+        },
+        floss: {
+            title: 'استخدم الخيط يومياً',
+            text: 'نظّف بين أسنانك بالخيط لتزيل بقايا الطعام المخفية!',
+            variants: {
+                '3-5': {
+                    title: 'الخيط الممتع',
+                    text: 'يمكن لشخص كبير أن يساعدك في تنظيف ما بين أسنانك بالخيط.'
+                },
+                '9-12': {
+                    text: 'استخدم الخيط مرة في اليوم لإزالة البلاك من بين الأسنان حيث لا تصل الفرشاة.'
+                }
+            }
+        },
+        water: {
+            title: 'اشرب الماء',
+            text: 'الماء يساعد على غسل البكتيريا ويحافظ على صحة فمك!',
+            variants: {
+                '3-5': {
+                    text: 'الماء هو أفضل مشروب لأسنانك!'
+                },
+                '9-12': {
+                    text: 'يزيل الماء السكر والحمض. اختره بدلاً من العصير والمشروبات الغازية، خاصة بين الوجبات.'
+                }
+            }
+        },
+        food: {
+            title: 'كُل طعاماً صحياً',
+            text: 'الفواكه والخضروات تجعل أسنانك قوية وابتسامتك مشرقة!',
+            variants: {
+                '3-5': {
+                    title: 'طعام لذيذ وصحي',
+                    text: 'التفاح والجزر المقرمش يساعدان أسنانك على البقاء قوية!'
+                },
+                '9-12': {
+                    text: 'الفواكه والخضروات ومنتجات الألبان تمنح أسنانك الكالسيوم والفيتامينات. اترك الحلويات لأوقات الوجبات.'
+                }
+            }
+        }
+    },
+    brushing: {
+        title: '🪥 مدرّب تنظيف الأسنان',
+        intro: 'نظّف أسنانك مع الدكتور سنّون لمدة دقيقتين كاملتين!',
+        ready: 'جهّز فرشاتك وقليلاً من المعجون بحجم حبة البازلاء!',
+        start: '▶️ ابدأ التنظيف',
+        pause: '⏸️ توقف مؤقت',
+        resume: '▶️ تابع',
+        stop: 'إيقاف',
+        timeLeft: 'بقي {time}',
+        quadrants: {
+            upperRight: 'الأسنان العلوية اليمنى',
+            upperLeft: 'الأسنان العلوية اليسرى',
+            lowerLeft: 'الأسنان السفلية اليسرى',
+            lowerRight: 'الأسنان السفلية اليمنى'
+        },
+        coach: {
+            upperRight: 'ابدأ من الأعلى على اليمين. دوائر صغيرة على كل سن!',
+            upperLeft: 'الآن الأعلى على اليسار. لا تنسَ الأسنان الخلفية!',
+            lowerLeft: 'انزل إلى الأسفل على اليسار. نظّف بلطف بجانب اللثة!',
+            lowerRight: 'الأخيرة: الأسفل على اليمين. كادت تلمع!'
+        },
+        done: 'دقيقتان كاملتان! أسنانك نظيفة ولامعة! ✨',
+        autoChecked: 'وضعنا علامة على "{check}" من أجلك.',
+        great: 'تم 👍',
+        checklistTitle: 'قائمة اليوم',
+        checks: {
+            morning: 'تنظيف الصباح',
+            evening: 'تنظيف المساء',
+            floss: 'خيط الأسنان'
+        },
+        weekTitle: 'أسبوعي في تنظيف الأسنان',
+        dayLabel: {
+            zero: '{date}: {done}. لا جلسات مع المدرّب',
+            one: '{date}: {done}. جلسة واحدة مع المدرّب',
+            two: '{date}: {done}. جلستان مع المدرّب',
+            few: '{date}: {done}. {count} جلسات مع المدرّب',
+            many: '{date}: {done}. {count} جلسة مع المدرّب',
+            other: '{date}: {done}. {count} جلسة مع المدرّب'
+        },
+        nothingYet: 'لا شيء بعد',
+        brushStreak: {
+            zero: 'لا أيام متتالية من التنظيف مرتين بعد',
+            one: 'يوم واحد من التنظيف مرتين',
+            two: 'يومان متتاليان من التنظيف مرتين',
+            few: '{count} أيام متتالية من التنظيف مرتين',
+            many: '{count} يوماً متتالياً من التنظيف مرتين',
+            other: '{count} يوم متتالٍ من التنظيف مرتين'
+        },
+        flossStreak: {
+            zero: 'لا أيام متتالية من خيط الأسنان بعد',
+            one: 'يوم واحد من خيط الأسنان',
+            two: 'يومان متتاليان من خيط الأسنان',
+            few: '{count} أيام متتالية من خيط الأسنان',
+            many: '{count} يوماً متتالياً من خيط الأسنان',
+            other: '{count} يوم متتالٍ من خيط الأسنان'
+        }
+    },
+    calm: {
+        button: 'ركن الهدوء',
+        title: '🫧 ركن الهدوء',
+        open: '🫧 اذهب إلى ركن الهدوء',
+        intro: 'هل تشعر ببعض القلق؟ اختر شيئاً يساعدك على الهدوء.',
+        back: '➡️ ركن الهدوء',
+        tools: {
+            breathe: { name: 'فقاعة التنفّس', hint: 'تنفّس مع الفقاعة شهيقاً وزفيراً' },
+            count: { name: 'عُدّ معي', hint: 'نعدّ معاً بينما يعمل طبيب الأسنان' },
+            stop: { name: 'إشارة التوقّف', hint: 'تدرّب على رفع يدك' },
+            gallery: { name: 'أشيائي المفضّلة', hint: 'فكّر في أشياء تحبّها' }
+        },
+        breathe: {
+            intro: 'انظر إلى الفقاعة. خذ نفساً وهي تكبر وأخرجه وهي تصغر.',
+            ready: 'اجلس براحة...',
+            inhale: 'خذ نفساً... 🌬️',
+            hold: 'احبسه قليلاً...',
+            exhale: 'والآن أخرجه... 😮‍💨',
+            breaths: {
+                zero: 'لا أنفاس هادئة بعد',
+                one: 'نفس هادئ واحد',
+                two: 'نفسان هادئان',
+                few: '{count} أنفاس هادئة',
+                many: '{count} نفساً هادئاً',
+                other: '{count} نفس هادئ'
+            },
+            pace: 'سرعة التنفّس',
+            paces: {
+                slow: '🐢 بطيء',
+                medium: '🐇 متوسّط',
+                quick: '🐎 سريع'
+            }
+        },
+        count: {
+            intro: 'هيا نعدّ معاً! عندما ننتهي يكون طبيب الأسنان قد انتهى.',
+            forDentist: 'الطبيب: اختر إلى أيّ رقم نعدّ.',
+            upTo: {
+                zero: 'عُدّ إلى {count}',
+                one: 'عُدّ إلى {count}',
+                two: 'عُدّ إلى {count}',
+                few: 'عُدّ إلى {count}',
+                many: 'عُدّ إلى {count}',
+                other: 'عُدّ إلى {count}'
+            },
+            counting: {
+                zero: 'نعدّ إلى {count}...',
+                one: 'نعدّ إلى {count}...',
+                two: 'نعدّ إلى {count}...',
+                few: 'نعدّ إلى {count}...',
+                many: 'نعدّ إلى {count}...',
+                other: 'نعدّ إلى {count}...'
+            },
+            done: {
+                zero: 'عددنا إلى {count}! انتهينا 🎉',
+                one: 'عددنا إلى {count}! انتهينا 🎉',
+                two: 'عددنا إلى {count}! انتهينا 🎉',
+                few: 'عددنا إلى {count}! انتهينا 🎉',
+                many: 'عددنا إلى {count}! انتهينا 🎉',
+                other: 'عددنا إلى {count}! انتهينا 🎉'
+            }
+        },
+        stop: {
+            intro: 'إذا احتجت إلى استراحة، ارفع يدك وسيتوقّف الطبيب. هيا نتدرّب!',
+            ready: 'اضغط ابدأ، ثم ارفع يدك عندما تسمع الطنين.',
+            start: '▶️ ابدأ الطنين',
+            again: '🔁 مرة أخرى',
+            raise: 'أرفع يدي',
+            buzzing: 'بززز... ارفع يدك لإيقافه!',
+            stopped: {
+                zero: 'توقّف الطبيب!',
+                one: 'توقّف الطبيب! بقي تدريب واحد.',
+                two: 'توقّف الطبيب! بقي تدريبان.',
+                few: 'توقّف الطبيب! بقيت {count} تدريبات.',
+                many: 'توقّف الطبيب! بقي {count} تدريباً.',
+                other: 'توقّف الطبيب! بقي {count} تدريب.'
+            },
+            done: 'رائع! أنت تعرف كيف تطلب استراحة. ✋'
+        },
+        gallery: {
+            intro: 'اختر صورة وتخيّلها وأنت جالس على الكرسي.',
+            favorite: 'من مفضّلاتي',
+            makeFavorite: '⭐ أضفها إلى المفضّلة',
+            unfavorite: '⭐ مفضّلة! اضغط للإزالة'
+        },
+        things: {
+            puppy: { name: 'جرو', prompt: 'تخيّل جرواً صغيراً يهزّ ذيله. ما اسمه؟' },
+            kitten: { name: 'قطة صغيرة', prompt: 'تخيّل قطة صغيرة تخرخر في حضنك. هل تسمعها؟' },
+            dinosaur: { name: 'ديناصور', prompt: 'تخيّل ديناصوراً لطيفاً يمشي بخطوات كبيرة. كم حجمه؟' },
+            unicorn: { name: 'حصان وحيد القرن', prompt: 'تخيّل حصاناً بقرن لامع. ما لون شعره؟' },
+            rocket: { name: 'صاروخ', prompt: 'تخيّل أنك تطير إلى القمر. عُدّ النجوم!' },
+            beach: { name: 'شاطئ', prompt: 'تخيّل رملاً دافئاً وأمواجاً هادئة. ماذا ستبني؟' },
+            rainbow: { name: 'قوس قزح', prompt: 'تخيّل قوس قزح كبيراً. هل تستطيع تسمية كل ألوانه؟' },
+            football: { name: 'كرة القدم', prompt: 'تخيّل أنك سجّلت هدف الفوز. اسمع تشجيع الجمهور!' },
+            train: { name: 'قطار', prompt: 'تخيّل أنك تركب القطار. تشو تشو! إلى أين يذهب؟' },
+            fish: { name: 'أسماك', prompt: 'تخيّل أنك تسبح مع أسماك ملوّنة. كم سمكة ترى؟' },
+            butterfly: { name: 'فراشة', prompt: 'تخيّل فراشة تحطّ على إصبعك. ما ألوان جناحيها؟' },
+            castle: { name: 'قلعة', prompt: 'تخيّل أنك تستكشف قلعة. من يعيش في أعلى برج؟' }
+        }
+    },
+    quiz: {
+        title: '🧠 مسابقة الأسنان',
+        intro: {
+            zero: 'ماذا تعرف عن الأسنان؟ لا توجد أسئلة الآن.',
+            one: 'ماذا تعرف عن الأسنان؟ أجب عن سؤال واحد سريع!',
+            two: 'ماذا تعرف عن الأسنان؟ أجب عن سؤالين سريعين!',
+            few: 'ماذا تعرف عن الأسنان؟ أجب عن {count} أسئلة سريعة!',
+            many: 'ماذا تعرف عن الأسنان؟ أجب عن {count} سؤالاً سريعاً!',
+            other: 'ماذا تعرف عن الأسنان؟ أجب عن {count} سؤال سريع!'
+        },
+        start: '▶️ ابدأ المسابقة',
+        firstTime: 'جرّب! الأسئلة التي تخطئ فيها ستعود لاحقاً لتتدرّب عليها.',
+        lastScore: 'المرة الماضية: {correct} من {total}. أفضل نتيجة: {best}٪.',
+        questionOf: 'السؤال {number} من {total}',
+        tryAgain: 'هيا نجرّب هذا السؤال مرة أخرى!',
+        true: 'صحيح',
+        false: 'غير صحيح',
+        cheers: {
+            great: '🎉 أحسنت!',
+            smart: '🌟 إجابة صحيحة!',
+            star: '🦷 أنت ذكي جداً!'
+        },
+        answerWas: 'محاولة جيدة! الإجابة هي {answer}.',
+        itsTrue: 'محاولة جيدة! هذه العبارة صحيحة.',
+        itsFalse: 'محاولة جيدة! هذه العبارة غير صحيحة.',
+        comeBack: 'سنسألك هذا السؤال مرة أخرى في النهاية.',
+        next: 'السؤال التالي ⬅️',
+        finish: 'أرني نتيجتي 🏁',
+        sort: {
+            start: 'اسحب كل صورة إلى سلّة، أو المس صورة ثم سلّة.',
+            pickBasket: 'أين يذهب {item}؟ المس سلّة.',
+            left: {
+                zero: 'لم يبقَ شيء للترتيب.',
+                one: 'بقي شيء واحد للترتيب.',
+                two: 'بقي شيئان للترتيب.',
+                few: 'بقيت {count} أشياء للترتيب.',
+                many: 'بقي {count} شيئاً للترتيب.',
+                other: 'بقي {count} شيء للترتيب.'
+            },
+            ready: 'رتّبت كل شيء! اضغط تحقّق.',
+            check: '✅ تحقّق',
+            wrong: {
+                zero: 'محاولة جيدة!',
+                one: 'محاولة جيدة! صورة واحدة في السلّة الخطأ.',
+                two: 'محاولة جيدة! صورتان في السلّة الخطأ.',
+                few: 'محاولة جيدة! {count} صور في السلّة الخطأ.',
+                many: 'محاولة جيدة! {count} صورة في السلّة الخطأ.',
+                other: 'محاولة جيدة! {count} صورة في السلّة الخطأ.'
+            }
+        },
+        summary: {
+            score: 'أجبت {correct} من {total} إجابة صحيحة!',
+            perfect: 'كل الإجابات صحيحة! أنت عبقري الأسنان! 🎓',
+            good: 'عمل رائع! أنت تعرف الكثير عن الأسنان.',
+            keepGoing: 'محاولة جيدة! استمرّ في التدرّب وستعرفها كلها قريباً.',
+            mastered: {
+                zero: 'لم تتقن أي سؤال بعد.',
+                one: 'أتقنت سؤالاً واحداً.',
+                two: 'أتقنت سؤالين.',
+                few: 'أتقنت {count} أسئلة.',
+                many: 'أتقنت {count} سؤالاً.',
+                other: 'أتقنت {count} سؤال.'
+            },
+            done: 'انتهينا 👍',
+            again: '🔁 العب مرة أخرى'
+        },
+        questions: {
+            'brush-times': {
+                prompt: 'كم مرة في اليوم يجب أن تنظّف أسنانك بالفرشاة؟',
+                options: [{ label: 'مرة واحدة' }, { label: 'مرتين' }, { label: 'عشر مرات' }],
+                why: 'نظّف أسنانك في الصباح وقبل النوم.',
+                variants: {
+                    '3-5': {
+                        prompt: 'كم مرة في اليوم ننظّف أسناننا؟',
+                        options: [{ label: 'مرة واحدة' }, { label: 'مرتين' }]
+                    }
+                }
+            },
+            'brush-minutes': {
+                prompt: 'كم من الوقت يجب أن تنظّف أسنانك؟',
+                options: [{ label: 'بضع ثوانٍ' }, { label: 'دقيقتين' }, { label: 'طوال الليل' }],
+                why: 'دقيقتان تكفيان لتنظيف كل سنّ جيداً. مدرّب التفريش يساعدك على العدّ!',
+                variants: {
+                    '3-5': {
+                        options: [{ label: 'قليلاً' }, { label: 'دقيقتين' }],
+                        why: 'دقيقتان هما طول أغنية التفريش.'
+                    },
+                    '9-12': {
+                        why: 'دقيقتان هما تقريباً الوقت اللازم لتنظيف الجهة الخارجية والداخلية وسطح المضغ لكل سنّ.'
+                    }
+                }
+            },
+            'best-snack': {
+                prompt: 'أيّ وجبة خفيفة هي الأفضل لأسنانك؟',
+                options: [{ label: 'مصّاصة' }, { label: 'تفاحة' }, { label: 'دونات' }],
+                why: 'الفاكهة المقرمشة مفيدة للأسنان. الحلويات اللزجة تُطعم حشرات السكر.',
+                variants: {
+                    '3-5': {
+                        prompt: 'أيّ وجبة خفيفة مفيدة لأسنانك؟',
+                        options: [{ label: 'مصّاصة' }, { label: 'تفاحة' }]
+                    },
+                    '9-12': {
+                        why: 'تحوّل الجراثيم في البلاك السكر إلى حمض. الحلويات اللزجة تُبقي هذا الحمض على أسنانك مدة أطول، أما الفاكهة المقرمشة فتساعد على تنظيفها.'
+                    }
+                }
+            },
+            'floss-between': {
+                prompt: 'خيط الأسنان ينظّف ما بين الأسنان حيث لا تصل الفرشاة.',
+                why: 'خيط الأسنان يُخرج الطعام المختبئ بين أسنانك.',
+                variants: {
+                    '9-12': {
+                        why: 'نحو ثلث سطح كل سنّ يقع بين الأسنان، ولا يصل إليه إلا الخيط.'
+                    }
+                }
+            },
+            'water-rinse': {
+                prompt: 'شرب الماء يساعد على إزالة السكر عن أسنانك.',
+                why: 'الماء يغسل السكر والبكتيريا، لذلك هو أفضل مشروب للأسنان.',
+                variants: {
+                    '3-5': {
+                        prompt: 'الماء مفيد لأسنانك.',
+                        why: 'الماء هو أفضل مشروب للأسنان!'
+                    }
+                }
+            },
+            'fizzy-drinks': {
+                prompt: 'المشروبات الغازية مفيدة لأسنانك.',
+                why: 'المشروبات الغازية فيها سكر كثير. الماء أو الحليب أفضل بكثير.',
+                variants: {
+                    '9-12': {
+                        prompt: 'المشروبات الغازية الخالية من السكر لا تضرّ أسنانك.',
+                        why: 'حتى المشروبات الغازية الخالية من السكر حمضية، والحمض يُضعف مينا الأسنان. يبقى الماء الخيار الأفضل.'
+                    }
+                }
+            },
+            'stop-signal': {
+                prompt: 'إذا احتجت إلى استراحة يمكنك رفع يدك وسيتوقّف طبيب الأسنان.',
+                why: 'رفع يدك هو إشارة التوقّف. يمكنك التدرّب عليها في ركن الهدوء.',
+                variants: {
+                    '3-5': {
+                        prompt: 'إذا احتجت إلى استراحة يمكنك رفع يدك.',
+                        why: 'رفع يدك يعني «توقّف من فضلك». سينتظرك الطبيب.'
+                    }
+                }
+            },
+            'snack-sort': {
+                prompt: 'رتّب الوجبات الخفيفة! أيّها صديق للأسنان وأيّها مليء بالسكر؟',
+                groups: [{ label: 'صديق للأسنان' }, { label: 'فيه سكر' }],
+                items: [
+                    { label: 'تفاحة' }, { label: 'جزرة' }, { label: 'جبنة' },
+                    { label: 'مصّاصة' }, { label: 'كعكة' }, { label: 'مشروب غازي' }
+                ],
+                why: 'الفاكهة والخضار والجبن لطيفة مع الأسنان. اترك الحلويات للمناسبات.',
+                variants: {
+                    '3-5': {
+                        prompt: 'رتّب الوجبات الخفيفة!',
+                        items: [{ label: 'تفاحة' }, { label: 'جزرة' }, { label: 'مصّاصة' }, { label: 'كعكة' }]
+                    }
+                }
+            },
+            'habit-sort': {
+                prompt: 'أيّ هذه الأشياء مفيدة لأسنانك؟',
+                groups: [{ label: 'مفيد للأسنان' }, { label: 'غير مفيد للأسنان' }],
+                items: [
+                    { label: 'التفريش قبل النوم' }, { label: 'استخدام خيط الأسنان' }, { label: 'زيارة طبيب الأسنان' },
+                    { label: 'أكل الحلوى طوال اليوم' }, { label: 'النوم بدون تفريش' }
+                ],
+                why: 'التفريش وخيط الأسنان وزيارة الطبيب تحافظ على ابتسامتك صحية.',
+                variants: {
+                    '3-5': {
+                        items: [
+                            { label: 'التفريش قبل النوم' }, { label: 'زيارة طبيب الأسنان' },
+                            { label: 'أكل الحلوى طوال اليوم' }, { label: 'النوم بدون تفريش' }
+                        ]
+                    }
+                }
+            },
+            'cleaning-polish': {
+                prompt: 'ما الذي يجعل أسنانك لامعة عند التنظيف؟',
+                options: [{ label: 'آلة تلميع تدغدغ' }, { label: 'قلم تلوين' }, { label: 'إسفنجة مطبخ' }],
+                why: 'آلة التلميع تدور وتدغدغ لتجعل أسنانك تلمع.',
+                variants: {
+                    '3-5': {
+                        prompt: 'ما الذي يجعل أسنانك لامعة؟',
+                        options: [{ label: 'فرشاة تدغدغ' }, { label: 'قلم تلوين' }]
+                    },
+                    '9-12': {
+                        prompt: 'ماذا يستخدم الأخصائي لكشط الجير القاسي؟',
+                        options: [{ label: 'أداة كشط' }, { label: 'إسفنجة' }, { label: 'مشط' }],
+                        why: 'الجير بلاك تصلّب، لذلك لا تستطيع الفرشاة إزالته. أداة الكشط تزيله بلطف.'
+                    }
+                }
+            },
+            'xray-still': {
+                prompt: 'لتصوير أسنانك يجب أن تبقى ثابتاً تماماً.',
+                why: 'البقاء ثابتاً مثل التمثال يجعل الصورة واضحة.',
+                variants: {
+                    '9-12': {
+                        why: 'تحتاج الكاميرا إلى ثانية تقريباً. الحركة خلال تلك الثانية تجعل الصورة ضبابية وقد يلزم إعادتها.'
+                    }
+                }
+            },
+            'filling-hole': {
+                prompt: 'الحشوة تُصلح ثقباً صغيراً في سنّك.',
+                why: 'ينظّف الطبيب الثقب ويملؤه لتعود سنّك قوية.',
+                variants: {
+                    '9-12': {
+                        why: 'تحوّل الجراثيم السكر إلى حمض يصنع ثقباً اسمه التسوّس. يزيل الطبيب الجزء التالف ويملأ الفراغ.'
+                    }
+                }
+            },
+            'checkup-mirror': {
+                prompt: 'ماذا يستخدم طبيب الأسنان لرؤية كل أسنانك؟',
+                options: [{ label: 'مرآة صغيرة' }, { label: 'تلسكوب' }, { label: 'مغناطيس' }],
+                why: 'المرآة الصغيرة تساعد الطبيب على رؤية الجهة الخلفية من أسنانك.',
+                variants: {
+                    '3-5': {
+                        options: [{ label: 'مرآة صغيرة' }, { label: 'تلسكوب' }]
+                    }
+                }
+            },
+            fluoride: {
+                prompt: 'ماذا يفعل الفلورايد الموجود في معجون الأسنان؟',
+                options: [{ label: 'يقوّي المينا' }, { label: 'يعطيه طعم النعناع' }, { label: 'يصنع الرغوة' }],
+                why: 'يساعد الفلورايد على إصلاح المينا الذي يُتلفه الحمض، فتقاوم الأسنان التسوّس.'
+            },
+            plaque: {
+                prompt: 'البلاك طبقة لزجة من الجراثيم تتكوّن على أسنانك كل يوم.',
+                why: 'لهذا ننظّف أسناننا مرتين في اليوم. البلاك الذي يبقى طويلاً يتصلّب ويصبح جيراً.'
+            },
+            'baby-teeth': {
+                prompt: 'الأسنان اللبنية غير مهمة لأنها ستسقط على أي حال.',
+                why: 'الأسنان اللبنية تحفظ المكان للأسنان الدائمة وتساعدك على المضغ والكلام. والتسوّس فيها قد يؤلم أيضاً.'
+            }
+        }
+    },
+    help: {
+        button: 'اطلب المساعدة',
+        title: '❓ المساعدة والتعليمات',
+        howTo: 'كيف تستخدم تطبيق Dental Kids:',
+        home: 'ابدأ مغامرة الأسنان من هنا',
+        procedures: 'تعرّف على علاجات الأسنان',
+        progress: 'شاهد شارات الشجاعة وإنجازاتك',
+        tips: 'تعلّم كيف تحافظ على صحة أسنانك',
+        stepsTitle: 'في كل علاج سوف:',
+        show: 'تشاهد ما يحدث',
+        tell: 'تتعلّم كل شيء عنه',
+        do: 'تتدرّب عليه بنفسك',
+        calmTitle: 'هل تشعر بالقلق؟',
+        calm: 'في ركن الهدوء يمكنك التنفّس والعدّ وأشياء أخرى تساعدك على الشعور بتحسّن.',
+        gotIt: 'فهمت! 👍'
+    },
+    modal: {
+        close: 'إغلاق'
+    },
+    levels: {
+        ages: 'من {min} إلى {max} سنوات',
+        auto: 'حسب العمر ({level})'
+    },
+    profiles: {
+        switch: 'تغيير اللاعب',
+        whoIsPlaying: 'من يلعب؟',
+        pickerTitle: 'من يلعب؟ 🦷',
+        nameLabel: 'اسمك',
+        buddyLabel: 'اختر صديقاً',
+        ageLabel: 'كم عمرك؟',
+        go: 'هيا بنا! 🚀',
+        add: '➕ إضافة طفل',
+        cancel: 'إلغاء',
+        manage: 'إدارة 🛠️',
+        done: 'تم ✅',
+        age: 'العمر {age}',
+        deleteLabel: 'حذف {name}',
+        deleteConfirm: 'للكبار فقط: حذف ملف {name} وكل تقدّمه؟',
+        sum: 'كم يساوي {a} × {b}؟',
+        wrongAnswer: 'هذه ليست الإجابة الصحيحة. اطلب المساعدة من شخص كبير!',
+        keep: 'احتفظ به',
+        delete: 'حذف',
+        levelLabel: 'مستوى المحتوى لـ {name}',
+        levelConfirm: 'للكبار فقط: تغيير مستوى المحتوى لـ {name} إلى «{level}»؟',
+        levelChange: 'تغيير',
+        addConfirm: 'للكبار فقط: إضافة ملف لـ {name}؟',
+        addYes: 'إضافة'
+    },
+    plan: {
+        offerTitle: '📅 خطة من طبيب أسنانك',
+        offerDate: 'موعد زيارتك يوم {date}',
+        offerIntro: 'هذا ما سيحدث:',
+        offerQuestion: 'هل نضيف هذه الخطة إلى مغامرات {name}؟',
+        notNow: 'ليس الآن',
+        accept: 'نعم، أضفها! ✅',
+        badFile: '🤔 هذا الملف ليس خطة زيارة. اطلب خطة جديدة من طبيب أسنانك!',
+        loadNew: 'تحميل خطة جديدة',
+        loadPrompt: 'هل أعطاك طبيب أسنانك خطة زيارة؟ حمّلها هنا',
+        today: 'اليوم موعد زيارتك لطبيب الأسنان! أنت قادر على ذلك! 💪',
+        tomorrow: 'موعد زيارتك لطبيب الأسنان غداً! 🌟',
+        daysLeft: {
+            one: 'بقي يوم واحد على زيارتك لطبيب الأسنان!',
+            two: 'بقي يومان على زيارتك لطبيب الأسنان!',
+            few: 'بقيت {count} أيام على زيارتك لطبيب الأسنان!',
+            many: 'بقي {count} يوماً على زيارتك لطبيب الأسنان!',
+            other: 'بقي {count} يوم على زيارتك لطبيب الأسنان!'
+        },
+        clinicianSays: '{name} يقول:',
+        allReady: 'أنت مستعد تماماً لزيارتك! 🎉',
+        pathProgress: 'طريقك: {done} من {total} مغامرات جاهزة',
+        nextUp: 'التالية!',
+        ribbon: '📅 في زيارتي'
+    },
+    tools: {
+        title: '💾 ملفات التقدم',
+        report: '🖨️ تقرير الشجاعة عند طبيب الأسنان',
+        saveJson: '💾 حفظ التقدّم',
+        saveCsv: '📊 حفظ كجدول بيانات',
+        load: '📥 تحميل التقدّم',
+        pickFirst: 'اختر من يلعب أولاً! 👆',
+        badFile: '🤔 هذا الملف ليس تقدّماً محفوظاً من Dental Kids.'
+    },
+    audio: {
+        title: '🎚️ مستويات الصوت',
+        effects: 'المؤثرات الصوتية',
+        musicVolume: 'الموسيقى',
+        narration: 'صوت القراءة',
+        music: '🎵 موسيقى هادئة في الخلفية'
+    },
+    motion: {
+        title: '🐢 الحركة',
+        auto: 'مثل هذا الجهاز',
+        reduce: 'حركة أقل',
+        full: 'كل الرسوم المتحركة'
+    },
+    update: {
+        available: '✨ إصدار جديد من Dental Kids جاهز!',
+        now: 'حدّث الآن',
+        later: 'لاحقاً'
+    },
+    kiosk: {
+        exit: 'للموظفين: الخروج من وضع الكشك',
+        exitTitle: '🔒 للموظفين فقط',
+        exitIntro: 'أدخل رمز الموظفين للخروج من وضع الكشك.',
+        pinLabel: 'رمز الموظفين',
+        unlock: 'فتح',
+        cancel: 'إلغاء',
+        wrongPin: 'هذا الرمز غير صحيح. حاول مرة أخرى.',
+        lockedOut: 'محاولات كثيرة جدًا. انتظر دقيقة من فضلك.',
+        exited: 'تم إيقاف وضع الكشك.',
+        guestName: 'ضيف · {time}',
+        attractTitle: 'Dental Kids',
+        touchToStart: 'المس لتلعب!',
+        attract: {
+            hello: 'مرحبًا! أنا الدكتور سنّون! 👋',
+            explore: 'هل تريد أن ترى ماذا يحدث عند طبيب الأسنان؟',
+            badges: 'العب واربح شارات لامعة! 🏆',
+            calm: 'هل تشعر بالتوتر؟ هيا نتنفّس معًا! 🫧'
+        }
+    },
+    parent: {
+        open: 'للكبار: اضغط مطوّلاً',
+        openLong: '👪 للكبار: اضغط مطوّلاً',
+        title: 'للكبار فقط 👪',
+        gateMessage: 'للكبار فقط: أجب لفتح مساحة الوالدين.',
+        unlock: 'فتح',
+        cancel: 'إلغاء',
+        done: 'تم ✅',
+        forChild: 'إعدادات {name} وتقدّمه',
+        noChild: 'اختر من يلعب لرؤية إعداداته.',
+        settingsTitle: '⚙️ الإعدادات',
+        sound: 'الصوت',
+        limit: 'حدّ الوقت اليومي',
+        noLimit: 'بلا حدّ',
+        minutes: {
+            zero: '{count} دقيقة',
+            one: 'دقيقة واحدة',
+            two: 'دقيقتان',
+            few: '{count} دقائق',
+            many: '{count} دقيقة',
+            other: '{count} دقيقة'
+        },
+        limitLeft: 'بقي {time} اليوم',
+        timeUpTitle: 'هذا كل شيء لليوم!',
+        activityTitle: '📊 النشاط',
+        stats: {
+            today: 'اليوم',
+            week: 'آخر 7 أيام',
+            total: 'المجموع',
+            visits: 'الزيارات',
+            adventures: 'المغامرات المكتملة',
+            brushing: 'أيام التنظيف المتتالية',
+            calm: 'زيارات ركن الهدوء',
+            quiz: 'أفضل نتيجة في الاختبار'
+        },
+        badgesTitle: {
+            zero: '🏆 لا شارات',
+            one: '🏆 شارة واحدة',
+            two: '🏆 شارتان',
+            few: '🏆 {count} شارات',
+            many: '🏆 {count} شارة',
+            other: '🏆 {count} شارة'
+        },
+        noBadges: 'لا شارات بعد.',
+        feelingsTitle: '💭 كيف شعر',
+        resetTitle: '🧹 البدء من جديد',
+        resetIntro: 'يمسح المغامرات والشارات والمشاعر. تبقى الإعدادات وخطة الزيارة.',
+        reset: 'مسح التقدّم',
+        resetConfirm: 'مسح كل تقدّم {name}؟',
+        resetYes: 'نعم، امسح'
+    },
+    import: {
+        title: '📥 تحميل التقدّم',
+        from: 'تقدّم {name}',
+        fromSaved: 'تقدّم {name}، محفوظ بتاريخ {date}',
+        someone: 'شخص ما',
+        summary: '{procedures} مغامرات · {badges} شارات · {ratings} مشاعر',
+        explain: '"إضافة إلى" تحتفظ بكل ما لدى {name}. "استبدال" يضع مكانه ما في الملف.',
+        cancel: 'إلغاء',
+        replace: 'استبدال',
+        merge: 'إضافة إلى {name} ✅',
+        replaceTitle: 'استبدال تقدّم {name}؟',
+        replaceWarning: 'ستُحذف المغامرات والشارات والمشاعر الحالية على هذا الجهاز.',
+        back: 'رجوع',
+        confirmReplace: 'نعم، استبدل',
+        done: 'تم التحميل!',
+        conflictsIntro: 'بعض الأشياء كانت مختلفة. هذا ما احتفظنا به:',
+        great: 'رائع! 👍',
+        conflict: {
+            gameScore: 'أفضل نتيجة في {procedure}: {here} هنا، {file} في الملف. احتفظنا بـ {kept}.',
+            ratingBefore: 'الشعور في {procedure} (قبل) بتاريخ {date}: {here} هنا، {file} في الملف. احتفظنا بـ {kept}.',
+            ratingAfter: 'الشعور في {procedure} (بعد) بتاريخ {date}: {here} هنا، {file} في الملف. احتفظنا بـ {kept}.',
+            visitPlan: 'خطة الزيارة: {here} هنا، {file} في الملف. احتفظنا بـ {kept}.'
+        }
+    },
+    report: {
+        documentTitle: '🦷 تقرير شجاعتي عند طبيب الأسنان - Dental Kids',
+        childTitle: '🦷 تقرير شجاعة {name} عند طبيب الأسنان',
+        actionsLabel: 'إجراءات التقرير',
+        back: '→ العودة إلى Dental Kids',
+        print: '🖨️ طباعة',
+        loading: 'جارٍ تحميل التقرير...',
+        noProfile: 'اختر من يلعب في Dental Kids أولاً، ثم افتح التقرير مرة أخرى.',
+        title: 'تقرير شجاعتي عند طبيب الأسنان',
+        printed: 'طُبع في {date}',
+        age: 'العمر {age}',
+        nextVisit: '🗓️ الزيارة القادمة: {date}',
+        stats: {
+            learned: 'المغامرات التي تعلمتها',
+            badges: 'شارات الشجاعة',
+            visits: 'زيارات التطبيق',
+            time: 'وقت التدريب'
+        },
+        minutes: {
+            zero: '{count} دقيقة',
+            one: 'دقيقة واحدة',
+            two: 'دقيقتان',
+            few: '{count} دقائق',
+            many: '{count} دقيقة',
+            other: '{count} دقيقة'
+        },
+        adventuresTitle: 'مغامراتي',
+        adventure: 'المغامرة',
+        status: 'الحالة',
+        bestScore: 'أفضل نتيجة في اللعبة',
+        learned: '✅ تعلمتها',
+        notYet: 'ليس بعد',
+        feelingsTitle: 'كم أشعر بالشجاعة',
+        noFeelings: 'لم تُسجَّل مشاعر بعد.',
+        scale: 'القلق على مقياس الوجوه من 0 (هادئ) إلى 10 (خائف جداً).',
+        date: 'التاريخ',
+        before: 'قبل',
+        after: 'بعد',
+        badgesTitle: 'شاراتي',
+        noBadges: 'لا شارات بعد. الشارة الأولى على بعد مغامرة واحدة فقط!',
+        notesTitle: 'ملاحظات لفريق طب الأسنان',
+        footer: 'Dental Kids · شاهد، اسمع، جرّب'
+    }
+});
@@ -0,0 +1,624 @@
+// js/locales/en.js - English messages (the default and fallback locale)
+
+I18n.register('en', {
+    app: {
+        documentTitle: '🦷 Dental Kids - Making Dental Visits Fun!',
+        title: 'Dental Kids',
+        tagline: 'Making dental visits fun!'
+    },
+    nav: {
+        label: 'Main navigation',
+        home: 'Home',
+        procedures: 'Procedures',
+        progress: 'My Progress',
+        tips: 'Tips',
+        doctorLogin: '👨‍⚕️ Doctor Login'
+    },
+    language: {
+        label: 'Language'
+    },
+    sound: {
+        toggle: 'Toggle sound'
+    },
+    narration: {
+        toggle: 'Read to me',
+        replay: 'Read it again',
+        pause: 'Pause reading',
+        resume: 'Keep reading',
+        readTip: 'Read this tip to me'
+    },
+    home: {
+        title: 'Welcome to Your Dental Adventure!',
+        intro: 'Hi there! I\'m Dr. Toothy, and I\'m here to show you that dental visits can be fun and exciting. Let\'s explore together!',
+        start: 'Start Learning!',
+        learnTitle: 'Learn',
+        learnText: 'Discover what happens during dental visits',
+        practiceTitle: 'Practice',
+        practiceText: 'Try procedures yourself in a safe way',
+        badgesTitle: 'Earn Badges',
+        badgesText: 'Collect rewards for being brave!'
+    },
+    mascot: {
+        firstVisit: {
+            hello: 'Hi! I\'m Dr. Toothy! 👋',
+            explore: 'Pick something to explore. I\'ll be right here!'
+        },
+        returnVisit: {
+            welcomeBack: 'Welcome back, {name}! 😊',
+            visits: {
+                one: 'Hi {name}! This is your first visit!',
+                other: 'Hi {name}! You\'ve visited me {count} times!'
+            },
+            missedYou: 'I missed you, {name}! What shall we do today?'
+        },
+        badge: {
+            wow: 'Wow, you earned {badge}! 🎉',
+            proud: 'I\'m so proud of you! 🌟',
+            collect: 'Another badge for your collection! 🏆'
+        },
+        pause: {
+            takeYourTime: 'Take your time. I\'ll wait with you.',
+            breathe: 'Need a break? Let\'s take a big, slow breath. 🫧',
+            ready: 'Tap the button whenever you\'re ready!'
+        },
+        step: {
+            show: {
+                look: 'Let\'s look at what the dentist uses!',
+                tools: 'These tools are all friendly. Have a look!'
+            },
+            tell: {
+                listen: 'Here\'s what will happen, one bit at a time.',
+                why: 'Ever wondered why? Let\'s find out!'
+            },
+            do: {
+                yourTurn: 'Your turn! Give it a try. 🙌',
+                try: 'You can do it! Practice makes brave.'
+            },
+            complete: {
+                didIt: 'You did it! High five! ✋',
+                brave: 'That was so brave! 🦸'
+            }
+        },
+        timeAlmostUp: {
+            fewMinutes: 'Just a few more minutes today. Let\'s finish something fun!'
+        },
+        timeUp: {
+            seeYou: 'Great playing today, {name}! See you tomorrow! 👋',
+            rest: 'Time to rest your brave smile, {name}. Come back tomorrow!'
+        },
+        grownUpsOnly: {
+            holdIt: 'That button is for grown-ups! 🤔'
+        }
+    },
+    procedures: {
+        sectionTitle: 'Dental Procedures',
+        sectionIntro: 'Click on any procedure to learn about it step by step!',
+        difficulty: 'Difficulty:',
+        start: 'Start Adventure',
+        startLabel: 'Start {title}',
+        notFoundTitle: '🤔 Adventure Not Found',
+        notFound: 'Oops! We couldn\'t find that adventure.',
+        pickAnother: 'Let\'s pick another one together.',
+        seeAll: 'See All Adventures 🚀'
+    },
+    steps: {
+        show: 'Show',
+        tell: 'Tell',
+        do: 'Do',
+        indicator: 'Step {number} of {total}: {name}',
+        tellMore: 'Tell Me More! 📚',
+        back: '⬅️ Back',
+        tryIt: 'Let Me Try! 🎮',
+        didIt: 'I Did It! 🎉',
+        amazing: 'Amazing job, brave explorer!',
+        learnedAll: 'You learned all about {title}!',
+        watchAgain: 'Watch Again 🔁',
+        moreAdventures: 'More Adventures 🚀'
+    },
+    games: {
+        polish: {
+            start: 'Drag the polisher over the yellow spots!',
+            left: {
+                one: '{count} spot left. Keep scrubbing!',
+                other: '{count} spots left. Keep scrubbing!'
+            },
+            done: '✨ Sparkly clean! Great polishing!',
+            keys: 'Play area. Use the arrow keys to move the polisher.'
+        },
+        hold: {
+            button: 'Press and hold to bite',
+            start: 'Press and hold the bite-wing, then stay still as a statue!',
+            still: 'Stay still like a statue...',
+            wiggly: 'Oops, a little wiggly! Press and hold again. 🐛',
+            early: 'You let go a bit early. Let\'s try again! 😊',
+            click: '📸 Click!',
+            done: '🦸 Perfect picture! You were a super statue!'
+        },
+        filling: {
+            cavity: 'Cavity',
+            wash: 'Wash',
+            washHint: 'Tap the cavity to wash it!',
+            fill: 'Fill',
+            fillHint: 'Tap to fill the hole!',
+            shine: 'Shine',
+            shineHint: 'Tap to shine the blue light!',
+            first: 'Pick the {tool} tool first!',
+            wrongTool: 'Good try! First we use {tool}.',
+            pickTool: 'Pick the {tool} tool, then tap the cavity.',
+            tapsLeft: {
+                one: '{tool} {count} more tap!',
+                other: '{tool} {count} more taps!'
+            },
+            next: 'Great! Now pick the {tool} tool.',
+            done: '🦸‍♀️ Tooth fixed! You\'re a cavity hero!'
+        },
+        hunt: {
+            start: {
+                one: 'Move the light around to find {count} hiding sugar bug!',
+                other: 'Move the light around to find {count} hiding sugar bugs!'
+            },
+            found: {
+                one: 'Found one! {count} sugar bug still hiding.',
+                other: 'Found one! {count} sugar bugs still hiding.'
+            },
+            done: '🏴‍☠️ You found every sugar bug! Treasure hunter!',
+            keys: 'Play area. Use the arrow keys to move the light.'
+        }
+    },
+    anxiety: {
+        before: 'Before we start',
+        after: 'All done!',
+        preQuestion: 'How do you feel about this adventure?',
+        postQuestion: 'How do you feel now?',
+        tapFace: 'Tap the face that looks like you feel.',
+        skip: 'Skip for now',
+        faces: {
+            0: 'Super calm',
+            2: 'Pretty good',
+            4: 'A little worried',
+            6: 'Worried',
+            8: 'Very worried',
+            10: 'Really scared'
+        },
+        chartEmpty: 'Tell us how you feel before and after an adventure to see your chart here! 📈',
+        chartLabel: 'Worry before and after each adventure',
+        legendBefore: 'Before',
+        legendAfter: 'After'
+    },
+    progress: {
+        title: 'My Progress',
+        intro: 'Look at all the brave things you\'ve accomplished!',
+        complete: 'Complete',
+        proceduresLearned: 'Procedures Learned',
+        badgesEarned: 'Badges Earned',
+        feelingsTitle: 'How Brave Do I Feel?',
+        feelingsIntro: 'Worry before and after each adventure. Lower is calmer!',
+        badgesTitle: 'Your Brave Badges'
+    },
+    badges: {
+        earned: 'Badge Earned!',
+        locked: '???',
+        procedureHero: {
+            name: '{title} Hero',
+            hint: 'Finish {title}'
+        }
+    },
+    tips: {
+        title: 'Dental Health Tips',
+        intro: 'Learn how to keep your teeth healthy and strong!',
+        brush: {
+            title: 'Brush Twice Daily',
+            text: 'Brush your teeth in the morning and before bed for 2 minutes each time!'
+        },
+        floss: {
+            title: 'Floss Daily',
+            text: 'Clean between your teeth with floss to remove hidden food particles!'
+        },
+        water: {
+            title: 'Drink Water',
+            text: 'Water helps wash away bacteria and keeps your mouth healthy!'
+        },
+        food: {
+            title: 'Eat Healthy Foods',
+            text: 'Fruits and vegetables make your teeth strong and your smile bright!'
+        }
+    },
+    brushing: {
+        title: '🪥 Brushing Coach',
+        intro: 'Brush along with Dr. Toothy for two whole minutes!',
+        ready: 'Get your toothbrush and a pea-sized blob of toothpaste ready!',
+        start: '▶️ Start brushing',
+        pause: '⏸️ Pause',
+        resume: '▶️ Keep going',
+        stop: 'Stop',
+        timeLeft: '{time} left',
+        quadrants: {
+            upperRight: 'Top right teeth',
+            upperLeft: 'Top left teeth',
+            lowerLeft: 'Bottom left teeth',
+            lowerRight: 'Bottom right teeth'
+        },
+        coach: {
+            upperRight: 'Start at the top right. Little circles on every tooth!',
+            upperLeft: 'Now the top left. Don\'t forget the teeth at the back!',
+            lowerLeft: 'Down to the bottom left. Brush gently along your gums!',
+            lowerRight: 'Last one, the bottom right. Almost sparkly!'
+        },
+        done: 'Two whole minutes! Your teeth are sparkly clean! ✨',
+        autoChecked: 'We ticked "{check}" for you.',
+        great: 'All done 👍',
+        checklistTitle: 'Today\'s checklist',
+        checks: {
+            morning: 'Morning brushing',
+            evening: 'Evening brushing',
+            floss: 'Flossing'
+        },
+        weekTitle: 'My Brushing Week',
+        dayLabel: {
+            one: '{date}: {done}. {count} coach session',
+            other: '{date}: {done}. {count} coach sessions'
+        },
+        nothingYet: 'nothing yet',
+        brushStreak: {
+            one: '{count} day in a row brushing twice',
+            other: '{count} days in a row brushing twice'
+        },
+        flossStreak: {
+            one: '{count} day in a row flossing',
+            other: '{count} days in a row flossing'
+        }
+    },
+    calm: {
+        button: 'Calm Corner',
+        title: '🫧 Calm Corner',
+        open: '🫧 Go to the Calm Corner',
+        intro: 'Feeling a bit wobbly? Pick something to help you feel calm.',
+        back: '⬅️ Calm Corner',
+        tools: {
+            breathe: { name: 'Breathing bubble', hint: 'Breathe in and out with the bubble' },
+            count: { name: 'Count with me', hint: 'Count together while the dentist works' },
+            stop: { name: 'Stop signal', hint: 'Practise raising your hand' },
+            gallery: { name: 'Favourite things', hint: 'Think about things you love' }
+        },
+        breathe: {
+            intro: 'Watch the bubble. Breathe in as it grows and out as it shrinks.',
+            ready: 'Get comfy...',
+            inhale: 'Breathe in... 🌬️',
+            hold: 'Hold it...',
+            exhale: 'And breathe out... 😮‍💨',
+            breaths: {
+                one: '{count} calm breath',
+                other: '{count} calm breaths'
+            },
+            pace: 'How fast to breathe',
+            paces: {
+                slow: '🐢 Slow',
+                medium: '🐇 Medium',
+                quick: '🐎 Quick'
+            }
+        },
+        count: {
+            intro: 'Let\'s count together! By the time we finish, the dentist will be done.',
+            forDentist: 'Dentist: pick how long to count.',
+            upTo: {
+                one: 'Count to {count}',
+                other: 'Count to {count}'
+            },
+            counting: {
+                one: 'Counting to {count}...',
+                other: 'Counting to {count}...'
+            },
+            done: {
+                one: 'We counted to {count}! All done 🎉',
+                other: 'We counted to {count}! All done 🎉'
+            }
+        },
+        stop: {
+            intro: 'If you need a break, raise your hand and the dentist will stop. Let\'s practise!',
+            ready: 'Press start, then raise your hand when you hear the buzzing.',
+            start: '▶️ Start buzzing',
+            again: '🔁 Again',
+            raise: 'Raise my hand',
+            buzzing: 'Bzzzz... Raise your hand to stop it!',
+            stopped: {
+                one: 'The dentist stopped! {count} more to practise.',
+                other: 'The dentist stopped! {count} more to practise.'
+            },
+            done: 'Brilliant! You know how to ask for a break. ✋'
+        },
+        gallery: {
+            intro: 'Pick a picture and imagine it while you sit in the chair.',
+            favorite: 'one of my favourites',
+            makeFavorite: '⭐ Make it a favourite',
+            unfavorite: '⭐ Favourite! Tap to remove'
+        },
+        things: {
+            puppy: { name: 'Puppy', prompt: 'Imagine a fluffy puppy wagging its tail. What is its name?' },
+            kitten: { name: 'Kitten', prompt: 'Imagine a kitten purring on your lap. Can you hear it?' },
+            dinosaur: { name: 'Dinosaur', prompt: 'Imagine a friendly dinosaur stomping along. How big is it?' },
+            unicorn: { name: 'Unicorn', prompt: 'Imagine a unicorn with a sparkly horn. What colour is its mane?' },
+            rocket: { name: 'Rocket', prompt: 'Imagine you are zooming to the moon. Count the stars!' },
+            beach: { name: 'Beach', prompt: 'Imagine warm sand and gentle waves. What will you build?' },
+            rainbow: { name: 'Rainbow', prompt: 'Imagine a big rainbow. Can you name all its colours?' },
+            football: { name: 'Football', prompt: 'Imagine scoring the winning goal. Hear the crowd cheer!' },
+            train: { name: 'Train', prompt: 'Imagine riding a train. Choo choo! Where is it going?' },
+            fish: { name: 'Fish', prompt: 'Imagine swimming with bright fish. How many can you see?' },
+            butterfly: { name: 'Butterfly', prompt: 'Imagine a butterfly landing on your finger. What colours are its wings?' },
+            castle: { name: 'Castle', prompt: 'Imagine exploring a castle. Who lives in the tallest tower?' }
+        }
+    },
+    quiz: {
+        title: '🧠 Tooth Quiz',
+        intro: {
+            one: 'How much do you know about teeth? Answer {count} quick question!',
+            other: 'How much do you know about teeth? Answer {count} quick questions!'
+        },
+        start: '▶️ Start the quiz',
+        firstTime: 'Have a go! Any questions you miss will come back later so you can practise.',
+        lastScore: 'Last time: {correct} out of {total}. Best score: {best}%.',
+        questionOf: 'Question {number} of {total}',
+        tryAgain: 'Let\'s try this one again!',
+        true: 'True',
+        false: 'Not true',
+        cheers: {
+            great: '🎉 Great job!',
+            smart: '🌟 You got it!',
+            star: '🦷 Super smart!'
+        },
+        answerWas: 'Good try! The answer is {answer}.',
+        itsTrue: 'Good try! That one is true.',
+        itsFalse: 'Good try! That one is not true.',
+        comeBack: 'We\'ll ask this one again at the end.',
+        next: 'Next question ➡️',
+        finish: 'See my score 🏁',
+        sort: {
+            start: 'Drag each picture into a basket, or tap a picture and then a basket.',
+            pickBasket: 'Where does {item} go? Tap a basket.',
+            left: {
+                one: '{count} more to sort.',
+                other: '{count} more to sort.'
+            },
+            ready: 'All sorted! Press Check.',
+            check: '✅ Check',
+            wrong: {
+                one: 'Good try! {count} picture is in the wrong basket.',
+                other: 'Good try! {count} pictures are in the wrong basket.'
+            }
+        },
+        summary: {
+            score: 'You got {correct} out of {total}!',
+            perfect: 'Every answer right! You\'re a tooth genius! 🎓',
+            good: 'Great work! You know lots about teeth.',
+            keepGoing: 'Good try! Keep practising and you\'ll soon know them all.',
+            mastered: {
+                one: 'You really know {count} question now.',
+                other: 'You really know {count} questions now.'
+            },
+            done: 'All done 👍',
+            again: '🔁 Play again'
+        }
+    },
+    help: {
+        button: 'Get help',
+        title: '❓ Help & Instructions',
+        howTo: 'How to use Dental Kids App:',
+        home: 'Start your dental adventure here',
+        procedures: 'Learn about dental treatments',
+        progress: 'See your brave badges and achievements',
+        tips: 'Learn how to keep your teeth healthy',
+        stepsTitle: 'In each procedure you will:',
+        show: 'Watch what happens',
+        tell: 'Learn all about it',
+        do: 'Practice it yourself',
+        calmTitle: 'Feeling worried?',
+        calm: 'The Calm Corner has breathing, counting and other things to help you feel better.',
+        gotIt: 'Got it! 👍'
+    },
+    modal: {
+        close: 'Close'
+    },
+    levels: {
+        ages: 'Ages {min}–{max}',
+        auto: 'Match age ({level})'
+    },
+    profiles: {
+        switch: 'Switch player',
+        whoIsPlaying: 'Who\'s playing?',
+        pickerTitle: 'Who\'s playing? 🦷',
+        nameLabel: 'Your name',
+        buddyLabel: 'Pick a buddy',
+        ageLabel: 'How old are you?',
+        go: 'Let\'s Go! 🚀',
+        add: '➕ Add Child',
+        cancel: 'Cancel',
+        manage: 'Manage 🛠️',
+        done: 'Done ✅',
+        age: 'Age {age}',
+        deleteLabel: 'Delete {name}',
+        deleteConfirm: 'Grown-ups only: delete {name}\'s profile and all progress?',
+        sum: 'What is {a} × {b}?',
+        wrongAnswer: 'That\'s not quite right. Ask a grown-up to help!',
+        keep: 'Keep It',
+        delete: 'Delete',
+        levelLabel: 'Content level for {name}',
+        levelConfirm: 'Grown-ups only: change {name}\'s content level to {level}?',
+        levelChange: 'Change',
+        addConfirm: 'Grown-ups only: add a profile for {name}?',
+        addYes: 'Add'
+    },
+    plan: {
+        offerTitle: '📅 A Plan From Your Dentist',
+        offerDate: 'Your visit is on {date}',
+        offerIntro: 'Here\'s what will happen:',
+        offerQuestion: 'Add this plan to {name}\'s adventures?',
+        notNow: 'Not now',
+        accept: 'Yes, add it! ✅',
+        badFile: '🤔 That file isn\'t a visit plan. Ask your dentist for a new one!',
+        loadNew: 'Load a new plan',
+        loadPrompt: 'Got a visit plan from your dentist? Load it here',
+        today: 'Today is your dental visit! You\'ve got this! 💪',
+        tomorrow: 'Your dental visit is tomorrow! 🌟',
+        daysLeft: {
+            one: '{count} day until your dental visit!',
+            other: '{count} days until your dental visit!'
+        },
+        clinicianSays: '{name} says:',
+        allReady: 'You\'re all ready for your visit! 🎉',
+        pathProgress: 'Your path: {done} of {total} adventures ready',
+        nextUp: 'Next up!',
+        ribbon: '📅 On my visit'
+    },
+    tools: {
+        title: '💾 Progress Files',
+        report: '🖨️ My Brave Dental Report',
+        saveJson: '💾 Save Progress',
+        saveCsv: '📊 Save as Spreadsheet',
+        load: '📥 Load Progress',
+        pickFirst: 'Pick who\'s playing first! 👆',
+        badFile: '🤔 That file isn\'t saved Dental Kids progress.'
+    },
+    audio: {
+        title: '🎚️ Sound Levels',
+        effects: 'Sound effects',
+        musicVolume: 'Music',
+        narration: 'Reading voice',
+        music: '🎵 Calm background music'
+    },
+    motion: {
+        title: '🐢 Movement',
+        auto: 'Like this device',
+        reduce: 'Less movement',
+        full: 'All the animations'
+    },
+    update: {
+        available: '✨ A new version of Dental Kids is ready!',
+        now: 'Update now',
+        later: 'Later'
+    },
+    kiosk: {
+        exit: 'Staff: leave kiosk mode',
+        exitTitle: '🔒 Staff Only',
+        exitIntro: 'Enter the staff PIN to leave kiosk mode.',
+        pinLabel: 'Staff PIN',
+        unlock: 'Unlock',
+        cancel: 'Cancel',
+        wrongPin: 'That PIN isn\'t right. Please try again.',
+        lockedOut: 'Too many tries. Please wait a minute.',
+        exited: 'Kiosk mode is off.',
+        guestName: 'Guest · {time}',
+        attractTitle: 'Dental Kids',
+        touchToStart: 'Touch to play!',
+        attract: {
+            hello: 'Hi there! I\'m Dr. Toothy! 👋',
+            explore: 'Want to see what happens at the dentist?',
+            badges: 'Play games and win shiny badges! 🏆',
+            calm: 'Feeling wiggly? Let\'s breathe together! 🫧'
+        }
+    },
+    parent: {
+        open: 'Grown-ups: press and hold',
+        openLong: '👪 Grown-ups: press and hold',
+        title: 'Grown-ups Only 👪',
+        gateMessage: 'Grown-ups only: answer to open the parent area.',
+        unlock: 'Open',
+        cancel: 'Cancel',
+        done: 'Done ✅',
+        forChild: 'Settings and progress for {name}',
+        noChild: 'Pick who\'s playing to see their settings.',
+        settingsTitle: '⚙️ Settings',
+        sound: 'Sound',
+        limit: 'Daily time limit',
+        noLimit: 'No limit',
+        minutes: {
+            one: '{count} minute',
+            other: '{count} minutes'
+        },
+        limitLeft: '{time} left today',
+        timeUpTitle: 'That\'s all for today!',
+        activityTitle: '📊 Activity',
+        stats: {
+            today: 'Today',
+            week: 'Last 7 days',
+            total: 'All time',
+            visits: 'Visits',
+            adventures: 'Adventures finished',
+            brushing: 'Brushing streak (days)',
+            calm: 'Calm Corner visits',
+            quiz: 'Best quiz score'
+        },
+        badgesTitle: {
+            one: '🏆 {count} badge',
+            other: '🏆 {count} badges'
+        },
+        noBadges: 'No badges yet.',
+        feelingsTitle: '💭 How they felt',
+        resetTitle: '🧹 Start Over',
+        resetIntro: 'Clears adventures, badges and feelings. Settings and the visit plan stay.',
+        reset: 'Reset progress',
+        resetConfirm: 'Reset all of {name}\'s progress?',
+        resetYes: 'Yes, reset'
+    },
+    import: {
+        title: '📥 Load Progress',
+        from: 'Progress from {name}',
+        fromSaved: 'Progress from {name}, saved on {date}',
+        someone: 'someone',
+        summary: '{procedures} adventures · {badges} badges · {ratings} feelings',
+        explain: '"Add to" keeps everything {name} already has. "Replace" swaps it for what\'s in the file.',
+        cancel: 'Cancel',
+        replace: 'Replace',
+        merge: 'Add to {name} ✅',
+        replaceTitle: 'Replace {name}\'s progress?',
+        replaceWarning: 'Their current adventures, badges and feelings on this device will be gone.',
+        back: 'Go Back',
+        confirmReplace: 'Yes, Replace',
+        done: 'All loaded!',
+        conflictsIntro: 'A few things were different. Here\'s what we kept:',
+        great: 'Great! 👍',
+        conflict: {
+            gameScore: 'Best {procedure} game score: {here} here, {file} in file. Keeping {kept}.',
+            ratingBefore: '{procedure} feeling (before) on {date}: {here} here, {file} in file. Keeping {kept}.',
+            ratingAfter: '{procedure} feeling (after) on {date}: {here} here, {file} in file. Keeping {kept}.',
+            visitPlan: 'Visit plan: {here} here, {file} in file. Keeping {kept}.'
+        }
+    },
+    report: {
+        documentTitle: '🦷 My Brave Dental Report - Dental Kids',
+        childTitle: '🦷 {name}\'s Brave Dental Report',
+        actionsLabel: 'Report actions',
+        back: '← Back to Dental Kids',
+        print: '🖨️ Print',
+        loading: 'Loading report...',
+        noProfile: 'Pick who\'s playing in Dental Kids first, then open the report again.',
+        title: 'My Brave Dental Report',
+        printed: 'Printed {date}',
+        age: 'Age {age}',
+        nextVisit: '🗓️ Next visit: {date}',
+        stats: {
+            learned: 'Adventures learned',
+            badges: 'Brave badges',
+            visits: 'Visits to the app',
+            time: 'Time practising'
+        },
+        minutes: {
+            one: '{count} min',
+            other: '{count} min'
+        },
+        adventuresTitle: 'My Adventures',
+        adventure: 'Adventure',
+        status: 'Status',
+        bestScore: 'Best game score',
+        learned: '✅ Learned',
+        notYet: 'Not yet',
+        feelingsTitle: 'How Brave I Feel',
+        noFeelings: 'No feelings recorded yet.',
+        scale: 'Worry on a 0 (calm) to 10 (really scared) faces scale.',
+        date: 'Date',
+        before: 'Before',
+        after: 'After',
+        badgesTitle: 'My Badges',
+        noBadges: 'No badges yet. The first one is just one adventure away!',
+        notesTitle: 'Notes for the Dental Team',
+        footer: 'Dental Kids · Show, Tell, Do'
+    }
+});
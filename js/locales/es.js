@@ -0,0 +1,1176 @@
+// js/locales/es.js - Spanish messages
+
+I18n.register('es', {
+    app: {
+        documentTitle: '🦷 Dental Kids - ¡Visitas al dentista divertidas!',
+        title: 'Dental Kids',
+        tagline: '¡Visitas al dentista divertidas!'
+    },
+    nav: {
+        label: 'Navegación principal',
+        home: 'Inicio',
+        procedures: 'Tratamientos',
+        progress: 'Mi progreso',
+        tips: 'Consejos',
+        doctorLogin: '👨‍⚕️ Acceso para dentistas'
+    },
+    language: {
+        label: 'Idioma'
+    },
+    sound: {
+        toggle: 'Activar o desactivar el sonido'
+    },
+    narration: {
+        toggle: 'Léemelo',
+        replay: 'Leer otra vez',
+        pause: 'Pausar la lectura',
+        resume: 'Seguir leyendo',
+        readTip: 'Léeme este consejo'
+    },
+    home: {
+        title: '¡Bienvenido a tu aventura dental!',
+        intro: '¡Hola! Soy el Dr. Dientín y estoy aquí para enseñarte que ir al dentista puede ser divertido y emocionante. ¡Vamos a explorar juntos!',
+        start: '¡Empezar a aprender!',
+        learnTitle: 'Aprende',
+        learnText: 'Descubre qué pasa en la visita al dentista',
+        practiceTitle: 'Practica',
+        practiceText: 'Prueba los tratamientos tú mismo sin ningún riesgo',
+        badgesTitle: 'Gana insignias',
+        badgesText: '¡Consigue premios por ser valiente!'
+    },
+    mascot: {
+        firstVisit: {
+            hello: '¡Hola! ¡Soy el Dr. Dientín! 👋',
+            explore: 'Elige algo para explorar. ¡Aquí estaré!'
+        },
+        returnVisit: {
+            welcomeBack: '¡Bienvenido de nuevo, {name}! 😊',
+            visits: {
+                one: '¡Hola, {name}! ¡Es tu primera visita!',
+                other: '¡Hola, {name}! ¡Ya me has visitado {count} veces!'
+            },
+            missedYou: '¡Te extrañé, {name}! ¿Qué hacemos hoy?'
+        },
+        badge: {
+            wow: '¡Guau, ganaste {badge}! 🎉',
+            proud: '¡Estoy muy orgulloso de ti! 🌟',
+            collect: '¡Otra insignia para tu colección! 🏆'
+        },
+        pause: {
+            takeYourTime: 'Tómate tu tiempo. Yo te espero.',
+            breathe: '¿Necesitas un descanso? Respiremos hondo y despacio. 🫧',
+            ready: '¡Toca el botón cuando estés listo!'
+        },
+        step: {
+            show: {
+                look: '¡Veamos lo que usa el dentista!',
+                tools: 'Estas herramientas son amigables. ¡Échales un vistazo!'
+            },
+            tell: {
+                listen: 'Esto es lo que pasará, poco a poco.',
+                why: '¿Te has preguntado por qué? ¡Vamos a descubrirlo!'
+            },
+            do: {
+                yourTurn: '¡Te toca! Inténtalo. 🙌',
+                try: '¡Tú puedes! Practicar te hace valiente.'
+            },
+            complete: {
+                didIt: '¡Lo lograste! ¡Choca esos cinco! ✋',
+                brave: '¡Fuiste muy valiente! 🦸'
+            }
+        },
+        timeAlmostUp: {
+            fewMinutes: 'Quedan unos minutos por hoy. ¡Terminemos algo divertido!'
+        },
+        timeUp: {
+            seeYou: '¡Qué bien jugaste hoy, {name}! ¡Hasta mañana! 👋',
+            rest: 'Hora de que descanse tu sonrisa valiente, {name}. ¡Vuelve mañana!'
+        },
+        grownUpsOnly: {
+            holdIt: '¡Ese botón es para adultos! 🤔'
+        }
+    },
+    procedures: {
+        sectionTitle: 'Tratamientos dentales',
+        sectionIntro: '¡Toca cualquier tratamiento para conocerlo paso a paso!',
+        difficulty: 'Dificultad:',
+        start: 'Empezar aventura',
+        startLabel: 'Empezar {title}',
+        notFoundTitle: '🤔 Aventura no encontrada',
+        notFound: '¡Uy! No encontramos esa aventura.',
+        pickAnother: 'Elijamos otra juntos.',
+        seeAll: 'Ver todas las aventuras 🚀',
+        cleaning: {
+            title: 'Limpieza dental',
+            modalTitle: '🪥 Aventura de limpieza dental',
+            description: '¡Aprende cómo dejamos tus dientes brillantes!',
+            steps: {
+                show: {
+                    heading: '¡Te enseño cómo limpiamos los dientes!',
+                    text: 'Mira cómo el cepillo especial limpia suavemente alrededor de tu diente. Puede hacer cosquillas, ¡pero no duele!'
+                },
+                tell: {
+                    heading: 'Esto es lo que pasa en una limpieza',
+                    points: [
+                        '🪑 Te sientas en un sillón grande y cómodo que sube y baja como una atracción.',
+                        '💡 Una luz brillante ayuda al dentista a ver. ¡Puedes ponerte gafas de sol geniales!',
+                        '🪥 Un cepillo especial que gira pule cada diente. Hace cosquillas y zumba.',
+                        '💧 Una pajita pequeñita sorbe el agua, como una mini aspiradora.'
+                    ]
+                },
+                do: {
+                    heading: '¡Ahora inténtalo tú!',
+                    intro: 'Frota las manchas amarillas de placa con el pulidor.'
+                },
+                complete: {
+                    message: 'Ya sabes todo sobre la limpieza dental. ¡Tus dientes van a brillar!'
+                }
+            },
+            variants: {
+                '3-5': {
+                    description: '¡Mira cómo dejamos los dientes brillantes!',
+                    steps: {
+                        show: {
+                            heading: '¡Vamos a limpiar un diente!',
+                            text: 'Un cepillito deja tu diente brillante. ¡Hace cosquillas!'
+                        },
+                        tell: {
+                            heading: 'En la limpieza',
+                            points: [
+                                '🪑 Te sientas en un sillón grande que sube y baja.',
+                                '💡 Brilla una luz. ¡Puedes ponerte gafas de sol!',
+                                '🪥 Un cepillo que zumba te hace cosquillas en los dientes.'
+                            ]
+                        },
+                        do: {
+                            intro: '¡Quita las manchas amarillas!'
+                        },
+                        complete: {
+                            message: '¡Muy bien! ¡Tus dientes van a brillar!'
+                        }
+                    }
+                },
+                '9-12': {
+                    description: 'Descubre cómo se eliminan la placa y el sarro.',
+                    steps: {
+                        show: {
+                            text: 'Un higienista dental usa instrumentos pequeños para raspar la placa y el sarro, la capa dura que tu cepillo no puede quitar. Después, un pulidor que gira deja cada diente liso.'
+                        },
+                        tell: {
+                            points: [
+                                '🪑 El sillón se inclina hacia atrás para que el higienista vea bien cada diente.',
+                                '💡 Una luz brillante ilumina tu boca. Las gafas de sol te protegen los ojos.',
+                                '🪝 Un raspador pequeño quita el sarro junto a las encías. Puede rascar un poco, pero no debería doler.',
+                                '🪥 Un pulidor con una pasta granulada gira sobre cada diente para dejarlo liso y brillante.',
+                                '💧 Un tubo de succión se lleva el agua y la saliva. Levanta la mano si necesitas un descanso.'
+                            ]
+                        },
+                        do: {
+                            intro: 'Pule todas las manchas de placa antes de que se endurezcan y se conviertan en sarro.'
+                        },
+                        complete: {
+                            message: 'Ya sabes cómo una limpieza profesional elimina la placa y el sarro. ¡Tu sonrisa te lo agradecerá!'
+                        }
+                    }
+                }
+            }
+        },
+        xray: {
+            title: 'Radiografías',
+            modalTitle: '📸 Visión de superhéroe con rayos X',
+            description: '¡Descubre tus poderes de visión de superhéroe!',
+            steps: {
+                show: {
+                    heading: '¡Los rayos X nos dan visión de superhéroe!',
+                    text: 'Igual que Superman ve a través de las paredes, los rayos X nos ayudan a ver dentro de tus dientes para saber si están sanos.'
+                },
+                tell: {
+                    heading: 'Así funciona una radiografía',
+                    points: [
+                        '🦺 Te pones una manta pesada, como una capa de superhéroe para tu barriguita.',
+                        '😬 Muerdes suavemente un soporte pequeño. Puede sentirse un poco grande.',
+                        '🗿 Te quedas quieto como una estatua solo unos segundos.',
+                        '🖥️ ¡La foto aparece en la computadora y puedes ver tus dientes!'
+                    ]
+                },
+                do: {
+                    heading: '¡Ahora inténtalo tú!',
+                    intro: 'Muerde la aleta y quédate quieto para la foto.'
+                },
+                complete: {
+                    message: '¡Usaste tu visión de superhéroe! Las radiografías son rápidas y fáciles.'
+                }
+            },
+            variants: {
+                '3-5': {
+                    description: '¡Hazle una foto a tus dientes!',
+                    steps: {
+                        show: {
+                            heading: '¡Vamos a hacer una foto de los dientes!',
+                            text: 'Una cámara especial hace una foto de tus dientes. ¡No duele!'
+                        },
+                        tell: {
+                            heading: 'Fotos de los dientes',
+                            points: [
+                                '🦺 Te pones una manta pesada y calentita.',
+                                '😬 Muerdes un soporte pequeñito.',
+                                '🗿 Te quedas quieto como una estatua. ¡Clic!'
+                            ]
+                        },
+                        do: {
+                            intro: '¡Muerde y quédate quieto!'
+                        },
+                        complete: {
+                            message: '¡Clic! ¡Has hecho una foto genial de tus dientes!'
+                        }
+                    }
+                },
+                '9-12': {
+                    description: 'Descubre cómo los rayos X muestran lo que hay dentro de tus dientes.',
+                    steps: {
+                        show: {
+                            text: 'Los rayos X atraviesan las partes blandas de la boca, pero no los dientes ni el hueso, por eso estos salen en la imagen. Los dentistas los usan para ver caries entre los dientes y comprobar los dientes definitivos que crecen bajo las encías.'
+                        },
+                        tell: {
+                            points: [
+                                '🦺 Un delantal pesado te cubre el cuerpo. Una radiografía usa muy poca radiación y el delantal te protege todavía más.',
+                                '😬 Muerdes un soporte llamado aleta de mordida, que mantiene el sensor en su sitio.',
+                                '🗿 La cámara solo necesita un segundo, así que te quedas completamente quieto.',
+                                '🖥️ La imagen aparece enseguida en la pantalla y el dentista puede enseñarte lo que ve.'
+                            ]
+                        },
+                        do: {
+                            intro: 'Mantén firme la aleta de mordida hasta que termine la cuenta atrás.'
+                        },
+                        complete: {
+                            message: 'Ya sabes cómo los rayos X dejan ver al dentista lo que los ojos no ven. ¡Rápido y sin dolor!'
+                        }
+                    }
+                }
+            }
+        },
+        filling: {
+            title: 'Empaste de caries',
+            modalTitle: '🔧 Misión heroica: empaste',
+            description: '¡Ayuda a arreglar dientes como un superhéroe dental!',
+            steps: {
+                show: {
+                    heading: '¡Somos héroes que reparan dientes!',
+                    text: 'A veces los dientes tienen agujeritos llamados caries. Los arreglamos con un material especial del color del diente, ¡como cuando se arregla una pared!'
+                },
+                tell: {
+                    heading: 'Así arreglamos una caries',
+                    points: [
+                        '😴 Una medicina dormilona hace que tu diente se eche una siesta para que no duela.',
+                        '🌬️ Un poco de agua y aire lavan el diente. Suena como un silbido.',
+                        '🧱 El relleno del color del diente tapa el agujero, como un parche en la pared.',
+                        '🔦 Una luz azul hace que el relleno quede duro y fuerte.'
+                    ]
+                },
+                do: {
+                    heading: '¡Ahora inténtalo tú!',
+                    intro: 'Lava, rellena y haz brillar la caries como un héroe de los dientes.'
+                },
+                complete: {
+                    message: '¡Misión cumplida! Ya sabes cómo los héroes de los dientes arreglan las caries.'
+                }
+            },
+            variants: {
+                '3-5': {
+                    description: '¡Ayuda a arreglar un diente!',
+                    steps: {
+                        show: {
+                            heading: '¡Vamos a arreglar un diente!',
+                            text: 'A veces a un diente le sale un agujerito. El dentista lo rellena para que vuelva a estar fuerte.'
+                        },
+                        tell: {
+                            heading: 'Arreglar un diente',
+                            points: [
+                                '😴 Una medicina especial duerme tu diente.',
+                                '🧱 El dentista rellena el agujerito.',
+                                '🔦 Una luz azul lo pone duro y fuerte.'
+                            ]
+                        },
+                        do: {
+                            intro: '¡Lava, rellena y haz brillar el diente!'
+                        },
+                        complete: {
+                            message: '¡Has arreglado el diente, superhéroe!'
+                        }
+                    }
+                },
+                '9-12': {
+                    description: 'Aprende paso a paso cómo un dentista repara una caries.',
+                    steps: {
+                        show: {
+                            text: 'Una caries es un agujero que aparece cuando los gérmenes de la placa convierten el azúcar en ácido, que desgasta el esmalte. El dentista quita la parte dañada y rellena el hueco con un material del color del diente para que el agujero no crezca.'
+                        },
+                        tell: {
+                            points: [
+                                '😴 Un gel y una pequeña inyección duermen la zona. Puede que notes el labio hinchado unas horas después.',
+                                '🌬️ Un torno pequeño quita la caries. Suena fuerte, como un silbido, y un chorrito de agua mantiene el diente fresco.',
+                                '🧱 El dentista aprieta el empaste del color del diente dentro del agujero y le da la forma de tu diente.',
+                                '🔦 Una luz azul endurece el empaste en unos segundos.',
+                                '📄 Muerdes un papel fino de color para que el dentista compruebe que el empaste encaja con tu mordida.'
+                            ]
+                        },
+                        do: {
+                            intro: 'Lava, rellena y endurece la caries en el orden correcto.'
+                        },
+                        complete: {
+                            message: 'Ya conoces cada paso de un empaste. ¡No hay nada de qué preocuparse!'
+                        }
+                    }
+                }
+            }
+        },
+        checkup: {
+            title: 'Revisión dental',
+            modalTitle: '🔍 Búsqueda del tesoro dental',
+            description: '¡Explora tu boca como un cazador de tesoros!',
+            steps: {
+                show: {
+                    heading: '¡Vamos a buscar tesoros en tu boca!',
+                    text: 'Usamos un espejito especial y una luz para explorar cada diente y encontrar problemas escondidos antes de que crezcan.'
+                },
+                tell: {
+                    heading: 'Esto es lo que pasa en una revisión',
+                    points: [
+                        '👋 El dentista te saluda y cuenta tus dientes en voz alta.',
+                        '🪞 Un espejito ayuda a mirar detrás de cada diente.',
+                        '🔦 Una luz brillante hace que tu boca sea fácil de explorar.',
+                        '🏅 ¡Te llevas un choca esos cinco por ser un gran cazador de tesoros!'
+                    ]
+                },
+                do: {
+                    heading: '¡Ahora inténtalo tú!',
+                    intro: 'Mueve la luz para encontrar los bichitos de azúcar escondidos.'
+                },
+                complete: {
+                    message: '¡Tesoro encontrado! Estás listo para tu revisión dental.'
+                }
+            },
+            variants: {
+                '3-5': {
+                    description: '¡Busca bichitos del azúcar!',
+                    steps: {
+                        show: {
+                            heading: '¡Vamos a mirar tus dientes!',
+                            text: 'El dentista usa un espejito y una luz para mirar cada diente.'
+                        },
+                        tell: {
+                            heading: 'En la revisión',
+                            points: [
+                                '👋 El dentista te saluda y cuenta tus dientes.',
+                                '🪞 Un espejito mira tus dientes.',
+                                '🏅 ¡Choca esos cinco! ¡Lo has hecho!'
+                            ]
+                        },
+                        do: {
+                            intro: '¡Ilumina para encontrar los bichitos del azúcar!'
+                        },
+                        complete: {
+                            message: '¡Los has encontrado todos! ¡Qué bien has mirado!'
+                        }
+                    }
+                },
+                '9-12': {
+                    description: 'Descubre qué revisa el dentista y por qué.',
+                    steps: {
+                        show: {
+                            text: 'En una revisión, el dentista busca las primeras señales de caries y problemas de encías, y comprueba cómo salen tus dientes definitivos. Encontrar los problemas pronto significa arreglos más pequeños y fáciles.'
+                        },
+                        tell: {
+                            points: [
+                                '👋 El dentista cuenta tus dientes y anota cuáles son de leche y cuáles definitivos.',
+                                '🪞 Un espejito y un instrumento redondeado revisan cada superficie, incluso las muelas del fondo.',
+                                '👅 El dentista también mira tus encías, tu lengua y tus mejillas.',
+                                '📋 Puede que hable de selladores, flúor o brackets, así que pregunta lo que quieras.'
+                            ]
+                        },
+                        do: {
+                            intro: 'Busca en cada rincón de la boca para encontrar todos los bichitos del azúcar escondidos.'
+                        },
+                        complete: {
+                            message: 'Ya sabes qué pasa en una revisión y por qué importa. ¡Estás listo!'
+                        }
+                    }
+                }
+            }
+        }
+    },
+    steps: {
+        show: 'Mira',
+        tell: 'Escucha',
+        do: 'Hazlo',
+        indicator: 'Paso {number} de {total}: {name}',
+        tellMore: '¡Cuéntame más! 📚',
+        back: '⬅️ Atrás',
+        tryIt: '¡Déjame probar! 🎮',
+        didIt: '¡Lo logré! 🎉',
+        amazing: '¡Muy bien, explorador valiente!',
+        learnedAll: '¡Aprendiste todo sobre {title}!',
+        watchAgain: 'Ver otra vez 🔁',
+        moreAdventures: 'Más aventuras 🚀'
+    },
+    games: {
+        polish: {
+            start: '¡Arrastra el pulidor sobre las manchas amarillas!',
+            left: {
+                one: 'Queda {count} mancha. ¡Sigue frotando!',
+                other: 'Quedan {count} manchas. ¡Sigue frotando!'
+            },
+            done: '✨ ¡Limpísimo! ¡Qué buen pulido!',
+            keys: 'Zona de juego. Usa las flechas del teclado para mover el pulidor.'
+        },
+        hold: {
+            button: 'Mantén pulsado para morder',
+            start: '¡Mantén pulsada la aleta y quédate quieto como una estatua!',
+            still: 'Quieto como una estatua...',
+            wiggly: '¡Uy, te moviste un poquito! Mantén pulsado otra vez. 🐛',
+            early: 'Soltaste un poco antes. ¡Probemos otra vez! 😊',
+            click: '📸 ¡Clic!',
+            done: '🦸 ¡Foto perfecta! ¡Fuiste una súper estatua!'
+        },
+        filling: {
+            cavity: 'Caries',
+            wash: 'Lavar',
+            washHint: '¡Toca la caries para lavarla!',
+            fill: 'Rellenar',
+            fillHint: '¡Toca para rellenar el agujero!',
+            shine: 'Brillar',
+            shineHint: '¡Toca para encender la luz azul!',
+            first: '¡Elige primero la herramienta {tool}!',
+            wrongTool: '¡Buen intento! Primero usamos {tool}.',
+            pickTool: 'Elige la herramienta {tool} y luego toca la caries.',
+            tapsLeft: {
+                one: '{tool} ¡{count} toque más!',
+                other: '{tool} ¡{count} toques más!'
+            },
+            next: '¡Genial! Ahora elige la herramienta {tool}.',
+            done: '🦸‍♀️ ¡Diente arreglado! ¡Eres un héroe de las caries!'
+        },
+        hunt: {
+            start: {
+                one: '¡Mueve la luz para encontrar {count} bichito de azúcar escondido!',
+                other: '¡Mueve la luz para encontrar {count} bichitos de azúcar escondidos!'
+            },
+            found: {
+                one: '¡Encontraste uno! Queda {count} bichito escondido.',
+                other: '¡Encontraste uno! Quedan {count} bichitos escondidos.'
+            },
+            done: '🏴‍☠️ ¡Encontraste todos los bichitos de azúcar! ¡Gran cazador de tesoros!',
+            keys: 'Zona de juego. Usa las flechas del teclado para mover la luz.'
+        }
+    },
+    anxiety: {
+        before: 'Antes de empezar',
+        after: '¡Terminamos!',
+        preQuestion: '¿Cómo te sientes con esta aventura?',
+        postQuestion: '¿Cómo te sientes ahora?',
+        tapFace: 'Toca la carita que se parece a cómo te sientes.',
+        skip: 'Saltar por ahora',
+        faces: {
+            0: 'Súper tranquilo',
+            2: 'Bastante bien',
+            4: 'Un poco preocupado',
+            6: 'Preocupado',
+            8: 'Muy preocupado',
+            10: 'Con mucho miedo'
+        },
+        chartEmpty: '¡Cuéntanos cómo te sientes antes y después de una aventura para ver tu gráfica aquí! 📈',
+        chartLabel: 'Preocupación antes y después de cada aventura',
+        legendBefore: 'Antes',
+        legendAfter: 'Después'
+    },
+    progress: {
+        title: 'Mi progreso',
+        intro: '¡Mira todas las cosas valientes que has logrado!',
+        complete: 'Completado',
+        proceduresLearned: 'Tratamientos aprendidos',
+        badgesEarned: 'Insignias ganadas',
+        feelingsTitle: '¿Qué tan valiente me siento?',
+        feelingsIntro: 'Preocupación antes y después de cada aventura. ¡Más bajo es más tranquilo!',
+        badgesTitle: 'Tus insignias de valentía'
+    },
+    badges: {
+        earned: '¡Insignia ganada!',
+        locked: '???',
+        procedureHero: {
+            name: 'Héroe de {title}',
+            hint: 'Termina {title}'
+        },
+        'first-procedure': {
+            name: 'Primera aventura',
+            hint: 'Termina cualquier tratamiento'
+        },
+        'all-procedures': {
+            name: 'Campeón dental',
+            hint: 'Termina todos los tratamientos'
+        },
+        'visit-streak-3': {
+            name: 'Bienvenido de nuevo',
+            hint: 'Visita 3 días seguidos'
+        },
+        'visit-streak-7': {
+            name: 'Súper constante',
+            hint: 'Visita 7 días seguidos'
+        },
+        'game-star': {
+            name: 'Estrella del juego',
+            hint: 'Consigue 90 o más en un juego de práctica'
+        },
+        'brushing-coach': {
+            name: 'Dos minutos',
+            hint: 'Cepíllate con el entrenador de cepillado'
+        },
+        'brushing-streak-3': {
+            name: 'Racha brillante',
+            hint: 'Cepíllate mañana y noche 3 días seguidos'
+        },
+        'brushing-streak-7': {
+            name: 'Sonrisa de diamante',
+            hint: 'Cepíllate mañana y noche 7 días seguidos'
+        },
+        'floss-streak-7': {
+            name: 'Jefe del hilo dental',
+            hint: 'Usa hilo dental 7 días seguidos'
+        },
+        'quiz-round': {
+            name: 'Concursante',
+            hint: 'Termina un concurso de dientes'
+        },
+        'quiz-perfect': {
+            name: 'Genio de los dientes',
+            hint: 'Acierta todas las preguntas de un concurso de dientes'
+        }
+    },
+    tips: {
+        title: 'Consejos para dientes sanos',
+        intro: '¡Aprende a mantener tus dientes sanos y fuertes!',
+        brush: {
+            title: 'Cepíllate dos veces al día',
+            text: '¡Cepíllate los dientes por la mañana y antes de dormir, 2 minutos cada vez!',
+            variants: {
+                '3-5': {
+                    title: 'Cepíllate dos veces',
+                    text: 'Cepíllate por la mañana y al irte a dormir. ¡Canta una canción mientras te cepillas!'
+                },
+                '9-12': {
+                    text: 'Cepíllate 2 minutos por la mañana y antes de dormir con pasta con flúor del tamaño de un guisante. ¡No olvides la lengua!'
+                }
+            }
+        },
+        floss: {
+            title: 'Usa hilo dental cada día',
+            text: '¡Limpia entre tus dientes con hilo dental para quitar los restos de comida escondidos!',
+            variants: {
+                '3-5': {
+                    title: '¡Hilo dental divertido!',
+                    text: 'Un adulto puede ayudarte a limpiar entre tus dientes con hilo dental.'
+                },
+                '9-12': {
+                    text: 'Usa hilo dental una vez al día para quitar la placa de entre los dientes, donde el cepillo no llega.'
+                }
+            }
+        },
+        water: {
+            title: 'Bebe agua',
+            text: '¡El agua ayuda a quitar las bacterias y mantiene tu boca sana!',
+            variants: {
+                '3-5': {
+                    text: '¡El agua es la mejor bebida para tus dientes!'
+                },
+                '9-12': {
+                    text: 'El agua arrastra el azúcar y el ácido. Elígela en lugar de zumos y refrescos, sobre todo entre comidas.'
+                }
+            }
+        },
+        food: {
+            title: 'Come alimentos sanos',
+            text: '¡Las frutas y verduras hacen tus dientes fuertes y tu sonrisa brillante!',
+            variants: {
+                '3-5': {
+                    title: 'Comida rica y sana',
+                    text: '¡Las manzanas y zanahorias crujientes ayudan a que tus dientes estén fuertes!'
+                },
+                '9-12': {
+                    text: 'La fruta, la verdura y los lácteos dan a tus dientes calcio y vitaminas. Deja los dulces para las comidas.'
+                }
+            }
+        }
+    },
+    brushing: {
+        title: '🪥 Entrenador de cepillado',
+        intro: '¡Cepíllate junto al Dr. Dientín durante dos minutos enteros!',
+        ready: '¡Prepara tu cepillo y un poquito de pasta del tamaño de un guisante!',
+        start: '▶️ Empezar a cepillar',
+        pause: '⏸️ Pausa',
+        resume: '▶️ Seguir',
+        stop: 'Parar',
+        timeLeft: 'Quedan {time}',
+        quadrants: {
+            upperRight: 'Dientes de arriba a la derecha',
+            upperLeft: 'Dientes de arriba a la izquierda',
+            lowerLeft: 'Dientes de abajo a la izquierda',
+            lowerRight: 'Dientes de abajo a la derecha'
+        },
+        coach: {
+            upperRight: 'Empieza arriba a la derecha. ¡Circulitos en cada diente!',
+            upperLeft: 'Ahora arriba a la izquierda. ¡No olvides los dientes del fondo!',
+            lowerLeft: 'Baja a la izquierda. ¡Cepilla suave junto a las encías!',
+            lowerRight: 'El último, abajo a la derecha. ¡Ya casi brillan!'
+        },
+        done: '¡Dos minutos enteros! ¡Tus dientes brillan de limpios! ✨',
+        autoChecked: 'Marcamos "{check}" por ti.',
+        great: 'Listo 👍',
+        checklistTitle: 'Lista de hoy',
+        checks: {
+            morning: 'Cepillado de la mañana',
+            evening: 'Cepillado de la noche',
+            floss: 'Hilo dental'
+        },
+        weekTitle: 'Mi semana de cepillado',
+        dayLabel: {
+            one: '{date}: {done}. {count} sesión con el entrenador',
+            other: '{date}: {done}. {count} sesiones con el entrenador'
+        },
+        nothingYet: 'nada todavía',
+        brushStreak: {
+            one: '{count} día seguido cepillando dos veces',
+            other: '{count} días seguidos cepillando dos veces'
+        },
+        flossStreak: {
+            one: '{count} día seguido usando hilo dental',
+            other: '{count} días seguidos usando hilo dental'
+        }
+    },
+    calm: {
+        button: 'Rincón de la calma',
+        title: '🫧 Rincón de la calma',
+        open: '🫧 Ir al rincón de la calma',
+        intro: '¿Te sientes un poco nervioso? Elige algo que te ayude a estar tranquilo.',
+        back: '⬅️ Rincón de la calma',
+        tools: {
+            breathe: { name: 'Burbuja para respirar', hint: 'Respira al ritmo de la burbuja' },
+            count: { name: 'Cuenta conmigo', hint: 'Contamos juntos mientras trabaja el dentista' },
+            stop: { name: 'Señal de parar', hint: 'Practica levantar la mano' },
+            gallery: { name: 'Mis cosas favoritas', hint: 'Piensa en cosas que te encantan' }
+        },
+        breathe: {
+            intro: 'Mira la burbuja. Toma aire cuando crece y suéltalo cuando se hace pequeña.',
+            ready: 'Ponte cómodo...',
+            inhale: 'Toma aire... 🌬️',
+            hold: 'Aguántalo...',
+            exhale: 'Y suéltalo... 😮‍💨',
+            breaths: {
+                one: '{count} respiración tranquila',
+                other: '{count} respiraciones tranquilas'
+            },
+            pace: 'Qué tan rápido respirar',
+            paces: {
+                slow: '🐢 Despacio',
+                medium: '🐇 Normal',
+                quick: '🐎 Rápido'
+            }
+        },
+        count: {
+            intro: '¡Vamos a contar juntos! Cuando terminemos, el dentista habrá acabado.',
+            forDentist: 'Dentista: elige hasta cuánto contar.',
+            upTo: {
+                one: 'Contar hasta {count}',
+                other: 'Contar hasta {count}'
+            },
+            counting: {
+                one: 'Contando hasta {count}...',
+                other: 'Contando hasta {count}...'
+            },
+            done: {
+                one: '¡Contamos hasta {count}! Terminado 🎉',
+                other: '¡Contamos hasta {count}! Terminado 🎉'
+            }
+        },
+        stop: {
+            intro: 'Si necesitas un descanso, levanta la mano y el dentista parará. ¡Vamos a practicar!',
+            ready: 'Pulsa empezar y levanta la mano cuando oigas el zumbido.',
+            start: '▶️ Empezar el zumbido',
+            again: '🔁 Otra vez',
+            raise: 'Levantar la mano',
+            buzzing: 'Bzzzz... ¡Levanta la mano para pararlo!',
+            stopped: {
+                one: '¡El dentista paró! Falta {count} práctica.',
+                other: '¡El dentista paró! Faltan {count} prácticas.'
+            },
+            done: '¡Genial! Ya sabes pedir un descanso. ✋'
+        },
+        gallery: {
+            intro: 'Elige un dibujo e imagínalo mientras estás en el sillón.',
+            favorite: 'uno de mis favoritos',
+            makeFavorite: '⭐ Hacerlo favorito',
+            unfavorite: '⭐ ¡Favorito! Toca para quitarlo'
+        },
+        things: {
+            puppy: { name: 'Perrito', prompt: 'Imagina un perrito peludo moviendo la cola. ¿Cómo se llama?' },
+            kitten: { name: 'Gatito', prompt: 'Imagina un gatito ronroneando en tus piernas. ¿Lo oyes?' },
+            dinosaur: { name: 'Dinosaurio', prompt: 'Imagina un dinosaurio amistoso dando pisotones. ¿Qué tan grande es?' },
+            unicorn: { name: 'Unicornio', prompt: 'Imagina un unicornio con un cuerno brillante. ¿De qué color es su melena?' },
+            rocket: { name: 'Cohete', prompt: 'Imagina que vuelas a la luna. ¡Cuenta las estrellas!' },
+            beach: { name: 'Playa', prompt: 'Imagina arena calentita y olas suaves. ¿Qué vas a construir?' },
+            rainbow: { name: 'Arcoíris', prompt: 'Imagina un gran arcoíris. ¿Puedes decir todos sus colores?' },
+            football: { name: 'Fútbol', prompt: 'Imagina que marcas el gol de la victoria. ¡Oye cómo aplaude el público!' },
+            train: { name: 'Tren', prompt: 'Imagina que viajas en tren. ¡Chucu chucu! ¿Adónde va?' },
+            fish: { name: 'Peces', prompt: 'Imagina que nadas con peces de colores. ¿Cuántos ves?' },
+            butterfly: { name: 'Mariposa', prompt: 'Imagina una mariposa posándose en tu dedo. ¿De qué colores son sus alas?' },
+            castle: { name: 'Castillo', prompt: 'Imagina que exploras un castillo. ¿Quién vive en la torre más alta?' }
+        }
+    },
+    quiz: {
+        title: '🧠 Concurso de dientes',
+        intro: {
+            one: '¿Cuánto sabes de dientes? ¡Responde {count} pregunta rápida!',
+            other: '¿Cuánto sabes de dientes? ¡Responde {count} preguntas rápidas!'
+        },
+        start: '▶️ Empezar el concurso',
+        firstTime: '¡Inténtalo! Las preguntas que falles volverán más tarde para que practiques.',
+        lastScore: 'La última vez: {correct} de {total}. Mejor puntuación: {best} %.',
+        questionOf: 'Pregunta {number} de {total}',
+        tryAgain: '¡Probemos esta otra vez!',
+        true: 'Verdad',
+        false: 'No es verdad',
+        cheers: {
+            great: '🎉 ¡Muy bien!',
+            smart: '🌟 ¡Lo sabías!',
+            star: '🦷 ¡Súper listo!'
+        },
+        answerWas: '¡Buen intento! La respuesta es {answer}.',
+        itsTrue: '¡Buen intento! Eso es verdad.',
+        itsFalse: '¡Buen intento! Eso no es verdad.',
+        comeBack: 'Te la volveremos a preguntar al final.',
+        next: 'Siguiente pregunta ➡️',
+        finish: 'Ver mi puntuación 🏁',
+        sort: {
+            start: 'Arrastra cada dibujo a una cesta, o toca un dibujo y luego una cesta.',
+            pickBasket: '¿Dónde va {item}? Toca una cesta.',
+            left: {
+                one: 'Falta {count} por ordenar.',
+                other: 'Faltan {count} por ordenar.'
+            },
+            ready: '¡Todo ordenado! Pulsa Comprobar.',
+            check: '✅ Comprobar',
+            wrong: {
+                one: '¡Buen intento! {count} dibujo está en la cesta equivocada.',
+                other: '¡Buen intento! {count} dibujos están en la cesta equivocada.'
+            }
+        },
+        summary: {
+            score: '¡Acertaste {correct} de {total}!',
+            perfect: '¡Todas bien! ¡Eres un genio de los dientes! 🎓',
+            good: '¡Buen trabajo! Sabes mucho de dientes.',
+            keepGoing: '¡Buen intento! Sigue practicando y pronto las sabrás todas.',
+            mastered: {
+                one: 'Ya te sabes muy bien {count} pregunta.',
+                other: 'Ya te sabes muy bien {count} preguntas.'
+            },
+            done: 'Terminado 👍',
+            again: '🔁 Jugar otra vez'
+        },
+        questions: {
+            'brush-times': {
+                prompt: '¿Cuántas veces al día debes cepillarte los dientes?',
+                options: [{ label: 'Una vez' }, { label: 'Dos veces' }, { label: 'Diez veces' }],
+                why: 'Cepíllate por la mañana y antes de dormir.',
+                variants: {
+                    '3-5': {
+                        prompt: '¿Cuántas veces al día nos cepillamos?',
+                        options: [{ label: 'Una vez' }, { label: 'Dos veces' }]
+                    }
+                }
+            },
+            'brush-minutes': {
+                prompt: '¿Cuánto tiempo debes cepillarte?',
+                options: [{ label: 'Unos segundos' }, { label: 'Dos minutos' }, { label: 'Toda la noche' }],
+                why: 'Dos minutos dan para limpiar bien cada diente. ¡El entrenador de cepillado te ayuda a contar!',
+                variants: {
+                    '3-5': {
+                        options: [{ label: 'Un poquito' }, { label: 'Dos minutos' }],
+                        why: 'Dos minutos es lo que dura una canción de cepillado.'
+                    },
+                    '9-12': {
+                        why: 'Dos minutos es más o menos lo que se tarda en limpiar la cara de fuera, la de dentro y la de masticar de cada diente.'
+                    }
+                }
+            },
+            'best-snack': {
+                prompt: '¿Qué merienda es mejor para tus dientes?',
+                options: [{ label: 'Piruleta' }, { label: 'Manzana' }, { label: 'Dónut' }],
+                why: 'La fruta crujiente es buena para los dientes. Los dulces pegajosos alimentan a los bichitos del azúcar.',
+                variants: {
+                    '3-5': {
+                        prompt: '¿Qué merienda es buena para tus dientes?',
+                        options: [{ label: 'Piruleta' }, { label: 'Manzana' }]
+                    },
+                    '9-12': {
+                        why: 'Los gérmenes de la placa convierten el azúcar en ácido. Los dulces pegajosos mantienen ese ácido más tiempo en los dientes, y la fruta crujiente ayuda a limpiarlos.'
+                    }
+                }
+            },
+            'floss-between': {
+                prompt: 'El hilo dental limpia entre los dientes, donde no llega el cepillo.',
+                why: 'El hilo dental saca la comida escondida entre tus dientes.',
+                variants: {
+                    '9-12': {
+                        why: 'Casi un tercio de la superficie de cada diente está entre los dientes, y solo el hilo dental llega ahí.'
+                    }
+                }
+            },
+            'water-rinse': {
+                prompt: 'Beber agua ayuda a quitar el azúcar de los dientes.',
+                why: 'El agua arrastra el azúcar y las bacterias, por eso es la mejor bebida para los dientes.',
+                variants: {
+                    '3-5': {
+                        prompt: 'El agua es buena para tus dientes.',
+                        why: '¡El agua es la mejor bebida para los dientes!'
+                    }
+                }
+            },
+            'fizzy-drinks': {
+                prompt: 'Los refrescos con gas son buenos para los dientes.',
+                why: 'Los refrescos tienen mucho azúcar. El agua o la leche son mucho mejores.',
+                variants: {
+                    '9-12': {
+                        prompt: 'Los refrescos sin azúcar no pueden dañar tus dientes.',
+                        why: 'Incluso los refrescos sin azúcar son ácidos, y el ácido ablanda el esmalte. El agua sigue siendo la mejor opción.'
+                    }
+                }
+            },
+            'stop-signal': {
+                prompt: 'Si necesitas un descanso, puedes levantar la mano y el dentista parará.',
+                why: 'Levantar la mano es tu señal de parar. Puedes practicarla en el rincón de la calma.',
+                variants: {
+                    '3-5': {
+                        prompt: 'Si necesitas un descanso, puedes levantar la mano.',
+                        why: 'Levantar la mano significa «para, por favor». El dentista te esperará.'
+                    }
+                }
+            },
+            'snack-sort': {
+                prompt: '¡Ordena las meriendas! ¿Cuáles cuidan los dientes y cuáles tienen azúcar?',
+                groups: [{ label: 'Cuidan los dientes' }, { label: 'Con azúcar' }],
+                items: [
+                    { label: 'Manzana' }, { label: 'Zanahoria' }, { label: 'Queso' },
+                    { label: 'Piruleta' }, { label: 'Pastel' }, { label: 'Refresco' }
+                ],
+                why: 'La fruta, la verdura y el queso cuidan los dientes. Deja los dulces para un capricho.',
+                variants: {
+                    '3-5': {
+                        prompt: '¡Ordena las meriendas!',
+                        items: [
+                            { label: 'Manzana' }, { label: 'Zanahoria' },
+                            { label: 'Piruleta' }, { label: 'Pastel' }
+                        ]
+                    }
+                }
+            },
+            'habit-sort': {
+                prompt: '¿Cuáles de estas cosas son buenas para tus dientes?',
+                groups: [{ label: 'Buenas para los dientes' }, { label: 'No son buenas' }],
+                items: [
+                    { label: 'Cepillarse antes de dormir' }, { label: 'Usar hilo dental' }, { label: 'Ir al dentista' },
+                    { label: 'Comer dulces todo el día' }, { label: 'Dormir sin cepillarse' }
+                ],
+                why: 'Cepillarse, usar hilo dental e ir al dentista mantienen sana tu sonrisa.',
+                variants: {
+                    '3-5': {
+                        items: [
+                            { label: 'Cepillarse antes de dormir' }, { label: 'Ir al dentista' },
+                            { label: 'Comer dulces todo el día' }, { label: 'Dormir sin cepillarse' }
+                        ]
+                    }
+                }
+            },
+            'cleaning-polish': {
+                prompt: '¿Qué deja tus dientes brillantes en una limpieza?',
+                options: [{ label: 'Un pulidor que hace cosquillas' }, { label: 'Una cera de colores' }, { label: 'Una esponja de cocina' }],
+                why: 'El pulidor gira y hace cosquillas para que tus dientes brillen.',
+                variants: {
+                    '3-5': {
+                        prompt: '¿Qué deja tus dientes brillantes?',
+                        options: [{ label: 'Un cepillo que hace cosquillas' }, { label: 'Una cera de colores' }]
+                    },
+                    '9-12': {
+                        prompt: '¿Qué usa el higienista para raspar el sarro duro?',
+                        options: [{ label: 'Un raspador' }, { label: 'Una esponja' }, { label: 'Un peine' }],
+                        why: 'El sarro es placa endurecida, así que el cepillo no puede quitarlo. El raspador lo retira con cuidado.'
+                    }
+                }
+            },
+            'xray-still': {
+                prompt: 'Para hacer una foto de los dientes, tienes que quedarte muy quieto.',
+                why: 'Quedarte quieto como una estatua hace que la foto salga clara.',
+                variants: {
+                    '9-12': {
+                        why: 'La cámara solo necesita un segundo. Si te mueves durante ese segundo, la imagen sale borrosa y quizá haya que repetirla.'
+                    }
+                }
+            },
+            'filling-hole': {
+                prompt: 'Un empaste arregla un agujerito en el diente.',
+                why: 'El dentista limpia el agujero y lo rellena para que tu diente vuelva a estar fuerte.',
+                variants: {
+                    '9-12': {
+                        why: 'Los gérmenes convierten el azúcar en ácido, que hace un agujero llamado caries. El dentista quita la parte dañada y rellena el hueco.'
+                    }
+                }
+            },
+            'checkup-mirror': {
+                prompt: '¿Qué usa el dentista para ver todos tus dientes?',
+                options: [{ label: 'Un espejito' }, { label: 'Un telescopio' }, { label: 'Un imán' }],
+                why: 'El espejito ayuda al dentista a ver la parte de atrás de tus dientes.',
+                variants: {
+                    '3-5': {
+                        options: [{ label: 'Un espejito' }, { label: 'Un telescopio' }]
+                    }
+                }
+            },
+            fluoride: {
+                prompt: '¿Qué hace el flúor de la pasta de dientes?',
+                options: [
+                    { label: 'Fortalece el esmalte' }, { label: 'Le da sabor a menta' },
+                    { label: 'Hace la espuma' }
+                ],
+                why: 'El flúor ayuda a reparar el esmalte que desgasta el ácido, así los dientes resisten mejor las caries.'
+            },
+            plaque: {
+                prompt: 'La placa es una capa pegajosa de gérmenes que se forma en los dientes cada día.',
+                why: 'Por eso nos cepillamos dos veces al día. La placa que se queda mucho tiempo se endurece y se convierte en sarro.'
+            },
+            'baby-teeth': {
+                prompt: 'Los dientes de leche no importan porque se caen de todos modos.',
+                why: 'Los dientes de leche guardan el sitio a los definitivos y te ayudan a masticar y hablar. Una caries en uno también puede doler.'
+            }
+        }
+    },
+    help: {
+        button: 'Pedir ayuda',
+        title: '❓ Ayuda e instrucciones',
+        howTo: 'Cómo usar Dental Kids:',
+        home: 'Empieza aquí tu aventura dental',
+        procedures: 'Aprende sobre los tratamientos dentales',
+        progress: 'Mira tus insignias y logros',
+        tips: 'Aprende a cuidar tus dientes',
+        stepsTitle: 'En cada tratamiento vas a:',
+        show: 'Ver lo que pasa',
+        tell: 'Aprender todo sobre ello',
+        do: 'Practicarlo tú mismo',
+        calmTitle: '¿Estás preocupado?',
+        calm: 'En el rincón de la calma puedes respirar, contar y hacer otras cosas para sentirte mejor.',
+        gotIt: '¡Entendido! 👍'
+    },
+    modal: {
+        close: 'Cerrar'
+    },
+    levels: {
+        ages: 'De {min} a {max} años',
+        auto: 'Según su edad ({level})'
+    },
+    profiles: {
+        switch: 'Cambiar de jugador',
+        whoIsPlaying: '¿Quién juega?',
+        pickerTitle: '¿Quién juega? 🦷',
+        nameLabel: 'Tu nombre',
+        buddyLabel: 'Elige un amigo',
+        ageLabel: '¿Cuántos años tienes?',
+        go: '¡Vamos! 🚀',
+        add: '➕ Añadir niño',
+        cancel: 'Cancelar',
+        manage: 'Administrar 🛠️',
+        done: 'Listo ✅',
+        age: '{age} años',
+        deleteLabel: 'Borrar a {name}',
+        deleteConfirm: 'Solo adultos: ¿borrar el perfil de {name} y todo su progreso?',
+        sum: '¿Cuánto es {a} × {b}?',
+        wrongAnswer: 'No es correcto. ¡Pide ayuda a un adulto!',
+        keep: 'Conservar',
+        delete: 'Borrar',
+        levelLabel: 'Nivel de contenido de {name}',
+        levelConfirm: 'Solo para adultos: ¿cambiar el nivel de contenido de {name} a «{level}»?',
+        levelChange: 'Cambiar',
+        addConfirm: 'Solo adultos: ¿añadir un perfil para {name}?',
+        addYes: 'Añadir'
+    },
+    plan: {
+        offerTitle: '📅 Un plan de tu dentista',
+        offerDate: 'Tu visita es el {date}',
+        offerIntro: 'Esto es lo que va a pasar:',
+        offerQuestion: '¿Añadir este plan a las aventuras de {name}?',
+        notNow: 'Ahora no',
+        accept: '¡Sí, añadirlo! ✅',
+        badFile: '🤔 Ese archivo no es un plan de visita. ¡Pide uno nuevo a tu dentista!',
+        loadNew: 'Cargar un plan nuevo',
+        loadPrompt: '¿Tu dentista te dio un plan de visita? Cárgalo aquí',
+        today: '¡Hoy es tu visita al dentista! ¡Tú puedes! 💪',
+        tomorrow: '¡Tu visita al dentista es mañana! 🌟',
+        daysLeft: {
+            one: '¡Falta {count} día para tu visita al dentista!',
+            other: '¡Faltan {count} días para tu visita al dentista!'
+        },
+        clinicianSays: '{name} dice:',
+        allReady: '¡Estás listo para tu visita! 🎉',
+        pathProgress: 'Tu camino: {done} de {total} aventuras listas',
+        nextUp: '¡La siguiente!',
+        ribbon: '📅 En mi visita'
+    },
+    tools: {
+        title: '💾 Archivos de progreso',
+        report: '🖨️ Mi informe dental de valentía',
+        saveJson: '💾 Guardar progreso',
+        saveCsv: '📊 Guardar como hoja de cálculo',
+        load: '📥 Cargar progreso',
+        pickFirst: '¡Primero elige quién juega! 👆',
+        badFile: '🤔 Ese archivo no es un progreso guardado de Dental Kids.'
+    },
+    audio: {
+        title: '🎚️ Volumen',
+        effects: 'Efectos de sonido',
+        musicVolume: 'Música',
+        narration: 'Voz lectora',
+        music: '🎵 Música tranquila de fondo'
+    },
+    motion: {
+        title: '🐢 Movimiento',
+        auto: 'Como este dispositivo',
+        reduce: 'Menos movimiento',
+        full: 'Todas las animaciones'
+    },
+    update: {
+        available: '✨ ¡Hay una nueva versión de Dental Kids lista!',
+        now: 'Actualizar ahora',
+        later: 'Más tarde'
+    },
+    kiosk: {
+        exit: 'Personal: salir del modo quiosco',
+        exitTitle: '🔒 Solo personal',
+        exitIntro: 'Escribe el PIN del personal para salir del modo quiosco.',
+        pinLabel: 'PIN del personal',
+        unlock: 'Desbloquear',
+        cancel: 'Cancelar',
+        wrongPin: 'Ese PIN no es correcto. Inténtalo otra vez.',
+        lockedOut: 'Demasiados intentos. Espera un minuto.',
+        exited: 'El modo quiosco está desactivado.',
+        guestName: 'Invitado · {time}',
+        attractTitle: 'Dental Kids',
+        touchToStart: '¡Toca para jugar!',
+        attract: {
+            hello: '¡Hola! ¡Soy el Dr. Dientín! 👋',
+            explore: '¿Quieres ver qué pasa en el dentista?',
+            badges: '¡Juega y gana insignias brillantes! 🏆',
+            calm: '¿Estás inquieto? ¡Respiremos juntos! 🫧'
+        }
+    },
+    parent: {
+        open: 'Adultos: mantén pulsado',
+        openLong: '👪 Adultos: mantén pulsado',
+        title: 'Solo para adultos 👪',
+        gateMessage: 'Solo para adultos: responde para abrir el área de padres.',
+        unlock: 'Abrir',
+        cancel: 'Cancelar',
+        done: 'Listo ✅',
+        forChild: 'Ajustes y progreso de {name}',
+        noChild: 'Elige quién juega para ver sus ajustes.',
+        settingsTitle: '⚙️ Ajustes',
+        sound: 'Sonido',
+        limit: 'Límite de tiempo diario',
+        noLimit: 'Sin límite',
+        minutes: {
+            one: '{count} minuto',
+            other: '{count} minutos'
+        },
+        limitLeft: 'Quedan {time} hoy',
+        timeUpTitle: '¡Eso es todo por hoy!',
+        activityTitle: '📊 Actividad',
+        stats: {
+            today: 'Hoy',
+            week: 'Últimos 7 días',
+            total: 'En total',
+            visits: 'Visitas',
+            adventures: 'Aventuras terminadas',
+            brushing: 'Racha de cepillado (días)',
+            calm: 'Visitas al rincón de la calma',
+            quiz: 'Mejor resultado del cuestionario'
+        },
+        badgesTitle: {
+            one: '🏆 {count} insignia',
+            other: '🏆 {count} insignias'
+        },
+        noBadges: 'Todavía no hay insignias.',
+        feelingsTitle: '💭 Cómo se sintió',
+        resetTitle: '🧹 Empezar de nuevo',
+        resetIntro: 'Borra aventuras, insignias y sentimientos. Los ajustes y el plan de visita se conservan.',
+        reset: 'Borrar progreso',
+        resetConfirm: '¿Borrar todo el progreso de {name}?',
+        resetYes: 'Sí, borrar'
+    },
+    import: {
+        title: '📥 Cargar progreso',
+        from: 'Progreso de {name}',
+        fromSaved: 'Progreso de {name}, guardado el {date}',
+        someone: 'alguien',
+        summary: '{procedures} aventuras · {badges} insignias · {ratings} sentimientos',
+        explain: '"Añadir a" conserva todo lo que {name} ya tiene. "Reemplazar" lo cambia por lo que hay en el archivo.',
+        cancel: 'Cancelar',
+        replace: 'Reemplazar',
+        merge: 'Añadir a {name} ✅',
+        replaceTitle: '¿Reemplazar el progreso de {name}?',
+        replaceWarning: 'Sus aventuras, insignias y sentimientos actuales en este dispositivo se borrarán.',
+        back: 'Volver',
+        confirmReplace: 'Sí, reemplazar',
+        done: '¡Todo cargado!',
+        conflictsIntro: 'Algunas cosas eran diferentes. Esto es lo que conservamos:',
+        great: '¡Genial! 👍',
+        conflict: {
+            gameScore: 'Mejor puntuación en {procedure}: {here} aquí, {file} en el archivo. Conservamos {kept}.',
+            ratingBefore: 'Sentimiento en {procedure} (antes) el {date}: {here} aquí, {file} en el archivo. Conservamos {kept}.',
+            ratingAfter: 'Sentimiento en {procedure} (después) el {date}: {here} aquí, {file} en el archivo. Conservamos {kept}.',
+            visitPlan: 'Plan de visita: {here} aquí, {file} en el archivo. Conservamos {kept}.'
+        }
+    },
+    report: {
+        documentTitle: '🦷 Mi informe de valentía dental - Dental Kids',
+        childTitle: '🦷 Informe de valentía dental de {name}',
+        actionsLabel: 'Acciones del informe',
+        back: '← Volver a Dental Kids',
+        print: '🖨️ Imprimir',
+        loading: 'Cargando el informe...',
+        noProfile: 'Primero elige quién juega en Dental Kids y luego vuelve a abrir el informe.',
+        title: 'Mi informe de valentía dental',
+        printed: 'Impreso el {date}',
+        age: '{age} años',
+        nextVisit: '🗓️ Próxima visita: {date}',
+        stats: {
+            learned: 'Aventuras aprendidas',
+            badges: 'Insignias de valentía',
+            visits: 'Visitas a la app',
+            time: 'Tiempo de práctica'
+        },
+        minutes: {
+            one: '{count} min',
+            other: '{count} min'
+        },
+        adventuresTitle: 'Mis aventuras',
+        adventure: 'Aventura',
+        status: 'Estado',
+        bestScore: 'Mejor puntuación',
+        learned: '✅ Aprendida',
+        notYet: 'Todavía no',
+        feelingsTitle: 'Qué valiente me siento',
+        noFeelings: 'Todavía no hay sentimientos registrados.',
+        scale: 'Preocupación en una escala de caras de 0 (tranquilo) a 10 (muy asustado).',
+        date: 'Fecha',
+        before: 'Antes',
+        after: 'Después',
+        badgesTitle: 'Mis insignias',
+        noBadges: 'Todavía no hay insignias. ¡La primera está a solo una aventura!',
+        notesTitle: 'Notas para el equipo dental',
+        footer: 'Dental Kids · Mira, Escucha, Hazlo'
+    }
+});
@@ -0,0 +1,120 @@
+// js/mascot.js - Dr. Toothy character with speech bubbles and expressions
+
+/**
+ * Dental Kids App - Dr. Toothy
+ * A character that can be put on any screen: give an element a
+ * data-mascot attribute and hand it to new Mascot(). Dr. Toothy reacts
+ * to app events by pulling a face and saying a line from the script
+ * below. Lines are translated under "mascot.<event>.<line>" and take
+ * turns, so the same event doesn't always get the same line.
+ */
+
+const MASCOT_BUBBLE_SECONDS = 6;
+
+/**
+ * Seconds without a touch mid-procedure before Dr. Toothy checks in
+ */
+const MASCOT_PAUSE_SECONDS = 20;
+
+/**
+ * Faces are drawn over the tooth as eyes and a mouth
+ */
+const MASCOT_EXPRESSIONS = {
+    happy: { eyes: '👀', mouth: '😊' },
+    waving: { eyes: '👀', mouth: '👋' },
+    cheering: { eyes: '🤩', mouth: '🎉' },
+    thinking: { eyes: '👀', mouth: '🤔' },
+    encouraging: { eyes: '🥰', mouth: '💪' },
+    excited: { eyes: '✨', mouth: '😄' }
+};
+
+/**
+ * What Dr. Toothy says for each event, and the face that goes with it
+ */
+const MASCOT_SCRIPT = {
+    firstVisit: { expression: 'waving', lines: ['hello', 'explore'] },
+    returnVisit: { expression: 'happy', lines: ['welcomeBack', 'visits', 'missedYou'] },
+    badge: { expression: 'cheering', lines: ['wow', 'proud', 'collect'] },
+    pause: { expression: 'encouraging', lines: ['takeYourTime', 'breathe', 'ready'] },
+    'step.show': { expression: 'happy', lines: ['look', 'tools'] },
+    'step.tell': { expression: 'thinking', lines: ['listen', 'why'] },
+    'step.do': { expression: 'excited', lines: ['yourTurn', 'try'] },
+    'step.complete': { expression: 'cheering', lines: ['didIt', 'brave'] },
+    timeAlmostUp: { expression: 'encouraging', lines: ['fewMinutes'] },
+    timeUp: { expression: 'waving', lines: ['seeYou', 'rest'] },
+    grownUpsOnly: { expression: 'thinking', lines: ['holdIt'] }
+};
+
+class Mascot {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.bubbleSeconds = options.bubbleSeconds || MASCOT_BUBBLE_SECONDS;
+        this.turns = {};
+        this.timer = null;
+        this.expression = 'happy';
+        this.render();
+    }
+
+    render() {
+        this.element.classList.add('dr-toothy');
+        this.element.innerHTML = `
+            <p class="mascot-bubble" role="status" aria-live="polite" hidden></p>
+            <div class="mascot-tooth" aria-hidden="true">
+                🦷
+                <div class="mascot-face">
+                    <span class="eyes"></span>
+                    <span class="smile"></span>
+                </div>
+            </div>
+        `;
+        this.setExpression(this.expression);
+    }
+
+    setExpression(name) {
+        const face = MASCOT_EXPRESSIONS[name] ? name : 'happy';
+        this.element.querySelector('.eyes').textContent = MASCOT_EXPRESSIONS[face].eyes;
+        this.element.querySelector('.smile').textContent = MASCOT_EXPRESSIONS[face].mouth;
+        this.element.dataset.expression = face;
+        this.expression = face;
+    }
+
+    /**
+     * React to an event with its next line; returns what was said
+     */
+    say(event, params = {}) {
+        const script = MASCOT_SCRIPT[event];
+        if (!script) {
+            console.warn(`⚠️ Dr. Toothy has no lines for "${event}"`);
+            return null;
+        }
+
+        const turn = this.turns[event] || 0;
+        this.turns[event] = turn + 1;
+        const text = I18n.t(`mascot.${event}.${script.lines[turn % script.lines.length]}`, params);
+
+        const bubble = this.element.querySelector('.mascot-bubble');
+        bubble.textContent = text;
+        bubble.hidden = false;
+        this.setExpression(script.expression);
+
+        // Replay the pop so a new line is noticed even if the bubble was showing
+        this.element.classList.remove('speaking');
+        void this.element.offsetWidth;
+        this.element.classList.add('speaking');
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.quiet(), this.bubbleSeconds * 1000);
+        return text;
+    }
+
+    /**
+     * Close the bubble and go back to a smile
+     */
+    quiet() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.element.querySelector('.mascot-bubble').hidden = true;
+        this.element.classList.remove('speaking');
+        this.setExpression('happy');
+    }
+}
@@ -0,0 +1,590 @@
+// js/minigames.js - Interactive "Do" practice games for each procedure
+
+/**
+ * Dental Kids App - Mini-Games
+ * One gentle, no-fail practice activity per procedure. Games use Pointer
+ * Events so the same code handles touch, pen and mouse, and every game
+ * can also be played from the keyboard or a switch. How hard each game
+ * is follows the child's age band (see js/levels.js).
+ */
+
+const MINIGAME_ARROW_MOVES = {
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 }
+};
+
+/**
+ * Game settings by age band: fewer, bigger targets for little ones and
+ * more, smaller ones for older children
+ */
+const MINIGAME_LEVELS = {
+    polish: {
+        '3-5': { spots: 3, reach: 16, scrub: 12 },
+        '6-8': { spots: 5, reach: 12, scrub: 8 },
+        '9-12': { spots: 7, reach: 9, scrub: 6 }
+    },
+    'hold-still': {
+        '3-5': { seconds: 2, wiggle: 45 },
+        '6-8': { seconds: 3, wiggle: 30 },
+        '9-12': { seconds: 5, wiggle: 20 }
+    },
+    filling: {
+        '3-5': { taps: 2 },
+        '6-8': { taps: 3 },
+        '9-12': { taps: 4 }
+    },
+    'sugar-bugs': {
+        '3-5': { bugs: 3, light: 18 },
+        '6-8': { bugs: 5, light: 14 },
+        '9-12': { bugs: 7, light: 10 }
+    }
+};
+
+/**
+ * Base class with shared lifecycle, pointer helpers and scoring
+ */
+class MiniGame {
+    constructor(stage, options = {}) {
+        this.stage = stage;
+        this.options = options;
+        this.tuning = options.tuning || {};
+        this.listeners = [];
+        this.timers = [];
+        this.finished = false;
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Render the game into the stage and bind its events
+     */
+    mount() {
+        this.stage.classList.add('minigame-stage-active');
+        this.render();
+        this.bind();
+        return this;
+    }
+
+    /**
+     * Remove listeners and timers when the step changes or the modal closes
+     */
+    destroy() {
+        this.listeners.forEach(({ target, type, handler }) => {
+            target.removeEventListener(type, handler);
+        });
+        this.timers.forEach(timer => clearInterval(timer));
+        this.listeners = [];
+        this.timers = [];
+    }
+
+    render() {}
+
+    bind() {}
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    every(callback, interval) {
+        const timer = setInterval(callback, interval);
+        this.timers.push(timer);
+        return timer;
+    }
+
+    /**
+     * Update the friendly status line under the game
+     */
+    setStatus(message) {
+        const status = this.stage.querySelector('.minigame-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    tone(frequency, duration, type) {
+        if (this.options.playTone) {
+            this.options.playTone(frequency, duration, type);
+        }
+    }
+
+    /**
+     * Get pointer position as a percentage of the play area
+     */
+    pointerPosition(event, area) {
+        const rect = area.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+
+        return {
+            x: ((event.clientX - rect.left) / rect.width) * 100,
+            y: ((event.clientY - rect.top) / rect.height) * 100
+        };
+    }
+
+    /**
+     * Move a position (in percent) with the arrow keys, or null for other keys
+     */
+    arrowPosition(event, position, step = 5) {
+        const move = MINIGAME_ARROW_MOVES[event.key];
+        if (!move) return null;
+
+        event.preventDefault();
+        return {
+            x: Math.max(0, Math.min(100, position.x + move.x * step)),
+            y: Math.max(0, Math.min(100, position.y + move.y * step))
+        };
+    }
+
+    /**
+     * Seconds since the game started
+     */
+    elapsedSeconds() {
+        return Math.round((Date.now() - this.startedAt) / 1000);
+    }
+
+    /**
+     * Finish the game once, reporting a 0-100 score
+     */
+    succeed(score, message) {
+        if (this.finished) return;
+        this.finished = true;
+
+        const finalScore = Math.max(0, Math.min(100, Math.round(score)));
+        this.stage.classList.add('minigame-success');
+        this.setStatus(message);
+        this.destroy();
+
+        if (this.options.onComplete) {
+            this.options.onComplete({ score: finalScore, seconds: this.elapsedSeconds() });
+        }
+    }
+}
+
+/**
+ * Cleaning: drag the polisher to scrub plaque spots off a tooth
+ */
+class PolishGame extends MiniGame {
+    constructor(stage, options) {
+        super(stage, options);
+        this.spots = [
+            { x: 30, y: 30 }, { x: 66, y: 64 }, { x: 62, y: 26 },
+            { x: 28, y: 68 }, { x: 45, y: 52 }, { x: 46, y: 30 }, { x: 50, y: 72 }
+        ].slice(0, this.tuning.spots).map(spot => Object.assign({ dirt: 100 }, spot));
+        this.dragging = false;
+        this.position = { x: 80, y: 80 };
+    }
+
+    render() {
+        const spots = this.spots.map((spot, index) =>
+            `<span class="plaque-spot" data-spot="${index}" style="left: ${spot.x}%; top: ${spot.y}%;"></span>`
+        ).join('');
+
+        this.stage.innerHTML = `
+            <div class="minigame-area polish-area" tabindex="0" role="group" aria-label="${I18n.t('games.polish.keys')}">
+                <div class="polish-tooth">🦷</div>
+                ${spots}
+                <div class="polisher" style="left: 80%; top: 80%;">🪥</div>
+            </div>
+            <p class="minigame-status" role="status">${I18n.t('games.polish.start')}</p>
+        `;
+        this.area = this.stage.querySelector('.polish-area');
+        this.polisher = this.stage.querySelector('.polisher');
+    }
+
+    bind() {
+        this.listen(this.area, 'pointerdown', event => {
+            this.dragging = true;
+            if (this.area.setPointerCapture) {
+                this.area.setPointerCapture(event.pointerId);
+            }
+            this.scrub(event);
+        });
+        this.listen(this.area, 'pointermove', event => {
+            if (this.dragging) {
+                this.scrub(event);
+            }
+        });
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            this.listen(this.area, type, () => {
+                this.dragging = false;
+            });
+        });
+        this.listen(this.area, 'keydown', event => {
+            const position = this.arrowPosition(event, this.position);
+            if (position) {
+                this.scrubAt(position);
+            }
+        });
+    }
+
+    scrub(event) {
+        const position = this.pointerPosition(event, this.area);
+        if (position) {
+            this.scrubAt(position);
+        }
+    }
+
+    scrubAt(position) {
+        this.position = position;
+        this.polisher.style.left = `${position.x}%`;
+        this.polisher.style.top = `${position.y}%`;
+
+        this.spots.forEach((spot, index) => {
+            if (spot.dirt <= 0) return;
+
+            const distance = Math.hypot(spot.x - position.x, spot.y - position.y);
+            if (distance < this.tuning.reach) {
+                spot.dirt -= this.tuning.scrub;
+                const element = this.area.querySelector(`[data-spot="${index}"]`);
+                element.style.opacity = Math.max(spot.dirt, 0) / 100;
+
+                if (spot.dirt <= 0) {
+                    element.classList.add('clean');
+                    this.tone(880, 0.1, 'sine');
+                }
+            }
+        });
+
+        const remaining = this.spots.filter(spot => spot.dirt > 0).length;
+        if (remaining === 0) {
+            this.succeed(100 - this.elapsedSeconds(), I18n.t('games.polish.done'));
+        } else {
+            this.setStatus(I18n.t('games.polish.left', { count: remaining }));
+        }
+    }
+}
+
+/**
+ * X-ray: hold still on the bite-wing while the camera counts down
+ */
+class HoldStillGame extends MiniGame {
+    constructor(stage, options) {
+        super(stage, options);
+        this.countdownFrom = this.tuning.seconds;
+        this.remaining = this.countdownFrom;
+        this.retries = 0;
+        this.holdStart = null;
+        this.countdown = null;
+    }
+
+    render() {
+        this.stage.innerHTML = `
+            <div class="minigame-area hold-area">
+                <div class="xray-camera">📸</div>
+                <button class="bite-wing" type="button">
+                    <span class="bite-wing-icon">😬</span>
+                    <span class="bite-wing-label">${I18n.t('games.hold.button')}</span>
+                </button>
+                <div class="hold-countdown" aria-live="polite"></div>
+            </div>
+            <p class="minigame-status" role="status">${I18n.t('games.hold.start')}</p>
+        `;
+        this.biteWing = this.stage.querySelector('.bite-wing');
+        this.countdownDisplay = this.stage.querySelector('.hold-countdown');
+    }
+
+    bind() {
+        this.listen(this.biteWing, 'pointerdown', event => {
+            event.preventDefault();
+            if (this.biteWing.setPointerCapture) {
+                this.biteWing.setPointerCapture(event.pointerId);
+            }
+            this.startHold({ x: event.clientX, y: event.clientY });
+        });
+        this.listen(this.biteWing, 'pointermove', event => {
+            if (!this.holdStart || this.holdStart.keyboard) return;
+
+            const moved = Math.hypot(event.clientX - this.holdStart.x, event.clientY - this.holdStart.y);
+            if (moved > this.tuning.wiggle) {
+                this.stopHold(I18n.t('games.hold.wiggly'));
+            }
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.listen(this.biteWing, type, () => {
+                if (this.holdStart) {
+                    this.stopHold(I18n.t('games.hold.early'));
+                }
+            });
+        });
+
+        // Holding Space or Enter (or a switch mapped to them) works too
+        this.listen(this.biteWing, 'keydown', event => {
+            if (!this.isHoldKey(event)) return;
+
+            event.preventDefault();
+            if (!event.repeat && !this.holdStart) {
+                this.startHold({ keyboard: true });
+            }
+        });
+        ['keyup', 'blur'].forEach(type => {
+            this.listen(this.biteWing, type, event => {
+                if (this.holdStart && (type === 'blur' || this.isHoldKey(event))) {
+                    this.stopHold(I18n.t('games.hold.early'));
+                }
+            });
+        });
+    }
+
+    isHoldKey(event) {
+        return event.key === ' ' || event.key === 'Enter';
+    }
+
+    startHold(point) {
+        this.holdStart = point;
+        this.remaining = this.countdownFrom;
+        this.biteWing.classList.add('holding');
+        this.countdownDisplay.textContent = this.remaining;
+        this.setStatus(I18n.t('games.hold.still'));
+        this.tone(523, 0.15, 'sine');
+
+        this.countdown = this.every(() => {
+            this.remaining -= 1;
+
+            if (this.remaining > 0) {
+                this.countdownDisplay.textContent = this.remaining;
+                this.tone(523 + (this.countdownFrom - this.remaining) * 130, 0.15, 'sine');
+            } else {
+                this.countdownDisplay.textContent = I18n.t('games.hold.click');
+                this.biteWing.classList.remove('holding');
+                this.holdStart = null;
+                this.succeed(100 - this.retries * 15, I18n.t('games.hold.done'));
+            }
+        }, 1000);
+    }
+
+    stopHold(message) {
+        clearInterval(this.countdown);
+        this.holdStart = null;
+        this.retries += 1;
+        this.biteWing.classList.remove('holding');
+        this.countdownDisplay.textContent = '';
+        this.setStatus(message);
+    }
+}
+
+/**
+ * Filling: tap to wash, fill and shine a cavity
+ */
+class FillingGame extends MiniGame {
+    constructor(stage, options) {
+        super(stage, options);
+        this.phases = [
+            { id: 'wash', icon: '💧' },
+            { id: 'fill', icon: '🧱' },
+            { id: 'shine', icon: '🔦' }
+        ].map(phase => Object.assign({
+            label: I18n.t(`games.filling.${phase.id}`),
+            message: I18n.t(`games.filling.${phase.id}Hint`)
+        }, phase));
+        this.tapsPerPhase = this.tuning.taps;
+        this.phaseIndex = 0;
+        this.taps = 0;
+        this.selectedTool = null;
+        this.hints = 0;
+    }
+
+    render() {
+        const tools = this.phases.map(phase => `
+            <button class="filling-tool" type="button" data-tool="${phase.id}">
+                <span class="filling-tool-icon">${phase.icon}</span>
+                <span class="filling-tool-label">${phase.label}</span>
+            </button>
+        `).join('');
+
+        this.stage.innerHTML = `
+            <div class="minigame-area filling-area">
+                <button class="cavity-tooth" type="button" aria-label="${I18n.t('games.filling.cavity')}">
+                    <span class="cavity-tooth-icon">🦷</span>
+                    <span class="cavity-hole" data-phase="wash"></span>
+                </button>
+                <div class="filling-tools">${tools}</div>
+            </div>
+            <p class="minigame-status" role="status">${I18n.t('games.filling.first', { tool: this.toolName(this.phases[0]) })}</p>
+        `;
+        this.cavity = this.stage.querySelector('.cavity-tooth');
+        this.hole = this.stage.querySelector('.cavity-hole');
+        this.highlightTool();
+    }
+
+    bind() {
+        this.stage.querySelectorAll('.filling-tool').forEach(tool => {
+            this.listen(tool, 'click', () => this.selectTool(tool.dataset.tool));
+        });
+        this.listen(this.cavity, 'click', () => this.tapCavity());
+    }
+
+    toolName(phase) {
+        return `${phase.icon} ${phase.label}`;
+    }
+
+    highlightTool() {
+        const phase = this.phases[this.phaseIndex];
+        this.stage.querySelectorAll('.filling-tool').forEach(tool => {
+            tool.classList.toggle('suggested', phase && tool.dataset.tool === phase.id);
+            tool.classList.toggle('selected', tool.dataset.tool === this.selectedTool);
+        });
+    }
+
+    selectTool(toolId) {
+        this.selectedTool = toolId;
+        this.highlightTool();
+        this.tone(660, 0.08, 'sine');
+
+        const phase = this.phases[this.phaseIndex];
+        if (toolId === phase.id) {
+            this.setStatus(phase.message);
+        } else {
+            this.hints += 1;
+            this.setStatus(I18n.t('games.filling.wrongTool', { tool: this.toolName(phase) }));
+        }
+    }
+
+    tapCavity() {
+        const phase = this.phases[this.phaseIndex];
+
+        if (this.selectedTool !== phase.id) {
+            this.hints += 1;
+            this.setStatus(I18n.t('games.filling.pickTool', { tool: this.toolName(phase) }));
+            return;
+        }
+
+        this.taps += 1;
+        this.hole.style.setProperty('--phase-progress', this.taps / this.tapsPerPhase);
+        this.cavity.classList.add('tapped');
+        setTimeout(() => this.cavity.classList.remove('tapped'), 150);
+        this.tone(600 + this.taps * 80, 0.08, 'triangle');
+
+        if (this.taps < this.tapsPerPhase) {
+            this.setStatus(I18n.t('games.filling.tapsLeft', { tool: phase.icon, count: this.tapsPerPhase - this.taps }));
+            return;
+        }
+
+        this.phaseIndex += 1;
+        this.taps = 0;
+        this.selectedTool = null;
+
+        if (this.phaseIndex >= this.phases.length) {
+            this.hole.dataset.phase = 'done';
+            this.highlightTool();
+            this.succeed(100 - this.hints * 5, I18n.t('games.filling.done'));
+            return;
+        }
+
+        const next = this.phases[this.phaseIndex];
+        this.hole.dataset.phase = next.id;
+        this.hole.style.setProperty('--phase-progress', 0);
+        this.highlightTool();
+        this.setStatus(I18n.t('games.filling.next', { tool: this.toolName(next) }));
+    }
+}
+
+/**
+ * Checkup: move the mirror and light to find hidden sugar bugs
+ */
+class SugarBugHuntGame extends MiniGame {
+    constructor(stage, options) {
+        super(stage, options);
+        this.bugs = [
+            { x: 22, y: 35 }, { x: 68, y: 72 }, { x: 50, y: 25 },
+            { x: 35, y: 70 }, { x: 78, y: 38 }, { x: 50, y: 50 }, { x: 12, y: 62 }
+        ].slice(0, this.tuning.bugs).map(bug => Object.assign({ found: false }, bug));
+        this.lightRadius = this.tuning.light;
+        this.position = { x: 50, y: 50 };
+    }
+
+    render() {
+        const bugs = this.bugs.map((bug, index) =>
+            `<span class="sugar-bug" data-bug="${index}" style="left: ${bug.x}%; top: ${bug.y}%;">🐛</span>`
+        ).join('');
+
+        this.stage.innerHTML = `
+            <div class="minigame-area hunt-area" style="--light-x: 50%; --light-y: 50%;" tabindex="0" role="group" aria-label="${I18n.t('games.hunt.keys')}">
+                <div class="hunt-teeth">🦷🦷🦷🦷<br>🦷🦷🦷🦷</div>
+                ${bugs}
+                <div class="hunt-darkness"></div>
+                <div class="hunt-mirror">🪞</div>
+            </div>
+            <p class="minigame-status" role="status">${I18n.t('games.hunt.start', { count: this.bugs.length })}</p>
+        `;
+        this.area = this.stage.querySelector('.hunt-area');
+        this.mirror = this.stage.querySelector('.hunt-mirror');
+    }
+
+    bind() {
+        this.listen(this.area, 'pointerdown', event => {
+            if (this.area.setPointerCapture) {
+                this.area.setPointerCapture(event.pointerId);
+            }
+            this.explore(event);
+        });
+        this.listen(this.area, 'pointermove', event => this.explore(event));
+        this.listen(this.area, 'keydown', event => {
+            const position = this.arrowPosition(event, this.position);
+            if (position) {
+                this.exploreAt(position);
+            }
+        });
+    }
+
+    explore(event) {
+        const position = this.pointerPosition(event, this.area);
+        if (position) {
+            this.exploreAt(position);
+        }
+    }
+
+    exploreAt(position) {
+        this.position = position;
+        this.area.style.setProperty('--light-x', `${position.x}%`);
+        this.area.style.setProperty('--light-y', `${position.y}%`);
+        this.mirror.style.left = `${position.x}%`;
+        this.mirror.style.top = `${position.y}%`;
+
+        this.bugs.forEach((bug, index) => {
+            if (bug.found) return;
+
+            if (Math.hypot(bug.x - position.x, bug.y - position.y) < this.lightRadius) {
+                bug.found = true;
+                this.area.querySelector(`[data-bug="${index}"]`).classList.add('found');
+                this.tone(988, 0.12, 'sine');
+            }
+        });
+
+        const remaining = this.bugs.filter(bug => !bug.found).length;
+        if (remaining === 0) {
+            this.succeed(100 - this.elapsedSeconds(), I18n.t('games.hunt.done'));
+        } else if (remaining < this.bugs.length) {
+            this.setStatus(I18n.t('games.hunt.found', { count: remaining }));
+        }
+    }
+}
+
+const MiniGames = {
+    registry: {
+        polish: PolishGame,
+        'hold-still': HoldStillGame,
+        filling: FillingGame,
+        'sugar-bugs': SugarBugHuntGame
+    },
+
+    has(gameId) {
+        return Boolean(this.registry[gameId]);
+    },
+
+    /**
+     * Create and mount a game into its stage element, tuned for
+     * options.level (an age band)
+     */
+    create(gameId, stage, options = {}) {
+        const Game = this.registry[gameId];
+        if (!Game) {
+            console.error(`❌ Unknown mini-game: ${gameId}`);
+            return null;
+        }
+
+        const levels = MINIGAME_LEVELS[gameId] || {};
+        const tuning = levels[options.level] || levels[AGE_BAND_DEFAULT] || {};
+        return new Game(stage, Object.assign({}, options, { tuning })).mount();
+    }
+};
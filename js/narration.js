@@ -0,0 +1,171 @@
+// js/narration.js - Read-aloud narration with sentence highlighting
+
+/**
+ * Dental Kids App - Narration
+ * Reads text aloud for children who can't read yet, using the browser's
+ * speech synthesis. Elements marked with data-narrate are split into
+ * sentences, spoken in document order, and the sentence being spoken is
+ * highlighted.
+ */
+
+const NARRATION_SENTENCE_CLASS = 'narration-sentence';
+const NARRATION_CURRENT_CLASS = 'narration-current';
+
+class Narrator {
+    constructor(options = {}) {
+        this.synth = window.speechSynthesis || null;
+        this.onStateChange = options.onStateChange || (() => {});
+        this.rate = options.rate || 0.9;
+        this.volume = options.volume === undefined ? 1 : options.volume;
+        this.sentences = [];
+        this.index = 0;
+        this.state = 'idle';
+        this.run = 0;
+    }
+
+    isSupported() {
+        return Boolean(this.synth) && typeof window.SpeechSynthesisUtterance === 'function';
+    }
+
+    /**
+     * Wrap the text of every [data-narrate] element under root in sentence
+     * spans so each one can be highlighted. Elements with markup inside are
+     * kept whole and highlighted as a single sentence.
+     */
+    prepare(root) {
+        const sentences = [];
+
+        root.querySelectorAll('[data-narrate]').forEach(element => {
+            const wrapped = element.querySelectorAll(`.${NARRATION_SENTENCE_CLASS}`);
+            if (element.classList.contains(NARRATION_SENTENCE_CLASS)) {
+                sentences.push(element);
+            } else if (wrapped.length > 0) {
+                sentences.push(...wrapped);
+            } else if (element.children.length > 0) {
+                element.classList.add(NARRATION_SENTENCE_CLASS);
+                sentences.push(element);
+            } else {
+                const text = element.textContent.trim();
+                element.innerHTML = this.splitSentences(text)
+                    .map(sentence => `<span class="${NARRATION_SENTENCE_CLASS}">${escapeHTML(sentence)}</span>`)
+                    .join(' ');
+                sentences.push(...element.querySelectorAll(`.${NARRATION_SENTENCE_CLASS}`));
+            }
+        });
+
+        return sentences.filter(sentence => this.spokenText(sentence));
+    }
+
+    splitSentences(text) {
+        if (window.Intl && Intl.Segmenter) {
+            const segmenter = new Intl.Segmenter(I18n.locale, { granularity: 'sentence' });
+            return Array.from(segmenter.segment(text), part => part.segment.trim()).filter(Boolean);
+        }
+        return text.split(/(?<=[.!?؟…])\s+/).filter(Boolean);
+    }
+
+    /**
+     * Text to speak, without emoji the voice would read out by name
+     */
+    spokenText(element) {
+        return element.textContent.replace(/\p{Extended_Pictographic}|\u200D|\uFE0F/gu, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Read every narratable element under root from the beginning
+     */
+    speak(root) {
+        if (!this.isSupported() || !root) return false;
+
+        this.stop();
+        this.sentences = this.prepare(root);
+        this.index = 0;
+        if (this.sentences.length === 0) return false;
+
+        this.speakNext(this.run);
+        return true;
+    }
+
+    speakNext(run) {
+        if (run !== this.run) return;
+
+        this.clearHighlight();
+        const sentence = this.sentences[this.index];
+        if (!sentence) {
+            this.setState('idle');
+            return;
+        }
+
+        const utterance = new SpeechSynthesisUtterance(this.spokenText(sentence));
+        utterance.lang = I18n.locale;
+        utterance.rate = this.rate;
+        utterance.volume = this.volume;
+        const voice = this.voiceFor(I18n.locale);
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        utterance.onend = () => {
+            this.index += 1;
+            this.speakNext(run);
+        };
+        utterance.onerror = event => {
+            if (run !== this.run) return;
+            console.warn('⚠️ Narration stopped:', event.error);
+            this.stop();
+        };
+
+        sentence.classList.add(NARRATION_CURRENT_CLASS);
+        this.setState('speaking');
+        this.synth.speak(utterance);
+    }
+
+    voiceFor(locale) {
+        const voices = this.synth.getVoices();
+        return voices.find(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === locale) || null;
+    }
+
+    pause() {
+        if (this.state !== 'speaking') return;
+        this.synth.pause();
+        this.setState('paused');
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+        this.synth.resume();
+        this.setState('speaking');
+    }
+
+    togglePause() {
+        if (this.state === 'paused') {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Stop speaking; callbacks from the cancelled utterance are ignored
+     */
+    stop() {
+        this.run += 1;
+        if (this.synth && (this.state !== 'idle' || this.synth.speaking)) {
+            this.synth.cancel();
+        }
+        this.clearHighlight();
+        this.sentences = [];
+        this.index = 0;
+        this.setState('idle');
+    }
+
+    clearHighlight() {
+        this.sentences.forEach(sentence => sentence.classList.remove(NARRATION_CURRENT_CLASS));
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        this.onStateChange(state);
+    }
+}
@@ -0,0 +1,90 @@
+// js/offline.js - Service worker registration and app updates
+
+/**
+ * Dental Kids App - Offline & Updates
+ * Registers sw.js so the app keeps working without Wi-Fi, and notices
+ * when a new version has been downloaded. The new version only takes
+ * over (and the page reloads) when the app says it's a good moment.
+ */
+
+const SERVICE_WORKER_URL = 'sw.js';
+const UPDATE_CHECK_MINUTES = 60;
+
+class UpdateManager {
+    constructor(options = {}) {
+        this.onUpdateReady = options.onUpdateReady || (() => {});
+        this.registration = null;
+        this.updating = false;
+    }
+
+    isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    register() {
+        if (!this.isSupported()) {
+            console.warn('⚠️ Service workers not supported, offline mode is off');
+            return;
+        }
+
+        // Reload once the new version has taken over, but not on first install
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updating) {
+                window.location.reload();
+            }
+        });
+
+        navigator.serviceWorker.register(SERVICE_WORKER_URL)
+            .then(registration => {
+                this.registration = registration;
+                this.watch(registration);
+                setInterval(() => this.checkForUpdate(), UPDATE_CHECK_MINUTES * 60 * 1000);
+                console.log('📦 Offline mode ready');
+            })
+            .catch(error => console.warn('⚠️ Could not register service worker:', error.message));
+    }
+
+    /**
+     * Tell the app when a new version has finished downloading
+     */
+    watch(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.onUpdateReady();
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // With no controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.onUpdateReady();
+                }
+            });
+        });
+    }
+
+    checkForUpdate() {
+        if (!this.registration || !navigator.onLine) return;
+
+        this.registration.update().catch(error => {
+            console.warn('⚠️ Could not check for updates:', error.message);
+        });
+    }
+
+    hasUpdate() {
+        return Boolean(this.registration && this.registration.waiting);
+    }
+
+    /**
+     * Let the waiting version take over; the page reloads when it has
+     */
+    applyUpdate() {
+        if (!this.hasUpdate()) return false;
+
+        this.updating = true;
+        this.registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+        return true;
+    }
+}
@@ -0,0 +1,217 @@
+// js/parent.js - Parental gate, daily time limits and the grown-ups' summary
+
+/**
+ * Dental Kids App - Parent Area
+ * Grown-up settings sit behind a gate young children can't get through
+ * by tapping around: the button has to be pressed and held, then a
+ * multiplication sum answered. The same sum guards deleting a child and
+ * changing their content level in the profile picker.
+ * Each child can have a daily time limit. Time played is kept per day as
+ *   dailyUsage: { 'YYYY-MM-DD': seconds }
+ * for the last DAILY_USAGE_DAYS days.
+ */
+
+const PARENT_HOLD_SECONDS = 2;
+
+/**
+ * Daily limits a grown-up can choose; null means no limit
+ */
+const DAILY_LIMIT_MINUTES = [15, 30, 45, 60, 90, 120];
+
+const DAILY_LIMIT_WARNING_MINUTES = 5;
+
+const DAILY_USAGE_DAYS = 14;
+
+/**
+ * A "grown-ups only" sum in a .parent-confirm form
+ */
+class ParentalGate {
+    constructor(form) {
+        this.form = form;
+        this.pending = null;
+
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.check();
+        });
+        form.querySelector('.parent-confirm-cancel').addEventListener('click', () => this.cancel());
+    }
+
+    /**
+     * Ask a grown-up to solve a sum, then run onConfirm; onCancel runs
+     * if they back out instead
+     */
+    ask({ message, confirmLabel, onConfirm, onCancel }) {
+        const a = 3 + Math.floor(Math.random() * 7);
+        const b = 3 + Math.floor(Math.random() * 7);
+        this.pending = { answer: a * b, onConfirm, onCancel: onCancel || (() => {}) };
+
+        this.form.querySelector('.parent-confirm-message').textContent = message;
+        this.form.querySelector('.parent-confirm-question').textContent = I18n.t('profiles.sum', { a, b });
+        this.form.querySelector('.parent-confirm-error').textContent = '';
+        this.form.querySelector('[type="submit"]').textContent = confirmLabel;
+        this.form.reset();
+        this.form.hidden = false;
+        this.form.querySelector('input').focus();
+    }
+
+    check() {
+        if (!this.pending) return;
+
+        const answer = Number(this.form.querySelector('input').value);
+        if (answer !== this.pending.answer) {
+            this.form.querySelector('.parent-confirm-error').textContent = I18n.t('profiles.wrongAnswer');
+            return;
+        }
+
+        const { onConfirm } = this.pending;
+        this.pending = null;
+        this.form.hidden = true;
+        onConfirm();
+    }
+
+    cancel() {
+        const pending = this.pending;
+        this.pending = null;
+        if (this.form) {
+            this.form.hidden = true;
+        }
+        if (pending) {
+            pending.onCancel();
+        }
+    }
+
+    isOpen() {
+        return Boolean(this.pending);
+    }
+
+    /**
+     * Run onHeld once the button has been held down for a while, by
+     * pointer or with Enter or Space. A quick tap runs onTap instead.
+     */
+    static holdToOpen(button, { onHeld, onTap = () => {} }) {
+        let timer = null;
+
+        const start = () => {
+            if (timer) return;
+            button.classList.add('holding');
+            timer = setTimeout(() => {
+                timer = null;
+                button.classList.remove('holding');
+                onHeld();
+            }, PARENT_HOLD_SECONDS * 1000);
+        };
+        const stop = () => {
+            if (!timer) return false;
+            clearTimeout(timer);
+            timer = null;
+            button.classList.remove('holding');
+            return true;
+        };
+        const isHoldKey = e => e.key === 'Enter' || e.key === ' ';
+
+        button.addEventListener('pointerdown', start);
+        button.addEventListener('pointerup', () => {
+            if (stop()) onTap();
+        });
+        button.addEventListener('pointerleave', stop);
+        button.addEventListener('pointercancel', stop);
+        button.addEventListener('keydown', (e) => {
+            if (!isHoldKey(e)) return;
+            e.preventDefault();
+            if (!e.repeat) start();
+        });
+        button.addEventListener('keyup', (e) => {
+            if (isHoldKey(e) && stop()) onTap();
+        });
+        // Long presses open the context menu on some tablets
+        button.addEventListener('contextmenu', e => e.preventDefault());
+    }
+}
+
+const DailyLimit = {
+    secondsOn(progress, date = new Date()) {
+        return progress.dailyUsage[HabitTracker.dateKey(date)] || 0;
+    },
+
+    /**
+     * Count time played today and forget days older than DAILY_USAGE_DAYS
+     */
+    add(progress, seconds, date = new Date()) {
+        const key = HabitTracker.dateKey(date);
+        const oldest = new Date(date);
+        oldest.setDate(date.getDate() - (DAILY_USAGE_DAYS - 1));
+        const oldestKey = HabitTracker.dateKey(oldest);
+
+        progress.dailyUsage[key] = (progress.dailyUsage[key] || 0) + seconds;
+        Object.keys(progress.dailyUsage).forEach(day => {
+            if (day < oldestKey) delete progress.dailyUsage[day];
+        });
+    },
+
+    /**
+     * Seconds left to play today, or null without a limit
+     */
+    remaining(progress, date = new Date()) {
+        if (progress.dailyLimitMinutes === null) return null;
+        return Math.max(0, progress.dailyLimitMinutes * 60 - this.secondsOn(progress, date));
+    },
+
+    /**
+     * Seconds played over the last seven days, today included
+     */
+    week(progress, date = new Date()) {
+        let total = 0;
+        for (let back = 0; back < 7; back += 1) {
+            const day = new Date(date);
+            day.setDate(date.getDate() - back);
+            total += this.secondsOn(progress, day);
+        }
+        return total;
+    }
+};
+
+/**
+ * What a child has been up to, for the parent area
+ */
+const ParentSummary = {
+    render(progress) {
+        const minutes = seconds => I18n.t('parent.minutes', { count: Math.round(seconds / 60) });
+        const stat = (label, value) => `
+            <div class="parent-stat">
+                <span class="parent-stat-value">${value}</span>
+                <span class="parent-stat-label">${I18n.t(`parent.stats.${label}`)}</span>
+            </div>
+        `;
+        const procedures = ProcedureCatalog.all();
+        const completed = procedures.filter(procedure => progress.completedProcedures.includes(procedure.id));
+
+        const earned = Achievements.earned(progress.badges);
+
+        const badges = earned.length === 0
+            ? `<p class="parent-empty">${I18n.t('parent.noBadges')}</p>`
+            : `<ul class="parent-badges">${earned.map(badge => `
+                <li><span aria-hidden="true">${escapeHTML(badge.icon)}</span> ${escapeHTML(badge.name)}</li>
+            `).join('')}</ul>`;
+
+        return `
+            <h3 class="parent-heading">${I18n.t('parent.activityTitle')}</h3>
+            <div class="parent-stats">
+                ${stat('today', minutes(DailyLimit.secondsOn(progress)))}
+                ${stat('week', minutes(DailyLimit.week(progress)))}
+                ${stat('total', minutes(progress.timeSpentSeconds))}
+                ${stat('visits', progress.visitCount)}
+                ${stat('adventures', `${completed.length} / ${procedures.length}`)}
+                ${stat('brushing', HabitTracker.streak(progress.habitLog, 'brush'))}
+                ${stat('calm', progress.calmLog.length)}
+                ${stat('quiz', progress.quizRounds.length ? `${Quiz.bestScore(progress.quizRounds)}%` : '—')}
+            </div>
+            <h3 class="parent-heading">${I18n.t('parent.badgesTitle', { count: earned.length })}</h3>
+            ${badges}
+            <h3 class="parent-heading">${I18n.t('parent.feelingsTitle')}</h3>
+            <div class="anxiety-chart">${AnxietyScale.renderChart(progress.anxietyRatings)}</div>
+        `;
+    }
+};
@@ -0,0 +1,198 @@
+// js/plans.js - Visit preparation plans from the clinician
+
+/**
+ * Dental Kids App - Visit Plans
+ * A clinician picks the appointment date and the procedures a child will
+ * have. The plan is saved in the child's progress (visitPlan) or shared
+ * with the family as a file or a link inside a QR code.
+ */
+
+const VISIT_PLAN_FILE_TYPE = 'dental-kids-visit-plan';
+const VISIT_PLAN_FILE_VERSION = 1;
+const VISIT_PLAN_HASH_KEY = 'plan';
+
+const VisitPlans = {
+    /**
+     * Build a plan from the clinician's form, throwing a readable error
+     */
+    create({ appointmentDate, procedures, note = '', clinician = '' }) {
+        if (!this.parseDate(appointmentDate)) {
+            throw new Error('Please choose the appointment date.');
+        }
+
+        const known = (procedures || []).filter(id => ProcedureCatalog.has(id));
+        if (known.length === 0) {
+            throw new Error('Please choose at least one procedure.');
+        }
+
+        return {
+            id: `p${Date.now().toString(36)}`,
+            appointmentDate,
+            procedures: Array.from(new Set(known)),
+            note: String(note).trim().slice(0, 200),
+            clinician: String(clinician).trim(),
+            createdAt: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Check a plan read from progress, a file or a link.
+     * Unknown procedures are dropped; returns null if nothing usable is left.
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object') return null;
+        if (!this.parseDate(data.appointmentDate) || !Array.isArray(data.procedures)) return null;
+
+        const procedures = data.procedures.filter(id => typeof id === 'string' && ProcedureCatalog.has(id));
+        if (procedures.length < data.procedures.length) {
+            console.warn('⚠️ Visit plan mentions procedures this app does not know');
+        }
+        if (procedures.length === 0) return null;
+
+        return {
+            id: typeof data.id === 'string' ? data.id : `p${Date.now().toString(36)}`,
+            appointmentDate: data.appointmentDate,
+            procedures: Array.from(new Set(procedures)),
+            note: typeof data.note === 'string' ? data.note.slice(0, 200) : '',
+            clinician: typeof data.clinician === 'string' ? data.clinician : '',
+            createdAt: typeof data.createdAt === 'string' ? data.createdAt : new Date().toISOString()
+        };
+    },
+
+    /**
+     * Read a YYYY-MM-DD date as local midnight
+     */
+    parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+        if (!match) return null;
+
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return date.getMonth() === Number(match[2]) - 1 ? date : null;
+    },
+
+    formatDate(plan) {
+        const date = this.parseDate(plan.appointmentDate);
+        return date ? I18n.formatDate(date, { weekday: 'long', month: 'long', day: 'numeric' }) : '';
+    },
+
+    /**
+     * Whole days from today until the appointment (negative once it has passed)
+     */
+    daysUntil(plan, today = new Date()) {
+        const appointment = this.parseDate(plan.appointmentDate);
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        return Math.round((appointment - start) / (24 * 60 * 60 * 1000));
+    },
+
+    /**
+     * A plan guides the child until the day of the appointment
+     */
+    isActive(plan, today = new Date()) {
+        return Boolean(plan) && this.daysUntil(plan, today) >= 0;
+    },
+
+    /**
+     * Planned procedures in the recommended order: easiest first, so the
+     * child builds confidence before the harder ones
+     */
+    path(plan, progress) {
+        const catalog = ProcedureCatalog.all();
+        const steps = catalog
+            .filter(procedure => plan.procedures.includes(procedure.id))
+            .sort((a, b) => a.difficulty - b.difficulty || catalog.indexOf(a) - catalog.indexOf(b))
+            .map(procedure => ({
+                procedure,
+                done: progress.completedProcedures.includes(procedure.id),
+                next: false
+            }));
+
+        const next = steps.find(step => !step.done);
+        if (next) next.next = true;
+        return steps;
+    },
+
+    completionRate(plan, progress) {
+        const steps = this.path(plan, progress);
+        if (steps.length === 0) return 0;
+        return Math.round((steps.filter(step => step.done).length / steps.length) * 100);
+    },
+
+    /**
+     * Pack a plan into a short URL-safe string for links and QR codes
+     */
+    encode(plan) {
+        const compact = {
+            d: plan.appointmentDate,
+            p: plan.procedures,
+            n: plan.note || undefined,
+            c: plan.clinician || undefined,
+            i: plan.id
+        };
+        const bytes = new TextEncoder().encode(JSON.stringify(compact));
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    decode(code) {
+        try {
+            const base64 = String(code).replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64);
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            const compact = JSON.parse(new TextDecoder().decode(bytes));
+            return this.validate({
+                id: compact.i,
+                appointmentDate: compact.d,
+                procedures: compact.p,
+                note: compact.n,
+                clinician: compact.c
+            });
+        } catch (error) {
+            console.warn('⚠️ Could not read visit plan code:', error.message);
+            return null;
+        }
+    },
+
+    /**
+     * Link that opens the kids app and offers to load the plan
+     */
+    shareUrl(plan, pageUrl = window.location.href) {
+        const url = new URL('index.html', pageUrl);
+        url.hash = `${VISIT_PLAN_HASH_KEY}=${this.encode(plan)}`;
+        return url.href;
+    },
+
+    /**
+     * Find a shared plan in a location hash such as "#plan=..."
+     */
+    fromHash(hash = window.location.hash) {
+        const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+        const code = params.get(VISIT_PLAN_HASH_KEY);
+        return code ? this.decode(code) : null;
+    },
+
+    toFile(plan) {
+        return JSON.stringify({
+            type: VISIT_PLAN_FILE_TYPE,
+            version: VISIT_PLAN_FILE_VERSION,
+            plan
+        }, null, 2);
+    },
+
+    fromFile(text) {
+        try {
+            const data = JSON.parse(text);
+            if (!data || data.type !== VISIT_PLAN_FILE_TYPE) {
+                console.warn('⚠️ File is not a visit plan');
+                return null;
+            }
+            return this.validate(data.plan);
+        } catch (error) {
+            console.warn('⚠️ Could not read visit plan file:', error.message);
+            return null;
+        }
+    },
+
+    fileName(plan) {
+        return `visit-plan-${plan.appointmentDate}.json`;
+    }
+};
@@ -0,0 +1,665 @@
+// js/procedures.js - Procedure catalog and Show-Tell-Do step rendering
+
+/**
+ * Dental Kids App - Procedure Catalog
+ * Single source of truth for every procedure: the cards in the
+ * procedures grid, the modal steps and the completion math.
+ * With autoNarrate, each step is read aloud as soon as it opens
+ * while narration is switched on. Wording, step detail and difficulty
+ * can differ by age band (see js/levels.js). Clinics can replace the
+ * built-in procedures with their own (see js/content.js).
+ */
+
+const PROCEDURE_STEP_ORDER = ['show', 'tell', 'do'];
+const MAX_DIFFICULTY = 3;
+
+const PROCEDURE_CATALOG = [
+    {
+        id: 'cleaning',
+        title: 'Tooth Cleaning',
+        modalTitle: '🪥 Tooth Cleaning Adventure',
+        icon: '🪥',
+        description: 'Learn how we keep your teeth sparkling clean!',
+        difficulty: 1,
+        autoNarrate: true,
+        steps: {
+            show: {
+                media: [
+                    { type: 'emoji', className: 'tooth-demo', value: '🦷' },
+                    { type: 'emoji', className: 'brush-demo', value: '🪥' }
+                ],
+                heading: 'Let me show you how we clean teeth!',
+                text: 'Watch as the special dental brush gently cleans around your tooth. It might tickle a little, but it doesn\'t hurt!'
+            },
+            tell: {
+                media: [
+                    { type: 'emoji', className: 'tooth-demo', value: '🦷✨' }
+                ],
+                heading: 'Here is what happens during a cleaning',
+                points: [
+                    '🪑 You sit in a big comfy chair that moves up and down like a ride.',
+                    '💡 A bright light helps the dentist see. You can wear cool sunglasses!',
+                    '🪥 A special spinning brush polishes each tooth. It tickles and buzzes.',
+                    '💧 A tiny straw slurps up water, like a mini vacuum cleaner.'
+                ]
+            },
+            do: {
+                heading: 'Now you try it!',
+                intro: 'Scrub away the yellow plaque spots with the polisher.',
+                game: 'polish'
+            },
+            complete: {
+                icon: '🌟',
+                message: 'You know all about tooth cleaning. Your teeth will sparkle!'
+            }
+        },
+        variants: {
+            '3-5': {
+                description: 'See how we make teeth shiny!',
+                steps: {
+                    show: {
+                        heading: 'Let\'s clean a tooth!',
+                        text: 'A little brush makes your tooth shiny. It tickles!'
+                    },
+                    tell: {
+                        heading: 'At the cleaning',
+                        points: [
+                            '🪑 You sit in a big chair that goes up and down.',
+                            '💡 A bright light shines. You can wear sunglasses!',
+                            '🪥 A buzzy brush tickles your teeth.'
+                        ]
+                    },
+                    do: {
+                        intro: 'Rub the yellow spots away!'
+                    },
+                    complete: {
+                        message: 'Great job! Your teeth will shine!'
+                    }
+                }
+            },
+            '9-12': {
+                description: 'Find out how plaque and tartar are cleaned away.',
+                difficulty: 2,
+                steps: {
+                    show: {
+                        text: 'A dental hygienist uses small tools to scrape away plaque and tartar, the hard build-up your toothbrush can\'t remove. Then a spinning polisher makes each tooth smooth.'
+                    },
+                    tell: {
+                        points: [
+                            '🪑 The chair tilts back so the hygienist can see every tooth clearly.',
+                            '💡 A bright light shines into your mouth. Sunglasses keep it out of your eyes.',
+                            '🪝 A small scaler scrapes tartar off near your gums. It may feel scratchy, but it shouldn\'t hurt.',
+                            '🪥 A polisher with gritty paste spins on each tooth to make it smooth and shiny.',
+                            '💧 A suction tube takes away water and spit. Raise your hand if you need a break.'
+                        ]
+                    },
+                    do: {
+                        intro: 'Polish away every plaque spot before it hardens into tartar.'
+                    },
+                    complete: {
+                        message: 'You know how a professional cleaning removes plaque and tartar. Your smile will thank you!'
+                    }
+                }
+            }
+        }
+    },
+    {
+        id: 'xray',
+        title: 'X-Ray Pictures',
+        modalTitle: '📸 X-Ray Superhero Vision',
+        icon: '📸',
+        description: 'Discover your superhero vision powers!',
+        difficulty: 1,
+        autoNarrate: true,
+        steps: {
+            show: {
+                media: [
+                    { type: 'emoji', className: 'xray-demo', value: '📸✨' }
+                ],
+                heading: 'X-rays give us superhero vision!',
+                text: 'Just like Superman can see through walls, X-rays help us see inside your teeth to make sure they\'re healthy!'
+            },
+            tell: {
+                media: [
+                    { type: 'emoji', className: 'xray-demo', value: '📸🦸' }
+                ],
+                heading: 'Here is how an X-ray works',
+                points: [
+                    '🦺 You wear a heavy blanket, like a superhero cape for your tummy.',
+                    '😬 You gently bite on a small holder. It might feel a little big.',
+                    '🗿 You stay still as a statue for just a few seconds.',
+                    '🖥️ The picture pops up on the computer so you can see your teeth!'
+                ]
+            },
+            do: {
+                heading: 'Now you try it!',
+                intro: 'Bite the bite-wing and hold still for the picture.',
+                game: 'hold-still'
+            },
+            complete: {
+                icon: '🦸',
+                message: 'You used your superhero vision! X-rays are quick and easy.'
+            }
+        },
+        variants: {
+            '3-5': {
+                description: 'Take a picture of your teeth!',
+                steps: {
+                    show: {
+                        heading: 'Let\'s take a tooth picture!',
+                        text: 'A special camera takes a picture of your teeth. It doesn\'t hurt!'
+                    },
+                    tell: {
+                        heading: 'Tooth pictures',
+                        points: [
+                            '🦺 You wear a heavy, cozy blanket.',
+                            '😬 You bite on a little holder.',
+                            '🗿 You stay still like a statue. Click!'
+                        ]
+                    },
+                    do: {
+                        intro: 'Bite and stay still!'
+                    },
+                    complete: {
+                        message: 'Click! You took a great tooth picture!'
+                    }
+                }
+            },
+            '9-12': {
+                description: 'See how X-rays show what\'s hidden inside your teeth.',
+                difficulty: 2,
+                steps: {
+                    show: {
+                        text: 'X-rays pass through the soft parts of your mouth but not through teeth and bone, so those show up in the picture. Dentists use them to spot cavities between teeth and to check on grown-up teeth still growing under your gums.'
+                    },
+                    tell: {
+                        points: [
+                            '🦺 A heavy apron covers your body. An X-ray uses a tiny amount of radiation, and the apron keeps you extra safe.',
+                            '😬 You bite on a holder called a bite-wing, which keeps the sensor in the right place.',
+                            '🗿 The camera only needs about a second, so you hold completely still.',
+                            '🖥️ The picture appears on the screen straight away, and the dentist can show you what they see.'
+                        ]
+                    },
+                    do: {
+                        intro: 'Hold the bite-wing steady until the countdown ends.'
+                    },
+                    complete: {
+                        message: 'You know how X-rays let the dentist see what eyes can\'t. Quick and painless!'
+                    }
+                }
+            }
+        }
+    },
+    {
+        id: 'filling',
+        title: 'Cavity Filling',
+        modalTitle: '🔧 Cavity Filling Hero Mission',
+        icon: '🔧',
+        description: 'Help fix teeth like a dental superhero!',
+        difficulty: 2,
+        autoNarrate: true,
+        steps: {
+            show: {
+                media: [
+                    { type: 'emoji', className: 'filling-demo', value: '🦷🔧' }
+                ],
+                heading: 'We\'re tooth repair heroes!',
+                text: 'Sometimes teeth get tiny holes called cavities. We fix them with special tooth-colored material, just like fixing a wall!'
+            },
+            tell: {
+                media: [
+                    { type: 'emoji', className: 'filling-demo', value: '🦷🔧' }
+                ],
+                heading: 'Here is how we fix a cavity',
+                points: [
+                    '😴 Sleepy-tooth medicine helps your tooth take a nap so it won\'t hurt.',
+                    '🌬️ A little water and air wash the tooth. It sounds like a whistle.',
+                    '🧱 Tooth-colored filling fills the hole, like patching a wall.',
+                    '🔦 A blue light makes the filling hard and strong.'
+                ]
+            },
+            do: {
+                heading: 'Now you try it!',
+                intro: 'Wash, fill and shine the cavity like a tooth hero.',
+                game: 'filling'
+            },
+            complete: {
+                icon: '🦸‍♀️',
+                message: 'Mission complete! You know how tooth heroes fix cavities.'
+            }
+        },
+        variants: {
+            '3-5': {
+                description: 'Help fix a tooth!',
+                difficulty: 1,
+                steps: {
+                    show: {
+                        heading: 'Let\'s fix a tooth!',
+                        text: 'Sometimes a tooth gets a tiny hole. The dentist fills it so it\'s strong again.'
+                    },
+                    tell: {
+                        heading: 'Fixing a tooth',
+                        points: [
+                            '😴 Special medicine makes your tooth sleepy.',
+                            '🧱 The dentist fills the little hole.',
+                            '🔦 A blue light makes it hard and strong.'
+                        ]
+                    },
+                    do: {
+                        intro: 'Wash, fill and shine the tooth!'
+                    },
+                    complete: {
+                        message: 'You fixed the tooth, super hero!'
+                    }
+                }
+            },
+            '9-12': {
+                description: 'Learn how a dentist repairs a cavity, step by step.',
+                difficulty: 3,
+                steps: {
+                    show: {
+                        text: 'A cavity is a hole that forms when germs in plaque turn sugar into acid, which wears through the enamel. The dentist removes the damaged part and fills the space with tooth-colored material so the hole can\'t grow.'
+                    },
+                    tell: {
+                        points: [
+                            '😴 Numbing gel and a small injection make the area numb. Your lip may feel puffy for a few hours afterwards.',
+                            '🌬️ A small drill removes the decay. It sounds loud and whistly, and a spray of water keeps the tooth cool.',
+                            '🧱 The dentist presses tooth-colored filling into the hole and shapes it to match your tooth.',
+                            '🔦 A blue curing light hardens the filling in a few seconds.',
+                            '📄 You bite on thin colored paper so the dentist can check the filling fits your bite.'
+                        ]
+                    },
+                    do: {
+                        intro: 'Wash, fill and cure the cavity in the right order.'
+                    },
+                    complete: {
+                        message: 'You know every step of a filling. There\'s nothing to worry about!'
+                    }
+                }
+            }
+        }
+    },
+    {
+        id: 'checkup',
+        title: 'Dental Checkup',
+        modalTitle: '🔍 Dental Treasure Hunt',
+        icon: '🔍',
+        description: 'Explore your mouth like a treasure hunter!',
+        difficulty: 1,
+        autoNarrate: true,
+        steps: {
+            show: {
+                media: [
+                    { type: 'emoji', className: 'checkup-demo', value: '🔍🦷' }
+                ],
+                heading: 'Let\'s go on a treasure hunt in your mouth!',
+                text: 'We use a special mirror and light to explore every tooth, looking for hidden problems before they become big ones!'
+            },
+            tell: {
+                media: [
+                    { type: 'emoji', className: 'checkup-demo', value: '🪞🔦' }
+                ],
+                heading: 'Here is what happens at a checkup',
+                points: [
+                    '👋 The dentist says hello and counts your teeth out loud.',
+                    '🪞 A tiny mirror helps peek at the back of every tooth.',
+                    '🔦 A bright light makes your mouth easy to explore.',
+                    '🏅 You get a high five for being a great treasure hunter!'
+                ]
+            },
+            do: {
+                heading: 'Now you try it!',
+                intro: 'Shine the light around to find the hiding sugar bugs.',
+                game: 'sugar-bugs'
+            },
+            complete: {
+                icon: '🏴‍☠️',
+                message: 'Treasure found! You are ready for your dental checkup.'
+            }
+        },
+        variants: {
+            '3-5': {
+                description: 'Look for sugar bugs!',
+                steps: {
+                    show: {
+                        heading: 'Let\'s look at your teeth!',
+                        text: 'The dentist uses a little mirror and a light to look at every tooth.'
+                    },
+                    tell: {
+                        heading: 'At the checkup',
+                        points: [
+                            '👋 The dentist says hello and counts your teeth.',
+                            '🪞 A tiny mirror peeks at your teeth.',
+                            '🏅 High five! You did it!'
+                        ]
+                    },
+                    do: {
+                        intro: 'Shine the light to find the sugar bugs!'
+                    },
+                    complete: {
+                        message: 'You found them all! Great looking!'
+                    }
+                }
+            },
+            '9-12': {
+                description: 'Find out what the dentist checks, and why.',
+                difficulty: 2,
+                steps: {
+                    show: {
+                        text: 'At a checkup the dentist looks for early signs of cavities and gum problems, and checks how your grown-up teeth are coming in. Finding problems early means smaller, easier fixes.'
+                    },
+                    tell: {
+                        points: [
+                            '👋 The dentist counts your teeth and notes which are baby teeth and which are grown-up teeth.',
+                            '🪞 A small mirror and a rounded tool check every surface, even the back teeth.',
+                            '👅 The dentist looks at your gums, tongue and cheeks too.',
+                            '📋 They may talk about sealants, fluoride or braces, so ask any questions you have.'
+                        ]
+                    },
+                    do: {
+                        intro: 'Search every corner of the mouth to find all the hidden sugar bugs.'
+                    },
+                    complete: {
+                        message: 'You know what happens at a checkup and why it matters. You\'re ready!'
+                    }
+                }
+            }
+        }
+    }
+];
+
+/**
+ * Build HTML for a list of media items (emoji, image or video)
+ */
+function renderMedia(media = []) {
+    const items = media.map(item => {
+        switch (item.type) {
+            case 'image':
+                return `<img class="procedure-media ${item.className || ''}" src="${item.src}" alt="${item.alt || ''}">`;
+            case 'video':
+                return `<video class="procedure-media ${item.className || ''}" src="${item.src}" ${item.poster ? `poster="${item.poster}"` : ''} controls playsinline></video>`;
+            default:
+                return `<div class="${item.className || 'emoji-demo'}">${item.value}</div>`;
+        }
+    });
+
+    return items.length ? `<div class="procedure-animation">${items.join('')}</div>` : '';
+}
+
+/**
+ * Build the step indicator shared by every step
+ */
+function renderStepIndicator(step) {
+    const label = I18n.t('steps.indicator', {
+        number: PROCEDURE_STEP_ORDER.indexOf(step) + 1,
+        total: PROCEDURE_STEP_ORDER.length,
+        name: I18n.t(`steps.${step}`).toUpperCase()
+    });
+    return `<div class="step-indicator">${label}</div>`;
+}
+
+/**
+ * Build HTML for the SHOW step
+ */
+function renderShowStep(procedure, content) {
+    return `
+        <div class="procedure-steps">
+            ${renderStepIndicator('show')}
+            ${renderMedia(content.media)}
+            <h3 data-narrate>${content.heading}</h3>
+            <p data-narrate>${content.text}</p>
+            <button class="next-step-btn" onclick="app.nextProcedureStep('${procedure.id}', 'tell')">
+                ${I18n.t('steps.tellMore')}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Build HTML for the TELL step
+ */
+function renderTellStep(procedure, content) {
+    const points = content.points
+        .map(point => `<li class="tell-point" data-narrate>${point}</li>`)
+        .join('');
+
+    return `
+        <div class="procedure-steps">
+            ${renderStepIndicator('tell')}
+            ${renderMedia(content.media)}
+            <h3 data-narrate>${content.heading}</h3>
+            <ul class="tell-points">${points}</ul>
+            <div class="step-navigation">
+                <button class="prev-step-btn" onclick="app.nextProcedureStep('${procedure.id}', 'show')">
+                    ${I18n.t('steps.back')}
+                </button>
+                <button class="next-step-btn" onclick="app.nextProcedureStep('${procedure.id}', 'do')">
+                    ${I18n.t('steps.tryIt')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build HTML for the DO step
+ */
+function renderDoStep(procedure, content) {
+    if (content.game) {
+        return renderGameStep(procedure, content);
+    }
+
+    const actions = content.actions
+        .map(action => `
+            <button class="practice-action" aria-pressed="false" onclick="app.togglePracticeAction(this)">
+                <span class="practice-icon">${action.icon}</span>
+                <span class="practice-label">${action.label}</span>
+            </button>
+        `)
+        .join('');
+
+    return `
+        <div class="procedure-steps">
+            ${renderStepIndicator('do')}
+            ${renderMedia(content.media)}
+            <h3 data-narrate>${content.heading}</h3>
+            <p data-narrate>${content.intro}</p>
+            <div class="practice-actions">${actions}</div>
+            <div class="step-navigation">
+                <button class="prev-step-btn" onclick="app.nextProcedureStep('${procedure.id}', 'tell')">
+                    ${I18n.t('steps.back')}
+                </button>
+                <button class="next-step-btn finish-step-btn" disabled onclick="app.completeProcedure('${procedure.id}')">
+                    ${I18n.t('steps.didIt')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build HTML for a DO step played as a mini-game (see js/minigames.js)
+ */
+function renderGameStep(procedure, content) {
+    return `
+        <div class="procedure-steps">
+            ${renderStepIndicator('do')}
+            <h3 data-narrate>${content.heading}</h3>
+            <p data-narrate>${content.intro}</p>
+            <div class="minigame-stage" data-game="${content.game}"></div>
+            <div class="step-navigation">
+                <button class="prev-step-btn" onclick="app.nextProcedureStep('${procedure.id}', 'tell')">
+                    ${I18n.t('steps.back')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build HTML for the completion screen
+ */
+function renderCompleteStep(procedure, content) {
+    return `
+        <div class="procedure-steps procedure-complete">
+            <div class="complete-icon animate-scaleUp">${content.icon}</div>
+            <h3 data-narrate>${I18n.t('steps.amazing')}</h3>
+            <p data-narrate>${content.message}</p>
+            <div class="step-navigation">
+                <button class="prev-step-btn" onclick="app.nextProcedureStep('${procedure.id}', 'show')">
+                    ${I18n.t('steps.watchAgain')}
+                </button>
+                <button class="next-step-btn" onclick="app.closeModal(); showSection('procedures')">
+                    ${I18n.t('steps.moreAdventures')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build HTML for a card in the procedures grid
+ */
+function renderProcedureCard(procedure) {
+    const stars = Array.from({ length: MAX_DIFFICULTY }, (_, index) =>
+        `<span class="star${index < procedure.difficulty ? ' active' : ''}">⭐</span>`
+    ).join('');
+
+    return `
+        <div class="procedure-card" data-procedure="${procedure.id}" role="button" tabindex="0"
+             aria-label="${I18n.t('procedures.startLabel', { title: procedure.title })}"
+             aria-describedby="procedure-description-${procedure.id}">
+            <div class="card-header">
+                <span class="procedure-icon">${procedure.icon}</span>
+                <h3 class="procedure-title">${procedure.title}</h3>
+            </div>
+            <div class="card-content">
+                <p class="procedure-description" id="procedure-description-${procedure.id}">${procedure.description}</p>
+                <div class="difficulty-indicator">
+                    <span class="difficulty-label">${I18n.t('procedures.difficulty')}</span>
+                    <div class="difficulty-stars">${stars}</div>
+                </div>
+            </div>
+            <div class="card-footer">
+                <span class="start-procedure-btn" aria-hidden="true">
+                    ${I18n.t('procedures.start')}
+                </span>
+            </div>
+        </div>
+    `;
+}
+
+const STEP_RENDERERS = {
+    show: renderShowStep,
+    tell: renderTellStep,
+    do: renderDoStep,
+    complete: renderCompleteStep
+};
+
+const ProcedureCatalog = {
+    /**
+     * The clinic's own procedures, or null to use the built-in ones
+     */
+    custom: null,
+
+    source() {
+        return this.custom || PROCEDURE_CATALOG;
+    },
+
+    /**
+     * Use a clinic's procedures instead of the built-in ones, or go back
+     * to the built-in ones with null
+     */
+    useCustom(procedures) {
+        this.custom = procedures;
+    },
+
+    /**
+     * Editable copy of the built-in procedures, in English
+     */
+    defaults() {
+        return JSON.parse(JSON.stringify(PROCEDURE_CATALOG));
+    },
+
+    /**
+     * Get every procedure in display order, in the current language and
+     * worded for the current age band
+     */
+    all() {
+        return this.source().map(procedure => AgeLevels.apply(this.localize(procedure)));
+    },
+
+    /**
+     * Get a procedure by id, reporting unknown ids
+     */
+    get(procedureId) {
+        const procedure = this.source().find(p => p.id === procedureId);
+        if (!procedure) {
+            console.error(`❌ Unknown procedure: ${procedureId}`);
+            return null;
+        }
+        return AgeLevels.apply(this.localize(procedure));
+    },
+
+    /**
+     * Translated copy of a procedure; text without a translation
+     * under "procedures.<id>" keeps the catalog's English. Text a clinic
+     * rewrote is shown as written, and what they left alone stays translated.
+     */
+    localize(procedure) {
+        const builtIn = PROCEDURE_CATALOG.find(p => p.id === procedure.id);
+        return builtIn ? I18n.localize(procedure, `procedures.${procedure.id}`, builtIn) : procedure;
+    },
+
+    has(procedureId) {
+        return this.source().some(p => p.id === procedureId);
+    },
+
+    count() {
+        return this.source().length;
+    },
+
+    /**
+     * Add a procedure to the catalog (e.g. sealants or fluoride varnish)
+     */
+    register(definition) {
+        const missing = ['id', 'title', 'icon', 'steps'].filter(field => !definition[field]);
+        const missingSteps = PROCEDURE_STEP_ORDER.filter(step => !definition.steps || !definition.steps[step]);
+
+        if (missing.length || missingSteps.length) {
+            console.error(`❌ Invalid procedure "${definition.id}": missing ${missing.concat(missingSteps).join(', ')}`);
+            return false;
+        }
+
+        if (this.has(definition.id)) {
+            console.error(`❌ Procedure already registered: ${definition.id}`);
+            return false;
+        }
+
+        PROCEDURE_CATALOG.push(Object.assign({ difficulty: 1, modalTitle: definition.title, autoNarrate: false }, definition));
+        return true;
+    }
+};
+
+const ProcedureSteps = {
+    /**
+     * Get HTML for a SHOW, TELL, DO or complete step
+     */
+    render(procedureType, step) {
+        const procedure = ProcedureCatalog.get(procedureType);
+        if (!procedure || !STEP_RENDERERS[step]) return null;
+
+        const content = step === 'complete'
+            ? procedure.steps.complete || { icon: '🌟', message: I18n.t('steps.learnedAll', { title: procedure.title }) }
+            : procedure.steps[step];
+
+        return content ? STEP_RENDERERS[step](procedure, content) : null;
+    },
+
+    /**
+     * Get HTML for every card in the procedures grid
+     */
+    renderCards() {
+        return ProcedureCatalog.all().map(renderProcedureCard).join('');
+    }
+};
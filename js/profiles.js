@@ -0,0 +1,364 @@
+// js/profiles.js - Child profiles and the "Who's playing?" picker
+
+/**
+ * Dental Kids App - Profiles
+ * Several children can share one device. Each profile has its own
+ * progress, badges and settings stored under its own key. Content is
+ * worded for the child's age band unless a grown-up picked another one
+ * (level, or null to follow their age).
+ */
+
+const PROFILE_AVATARS = ['🦁', '🐼', '🦄', '🐸', '🐙', '🦖', '🐱', '🐶'];
+// Profiles the app makes itself (moved progress, kiosk guests, previews)
+const PROFILE_APP_AVATAR = '🦷';
+const PROFILE_AGES = [3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+class ProfileManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.profilesKey = 'dentalKidsProfiles';
+        this.activeKey = 'dentalKidsActiveProfile';
+        this.legacyProgressKey = 'dentalKidsProgress';
+        this.profiles = this.loadProfiles();
+        this.migrateLegacyProgress();
+    }
+
+    /**
+     * Load the profile list, skipping entries that can't be used.
+     * Avatars are shown as they are, so anything but a known one is replaced.
+     */
+    loadProfiles() {
+        const saved = this.storage.readJSON(this.profilesKey, []);
+        if (!Array.isArray(saved)) {
+            this.storage.quarantine(this.profilesKey, JSON.stringify(saved), 'not a list');
+            return [];
+        }
+
+        const usable = saved.filter(profile => profile && typeof profile.id === 'string');
+        const profiles = usable.map(profile => this.isAvatar(profile.avatar)
+            ? profile
+            : Object.assign({}, profile, { avatar: PROFILE_AVATARS[0] }));
+        if (profiles.length !== saved.length || profiles.some((profile, index) => profile !== usable[index])) {
+            this.storage.quarantine(this.profilesKey, JSON.stringify(saved), 'invalid profiles');
+        }
+        return profiles;
+    }
+
+    isAvatar(avatar) {
+        return PROFILE_AVATARS.includes(avatar) || avatar === PROFILE_APP_AVATAR;
+    }
+
+    saveProfiles() {
+        this.storage.writeJSON(this.profilesKey, this.profiles);
+    }
+
+    /**
+     * Move progress saved before profiles existed into a first profile
+     */
+    migrateLegacyProgress() {
+        const legacyProgress = this.storage.read(this.legacyProgressKey);
+        if (!legacyProgress || this.profiles.length > 0) return;
+
+        const profile = this.create({ name: 'Explorer', avatar: PROFILE_APP_AVATAR, age: 6 });
+        this.storage.write(this.progressKey(profile.id), legacyProgress);
+        this.storage.remove(this.legacyProgressKey);
+        this.setActive(profile.id);
+        console.log('👶 Moved saved progress into the "Explorer" profile');
+    }
+
+    list() {
+        return this.profiles;
+    }
+
+    get(profileId) {
+        return this.profiles.find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Add a child profile
+     */
+    create({ name, avatar, age }) {
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: String(name).trim() || 'Explorer',
+            avatar: this.isAvatar(avatar) ? avatar : PROFILE_AVATARS[0],
+            age: Number(age) || 6,
+            level: null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.profiles.push(profile);
+        this.saveProfiles();
+        return profile;
+    }
+
+    update(profileId, changes) {
+        const profile = this.get(profileId);
+        if (!profile) return null;
+
+        Object.assign(profile, changes);
+        this.saveProfiles();
+        return profile;
+    }
+
+    /**
+     * Delete a profile along with its progress
+     */
+    remove(profileId) {
+        this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+        this.saveProfiles();
+        this.storage.remove(this.progressKey(profileId));
+
+        if (this.getActiveId() === profileId) {
+            this.storage.remove(this.activeKey);
+        }
+    }
+
+    getActiveId() {
+        return this.storage.read(this.activeKey);
+    }
+
+    getActive() {
+        return this.get(this.getActiveId());
+    }
+
+    setActive(profileId) {
+        this.storage.write(this.activeKey, profileId);
+    }
+
+    progressKey(profileId) {
+        return `${this.legacyProgressKey}:${profileId}`;
+    }
+
+    /**
+     * Load a profile's progress, migrated and validated.
+     * Anything that had to be repaired is quarantined first.
+     */
+    loadProgress(profileId) {
+        const key = this.progressKey(profileId);
+        const saved = this.storage.readJSON(key);
+        const { progress, repaired } = ProgressSchema.normalize(saved);
+
+        if (saved !== null && repaired.length > 0) {
+            this.storage.quarantine(key, JSON.stringify(saved), `repaired ${repaired.join(', ')}`);
+        } else if (saved && Number(saved.schemaVersion) > PROGRESS_SCHEMA_VERSION) {
+            this.storage.quarantine(key, JSON.stringify(saved), `newer schema ${saved.schemaVersion}`);
+        }
+
+        return progress;
+    }
+
+    saveProgress(profileId, progress) {
+        this.storage.writeJSON(this.progressKey(profileId), progress);
+    }
+}
+
+/**
+ * Full-screen "Who's playing?" picker with add, delete and level flows
+ */
+class ProfilePicker {
+    constructor(manager, { onSelect, onLevelChange, onDelete }) {
+        this.manager = manager;
+        this.onSelect = onSelect;
+        this.onLevelChange = onLevelChange || (() => {});
+        this.onDelete = onDelete || (() => {});
+        this.element = document.getElementById('profile-picker');
+        this.list = document.getElementById('profile-list');
+        this.form = document.getElementById('profile-form');
+        this.gate = new ParentalGate(document.getElementById('parent-confirm'));
+        this.managing = false;
+
+        this.bind();
+    }
+
+    bind() {
+        if (!this.element) return;
+
+        const avatarChoices = this.form.querySelector('.avatar-choices');
+        avatarChoices.innerHTML = PROFILE_AVATARS.map((avatar, index) => `
+            <label class="avatar-choice">
+                <input type="radio" name="avatar" value="${avatar}" ${index === 0 ? 'checked' : ''}>
+                <span>${avatar}</span>
+            </label>
+        `).join('');
+
+        const ageSelect = this.form.querySelector('[name="age"]');
+        ageSelect.innerHTML = PROFILE_AGES
+            .map(age => `<option value="${age}" ${age === 6 ? 'selected' : ''}>${age}</option>`)
+            .join('');
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addProfile();
+        });
+
+        this.element.querySelector('.profile-add-btn').addEventListener('click', () => this.showForm(true));
+        this.element.querySelector('.profile-cancel-btn').addEventListener('click', () => this.showForm(false));
+        this.element.querySelector('.profile-manage-btn').addEventListener('click', () => {
+            this.managing = !this.managing;
+            this.render();
+        });
+    }
+
+    /**
+     * Open the picker
+     */
+    show() {
+        if (!this.element) return;
+
+        this.managing = false;
+        this.render();
+        this.showForm(this.manager.list().length === 0);
+        this.element.classList.add('show');
+        document.body.style.overflow = 'hidden';
+    }
+
+    hide() {
+        this.element.classList.remove('show');
+        this.gate.cancel();
+        document.body.style.overflow = '';
+    }
+
+    isOpen() {
+        return Boolean(this.element) && this.element.classList.contains('show');
+    }
+
+    render() {
+        const activeId = this.manager.getActiveId();
+
+        this.list.innerHTML = this.manager.list().map(profile => `
+            <div class="profile-tile${profile.id === activeId ? ' active' : ''}">
+                <button class="profile-select-btn" data-profile="${profile.id}">
+                    <span class="profile-avatar">${profile.avatar}</span>
+                    <span class="profile-name">${escapeHTML(profile.name)}</span>
+                    <span class="profile-age">${I18n.t('profiles.age', { age: profile.age })}</span>
+                </button>
+                ${this.managing ? `
+                    <select class="profile-level-select" data-profile="${profile.id}" aria-label="${I18n.t('profiles.levelLabel', { name: escapeHTML(profile.name) })}">
+                        ${this.levelOptions(profile)}
+                    </select>
+                    <button class="profile-delete-btn" data-profile="${profile.id}" aria-label="${I18n.t('profiles.deleteLabel', { name: escapeHTML(profile.name) })}">🗑️</button>
+                ` : ''}
+            </div>
+        `).join('');
+
+        this.list.querySelectorAll('.profile-select-btn').forEach(button => {
+            button.addEventListener('click', () => this.select(button.dataset.profile));
+        });
+        this.list.querySelectorAll('.profile-delete-btn').forEach(button => {
+            button.addEventListener('click', () => this.askDelete(button.dataset.profile));
+        });
+        this.list.querySelectorAll('.profile-level-select').forEach(select => {
+            select.addEventListener('change', () => this.askLevel(select.dataset.profile, select.value));
+        });
+
+        const manageButton = this.element.querySelector('.profile-manage-btn');
+        manageButton.hidden = this.manager.list().length === 0;
+        manageButton.textContent = I18n.t(this.managing ? 'profiles.done' : 'profiles.manage');
+    }
+
+    showForm(visible) {
+        this.form.hidden = !visible;
+        this.element.querySelector('.profile-add-btn').hidden = visible;
+        this.element.querySelector('.profile-cancel-btn').hidden = this.manager.list().length === 0;
+
+        if (visible) {
+            this.form.reset();
+            this.form.querySelector('[name="name"]').focus();
+        }
+    }
+
+    /**
+     * Add the child in the form once a grown-up agrees, so a new profile
+     * can't be used to get around a daily time limit
+     */
+    addProfile() {
+        const data = new FormData(this.form);
+        const name = String(data.get('name') || '').trim();
+        if (!name) return;
+
+        this.askGrownUp({
+            message: I18n.t('profiles.addConfirm', { name }),
+            confirmLabel: I18n.t('profiles.addYes'),
+            onConfirm: () => {
+                const profile = this.manager.create({
+                    name,
+                    avatar: data.get('avatar'),
+                    age: data.get('age')
+                });
+
+                console.log(`👶 Profile created: ${profile.name}`);
+                this.select(profile.id);
+            }
+        });
+    }
+
+    select(profileId) {
+        this.hide();
+        this.onSelect(profileId);
+    }
+
+    /**
+     * Choices for a child's content level: follow their age, or a band
+     */
+    levelOptions(profile) {
+        const auto = `<option value="">${I18n.t('levels.auto', { level: AgeLevels.label(AgeLevels.forAge(profile.age)) })}</option>`;
+        return auto + AGE_BANDS.map(band =>
+            `<option value="${band.id}"${profile.level === band.id ? ' selected' : ''}>${AgeLevels.label(band.id)}</option>`
+        ).join('');
+    }
+
+    /**
+     * Ask a grown-up to solve a sum first. A level that wasn't confirmed
+     * goes back to what it was.
+     */
+    askGrownUp({ message, confirmLabel, onConfirm }) {
+        this.gate.ask({ message, confirmLabel, onConfirm, onCancel: () => this.render() });
+    }
+
+    askDelete(profileId) {
+        const profile = this.manager.get(profileId);
+        if (!profile) return;
+
+        this.askGrownUp({
+            message: I18n.t('profiles.deleteConfirm', { name: profile.name }),
+            confirmLabel: I18n.t('profiles.delete'),
+            onConfirm: () => {
+                this.manager.remove(profileId);
+                this.onDelete(profile);
+                console.log(`🗑️ Profile deleted: ${profile.name}`);
+
+                this.render();
+                if (this.manager.list().length === 0) {
+                    this.managing = false;
+                    this.showForm(true);
+                }
+            }
+        });
+    }
+
+    /**
+     * Change which age band's content a child sees; an empty level
+     * goes back to following their age
+     */
+    askLevel(profileId, level) {
+        const profile = this.manager.get(profileId);
+        if (!profile) return;
+
+        const chosen = AgeLevels.isBand(level) ? level : null;
+        this.askGrownUp({
+            message: I18n.t('profiles.levelConfirm', {
+                name: profile.name,
+                level: AgeLevels.label(chosen || AgeLevels.forAge(profile.age))
+            }),
+            confirmLabel: I18n.t('profiles.levelChange'),
+            onConfirm: () => {
+                this.manager.update(profileId, { level: chosen });
+                console.log(`🎚️ ${profile.name} now sees ${chosen || 'age-matched'} content`);
+
+                this.render();
+                this.onLevelChange(profile);
+            }
+        });
+    }
+}
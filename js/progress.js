@@ -0,0 +1,273 @@
+// js/progress.js - Progress schema, migrations and validation
+
+/**
+ * Dental Kids App - Progress Schema
+ * Saved progress carries a schemaVersion. Older shapes are migrated
+ * step by step, then validated so bad fields are repaired instead of
+ * breaking app start.
+ */
+
+const PROGRESS_SCHEMA_VERSION = 12;
+
+/**
+ * Settings and the clinic's visit plan survive a grown-up resetting
+ * progress, and so does today's play time so a reset can't undo a limit
+ */
+const PROGRESS_KEPT_ON_RESET = [
+    'soundEnabled', 'effectsVolume', 'musicVolume', 'narrationVolume', 'musicEnabled',
+    'locale', 'narrationEnabled', 'motion', 'calmPace', 'dailyLimitMinutes', 'dailyUsage', 'visitPlan'
+];
+
+/**
+ * Migrations keyed by the version they upgrade to
+ */
+const PROGRESS_MIGRATIONS = {
+    // Unversioned saves: drop duplicate procedures and start tracking version
+    1(progress) {
+        if (Array.isArray(progress.completedProcedures)) {
+            progress.completedProcedures = Array.from(new Set(progress.completedProcedures));
+        }
+        return progress;
+    },
+
+    // Faces scale self-reports before and after each procedure
+    2(progress) {
+        progress.anxietyRatings = progress.anxietyRatings || [];
+        return progress;
+    },
+
+    // Time spent in the app and in each procedure, for clinicians
+    3(progress) {
+        progress.timeSpentSeconds = progress.timeSpentSeconds || 0;
+        progress.procedureSeconds = progress.procedureSeconds || {};
+        return progress;
+    },
+
+    // Visit preparation plan set by the clinician
+    4(progress) {
+        progress.visitPlan = progress.visitPlan || null;
+        return progress;
+    },
+
+    // Language chosen for this child; null follows the device
+    5(progress) {
+        progress.locale = progress.locale || null;
+        return progress;
+    },
+
+    // Read-aloud narration for children who can't read yet
+    6(progress) {
+        progress.narrationEnabled = Boolean(progress.narrationEnabled);
+        return progress;
+    },
+
+    // Separate volumes for effects, music and narration, and background music
+    7(progress) {
+        progress.effectsVolume = 0.8;
+        progress.musicVolume = 0.4;
+        progress.narrationVolume = 1;
+        progress.musicEnabled = false;
+        return progress;
+    },
+
+    // Reduced motion: 'auto' follows the device, or 'reduce' / 'full'
+    8(progress) {
+        progress.motion = 'auto';
+        return progress;
+    },
+
+    // Daily brushing and flossing check-offs and brushing coach sessions
+    9(progress) {
+        progress.habitLog = progress.habitLog || {};
+        return progress;
+    },
+
+    // Calm Corner: breathing pace, favourite pictures and a log of each use
+    10(progress) {
+        progress.calmPace = 'medium';
+        progress.calmFavorites = [];
+        progress.calmLog = [];
+        return progress;
+    },
+
+    // Tooth quiz: when to ask each question again and the score of each round
+    11(progress) {
+        progress.quizReview = {};
+        progress.quizRounds = [];
+        return progress;
+    },
+
+    // Daily time limit set in the parent area, and time played each day
+    12(progress) {
+        progress.dailyLimitMinutes = null;
+        progress.dailyUsage = {};
+        return progress;
+    }
+};
+
+const ProgressSchema = {
+    createDefault() {
+        return {
+            schemaVersion: PROGRESS_SCHEMA_VERSION,
+            completedProcedures: [],
+            badges: [],
+            miniGameScores: {},
+            anxietyRatings: [],
+            soundEnabled: true,
+            effectsVolume: 0.8,
+            musicVolume: 0.4,
+            narrationVolume: 1,
+            musicEnabled: false,
+            visitCount: 0,
+            visitStreak: 0,
+            lastVisitDate: null,
+            timeSpentSeconds: 0,
+            procedureSeconds: {},
+            visitPlan: null,
+            locale: null,
+            narrationEnabled: false,
+            motion: 'auto',
+            habitLog: {},
+            calmPace: 'medium',
+            calmFavorites: [],
+            calmLog: [],
+            quizReview: {},
+            quizRounds: [],
+            dailyLimitMinutes: null,
+            dailyUsage: {}
+        };
+    },
+
+    /**
+     * Start a child over, keeping their settings
+     */
+    reset(progress) {
+        const fresh = this.createDefault();
+        PROGRESS_KEPT_ON_RESET.forEach(field => {
+            fresh[field] = JSON.parse(JSON.stringify(progress[field]));
+        });
+        return fresh;
+    },
+
+    /**
+     * Run every migration between the saved version and the current one
+     */
+    migrate(progress) {
+        let version = Number(progress.schemaVersion) || 0;
+
+        while (version < PROGRESS_SCHEMA_VERSION) {
+            version += 1;
+            if (PROGRESS_MIGRATIONS[version]) {
+                progress = PROGRESS_MIGRATIONS[version](progress);
+            }
+            progress.schemaVersion = version;
+        }
+
+        return progress;
+    },
+
+    /**
+     * Repair a saved progress object field by field.
+     * Returns the usable progress and the names of fields that were fixed.
+     */
+    validate(data) {
+        const progress = this.createDefault();
+        const repaired = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { progress, repaired: ['*'] };
+        }
+
+        const isString = value => typeof value === 'string';
+        const isCount = value => Number.isInteger(value) && value >= 0;
+
+        const take = (field, isValid, clean = value => value) => {
+            if (!(field in data)) return;
+
+            if (isValid(data[field])) {
+                progress[field] = clean(data[field]);
+            } else {
+                repaired.push(field);
+            }
+        };
+
+        // Ids end up in pages, so they must look like catalog or content ids
+        const isId = value => isString(value) && CONTENT_ID_PATTERN.test(value);
+
+        take('completedProcedures', Array.isArray, list => list.filter(isId));
+        // Badges are kept even if their definition is missing right now;
+        // pages show them from Achievements.earned(), never the saved name
+        take('badges', Array.isArray, list => list.filter(badge =>
+            badge && isId(badge.id) && isString(badge.name) && isString(badge.earnedAt)
+        ));
+        const isNumberMap = value => value && typeof value === 'object' && !Array.isArray(value);
+        const cleanNumberMap = map =>
+            Object.fromEntries(Object.entries(map).filter(([id, number]) => isId(id) && typeof number === 'number'));
+
+        take('miniGameScores', isNumberMap, cleanNumberMap);
+        take('anxietyRatings', Array.isArray, list => list.filter(rating =>
+            rating && isId(rating.procedure) && ['pre', 'post'].includes(rating.phase) &&
+            typeof rating.score === 'number' && isString(rating.timestamp)
+        ));
+        const isVolume = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+        take('soundEnabled', value => typeof value === 'boolean');
+        take('effectsVolume', isVolume);
+        take('musicVolume', isVolume);
+        take('narrationVolume', isVolume);
+        take('musicEnabled', value => typeof value === 'boolean');
+        take('visitCount', isCount);
+        take('visitStreak', isCount);
+        take('lastVisitDate', value => value === null || isString(value));
+        take('timeSpentSeconds', isCount);
+        take('procedureSeconds', isNumberMap, cleanNumberMap);
+        // A saved plan gets the same checks as one from a file or a link
+        if ('visitPlan' in data && data.visitPlan !== null) {
+            const plan = VisitPlans.validate(data.visitPlan);
+            if (plan) {
+                progress.visitPlan = plan;
+            } else {
+                repaired.push('visitPlan');
+            }
+        }
+        take('locale', value => value === null || isString(value));
+        take('narrationEnabled', value => typeof value === 'boolean');
+        take('motion', value => ['auto', 'reduce', 'full'].includes(value));
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        take('habitLog', isObject, log => Object.fromEntries(Object.entries(log)
+            .filter(([date, day]) => /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+                day && Array.isArray(day.checks) && isCount(day.sessions))
+            .map(([date, day]) => [date, { checks: day.checks.filter(isString), sessions: day.sessions }])));
+        take('calmPace', value => ['slow', 'medium', 'quick'].includes(value));
+        take('calmFavorites', Array.isArray, list => list.filter(isString));
+        take('calmLog', Array.isArray, list => list.filter(entry =>
+            entry && isString(entry.tool) && isString(entry.startedAt) && isCount(entry.seconds) && isCount(entry.count)
+        ));
+        take('quizReview', isObject, review => Object.fromEntries(Object.entries(review)
+            .filter(([, entry]) => entry && isCount(entry.box) &&
+                /^\d{4}-\d{2}-\d{2}$/.test(entry.due) && isString(entry.seenAt))));
+        take('quizRounds', Array.isArray, list => list.filter(round =>
+            round && isString(round.finishedAt) && isCount(round.correct) && isCount(round.total) && round.correct <= round.total
+        ));
+        take('dailyLimitMinutes', value => value === null || (isCount(value) && value > 0));
+        take('dailyUsage', isObject, usage => Object.fromEntries(Object.entries(usage)
+            .filter(([date, seconds]) => /^\d{4}-\d{2}-\d{2}$/.test(date) && isCount(seconds))));
+
+        return { progress, repaired };
+    },
+
+    /**
+     * Turn whatever was saved into valid, current progress
+     */
+    normalize(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return this.validate(data);
+        }
+
+        if (Number(data.schemaVersion) > PROGRESS_SCHEMA_VERSION) {
+            console.warn(`⚠️ Progress was saved by a newer version (${data.schemaVersion})`);
+        }
+
+        return this.validate(this.migrate(Object.assign({}, data)));
+    }
+};
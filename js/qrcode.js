@@ -0,0 +1,364 @@
+// js/qrcode.js - Minimal QR code generator (byte mode, error correction M)
+
+/**
+ * Dental Kids App - QR Codes
+ * Encodes short text such as a visit plan link into a QR code (versions
+ * 1-10, enough for about 200 bytes) and draws it as SVG. No network or
+ * third-party library needed, so it works on an offline clinic tablet.
+ */
+
+// [total codewords, EC codewords per block, number of blocks] for level M
+const QR_VERSIONS_M = [
+    null,
+    [26, 10, 1], [44, 16, 1], [70, 26, 1], [100, 18, 2], [134, 24, 2],
+    [172, 16, 4], [196, 18, 4], [242, 22, 4], [292, 22, 5], [346, 26, 5]
+];
+
+const QR_ALIGNMENT_POSITIONS = [
+    null,
+    [], [6, 18], [6, 22], [6, 26], [6, 30],
+    [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Multiply two numbers in GF(256) with the QR polynomial 0x11D
+ */
+function qrMultiply(x, y) {
+    let result = 0;
+    for (let i = 7; i >= 0; i--) {
+        result = (result << 1) ^ ((result >>> 7) * 0x11D);
+        result ^= ((y >>> i) & 1) * x;
+    }
+    return result;
+}
+
+function qrReedSolomonDivisor(degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < divisor.length; j++) {
+            divisor[j] = qrMultiply(divisor[j], root);
+            if (j + 1 < divisor.length) {
+                divisor[j] ^= divisor[j + 1];
+            }
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return divisor;
+}
+
+function qrReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= qrMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+class QRMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinder(3, 3);
+        this.drawFinder(this.size - 4, 3);
+        this.drawFinder(3, this.size - 4);
+
+        const positions = QR_ALIGNMENT_POSITIONS[this.version];
+        const last = positions.length - 1;
+        positions.forEach((x, i) => {
+            positions.forEach((y, j) => {
+                const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                if (!overlapsFinder) {
+                    this.drawAlignment(x, y);
+                }
+            });
+        });
+
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinder(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunction(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignment(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        // Error correction level M is 00, so the data is just the mask
+        let remainder = mask;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((mask << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, this.size - 15 + i, bit(i));
+        this.setFunction(8, this.size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, dark);
+            this.setFunction(b, a, dark);
+        }
+    }
+
+    /**
+     * Place codewords in the zig-zag order, skipping function modules
+     */
+    drawCodewords(codewords) {
+        let bitIndex = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+
+                    if (!this.isFunction[y][x] && bitIndex < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && QR_MASKS[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Score how hard the symbol is to scan (lower is better)
+     */
+    penalty() {
+        let score = 0;
+        const lines = [];
+
+        for (let i = 0; i < this.size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let runLength = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) score += runLength - 2;
+                    runLength = 1;
+                }
+            }
+
+            const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+            score += (pattern.match(/(?=10111010000|00001011101)/g) || []).length * 40;
+        });
+
+        let dark = 0;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                const color = this.modules[y][x];
+                if (color) dark++;
+                if (x < this.size - 1 && y < this.size - 1 &&
+                    color === this.modules[y][x + 1] &&
+                    color === this.modules[y + 1][x] &&
+                    color === this.modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+
+        const total = this.size * this.size;
+        score += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * 10;
+        return score;
+    }
+}
+
+const QRCode = {
+    /**
+     * Encode text into a matrix of dark (true) and light (false) modules
+     */
+    generate(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        let version = 1;
+        for (; version < QR_VERSIONS_M.length; version++) {
+            const [total, eccPerBlock, blocks] = QR_VERSIONS_M[version];
+            const capacityBits = (total - eccPerBlock * blocks) * 8;
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= capacityBits) break;
+        }
+        if (version >= QR_VERSIONS_M.length) {
+            throw new Error('Text is too long for a QR code');
+        }
+
+        const codewords = this.encodeData(bytes, version);
+        const matrix = new QRMatrix(version);
+        matrix.drawFunctionPatterns();
+        matrix.drawCodewords(codewords);
+
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < QR_MASKS.length; mask++) {
+            matrix.applyMask(mask);
+            matrix.drawFormatBits(mask);
+            const penalty = matrix.penalty();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            matrix.applyMask(mask);
+        }
+
+        matrix.applyMask(bestMask);
+        matrix.drawFormatBits(bestMask);
+        return matrix.modules;
+    },
+
+    /**
+     * Build the data bit stream, then add error correction and interleave
+     */
+    encodeData(bytes, version) {
+        const [total, eccPerBlock, blockCount] = QR_VERSIONS_M[version];
+        const dataCapacity = total - eccPerBlock * blockCount;
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        append(0, Math.min(4, dataCapacity * 8 - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        for (let pad = 0xEC; data.length < dataCapacity; pad ^= 0xEC ^ 0x11) {
+            data.push(pad);
+        }
+
+        const shortBlockCount = blockCount - (total % blockCount);
+        const shortBlockLength = Math.floor(total / blockCount);
+        const divisor = qrReedSolomonDivisor(eccPerBlock);
+        const blocks = [];
+
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortBlockLength - eccPerBlock + (i < shortBlockCount ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = qrReedSolomonRemainder(block, divisor);
+            if (i < shortBlockCount) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccPerBlock || j >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    },
+
+    /**
+     * Draw text as a QR code SVG with a quiet zone around it
+     */
+    toSVG(text, { margin = 4, label = 'QR code' } = {}) {
+        const modules = this.generate(text);
+        const size = modules.length + margin * 2;
+        let path = '';
+
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+            });
+        });
+
+        return `
+            <svg class="qr-code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges">
+                <rect width="${size}" height="${size}" fill="#ffffff"></rect>
+                <path d="${path}" fill="#000000"></path>
+            </svg>
+        `;
+    }
+};
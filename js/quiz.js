@@ -0,0 +1,784 @@
+// js/quiz.js - Tooth-care quiz: question bank, rounds and spaced repetition
+
+/**
+ * Dental Kids App - Tooth Quiz
+ * Short rounds of picture questions about the tips and procedures:
+ * pick a picture, say whether something is true, or sort things into
+ * baskets. Each answer moves the question between review boxes, so
+ * missed questions come back soon and known ones only now and then.
+ * Kept per child as
+ *   quizReview: { 'brush-times': { box: 2, due: 'YYYY-MM-DD', seenAt: ISO } }
+ *   quizRounds: [{ finishedAt: ISO, correct: 4, total: 5 }]
+ * Questions are translated under "quiz.questions.<id>".
+ */
+
+/**
+ * Questions per round, by age band
+ */
+const QUIZ_ROUND_SIZES = { '3-5': 3, '6-8': 5, '9-12': 6 };
+
+/**
+ * Days until a question is asked again, by review box. A missed
+ * question drops back to the first box and is due straight away.
+ */
+const QUIZ_REVIEW_DAYS = [0, 1, 3, 7, 14];
+
+const QUIZ_ROUND_LIMIT = 100;
+
+/**
+ * Praise after a right answer, under "quiz.cheers.<id>"
+ */
+const QUIZ_CHEERS = ['great', 'smart', 'star'];
+
+/**
+ * Questions with a procedure are only asked while that procedure is in
+ * the catalog, and questions with ages only to children in those bands.
+ * Choice options mark the right one with correct: true; sort items name
+ * the group they belong in. Variants give younger children fewer
+ * choices and older ones more detail (see js/levels.js).
+ */
+const QUIZ_QUESTIONS = [
+    {
+        id: 'brush-times',
+        type: 'choice',
+        icon: '🪥',
+        prompt: 'How many times a day should you brush your teeth?',
+        options: [
+            { icon: '☝️', label: 'Once' },
+            { icon: '✌️', label: 'Twice', correct: true },
+            { icon: '🔟', label: 'Ten times' }
+        ],
+        why: 'Brush in the morning and before bed.',
+        variants: {
+            '3-5': {
+                prompt: 'How many times a day do we brush?',
+                options: [
+                    { icon: '☝️', label: 'Once' },
+                    { icon: '✌️', label: 'Two times', correct: true }
+                ]
+            }
+        }
+    },
+    {
+        id: 'brush-minutes',
+        type: 'choice',
+        icon: '⏱️',
+        prompt: 'How long should you brush for?',
+        options: [
+            { icon: '⚡', label: 'A few seconds' },
+            { icon: '⏱️', label: 'Two minutes', correct: true },
+            { icon: '🌙', label: 'All night' }
+        ],
+        why: 'Two minutes gives every tooth a good clean. The brushing coach can help you count!',
+        variants: {
+            '3-5': {
+                options: [
+                    { icon: '⚡', label: 'A tiny bit' },
+                    { icon: '⏱️', label: 'Two minutes', correct: true }
+                ],
+                why: 'Two minutes is as long as a brushing song.'
+            },
+            '9-12': {
+                why: 'Two minutes is about how long it takes to clean the outside, inside and chewing side of every tooth.'
+            }
+        }
+    },
+    {
+        id: 'best-snack',
+        type: 'choice',
+        icon: '🍽️',
+        prompt: 'Which snack is best for your teeth?',
+        options: [
+            { icon: '🍭', label: 'Lollipop' },
+            { icon: '🍎', label: 'Apple', correct: true },
+            { icon: '🍩', label: 'Doughnut' }
+        ],
+        why: 'Crunchy fruit is good for teeth. Sticky sweets feed the sugar bugs.',
+        variants: {
+            '3-5': {
+                prompt: 'Which snack is good for your teeth?',
+                options: [
+                    { icon: '🍭', label: 'Lollipop' },
+                    { icon: '🍎', label: 'Apple', correct: true }
+                ]
+            },
+            '9-12': {
+                why: 'Germs in plaque turn sugar into acid. Sticky sweets keep that acid on your teeth for longer, while crunchy fruit helps clean them.'
+            }
+        }
+    },
+    {
+        id: 'floss-between',
+        type: 'truefalse',
+        icon: '🧵',
+        prompt: 'Floss cleans between your teeth, where the toothbrush can\'t reach.',
+        answer: true,
+        why: 'Floss gets out the food hiding between your teeth.',
+        variants: {
+            '9-12': {
+                why: 'About a third of each tooth\'s surface is between teeth, and only floss can reach it.'
+            }
+        }
+    },
+    {
+        id: 'water-rinse',
+        type: 'truefalse',
+        icon: '🥛',
+        prompt: 'Drinking water helps wash sugar off your teeth.',
+        answer: true,
+        why: 'Water washes away sugar and bacteria, so it\'s the best drink for teeth.',
+        variants: {
+            '3-5': {
+                prompt: 'Water is good for your teeth.',
+                why: 'Water is the best drink for teeth!'
+            }
+        }
+    },
+    {
+        id: 'fizzy-drinks',
+        type: 'truefalse',
+        icon: '🥤',
+        prompt: 'Fizzy drinks are good for your teeth.',
+        answer: false,
+        why: 'Fizzy drinks have lots of sugar. Water or milk are much better.',
+        variants: {
+            '9-12': {
+                prompt: 'Sugar-free fizzy drinks can\'t harm your teeth.',
+                why: 'Even sugar-free fizzy drinks are acidic, and acid softens tooth enamel. Water is still the best choice.'
+            }
+        }
+    },
+    {
+        id: 'stop-signal',
+        type: 'truefalse',
+        icon: '✋',
+        prompt: 'If you need a break, you can raise your hand and the dentist will stop.',
+        answer: true,
+        why: 'Raising your hand is your stop signal. You can practise it in the Calm Corner.',
+        variants: {
+            '3-5': {
+                prompt: 'If you need a break, you can raise your hand.',
+                why: 'Raising your hand means "stop, please". The dentist will wait for you.'
+            }
+        }
+    },
+    {
+        id: 'snack-sort',
+        type: 'sort',
+        prompt: 'Sort the snacks! Which ones are tooth-friendly and which are sugary?',
+        groups: [
+            { id: 'friendly', icon: '😁', label: 'Tooth-friendly' },
+            { id: 'sugary', icon: '🍬', label: 'Sugary' }
+        ],
+        items: [
+            { icon: '🍎', label: 'Apple', group: 'friendly' },
+            { icon: '🥕', label: 'Carrot', group: 'friendly' },
+            { icon: '🧀', label: 'Cheese', group: 'friendly' },
+            { icon: '🍭', label: 'Lollipop', group: 'sugary' },
+            { icon: '🍰', label: 'Cake', group: 'sugary' },
+            { icon: '🥤', label: 'Fizzy drink', group: 'sugary' }
+        ],
+        why: 'Fruit, vegetables and cheese are kind to teeth. Save sweets for a treat.',
+        variants: {
+            '3-5': {
+                prompt: 'Sort the snacks!',
+                items: [
+                    { icon: '🍎', label: 'Apple', group: 'friendly' },
+                    { icon: '🥕', label: 'Carrot', group: 'friendly' },
+                    { icon: '🍭', label: 'Lollipop', group: 'sugary' },
+                    { icon: '🍰', label: 'Cake', group: 'sugary' }
+                ]
+            }
+        }
+    },
+    {
+        id: 'habit-sort',
+        type: 'sort',
+        prompt: 'Which of these are good for your teeth?',
+        groups: [
+            { id: 'good', icon: '👍', label: 'Good for teeth' },
+            { id: 'bad', icon: '👎', label: 'Not good for teeth' }
+        ],
+        items: [
+            { icon: '🪥', label: 'Brushing before bed', group: 'good' },
+            { icon: '🧵', label: 'Flossing', group: 'good' },
+            { icon: '🦷', label: 'Visiting the dentist', group: 'good' },
+            { icon: '🍬', label: 'Sweets all day long', group: 'bad' },
+            { icon: '😴', label: 'Sleeping without brushing', group: 'bad' }
+        ],
+        why: 'Brushing, flossing and dentist visits keep your smile healthy.',
+        variants: {
+            '3-5': {
+                items: [
+                    { icon: '🪥', label: 'Brushing before bed', group: 'good' },
+                    { icon: '🦷', label: 'Visiting the dentist', group: 'good' },
+                    { icon: '🍬', label: 'Sweets all day long', group: 'bad' },
+                    { icon: '😴', label: 'Sleeping without brushing', group: 'bad' }
+                ]
+            }
+        }
+    },
+    {
+        id: 'cleaning-polish',
+        type: 'choice',
+        procedure: 'cleaning',
+        icon: '✨',
+        prompt: 'What makes your teeth shiny at a cleaning?',
+        options: [
+            { icon: '🪥', label: 'A tickly polisher', correct: true },
+            { icon: '🖍️', label: 'A crayon' },
+            { icon: '🧽', label: 'A kitchen sponge' }
+        ],
+        why: 'The polisher spins and tickles to make your teeth sparkle.',
+        variants: {
+            '3-5': {
+                prompt: 'What makes your teeth shiny?',
+                options: [
+                    { icon: '🪥', label: 'A tickly brush', correct: true },
+                    { icon: '🖍️', label: 'A crayon' }
+                ]
+            },
+            '9-12': {
+                prompt: 'What does the hygienist use to scrape off hard tartar?',
+                options: [
+                    { icon: '🪝', label: 'A scaler', correct: true },
+                    { icon: '🧽', label: 'A sponge' },
+                    { icon: '🪮', label: 'A comb' }
+                ],
+                why: 'Tartar is plaque that has hardened, so a toothbrush can\'t shift it. The scaler gently scrapes it away.'
+            }
+        }
+    },
+    {
+        id: 'xray-still',
+        type: 'truefalse',
+        procedure: 'xray',
+        icon: '📸',
+        prompt: 'For a tooth picture, you need to hold very still.',
+        answer: true,
+        why: 'Holding still, like a statue, makes the picture nice and clear.',
+        variants: {
+            '9-12': {
+                why: 'The camera only needs about a second. Moving during that second blurs the picture, and it might need to be taken again.'
+            }
+        }
+    },
+    {
+        id: 'filling-hole',
+        type: 'truefalse',
+        procedure: 'filling',
+        icon: '🦷',
+        prompt: 'A filling fixes a little hole in your tooth.',
+        answer: true,
+        why: 'The dentist cleans the hole and fills it so your tooth is strong again.',
+        variants: {
+            '9-12': {
+                why: 'Germs turn sugar into acid, which makes a hole called a cavity. The dentist removes the decay and fills the space.'
+            }
+        }
+    },
+    {
+        id: 'checkup-mirror',
+        type: 'choice',
+        procedure: 'checkup',
+        icon: '🔍',
+        prompt: 'What does the dentist use to look at all your teeth?',
+        options: [
+            { icon: '🪞', label: 'A tiny mirror', correct: true },
+            { icon: '🔭', label: 'A telescope' },
+            { icon: '🧲', label: 'A magnet' }
+        ],
+        why: 'The little mirror helps the dentist see the backs of your teeth.',
+        variants: {
+            '3-5': {
+                options: [
+                    { icon: '🪞', label: 'A tiny mirror', correct: true },
+                    { icon: '🔭', label: 'A telescope' }
+                ]
+            }
+        }
+    },
+    {
+        id: 'fluoride',
+        type: 'choice',
+        ages: ['9-12'],
+        icon: '🧴',
+        prompt: 'What does the fluoride in toothpaste do?',
+        options: [
+            { icon: '💪', label: 'Makes enamel stronger', correct: true },
+            { icon: '🌿', label: 'Gives it a minty taste' },
+            { icon: '🫧', label: 'Makes the foam' }
+        ],
+        why: 'Fluoride helps repair the enamel that acid wears down, so teeth resist cavities.'
+    },
+    {
+        id: 'plaque',
+        type: 'truefalse',
+        ages: ['9-12'],
+        icon: '🦠',
+        prompt: 'Plaque is a sticky layer of germs that builds up on your teeth every day.',
+        answer: true,
+        why: 'That\'s why we brush twice a day. Plaque left too long hardens into tartar.'
+    },
+    {
+        id: 'baby-teeth',
+        type: 'truefalse',
+        ages: ['9-12'],
+        icon: '👶',
+        prompt: 'Baby teeth don\'t matter because they fall out anyway.',
+        answer: false,
+        why: 'Baby teeth save space for grown-up teeth and help you chew and speak. A cavity in one can still hurt.'
+    }
+];
+
+/**
+ * One round of questions. Each missed question comes back once at the
+ * end of the round; only the first answer counts towards the score.
+ */
+class QuizRound {
+    constructor(questions) {
+        this.queue = questions.map(question => ({ question, retry: false }));
+        this.total = questions.length;
+        this.index = 0;
+        this.correct = 0;
+        this.answered = false;
+        this.startedAt = new Date();
+    }
+
+    current() {
+        return this.queue[this.index] || null;
+    }
+
+    /**
+     * Check an answer to the current question, once
+     */
+    answer(answer) {
+        const entry = this.current();
+        if (!entry || this.answered) return null;
+
+        this.answered = true;
+        const correct = Quiz.isCorrect(entry.question, answer);
+        if (!entry.retry) {
+            if (correct) {
+                this.correct += 1;
+            } else {
+                this.queue.push({ question: entry.question, retry: true });
+            }
+        }
+
+        return { question: entry.question, retry: entry.retry, correct, answer };
+    }
+
+    /**
+     * Move on, returning the next question or null at the end
+     */
+    next() {
+        this.index += 1;
+        this.answered = false;
+        return this.current();
+    }
+
+    result() {
+        return {
+            correct: this.correct,
+            total: this.total,
+            score: this.total ? Math.round(this.correct / this.total * 100) : 0
+        };
+    }
+}
+
+/**
+ * Put things into baskets by dragging them, or by picking a thing and
+ * then a basket, which also works from the keyboard or a switch
+ */
+class QuizSortBoard extends MiniGame {
+    constructor(stage, options) {
+        super(stage, options);
+        this.question = options.question;
+        this.order = Quiz.shuffle(this.question.items.map((item, index) => index));
+        this.placed = this.question.items.map(() => null);
+        this.selected = null;
+        this.drag = null;
+        this.justDragged = false;
+        this.locked = false;
+        this.onChange = options.onChange || (() => {});
+    }
+
+    render() {
+        const items = this.order.map(index => {
+            const item = this.question.items[index];
+            return `
+                <button type="button" class="quiz-sort-item" data-item="${index}" aria-pressed="false">
+                    <span class="quiz-sort-icon" aria-hidden="true">${item.icon}</span> ${item.label}
+                </button>
+            `;
+        }).join('');
+        const groups = this.question.groups.map(group => `
+            <div class="quiz-bin" data-group="${group.id}">
+                <button type="button" class="quiz-bin-btn" data-group="${group.id}">
+                    <span class="quiz-bin-icon" aria-hidden="true">${group.icon}</span> ${group.label}
+                </button>
+                <div class="quiz-bin-items"></div>
+            </div>
+        `).join('');
+
+        this.stage.innerHTML = `
+            <div class="quiz-sort-tray">${items}</div>
+            <div class="quiz-bins">${groups}</div>
+            <p class="minigame-status" role="status">${I18n.t('quiz.sort.start')}</p>
+        `;
+        this.tray = this.stage.querySelector('.quiz-sort-tray');
+    }
+
+    bind() {
+        this.stage.querySelectorAll('.quiz-sort-item').forEach(element => {
+            this.listen(element, 'pointerdown', event => this.startDrag(event, element));
+            this.listen(element, 'click', () => {
+                // The click that ends a drag isn't a tap
+                if (this.justDragged) {
+                    this.justDragged = false;
+                    return;
+                }
+                this.select(Number(element.dataset.item));
+            });
+        });
+        this.listen(this.stage, 'pointermove', event => this.moveDrag(event));
+        this.listen(this.stage, 'pointerup', event => this.endDrag(event));
+        this.listen(this.stage, 'pointercancel', () => this.cancelDrag());
+        this.stage.querySelectorAll('.quiz-bin-btn').forEach(button => {
+            this.listen(button, 'click', () => {
+                if (this.selected !== null) {
+                    this.place(this.selected, button.dataset.group);
+                }
+            });
+        });
+    }
+
+    startDrag(event, element) {
+        if (this.locked) return;
+
+        this.drag = { element, x: event.clientX, y: event.clientY, moved: false };
+        this.justDragged = false;
+        if (element.setPointerCapture) {
+            element.setPointerCapture(event.pointerId);
+        }
+    }
+
+    moveDrag(event) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        const x = event.clientX - drag.x;
+        const y = event.clientY - drag.y;
+        if (!drag.moved && Math.hypot(x, y) < 8) return;
+
+        drag.moved = true;
+        drag.element.classList.add('dragging');
+        drag.element.style.transform = `translate(${x}px, ${y}px)`;
+    }
+
+    /**
+     * A drag that ends over a basket puts the thing in it; a tap
+     * without moving is left to the click handler
+     */
+    endDrag(event) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        this.cancelDrag();
+        if (!drag.moved) return;
+
+        this.justDragged = true;
+
+        const target = document.elementFromPoint(event.clientX, event.clientY);
+        const bin = target && target.closest('.quiz-bin');
+        if (bin && this.stage.contains(bin)) {
+            this.place(Number(drag.element.dataset.item), bin.dataset.group);
+        }
+    }
+
+    cancelDrag() {
+        if (!this.drag) return;
+
+        this.drag.element.classList.remove('dragging');
+        this.drag.element.style.transform = '';
+        this.drag = null;
+    }
+
+    select(index) {
+        if (this.locked) return;
+
+        this.selected = this.selected === index ? null : index;
+        this.stage.querySelectorAll('.quiz-sort-item').forEach(element => {
+            element.setAttribute('aria-pressed', Number(element.dataset.item) === this.selected);
+        });
+        this.tone(660, 0.08, 'sine');
+
+        const item = this.question.items[index];
+        this.setStatus(this.selected === null
+            ? I18n.t('quiz.sort.start')
+            : I18n.t('quiz.sort.pickBasket', { item: `${item.icon} ${item.label}` }));
+    }
+
+    place(index, groupId) {
+        if (this.locked) return;
+
+        const element = this.stage.querySelector(`.quiz-sort-item[data-item="${index}"]`);
+        const bin = this.stage.querySelector(`.quiz-bin[data-group="${groupId}"] .quiz-bin-items`);
+        if (!element || !bin) return;
+
+        bin.appendChild(element);
+        this.placed[index] = groupId;
+        this.selected = null;
+        this.stage.querySelectorAll('.quiz-sort-item').forEach(item => item.setAttribute('aria-pressed', 'false'));
+        this.tone(880, 0.1, 'sine');
+
+        const left = this.placed.filter(group => group === null).length;
+        this.setStatus(left > 0 ? I18n.t('quiz.sort.left', { count: left }) : I18n.t('quiz.sort.ready'));
+        this.onChange(left === 0);
+
+        // Keep keyboard users on the next thing to sort
+        const next = this.tray.querySelector('.quiz-sort-item');
+        if (next) {
+            next.focus();
+        }
+    }
+
+    /**
+     * The chosen basket for each thing, in question order
+     */
+    placements() {
+        return this.placed.slice();
+    }
+
+    /**
+     * Stop moving things and show which ones were in the right basket
+     */
+    lock() {
+        this.locked = true;
+        this.destroy();
+        this.stage.querySelectorAll('.quiz-sort-item').forEach(element => {
+            const index = Number(element.dataset.item);
+            element.disabled = true;
+            element.classList.add(this.placed[index] === this.question.items[index].group ? 'right' : 'wrong');
+        });
+        this.stage.querySelectorAll('.quiz-bin-btn').forEach(button => {
+            button.disabled = true;
+        });
+    }
+}
+
+const Quiz = {
+    /**
+     * Questions that can be asked with the current procedures,
+     * in the current language
+     */
+    questions() {
+        return QUIZ_QUESTIONS
+            .filter(question => !question.procedure || ProcedureCatalog.has(question.procedure))
+            .filter(question => AgeLevels.suits(question))
+            .map(question => AgeLevels.apply(I18n.localize(question, `quiz.questions.${question.id}`)));
+    },
+
+    /**
+     * Questions in a round for the current age band
+     */
+    roundSize() {
+        return Math.min(QUIZ_ROUND_SIZES[AgeLevels.band], this.questions().length);
+    },
+
+    shuffle(list) {
+        const shuffled = list.slice();
+        for (let index = shuffled.length - 1; index > 0; index -= 1) {
+            const other = Math.floor(Math.random() * (index + 1));
+            [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+        }
+        return shuffled;
+    },
+
+    /**
+     * Pick a round: questions that are due come first (missed ones
+     * before the rest), then ones never asked, then whatever is due
+     * soonest. The picked questions are asked in random order.
+     */
+    pickRound(review, size = this.roundSize(), today = new Date()) {
+        const todayKey = HabitTracker.dateKey(today);
+        const questions = this.questions();
+        const due = questions.filter(question => review[question.id] && review[question.id].due <= todayKey)
+            .sort((a, b) => review[a.id].box - review[b.id].box);
+        const unseen = this.shuffle(questions.filter(question => !review[question.id]));
+        const later = questions.filter(question => review[question.id] && review[question.id].due > todayKey)
+            .sort((a, b) => review[a.id].due.localeCompare(review[b.id].due));
+
+        return this.shuffle(due.concat(unseen, later).slice(0, size)).map(question => {
+            if (question.type !== 'choice') return question;
+            return Object.assign({}, question, { options: this.shuffle(question.options) });
+        });
+    },
+
+    isCorrect(question, answer) {
+        if (question.type === 'choice') {
+            return Boolean(question.options[answer] && question.options[answer].correct);
+        }
+        if (question.type === 'truefalse') {
+            return answer === question.answer;
+        }
+        if (question.type === 'sort') {
+            return Array.isArray(answer) && question.items.every((item, index) => answer[index] === item.group);
+        }
+        return false;
+    },
+
+    /**
+     * Move a question up a box after a right answer, or back to the
+     * first box after a miss, and work out when to ask it again
+     */
+    review(review, questionId, correct, date = new Date()) {
+        const last = QUIZ_REVIEW_DAYS.length - 1;
+        const box = correct ? Math.min((review[questionId] ? review[questionId].box : 0) + 1, last) : 0;
+        const due = new Date(date);
+        due.setDate(due.getDate() + QUIZ_REVIEW_DAYS[box]);
+
+        review[questionId] = { box, due: HabitTracker.dateKey(due), seenAt: date.toISOString() };
+    },
+
+    /**
+     * Note a finished round, keeping only the most recent ones
+     */
+    record(rounds, result, date = new Date()) {
+        rounds.push({ finishedAt: date.toISOString(), correct: result.correct, total: result.total });
+        if (rounds.length > QUIZ_ROUND_LIMIT) {
+            rounds.splice(0, rounds.length - QUIZ_ROUND_LIMIT);
+        }
+    },
+
+    score(round) {
+        return round.total ? Math.round(round.correct / round.total * 100) : 0;
+    },
+
+    bestScore(rounds) {
+        return rounds.reduce((best, round) => Math.max(best, this.score(round)), 0);
+    },
+
+    /**
+     * Questions answered right often enough to reach the last box
+     */
+    mastered(review) {
+        return Object.values(review).filter(entry => entry.box >= QUIZ_REVIEW_DAYS.length - 1).length;
+    },
+
+    /**
+     * The quiz card in the Tips section
+     */
+    renderPanel(rounds) {
+        const last = rounds[rounds.length - 1];
+        const summary = last
+            ? I18n.t('quiz.lastScore', { correct: last.correct, total: last.total, best: this.bestScore(rounds) })
+            : I18n.t('quiz.firstTime');
+
+        return `
+            <div class="brushing-panel-intro">
+                <div class="brushing-panel-mascot" aria-hidden="true">🦷</div>
+                <div>
+                    <h3 class="badges-title">${I18n.t('quiz.title')}</h3>
+                    <p class="section-description">${I18n.t('quiz.intro', { count: this.roundSize() })}</p>
+                </div>
+                <button type="button" class="brushing-start-btn quiz-start-btn" onclick="app.startQuiz()">${I18n.t('quiz.start')}</button>
+            </div>
+            <p class="quiz-panel-score">${summary}</p>
+        `;
+    },
+
+    renderQuestion(entry, number, total) {
+        const question = entry.question;
+        const indicator = entry.retry
+            ? I18n.t('quiz.tryAgain')
+            : I18n.t('quiz.questionOf', { number, total });
+        const views = {
+            choice: () => `
+                <div class="quiz-options">
+                    ${question.options.map((option, index) => `
+                        <button type="button" class="quiz-option" data-answer="${index}" onclick="app.answerQuiz(${index})">
+                            <span class="quiz-option-icon" aria-hidden="true">${option.icon}</span>
+                            <span class="quiz-option-label">${option.label}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            `,
+            truefalse: () => `
+                <div class="quiz-options quiz-truefalse">
+                    <button type="button" class="quiz-option" data-answer="true" onclick="app.answerQuiz(true)">
+                        <span class="quiz-option-icon" aria-hidden="true">👍</span>
+                        <span class="quiz-option-label">${I18n.t('quiz.true')}</span>
+                    </button>
+                    <button type="button" class="quiz-option" data-answer="false" onclick="app.answerQuiz(false)">
+                        <span class="quiz-option-icon" aria-hidden="true">👎</span>
+                        <span class="quiz-option-label">${I18n.t('quiz.false')}</span>
+                    </button>
+                </div>
+            `,
+            sort: () => `
+                <div class="quiz-sort"></div>
+                <button type="button" class="next-step-btn quiz-check-btn" disabled onclick="app.checkQuizSort()">${I18n.t('quiz.sort.check')}</button>
+            `
+        };
+
+        return `
+            <div class="procedure-steps quiz-question" data-question="${question.id}" data-type="${question.type}">
+                <div class="step-indicator">${indicator}</div>
+                ${question.icon ? `<div class="quiz-picture" aria-hidden="true">${question.icon}</div>` : ''}
+                <h3 class="quiz-prompt" data-narrate>${question.prompt}</h3>
+                ${views[question.type]()}
+                <div class="quiz-feedback" role="status"></div>
+            </div>
+        `;
+    },
+
+    /**
+     * Friendly words after an answer, with the right answer after a miss
+     */
+    renderFeedback(result, isLast) {
+        const question = result.question;
+        let heading;
+
+        if (result.correct) {
+            const cheer = QUIZ_CHEERS[Math.floor(Math.random() * QUIZ_CHEERS.length)];
+            heading = I18n.t(`quiz.cheers.${cheer}`);
+        } else if (question.type === 'choice') {
+            const option = question.options.find(item => item.correct);
+            heading = I18n.t('quiz.answerWas', { answer: `${option.icon} ${option.label}` });
+        } else if (question.type === 'truefalse') {
+            heading = I18n.t(question.answer ? 'quiz.itsTrue' : 'quiz.itsFalse');
+        } else {
+            const wrong = question.items.filter((item, index) => result.answer[index] !== item.group).length;
+            heading = I18n.t('quiz.sort.wrong', { count: wrong });
+        }
+
+        return `
+            <p class="quiz-feedback-heading" data-narrate>${heading}</p>
+            <p data-narrate>${question.why}</p>
+            ${!result.correct && !result.retry ? `<p class="quiz-again-note">${I18n.t('quiz.comeBack')}</p>` : ''}
+            <button type="button" class="next-step-btn quiz-next-btn" onclick="app.nextQuizQuestion()">
+                ${I18n.t(isLast ? 'quiz.finish' : 'quiz.next')}
+            </button>
+        `;
+    },
+
+    renderSummary(result, mastered) {
+        const stars = result.score >= 100 ? 3 : result.score >= 60 ? 2 : 1;
+        const message = result.score >= 100 ? 'quiz.summary.perfect' : result.score >= 60 ? 'quiz.summary.good' : 'quiz.summary.keepGoing';
+
+        return `
+            <div class="procedure-steps quiz-summary">
+                <div class="complete-icon" aria-hidden="true">${'⭐'.repeat(stars)}</div>
+                <h3 data-narrate>${I18n.t('quiz.summary.score', { correct: result.correct, total: result.total })}</h3>
+                <p data-narrate>${I18n.t(message)}</p>
+                ${mastered > 0 ? `<p class="quiz-mastered">${I18n.t('quiz.summary.mastered', { count: mastered })}</p>` : ''}
+                <div class="step-navigation">
+                    <button type="button" class="prev-step-btn" onclick="app.closeModal()">${I18n.t('quiz.summary.done')}</button>
+                    <button type="button" class="next-step-btn" onclick="app.startQuiz()">${I18n.t('quiz.summary.again')}</button>
+                </div>
+            </div>
+        `;
+    }
+};
@@ -0,0 +1,202 @@
+// js/report.js - Printable "My Brave Dental Report"
+
+/**
+ * Dental Kids App - Brave Report
+ * A one-page summary of a child's progress, feelings and badges that
+ * parents can print for the appointment and clinicians can attach to
+ * the chart. Shows the profile in ?profile=<id>, or the active one.
+ */
+
+class BraveReport {
+    constructor(storageAdapter = StorageAdapters.createDefault()) {
+        this.storage = new AppStorage(storageAdapter);
+        this.profiles = null;
+        this.localeKey = 'dentalKidsLocale';
+
+        const domReady = new Promise(resolve => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', resolve);
+            } else {
+                resolve();
+            }
+        });
+
+        Promise.all([domReady, this.storage.load()]).then(() => this.init());
+    }
+
+    init() {
+        this.profiles = new ProfileManager(this.storage);
+        new ContentLibrary(this.storage).apply();
+
+        const requestedId = new URLSearchParams(window.location.search).get('profile');
+        const profile = requestedId ? this.profiles.get(requestedId) : this.profiles.getActive();
+        const report = document.getElementById('report');
+
+        document.getElementById('print-report').addEventListener('click', () => window.print());
+
+        // The report is in the language the child plays in
+        const progress = profile ? this.profiles.loadProgress(profile.id) : null;
+        I18n.setLocale((progress && progress.locale) || this.storage.read(this.localeKey) || I18n.detect());
+
+        if (!profile) {
+            console.error(`❌ No profile to report on: ${requestedId || '(none active)'}`);
+            report.innerHTML = `<p class="report-empty">${I18n.t('report.noProfile')}</p>`;
+            return;
+        }
+
+        document.title = I18n.t('report.childTitle', { name: profile.name });
+        report.innerHTML = this.render(profile, progress);
+        console.log(`🖨️ Report ready for ${profile.name}`);
+    }
+
+    render(profile, progress) {
+        const procedures = ProcedureCatalog.all();
+        const learned = procedures.filter(procedure => progress.completedProcedures.includes(procedure.id));
+        const badges = Achievements.earned(progress.badges);
+
+        return `
+            <header class="report-header">
+                <div class="report-title">
+                    <span class="report-logo">🦷</span>
+                    <div>
+                        <h1>${I18n.t('report.title')}</h1>
+                        <p class="report-muted">${I18n.t('report.printed', { date: I18n.formatDate(new Date()) })}</p>
+                    </div>
+                </div>
+                <div class="report-child">
+                    <span class="report-avatar">${profile.avatar}</span>
+                    <div>
+                        <strong>${escapeHTML(profile.name)}</strong>
+                        <p class="report-muted">${I18n.t('report.age', { age: I18n.formatNumber(profile.age) })}</p>
+                    </div>
+                </div>
+            </header>
+
+            ${this.renderPlan(progress.visitPlan)}
+
+            <section class="report-stats">
+                ${this.renderStat(I18n.t('report.stats.learned'), `${I18n.formatNumber(learned.length)} / ${I18n.formatNumber(procedures.length)}`)}
+                ${this.renderStat(I18n.t('report.stats.badges'), I18n.formatNumber(badges.length))}
+                ${this.renderStat(I18n.t('report.stats.visits'), I18n.formatNumber(progress.visitCount))}
+                ${this.renderStat(I18n.t('report.stats.time'), I18n.t('report.minutes', { count: Math.round(progress.timeSpentSeconds / 60) }))}
+            </section>
+
+            <section class="report-section">
+                <h2>${I18n.t('report.adventuresTitle')}</h2>
+                ${this.renderProcedures(procedures, progress)}
+            </section>
+
+            <section class="report-section">
+                <h2>${I18n.t('report.feelingsTitle')}</h2>
+                ${this.renderFeelings(progress.anxietyRatings)}
+            </section>
+
+            <section class="report-section">
+                <h2>${I18n.t('report.badgesTitle')}</h2>
+                ${this.renderBadges(badges)}
+            </section>
+
+            <section class="report-section report-notes">
+                <h2>${I18n.t('report.notesTitle')}</h2>
+                <div class="report-lines"></div>
+            </section>
+
+            <footer class="report-footer">${I18n.t('report.footer')}</footer>
+        `;
+    }
+
+    renderPlan(plan) {
+        if (!VisitPlans.isActive(plan)) return '';
+
+        // The clinic may have removed a procedure since the plan was made
+        const procedures = plan.procedures
+            .filter(id => ProcedureCatalog.has(id))
+            .map(id => ProcedureCatalog.get(id))
+            .map(procedure => `${procedure.icon} ${procedure.title}`)
+            .join(', ');
+
+        return `
+            <section class="report-plan">
+                <strong>${I18n.t('report.nextVisit', { date: VisitPlans.formatDate(plan) })}</strong>
+                <span>${procedures}</span>
+            </section>
+        `;
+    }
+
+    renderStat(label, value) {
+        return `
+            <div class="report-stat">
+                <span class="report-stat-value">${value}</span>
+                <span class="report-stat-label">${label}</span>
+            </div>
+        `;
+    }
+
+    renderProcedures(procedures, progress) {
+        const rows = procedures.map(procedure => {
+            const score = progress.miniGameScores[procedure.id];
+            return `
+                <tr>
+                    <td>${procedure.icon} ${procedure.title}</td>
+                    <td>${I18n.t(progress.completedProcedures.includes(procedure.id) ? 'report.learned' : 'report.notYet')}</td>
+                    <td>${score === undefined ? '—' : score}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="report-table">
+                <thead><tr><th>${I18n.t('report.adventure')}</th><th>${I18n.t('report.status')}</th><th>${I18n.t('report.bestScore')}</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Faces scale ratings: averages, the trend chart and each session
+     */
+    renderFeelings(ratings) {
+        const sessions = AnxietyScale.sessions(ratings);
+        if (sessions.length === 0) {
+            return `<p class="report-muted">${I18n.t('report.noFeelings')}</p>`;
+        }
+
+        const score = value => (value === null ? '—' : `${AnxietyScale.faceFor(value)} ${value}`);
+        const rows = sessions.slice(-8).map(session => `
+            <tr>
+                <td>${I18n.formatDate(session.timestamp)}</td>
+                <td>${ProcedureCatalog.has(session.procedure) ? ProcedureCatalog.get(session.procedure).title : escapeHTML(session.procedure)}</td>
+                <td>${score(session.pre)}</td>
+                <td>${score(session.post)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <p class="report-muted">${I18n.t('report.scale')}</p>
+            <div class="report-feelings">
+                <div class="anxiety-chart">${AnxietyScale.renderChart(ratings)}</div>
+                <table class="report-table">
+                    <thead><tr><th>${I18n.t('report.date')}</th><th>${I18n.t('report.adventure')}</th><th>${I18n.t('report.before')}</th><th>${I18n.t('report.after')}</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderBadges(badges) {
+        if (badges.length === 0) {
+            return `<p class="report-muted">${I18n.t('report.noBadges')}</p>`;
+        }
+
+        return `
+            <ul class="report-badges">
+                ${badges.map(badge => `
+                    <li><span>${escapeHTML(badge.icon)}</span> ${escapeHTML(badge.name)} <small>${I18n.formatDate(badge.earnedAt)}</small></li>
+                `).join('')}
+            </ul>
+        `;
+    }
+}
+
+// Build the report
+const report = new BraveReport();
@@ -0,0 +1,192 @@
+// js/research.js - Opt-in research event log for anxiety studies
+
+/**
+ * Dental Kids App - Research Log
+ * Clinics taking part in a study can enrol a child from the clinician
+ * dashboard once a parent or guardian has given consent. Only then does
+ * the app note what the child does: how long each Show/Tell/Do step
+ * took, where a procedure was left unfinished, replays, sound and
+ * narration changes and the faces scale ratings. Nothing is written for
+ * children who aren't enrolled, and nothing leaves the device until a
+ * clinician exports it. Kept on the device as
+ *   dentalKidsResearch:       { [profileId]: { participantId, consentedAt, recordedBy } }
+ *   dentalKidsResearchEvents: [{ participant, session, at, type, band, procedure?, step?, value? }]
+ * Events carry the pseudonymous participant ID, never the profile.
+ */
+
+const RESEARCH_EVENT_LIMIT = 5000;
+
+const RESEARCH_CSV_COLUMNS = ['participant', 'ageBand', 'session', 'day', 'secondsIntoSession', 'event', 'procedure', 'step', 'value'];
+
+class ResearchLog {
+    constructor(storage) {
+        this.storage = storage;
+        this.participantsKey = 'dentalKidsResearch';
+        this.eventsKey = 'dentalKidsResearchEvents';
+        this.sessionId = null;
+    }
+
+    /**
+     * Enrolled children by profile, leaving out anything unusable
+     */
+    participants() {
+        const saved = this.storage.readJSON(this.participantsKey, {});
+        const participants = {};
+        if (!saved || typeof saved !== 'object' || Array.isArray(saved)) return participants;
+
+        Object.entries(saved).forEach(([profileId, entry]) => {
+            if (entry && typeof entry.participantId === 'string' && typeof entry.consentedAt === 'string') {
+                participants[profileId] = {
+                    participantId: entry.participantId,
+                    consentedAt: entry.consentedAt,
+                    recordedBy: typeof entry.recordedBy === 'string' ? entry.recordedBy : ''
+                };
+            }
+        });
+        return participants;
+    }
+
+    participant(profileId) {
+        return this.participants()[profileId] || null;
+    }
+
+    events() {
+        const saved = this.storage.readJSON(this.eventsKey, []);
+        return Array.isArray(saved)
+            ? saved.filter(event => event && typeof event.participant === 'string' && typeof event.type === 'string' && Number.isFinite(event.at))
+            : [];
+    }
+
+    /**
+     * Enrol a child once consent is recorded, giving them a participant ID
+     * that says nothing about who they are
+     */
+    enroll(profileId, { consent, recordedBy }) {
+        if (consent !== true) {
+            throw new Error('Record a parent or guardian\'s consent before enrolling.');
+        }
+
+        const participants = this.participants();
+        if (participants[profileId]) return participants[profileId];
+
+        const taken = Object.values(participants).map(entry => entry.participantId);
+        let participantId;
+        do {
+            const digits = Array.from(window.crypto.getRandomValues(new Uint8Array(6)), byte => (byte % 36).toString(36));
+            participantId = `P-${digits.join('').toUpperCase()}`;
+        } while (taken.includes(participantId));
+
+        participants[profileId] = { participantId, consentedAt: new Date().toISOString(), recordedBy: recordedBy || '' };
+        this.storage.writeJSON(this.participantsKey, participants);
+        console.log(`🔬 Enrolled ${participantId} in the study`);
+        return participants[profileId];
+    }
+
+    /**
+     * Take a child out of the study, deleting everything logged for them
+     */
+    withdraw(profileId) {
+        const participants = this.participants();
+        const entry = participants[profileId];
+        if (!entry) return;
+
+        delete participants[profileId];
+        this.storage.writeJSON(this.participantsKey, participants);
+        this.storage.writeJSON(this.eventsKey, this.events().filter(event => event.participant !== entry.participantId));
+        console.log(`🔬 ${entry.participantId} withdrawn, their events were deleted`);
+    }
+
+    /**
+     * Delete every participant and event on this device
+     */
+    purge() {
+        this.storage.remove(this.participantsKey);
+        this.storage.remove(this.eventsKey);
+        console.log('🔬 Research data deleted');
+    }
+
+    /**
+     * Events from here on belong to a new session, e.g. after another
+     * child picks up the tablet
+     */
+    startSession() {
+        this.sessionId = `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * Note an event for the child if they are enrolled, and otherwise
+     * do nothing at all
+     */
+    record(profileId, type, details = {}) {
+        const entry = profileId ? this.participant(profileId) : null;
+        if (!entry) return;
+        if (!this.sessionId) this.startSession();
+
+        const event = { participant: entry.participantId, session: this.sessionId, at: Date.now(), type, band: AgeLevels.band };
+        ['procedure', 'step', 'value'].forEach(key => {
+            if (details[key] !== undefined && details[key] !== null) event[key] = details[key];
+        });
+
+        // The oldest events make way once the log is full
+        const events = this.events();
+        events.push(event);
+        this.storage.writeJSON(this.eventsKey, events.slice(-RESEARCH_EVENT_LIMIT));
+    }
+
+    /**
+     * Counts for the dashboard
+     */
+    summary() {
+        const participants = Object.values(this.participants());
+        const events = this.events();
+        return {
+            participants: participants.length,
+            events: events.length,
+            sessions: new Set(events.map(event => `${event.participant}:${event.session}`)).size
+        };
+    }
+
+    /**
+     * Every event as a spreadsheet row, with times made relative: days
+     * since the child was enrolled and seconds since their session began.
+     * Names, profiles and dates stay on the device.
+     */
+    toCSV() {
+        const participants = Object.values(this.participants());
+        const enrolledAt = new Map(participants.map(entry => [entry.participantId, Date.parse(entry.consentedAt)]));
+        const sessions = new Map();
+        const rows = [];
+
+        this.events()
+            .filter(event => enrolledAt.has(event.participant))
+            .sort((a, b) => a.at - b.at)
+            .forEach(event => {
+                const own = sessions.get(event.participant) || new Map();
+                sessions.set(event.participant, own);
+                if (!own.has(event.session)) {
+                    own.set(event.session, { number: own.size + 1, startedAt: event.at });
+                }
+                const session = own.get(event.session);
+
+                rows.push({
+                    participant: event.participant,
+                    ageBand: event.band,
+                    session: session.number,
+                    day: Math.max(0, Math.floor((event.at - enrolledAt.get(event.participant)) / 86400000)),
+                    secondsIntoSession: Math.round((event.at - session.startedAt) / 1000),
+                    event: event.type,
+                    procedure: event.procedure,
+                    step: event.step,
+                    value: event.value
+                });
+            });
+
+        return [RESEARCH_CSV_COLUMNS.join(',')]
+            .concat(rows.map(row => RESEARCH_CSV_COLUMNS.map(column => csvCell(row[column])).join(',')))
+            .join('\n');
+    }
+
+    fileName() {
+        return `dental-kids-study-${new Date().toISOString().slice(0, 10)}.csv`;
+    }
+}
@@ -0,0 +1,114 @@
+// js/router.js - Hash routes for sections and procedure steps
+
+/**
+ * Dental Kids App - Router
+ * Maps the URL hash to what is on screen so Back/Forward, reloads and
+ * shared links all work:
+ *   #/home  #/procedures  #/progress  #/tips
+ *   #/procedures/xray          (procedure opened at the feelings check)
+ *   #/procedures/xray/tell     (procedure opened at a step)
+ * Hashes that aren't routes, like a shared #plan=..., are left alone.
+ */
+
+const ROUTER_SECTIONS = ['home', 'procedures', 'progress', 'tips'];
+const ROUTER_STEPS = PROCEDURE_STEP_ORDER.concat('complete');
+
+class HashRouter {
+    constructor(onRoute) {
+        this.onRoute = onRoute;
+        this.currentHash = null;
+        this.route = { section: 'home', procedure: null, step: null };
+    }
+
+    /**
+     * Follow Back/Forward and typed URLs, then show the route in the URL now
+     */
+    start() {
+        window.addEventListener('popstate', () => this.resolve());
+        window.addEventListener('hashchange', () => this.resolve());
+        this.resolve();
+    }
+
+    /**
+     * Turn a hash into a route, or null if it isn't one we know
+     */
+    parse(hash) {
+        const path = String(hash || '').replace(/^#\/?/, '');
+        if (path === '') {
+            return { section: 'home', procedure: null, step: null };
+        }
+
+        let parts;
+        try {
+            parts = path.split('/').map(decodeURIComponent);
+        } catch (error) {
+            return null;
+        }
+
+        const [section, procedure = null, step = null, ...rest] = parts;
+        if (!ROUTER_SECTIONS.includes(section) || rest.length > 0) return null;
+        if (procedure && section !== 'procedures') return null;
+        if (step && !ROUTER_STEPS.includes(step)) return null;
+
+        return { section, procedure, step };
+    }
+
+    format(route) {
+        const parts = [route.section];
+        if (route.procedure) {
+            parts.push(encodeURIComponent(route.procedure));
+            if (route.step) {
+                parts.push(route.step);
+            }
+        }
+        return `#/${parts.join('/')}`;
+    }
+
+    current() {
+        return this.route;
+    }
+
+    /**
+     * Go to a route, adding a history entry unless replace is set
+     */
+    navigate(route, { replace = false } = {}) {
+        const next = Object.assign({ procedure: null, step: null }, route);
+        const hash = this.format(next);
+        if (hash === this.currentHash) return;
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+        this.apply(next, hash);
+    }
+
+    /**
+     * Show whatever the address bar points at
+     */
+    resolve() {
+        const hash = window.location.hash;
+        if (hash && !hash.startsWith('#/')) return;
+
+        const route = this.parse(hash);
+        if (!route) {
+            console.warn(`⚠️ Unknown route: ${hash}`);
+            this.navigate({ section: 'home' }, { replace: true });
+            return;
+        }
+
+        const formatted = this.format(route);
+        if (formatted === this.currentHash) return;
+        if (hash && hash !== formatted) {
+            history.replaceState(null, '', formatted);
+        }
+        this.apply(route, formatted);
+    }
+
+    apply(route, hash) {
+        this.currentHash = hash;
+        this.route = route;
+        this.onRoute(route);
+    }
+}
@@ -0,0 +1,264 @@
+// js/storage.js - Pluggable storage backends with a cached, debounced store
+
+/**
+ * Dental Kids App - Storage
+ * Every backend implements the same async adapter interface:
+ *   get(key) -> string | null, set(key, value), remove(key), keys() -> string[]
+ * AppStorage loads the app's keys into memory once at startup so the rest
+ * of the app can read synchronously, then writes changes back debounced.
+ */
+
+/**
+ * In-memory backend, used when nothing else is available and in headless runs
+ */
+class MemoryStorageAdapter {
+    constructor(initialData = {}) {
+        this.name = 'memory';
+        this.data = new Map(Object.entries(initialData));
+    }
+
+    async get(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    async set(key, value) {
+        this.data.set(key, value);
+    }
+
+    async remove(key) {
+        this.data.delete(key);
+    }
+
+    async keys() {
+        return Array.from(this.data.keys());
+    }
+}
+
+/**
+ * window.localStorage backend
+ */
+class LocalStorageAdapter {
+    constructor(storage = window.localStorage) {
+        this.name = 'localStorage';
+        this.storage = storage;
+    }
+
+    static isAvailable() {
+        try {
+            const testKey = '__dentalKidsStorageTest';
+            window.localStorage.setItem(testKey, '1');
+            window.localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async get(key) {
+        return this.storage.getItem(key);
+    }
+
+    async set(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+
+    async keys() {
+        return Array.from({ length: this.storage.length }, (_, index) => this.storage.key(index));
+    }
+}
+
+/**
+ * IndexedDB backend using a single key-value object store
+ */
+class IndexedDBStorageAdapter {
+    constructor(databaseName = 'dentalKids', storeName = 'keyval') {
+        this.name = 'indexedDB';
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.database = null;
+    }
+
+    static isAvailable() {
+        return typeof window !== 'undefined' && Boolean(window.indexedDB);
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    async request(mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const store = database.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async get(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    async keys() {
+        return this.request('readonly', store => store.getAllKeys());
+    }
+}
+
+const StorageAdapters = {
+    /**
+     * Pick the best available backend: localStorage, then IndexedDB, then memory
+     */
+    createDefault() {
+        if (LocalStorageAdapter.isAvailable()) {
+            return new LocalStorageAdapter();
+        }
+        if (IndexedDBStorageAdapter.isAvailable()) {
+            return new IndexedDBStorageAdapter();
+        }
+
+        console.warn('⚠️ No persistent storage available, progress will not be kept');
+        return new MemoryStorageAdapter();
+    }
+};
+
+class AppStorage {
+    constructor(adapter = StorageAdapters.createDefault(), options = {}) {
+        this.adapter = adapter;
+        this.prefix = options.prefix || 'dentalKids';
+        this.debounceMs = options.debounceMs === undefined ? 400 : options.debounceMs;
+        this.cache = new Map();
+        this.pending = new Map();
+        this.flushTimer = null;
+        this.loaded = false;
+    }
+
+    /**
+     * Read every app key from the backend into memory
+     */
+    async load() {
+        try {
+            const keys = (await this.adapter.keys()).filter(key => String(key).startsWith(this.prefix));
+            const values = await Promise.all(keys.map(key => this.adapter.get(key)));
+            keys.forEach((key, index) => this.cache.set(key, values[index]));
+        } catch (error) {
+            console.error(`❌ Could not load saved data from ${this.adapter.name}:`, error);
+        }
+
+        this.loaded = true;
+        this.flushOnExit();
+        return this;
+    }
+
+    read(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    /**
+     * Parse a stored JSON value, quarantining it if it is corrupted
+     */
+    readJSON(key, fallback = null) {
+        const raw = this.read(key);
+        if (raw === null || raw === undefined) return fallback;
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            this.quarantine(key, raw, 'invalid JSON');
+            return fallback;
+        }
+    }
+
+    write(key, value) {
+        this.cache.set(key, value);
+        this.pending.set(key, value);
+        this.scheduleFlush();
+    }
+
+    writeJSON(key, value) {
+        this.write(key, JSON.stringify(value));
+    }
+
+    remove(key) {
+        this.cache.delete(key);
+        this.pending.set(key, null);
+        this.scheduleFlush();
+    }
+
+    keys() {
+        return Array.from(this.cache.keys());
+    }
+
+    /**
+     * Keep a copy of unusable data aside instead of throwing it away
+     */
+    quarantine(key, raw, reason) {
+        const quarantineKey = `${this.prefix}Quarantine:${key}:${Date.now()}`;
+        this.write(quarantineKey, JSON.stringify({ key, reason, raw, quarantinedAt: new Date().toISOString() }));
+        console.warn(`⚠️ Quarantined "${key}" (${reason}) as ${quarantineKey}`);
+    }
+
+    scheduleFlush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+
+    /**
+     * Write pending changes to the backend now
+     */
+    async flush() {
+        clearTimeout(this.flushTimer);
+        const changes = Array.from(this.pending.entries());
+        this.pending.clear();
+
+        try {
+            await Promise.all(changes.map(([key, value]) =>
+                value === null ? this.adapter.remove(key) : this.adapter.set(key, value)
+            ));
+        } catch (error) {
+            console.error(`❌ Could not save to ${this.adapter.name}:`, error);
+
+            // Retry on the next flush unless a newer value was written meanwhile
+            changes.forEach(([key, value]) => {
+                if (!this.pending.has(key)) {
+                    this.pending.set(key, value);
+                }
+            });
+        }
+    }
+
+    /**
+     * Don't lose a debounced save when the tab is hidden or closed
+     */
+    flushOnExit() {
+        if (typeof window === 'undefined') return;
+
+        window.addEventListener('pagehide', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+    }
+}
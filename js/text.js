@@ -0,0 +1,40 @@
+// js/text.js - Text helpers shared by every page
+
+/**
+ * Dental Kids App - Text
+ * Children's names, clinic content and imported files end up in HTML
+ * built from template strings and in spreadsheets, so every value goes
+ * through here first.
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use inside an element or a quoted attribute.
+ * Missing values come out empty, like textContent would show them.
+ */
+function escapeHTML(text) {
+    if (text === null || text === undefined) return '';
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Quote a value for one CSV cell. Text a spreadsheet would run as a
+ * formula (=, +, -, @ or a control character first) gets a leading
+ * apostrophe; numbers are left alone.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,112 @@
+// js/tips.js - Dental health tip catalog and tip card rendering
+
+/**
+ * Dental Kids App - Tips
+ * The cards in the tips section. Built-in tips are translated under
+ * "tips.<id>" and worded for each age band (see js/levels.js); clinics
+ * can replace them with their own (see js/content.js).
+ */
+
+const TIP_CATALOG = [
+    {
+        id: 'brush',
+        icon: '🪥',
+        title: 'Brush Twice Daily',
+        text: 'Brush your teeth in the morning and before bed for 2 minutes each time!',
+        variants: {
+            '3-5': {
+                title: 'Brush Two Times',
+                text: 'Brush in the morning and at bedtime. Sing a song while you brush!'
+            },
+            '9-12': {
+                text: 'Brush for 2 minutes in the morning and before bed with a pea-sized blob of fluoride toothpaste. Don\'t forget your tongue!'
+            }
+        }
+    },
+    {
+        id: 'floss',
+        icon: '🧵',
+        title: 'Floss Daily',
+        text: 'Clean between your teeth with floss to remove hidden food particles!',
+        variants: {
+            '3-5': {
+                title: 'Floss Fun',
+                text: 'A grown-up can help you clean between your teeth with floss.'
+            },
+            '9-12': {
+                text: 'Floss once a day to clear plaque from between your teeth, where a toothbrush can\'t reach.'
+            }
+        }
+    },
+    {
+        id: 'water',
+        icon: '🥛',
+        title: 'Drink Water',
+        text: 'Water helps wash away bacteria and keeps your mouth healthy!',
+        variants: {
+            '3-5': {
+                text: 'Water is the best drink for your teeth!'
+            },
+            '9-12': {
+                text: 'Water rinses away sugar and acid. Choose it over juice and fizzy drinks, especially between meals.'
+            }
+        }
+    },
+    {
+        id: 'food',
+        icon: '🍎',
+        title: 'Eat Healthy Foods',
+        text: 'Fruits and vegetables make your teeth strong and your smile bright!',
+        variants: {
+            '3-5': {
+                title: 'Yummy Healthy Food',
+                text: 'Crunchy apples and carrots help keep your teeth strong!'
+            },
+            '9-12': {
+                text: 'Fruit, vegetables and dairy give your teeth calcium and vitamins. Keep sweet treats for mealtimes.'
+            }
+        }
+    }
+];
+
+const TipCatalog = {
+    /**
+     * The clinic's own tips, or null to use the built-in ones
+     */
+    custom: null,
+
+    useCustom(tips) {
+        this.custom = tips;
+    },
+
+    /**
+     * Editable copy of the built-in tips, in English
+     */
+    defaults() {
+        return JSON.parse(JSON.stringify(TIP_CATALOG));
+    },
+
+    /**
+     * Every tip in display order, in the current language and worded for
+     * the current age band; text a clinic rewrote is shown as written
+     */
+    all() {
+        return (this.custom || TIP_CATALOG).map(tip => AgeLevels.apply(this.localize(tip)));
+    },
+
+    localize(tip) {
+        const builtIn = TIP_CATALOG.find(t => t.id === tip.id);
+        return builtIn ? I18n.localize(tip, `tips.${tip.id}`, builtIn) : tip;
+    },
+
+    renderCards() {
+        return this.all().map(tip => `
+            <div class="tip-card" data-tip="${tip.id}">
+                <div class="tip-icon">${tip.icon}</div>
+                <button class="tip-read-btn" aria-label="${I18n.t('narration.readTip')}">🔈</button>
+                <h3 class="tip-title" data-narrate>${tip.title}</h3>
+                <p class="tip-description" data-narrate>${tip.text}</p>
+            </div>
+        `).join('');
+    }
+};
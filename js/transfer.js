@@ -0,0 +1,246 @@
+// js/transfer.js - Export and import of a child's progress
+
+/**
+ * Dental Kids App - Progress Transfer
+ * Exports a profile's progress as JSON (for moving to another device) or
+ * CSV (for spreadsheets and charts), and imports JSON exports by merging
+ * them into, or replacing, a profile's progress.
+ */
+
+const PROGRESS_FILE_TYPE = 'dental-kids-progress';
+const PROGRESS_FILE_VERSION = 1;
+const PROGRESS_CSV_COLUMNS = ['record', 'id', 'name', 'value', 'phase', 'session', 'date'];
+
+const ProgressTransfer = {
+    toJSON(profile, progress) {
+        return JSON.stringify({
+            type: PROGRESS_FILE_TYPE,
+            version: PROGRESS_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            profile: { name: profile.name, avatar: profile.avatar, age: profile.age },
+            progress
+        }, null, 2);
+    },
+
+    /**
+     * One row per completed procedure, game score, badge, quiz round and rating
+     */
+    toCSV(profile, progress) {
+        const title = id => (ProcedureCatalog.has(id) ? ProcedureCatalog.get(id).title : id);
+        const rows = [
+            { record: 'profile', id: profile.id, name: profile.name, value: profile.age },
+            { record: 'visits', value: progress.visitCount, date: progress.lastVisitDate },
+            { record: 'visitStreak', value: progress.visitStreak },
+            { record: 'timeSpentSeconds', value: progress.timeSpentSeconds }
+        ];
+
+        progress.completedProcedures.forEach(id => {
+            rows.push({ record: 'procedure', id, name: title(id), value: 'completed' });
+        });
+        Object.entries(progress.miniGameScores).forEach(([id, score]) => {
+            rows.push({ record: 'miniGameScore', id, name: title(id), value: score });
+        });
+        Object.entries(progress.procedureSeconds).forEach(([id, seconds]) => {
+            rows.push({ record: 'procedureSeconds', id, name: title(id), value: seconds });
+        });
+        progress.badges.forEach(badge => {
+            rows.push({ record: 'badge', id: badge.id, name: badge.name, date: badge.earnedAt });
+        });
+        progress.quizRounds.forEach(round => {
+            rows.push({ record: 'quizRound', value: Quiz.score(round), name: `${round.correct}/${round.total}`, date: round.finishedAt });
+        });
+        Object.entries(progress.dailyUsage).forEach(([date, seconds]) => {
+            rows.push({ record: 'dailySeconds', value: seconds, date });
+        });
+        progress.anxietyRatings.forEach(rating => {
+            rows.push({
+                record: 'anxietyRating',
+                id: rating.procedure,
+                name: title(rating.procedure),
+                value: rating.score,
+                phase: rating.phase,
+                session: rating.sessionId,
+                date: rating.timestamp
+            });
+        });
+
+        return [PROGRESS_CSV_COLUMNS.join(',')]
+            .concat(rows.map(row => PROGRESS_CSV_COLUMNS.map(column => csvCell(row[column])).join(',')))
+            .join('\n');
+    },
+
+    /**
+     * Read a JSON export, returning null if it isn't one
+     */
+    parse(text) {
+        try {
+            const data = JSON.parse(text);
+            if (!data || data.type !== PROGRESS_FILE_TYPE || !data.progress) {
+                console.warn('⚠️ File is not a Dental Kids progress export');
+                return null;
+            }
+
+            const { progress, repaired } = ProgressSchema.normalize(data.progress);
+            if (repaired.length > 0) {
+                console.warn(`⚠️ Imported progress had invalid fields: ${repaired.join(', ')}`);
+            }
+
+            return {
+                profile: data.profile || {},
+                exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+                progress
+            };
+        } catch (error) {
+            console.warn('⚠️ Could not read progress file:', error.message);
+            return null;
+        }
+    },
+
+    /**
+     * Combine two progress objects without losing anything either has.
+     * Where both disagree, the better or more recent value wins and the
+     * difference is listed in conflicts so the grown-up can review it.
+     */
+    merge(current, incoming) {
+        const merged = JSON.parse(JSON.stringify(current));
+        const conflicts = [];
+        const title = id => (ProcedureCatalog.has(id) ? ProcedureCatalog.get(id).title : id);
+
+        merged.completedProcedures = Array.from(new Set(current.completedProcedures.concat(incoming.completedProcedures)));
+
+        incoming.badges.forEach(badge => {
+            const existing = merged.badges.find(b => b.id === badge.id);
+            if (!existing) {
+                merged.badges.push(badge);
+            } else if (badge.earnedAt < existing.earnedAt) {
+                existing.earnedAt = badge.earnedAt;
+            }
+        });
+
+        Object.entries(incoming.miniGameScores).forEach(([id, score]) => {
+            const existing = merged.miniGameScores[id];
+            if (existing !== undefined && existing !== score) {
+                conflicts.push(I18n.t('import.conflict.gameScore', {
+                    procedure: title(id), here: existing, file: score, kept: Math.max(existing, score)
+                }));
+            }
+            merged.miniGameScores[id] = Math.max(existing === undefined ? score : existing, score);
+        });
+
+        // Ratings without a session id (older saves, hand-made files) are
+        // matched by when they were given instead of all counting as one
+        const ratingKey = rating => `${rating.sessionId || rating.timestamp}|${rating.phase}`;
+        const ratings = new Map(merged.anxietyRatings.map(rating => [ratingKey(rating), rating]));
+        incoming.anxietyRatings.forEach(rating => {
+            const existing = ratings.get(ratingKey(rating));
+            if (!existing) {
+                ratings.set(ratingKey(rating), rating);
+            } else if (existing.score !== rating.score) {
+                conflicts.push(I18n.t(rating.phase === 'pre' ? 'import.conflict.ratingBefore' : 'import.conflict.ratingAfter', {
+                    procedure: title(rating.procedure),
+                    date: I18n.formatDate(rating.timestamp),
+                    here: existing.score,
+                    file: rating.score,
+                    kept: existing.score
+                }));
+            }
+        });
+        merged.anxietyRatings = Array.from(ratings.values())
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        // Counters can't be added up safely (the file may be an older copy
+        // of this same profile), so the larger value is kept
+        ['visitCount', 'timeSpentSeconds'].forEach(field => {
+            merged[field] = Math.max(current[field], incoming[field]);
+        });
+        Object.entries(incoming.procedureSeconds).forEach(([id, seconds]) => {
+            merged.procedureSeconds[id] = Math.max(merged.procedureSeconds[id] || 0, seconds);
+        });
+
+        // The streak belongs to whichever copy was used most recently
+        if (incoming.lastVisitDate && (!current.lastVisitDate ||
+            new Date(incoming.lastVisitDate) > new Date(current.lastVisitDate))) {
+            merged.lastVisitDate = incoming.lastVisitDate;
+            merged.visitStreak = incoming.visitStreak;
+        }
+
+        if (!merged.visitPlan && incoming.visitPlan) {
+            merged.visitPlan = incoming.visitPlan;
+        } else if (merged.visitPlan && incoming.visitPlan &&
+            merged.visitPlan.appointmentDate !== incoming.visitPlan.appointmentDate) {
+            conflicts.push(I18n.t('import.conflict.visitPlan', {
+                here: merged.visitPlan.appointmentDate,
+                file: incoming.visitPlan.appointmentDate,
+                kept: merged.visitPlan.appointmentDate
+            }));
+        }
+
+        // Habit days are combined: a tick on either copy counts
+        Object.entries(incoming.habitLog).forEach(([date, day]) => {
+            const existing = merged.habitLog[date] || { checks: [], sessions: 0 };
+            merged.habitLog[date] = {
+                checks: Array.from(new Set(existing.checks.concat(day.checks))),
+                sessions: Math.max(existing.sessions, day.sessions)
+            };
+        });
+
+        // Calm Corner uses from both copies, oldest first
+        const calmKey = entry => `${entry.tool}|${entry.startedAt}`;
+        const calmUses = new Map(merged.calmLog.map(entry => [calmKey(entry), entry]));
+        incoming.calmLog.forEach(entry => {
+            if (!calmUses.has(calmKey(entry))) {
+                calmUses.set(calmKey(entry), entry);
+            }
+        });
+        merged.calmLog = Array.from(calmUses.values())
+            .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+            .slice(-CALM_LOG_LIMIT);
+        merged.calmFavorites = Array.from(new Set(current.calmFavorites.concat(incoming.calmFavorites)));
+
+        // Each quiz question follows whichever copy answered it last
+        Object.entries(incoming.quizReview).forEach(([id, entry]) => {
+            const existing = merged.quizReview[id];
+            if (!existing || entry.seenAt > existing.seenAt) {
+                merged.quizReview[id] = entry;
+            }
+        });
+        const quizRounds = new Map(merged.quizRounds.map(round => [round.finishedAt, round]));
+        incoming.quizRounds.forEach(round => {
+            if (!quizRounds.has(round.finishedAt)) {
+                quizRounds.set(round.finishedAt, round);
+            }
+        });
+        merged.quizRounds = Array.from(quizRounds.values())
+            .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+            .slice(-QUIZ_ROUND_LIMIT);
+
+        // Time played on the same day on two devices can't be told apart
+        // from two copies of one device, so the larger count is kept
+        Object.entries(incoming.dailyUsage).forEach(([date, seconds]) => {
+            merged.dailyUsage[date] = Math.max(merged.dailyUsage[date] || 0, seconds);
+        });
+
+        merged.locale = current.locale || incoming.locale;
+
+        return { progress: merged, conflicts };
+    },
+
+    fileName(profile, extension) {
+        const name = String(profile.name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'child';
+        return `dental-kids-${name}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    },
+
+    /**
+     * Save text as a file through the browser's download
+     */
+    download(fileName, contents, type) {
+        const blob = new Blob([contents], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+};
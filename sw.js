@@ -0,0 +1,119 @@
+// sw.js - Service worker that keeps the app working offline
+
+/**
+ * Dental Kids App - Offline Cache
+ * Everything the app needs is precached into a versioned cache on install,
+ * then served cache-first so clinic tablets work without Wi-Fi.
+ *
+ * Bump CACHE_VERSION whenever a cached file changes. The new worker
+ * downloads the new files alongside the old cache and waits; the app
+ * asks it to take over only when no procedure is in progress, and the
+ * old cache is deleted once it has.
+ */
+
+const CACHE_VERSION = 'v26';
+const CACHE_PREFIX = 'dental-kids-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'dashboard.html',
+    'report.html',
+    'login.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'css/animations.css',
+    'css/dashboard.css',
+    'css/report.css',
+    'js/text.js',
+    'js/storage.js',
+    'js/progress.js',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/es.js',
+    'js/locales/ar.js',
+    'js/levels.js',
+    'js/procedures.js',
+    'js/tips.js',
+    'js/audio.js',
+    'js/minigames.js',
+    'js/narration.js',
+    'js/brushing.js',
+    'js/calm.js',
+    'js/quiz.js',
+    'js/achievements.js',
+    'js/anxiety.js',
+    'js/parent.js',
+    'js/mascot.js',
+    'js/profiles.js',
+    'js/plans.js',
+    'js/transfer.js',
+    'js/accessibility.js',
+    'js/router.js',
+    'js/offline.js',
+    'js/kiosk.js',
+    'js/research.js',
+    'js/content.js',
+    'js/app.js',
+    'js/qrcode.js',
+    'js/clinician.js',
+    'js/authoring.js',
+    'js/dashboard.js',
+    'js/report.js',
+    'assets/icons/favicon.ico',
+    'assets/icons/apple-touch-icon.png',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/icons/icon-maskable-512.png'
+];
+
+self.addEventListener('install', event => {
+    // If any file fails to download the install fails and the old version stays
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request)
+                .then(response => {
+                    // Keep sounds and other files fetched later for next time
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(error => {
+                    if (request.mode === 'navigate') {
+                        return caches.match('index.html');
+                    }
+                    throw error;
+                });
+        })
+    );
+});
@@ -0,0 +1,68 @@
+// test/i18n.test.js - Translation of catalog content
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const get = loadScripts([
+    'i18n.js', 'locales/en.js', 'locales/es.js', 'levels.js', 'procedures.js', 'tips.js',
+    'minigames.js', 'brushing.js', 'calm.js', 'quiz.js', 'achievements.js'
+]);
+const I18n = get('I18n');
+const ProcedureCatalog = get('ProcedureCatalog');
+const AgeLevels = get('AgeLevels');
+
+const inSpanish = check => {
+    I18n.locale = 'es';
+    try {
+        check();
+    } finally {
+        I18n.locale = 'en';
+        ProcedureCatalog.useCustom(null);
+        AgeLevels.use('6-8');
+    }
+};
+
+test('built-in procedures are translated', () => {
+    inSpanish(() => {
+        assert.strictEqual(ProcedureCatalog.get('xray').title, 'Radiografías');
+    });
+});
+
+test('a clinic\'s procedure keeps its own text and translates the rest', () => {
+    const procedures = ProcedureCatalog.defaults();
+    const xray = procedures.find(procedure => procedure.id === 'xray');
+    xray.steps.show.heading = 'Our new X-ray room';
+    ProcedureCatalog.useCustom(procedures);
+
+    inSpanish(() => {
+        const procedure = ProcedureCatalog.get('xray');
+        assert.strictEqual(procedure.steps.show.heading, 'Our new X-ray room');
+        assert.strictEqual(procedure.title, 'Radiografías');
+        assert.strictEqual(procedure.steps.do.heading, '¡Ahora inténtalo tú!');
+    });
+});
+
+test('age versions of a clinic\'s procedure are translated too', () => {
+    ProcedureCatalog.useCustom(ProcedureCatalog.defaults());
+
+    inSpanish(() => {
+        AgeLevels.use('3-5');
+        assert.strictEqual(ProcedureCatalog.get('xray').description, '¡Hazle una foto a tus dientes!');
+    });
+});
+
+test('a procedure only the clinic has is shown as written', () => {
+    const procedures = ProcedureCatalog.defaults();
+    procedures.push(Object.assign({}, procedures[0], { id: 'sealants', title: 'Sealants' }));
+    ProcedureCatalog.useCustom(procedures);
+
+    inSpanish(() => {
+        assert.strictEqual(ProcedureCatalog.get('sealants').title, 'Sealants');
+    });
+});
+
+test('plural messages pick the form for the count', () => {
+    assert.strictEqual(I18n.t('plan.daysLeft', { count: 1 }), '1 day until your dental visit!');
+    assert.strictEqual(I18n.t('plan.daysLeft', { count: 3 }), '3 days until your dental visit!');
+});
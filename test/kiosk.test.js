@@ -0,0 +1,83 @@
+// test/kiosk.test.js - Kiosk staff PIN and lockout
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { webcrypto } = require('crypto');
+const { loadScripts, memoryStorage } = require('./load');
+
+const get = loadScripts(['storage.js', 'clinician.js', 'kiosk.js'], {
+    window: { crypto: webcrypto, addEventListener() {} },
+    document: { addEventListener() {} },
+    TextEncoder
+});
+const KioskMode = get('KioskMode');
+const KIOSK_MAX_PIN_ATTEMPTS = get('KIOSK_MAX_PIN_ATTEMPTS');
+
+const kioskWithPin = async (pin = '2468') => {
+    const storage = await memoryStorage(get);
+    const kiosk = new KioskMode(storage);
+    await kiosk.enable({ sections: ['home'], procedures: [], idleMinutes: 2, afterIdle: 'discard', pin });
+    return { storage, kiosk };
+};
+
+const failAll = async (kiosk, times) => {
+    for (let attempt = 0; attempt < times; attempt += 1) {
+        assert.strictEqual(await kiosk.checkPin('0000'), false);
+    }
+};
+
+test('the staff PIN is checked against its hash', async () => {
+    const { storage, kiosk } = await kioskWithPin();
+
+    assert.strictEqual(await kiosk.checkPin('1357'), false);
+    assert.strictEqual(await kiosk.checkPin('2468'), true);
+    assert.ok(!storage.read('dentalKidsKiosk').includes('2468'));
+});
+
+test('a right PIN clears earlier wrong tries', async () => {
+    const { kiosk } = await kioskWithPin();
+    await failAll(kiosk, KIOSK_MAX_PIN_ATTEMPTS - 1);
+
+    assert.strictEqual(await kiosk.checkPin('2468'), true);
+    assert.strictEqual(kiosk.failedAttempts, 0);
+    await failAll(kiosk, KIOSK_MAX_PIN_ATTEMPTS - 1);
+    assert.strictEqual(kiosk.isLockedOut(), false);
+});
+
+test('too many wrong tries lock out even the right PIN', async () => {
+    const { kiosk } = await kioskWithPin();
+    await failAll(kiosk, KIOSK_MAX_PIN_ATTEMPTS);
+
+    assert.strictEqual(kiosk.isLockedOut(), true);
+    assert.strictEqual(await kiosk.checkPin('2468'), false);
+});
+
+test('wrong tries and the lockout survive a reload', async () => {
+    const { storage, kiosk } = await kioskWithPin();
+    await failAll(kiosk, 2);
+    assert.strictEqual(new KioskMode(storage).failedAttempts, 2);
+
+    await failAll(kiosk, KIOSK_MAX_PIN_ATTEMPTS - 2);
+    const reloaded = new KioskMode(storage);
+    assert.strictEqual(reloaded.isLockedOut(), true);
+    assert.strictEqual(await reloaded.checkPin('2468'), false);
+});
+
+test('the PIN works again once the lockout has passed', async () => {
+    const { storage, kiosk } = await kioskWithPin();
+    await failAll(kiosk, KIOSK_MAX_PIN_ATTEMPTS);
+    kiosk.save({ lockedUntil: Date.now() - 1000 });
+
+    const reloaded = new KioskMode(storage);
+    assert.strictEqual(reloaded.isLockedOut(), false);
+    assert.strictEqual(await reloaded.checkPin('2468'), true);
+});
+
+test('turning kiosk mode on again clears the lockout', async () => {
+    const { kiosk } = await kioskWithPin();
+    await failAll(kiosk, KIOSK_MAX_PIN_ATTEMPTS);
+
+    await kiosk.enable({ sections: ['home'], procedures: [], idleMinutes: 2, afterIdle: 'discard', pin: '1357' });
+    assert.strictEqual(kiosk.isLockedOut(), false);
+    assert.strictEqual(await kiosk.checkPin('1357'), true);
+});
@@ -0,0 +1,38 @@
+// test/load.js - Run the app's browser scripts in Node for unit tests
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Load js/ scripts in order into one shared global scope, like the
+ * <script> tags in the pages do. Returns a getter for their globals.
+ * Values cross back through JSON so assert.deepStrictEqual can compare them.
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext(Object.assign({
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout,
+        clearTimeout
+    }, globals));
+
+    files.forEach(file => {
+        const filename = path.join(__dirname, '..', 'js', file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    const get = name => vm.runInContext(name, context);
+    get.plain = value => JSON.parse(JSON.stringify(value));
+    return get;
+}
+
+/**
+ * An AppStorage over an in-memory backend holding the given keys
+ */
+async function memoryStorage(get, data = {}) {
+    const AppStorage = get('AppStorage');
+    const MemoryStorageAdapter = get('MemoryStorageAdapter');
+    return new AppStorage(new MemoryStorageAdapter(data), { debounceMs: 0 }).load();
+}
+
+module.exports = { loadScripts, memoryStorage };
@@ -0,0 +1,64 @@
+// test/parent.test.js - Daily time limit
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const get = loadScripts(['text.js', 'i18n.js', 'locales/en.js', 'content.js', 'progress.js', 'brushing.js', 'parent.js']);
+const DailyLimit = get('DailyLimit');
+const ProgressSchema = get('ProgressSchema');
+
+const day = (date, hour = 12) => new Date(2026, 0, date, hour);
+
+test('time played is counted per day', () => {
+    const progress = ProgressSchema.createDefault();
+    DailyLimit.add(progress, 300, day(10, 9));
+    DailyLimit.add(progress, 120, day(10, 18));
+    DailyLimit.add(progress, 60, day(11));
+
+    assert.strictEqual(DailyLimit.secondsOn(progress, day(10)), 420);
+    assert.strictEqual(DailyLimit.secondsOn(progress, day(11)), 60);
+    assert.strictEqual(DailyLimit.secondsOn(progress, day(12)), 0);
+});
+
+test('days older than the kept window are forgotten', () => {
+    const progress = ProgressSchema.createDefault();
+    DailyLimit.add(progress, 100, day(1));
+    DailyLimit.add(progress, 100, day(14));
+    assert.strictEqual(Object.keys(progress.dailyUsage).length, 2);
+
+    DailyLimit.add(progress, 100, day(15));
+    assert.deepStrictEqual(Object.keys(progress.dailyUsage).sort(), ['2026-01-14', '2026-01-15']);
+});
+
+test('without a limit there is no time left to count down', () => {
+    const progress = ProgressSchema.createDefault();
+    DailyLimit.add(progress, 600, day(10));
+
+    assert.strictEqual(DailyLimit.remaining(progress, day(10)), null);
+});
+
+test('time left never goes below zero and starts over the next day', () => {
+    const progress = Object.assign(ProgressSchema.createDefault(), { dailyLimitMinutes: 15 });
+    DailyLimit.add(progress, 600, day(10));
+    assert.strictEqual(DailyLimit.remaining(progress, day(10)), 300);
+
+    DailyLimit.add(progress, 600, day(10));
+    assert.strictEqual(DailyLimit.remaining(progress, day(10)), 0);
+    assert.strictEqual(DailyLimit.remaining(progress, day(11)), 900);
+});
+
+test('the week adds up the last seven days, today included', () => {
+    const progress = ProgressSchema.createDefault();
+    [3, 4, 9, 10].forEach(date => DailyLimit.add(progress, 60, day(date)));
+
+    assert.strictEqual(DailyLimit.week(progress, day(10)), 180);
+});
+
+test('today\'s play time survives a progress reset', () => {
+    const progress = Object.assign(ProgressSchema.createDefault(), { dailyLimitMinutes: 30 });
+    DailyLimit.add(progress, 1500, day(10));
+    const fresh = ProgressSchema.reset(progress);
+
+    assert.strictEqual(DailyLimit.remaining(fresh, day(10)), 300);
+});
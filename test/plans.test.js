@@ -0,0 +1,63 @@
+// test/plans.test.js - Visit plans from the clinician
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const get = loadScripts(['i18n.js', 'locales/en.js', 'levels.js', 'procedures.js', 'plans.js']);
+const VisitPlans = get('VisitPlans');
+
+test('a plan keeps the procedures the catalog knows, once each', () => {
+    const plan = VisitPlans.validate({
+        id: 'p1',
+        appointmentDate: '2026-03-02',
+        procedures: ['xray', 'braces', 'xray', 'cleaning'],
+        note: 'Bring your favourite toy',
+        clinician: 'Dr. Lee'
+    });
+
+    assert.deepStrictEqual(get.plain(plan.procedures), ['xray', 'cleaning']);
+    assert.strictEqual(plan.note, 'Bring your favourite toy');
+    assert.strictEqual(plan.clinician, 'Dr. Lee');
+});
+
+test('a plan needs a real YYYY-MM-DD date', () => {
+    ['2026-02-30', '2026-3-2', '03/02/2026', '"><img src=x>', '', null, 20260302].forEach(appointmentDate => {
+        assert.strictEqual(VisitPlans.validate({ appointmentDate, procedures: ['xray'] }), null, String(appointmentDate));
+    });
+});
+
+test('a plan without a known procedure is not usable', () => {
+    assert.strictEqual(VisitPlans.validate({ appointmentDate: '2026-03-02', procedures: [] }), null);
+    assert.strictEqual(VisitPlans.validate({ appointmentDate: '2026-03-02', procedures: ['braces', 7] }), null);
+    assert.strictEqual(VisitPlans.validate({ appointmentDate: '2026-03-02', procedures: 'xray' }), null);
+    assert.strictEqual(VisitPlans.validate('plan'), null);
+});
+
+test('notes are cut to 200 characters and odd fields are replaced', () => {
+    const plan = VisitPlans.validate({ appointmentDate: '2026-03-02', procedures: ['xray'], note: 'a'.repeat(300), clinician: 5, id: {} });
+
+    assert.strictEqual(plan.note.length, 200);
+    assert.strictEqual(plan.clinician, '');
+    assert.match(plan.id, /^p[a-z0-9]+$/);
+});
+
+test('the recommended path starts with the easiest unfinished procedure', () => {
+    const plan = VisitPlans.validate({ appointmentDate: '2026-03-02', procedures: ['filling', 'cleaning', 'xray'] });
+    const steps = VisitPlans.path(plan, { completedProcedures: ['cleaning'] });
+    const catalog = get('ProcedureCatalog').all();
+    const difficulty = id => catalog.find(procedure => procedure.id === id).difficulty;
+    const ids = steps.map(step => step.procedure.id);
+
+    assert.deepStrictEqual(get.plain(ids.map(difficulty)), get.plain(ids.map(difficulty)).sort((a, b) => a - b));
+    assert.strictEqual(steps.find(step => step.next).procedure.id, ids.find(id => id !== 'cleaning'));
+    assert.strictEqual(VisitPlans.completionRate(plan, { completedProcedures: ['cleaning'] }), 33);
+});
+
+test('days until the appointment count whole calendar days', () => {
+    const plan = { appointmentDate: '2026-03-02' };
+
+    assert.strictEqual(VisitPlans.daysUntil(plan, new Date(2026, 1, 27, 23, 30)), 3);
+    assert.strictEqual(VisitPlans.isActive(plan, new Date(2026, 2, 2, 18, 0)), true);
+    assert.strictEqual(VisitPlans.isActive(plan, new Date(2026, 2, 3, 8, 0)), false);
+});
@@ -0,0 +1,40 @@
+// test/profiles.test.js - Child profiles
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, memoryStorage } = require('./load');
+
+const get = loadScripts(['text.js', 'storage.js', 'content.js', 'progress.js', 'profiles.js']);
+const ProfileManager = get('ProfileManager');
+const PROFILE_AVATARS = get('PROFILE_AVATARS');
+
+test('only known avatars are kept when a profile is created', async () => {
+    const profiles = new ProfileManager(await memoryStorage(get));
+
+    assert.strictEqual(profiles.create({ name: 'Sam', avatar: '🐼', age: 5 }).avatar, '🐼');
+    assert.strictEqual(profiles.create({ name: 'Jo', avatar: '<img src=x onerror=alert(1)>', age: 5 }).avatar, PROFILE_AVATARS[0]);
+    assert.strictEqual(profiles.create({ name: 'Lina', age: 5 }).avatar, PROFILE_AVATARS[0]);
+});
+
+test('saved profiles with an unknown avatar are repaired and quarantined', async () => {
+    const storage = await memoryStorage(get, {
+        dentalKidsProfiles: JSON.stringify([
+            { id: 'p1', name: 'Sam', avatar: '🦄', age: 5 },
+            { id: 'p2', name: 'Jo', avatar: '<img src=x onerror=alert(1)>', age: 7 },
+            { id: 'p3', name: 'Explorer', avatar: '🦷', age: 6 }
+        ])
+    });
+    const profiles = new ProfileManager(storage);
+
+    assert.deepStrictEqual(get.plain(profiles.list().map(profile => profile.avatar)), ['🦄', PROFILE_AVATARS[0], '🦷']);
+    assert.ok(storage.keys().some(key => key.startsWith('dentalKidsQuarantine:dentalKidsProfiles')));
+});
+
+test('a clean profile list is not quarantined', async () => {
+    const storage = await memoryStorage(get, {
+        dentalKidsProfiles: JSON.stringify([{ id: 'p1', name: 'Sam', avatar: '🦄', age: 5 }])
+    });
+    new ProfileManager(storage);
+
+    assert.ok(!storage.keys().some(key => key.startsWith('dentalKidsQuarantine')));
+});
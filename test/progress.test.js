@@ -0,0 +1,131 @@
+// test/progress.test.js - Progress schema migrations and validation
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const get = loadScripts(['i18n.js', 'locales/en.js', 'levels.js', 'procedures.js', 'content.js', 'progress.js', 'plans.js']);
+const ProgressSchema = get('ProgressSchema');
+const PROGRESS_SCHEMA_VERSION = get('PROGRESS_SCHEMA_VERSION');
+
+test('an unversioned save is migrated to the current schema', () => {
+    const { progress, repaired } = ProgressSchema.normalize({
+        completedProcedures: ['cleaning', 'xray', 'cleaning'],
+        badges: [],
+        miniGameScores: { cleaning: 3 },
+        soundEnabled: false
+    });
+
+    assert.strictEqual(progress.schemaVersion, PROGRESS_SCHEMA_VERSION);
+    assert.deepStrictEqual(get.plain(progress.completedProcedures), ['cleaning', 'xray']);
+    assert.strictEqual(progress.soundEnabled, false);
+    assert.strictEqual(progress.motion, 'auto');
+    assert.strictEqual(progress.calmPace, 'medium');
+    assert.deepStrictEqual(get.plain(progress.dailyUsage), {});
+    assert.deepStrictEqual(get.plain(repaired), []);
+});
+
+test('each migration only adds what its version introduced', () => {
+    const progress = ProgressSchema.migrate({ schemaVersion: 6, narrationEnabled: true, habitLog: undefined });
+
+    assert.strictEqual(progress.schemaVersion, PROGRESS_SCHEMA_VERSION);
+    assert.strictEqual(progress.narrationEnabled, true);
+    assert.strictEqual(progress.effectsVolume, 0.8);
+    assert.deepStrictEqual(get.plain(progress.habitLog), {});
+    assert.strictEqual(progress.dailyLimitMinutes, null);
+});
+
+test('a current save is not migrated again', () => {
+    const saved = Object.assign(ProgressSchema.createDefault(), { motion: 'reduce', calmPace: 'slow' });
+    const progress = ProgressSchema.migrate(saved);
+
+    assert.strictEqual(progress.motion, 'reduce');
+    assert.strictEqual(progress.calmPace, 'slow');
+});
+
+test('anything that is not an object is replaced with defaults', () => {
+    [null, 'progress', [1, 2], 42].forEach(data => {
+        const { progress, repaired } = ProgressSchema.normalize(data);
+        assert.deepStrictEqual(get.plain(progress), get.plain(ProgressSchema.createDefault()));
+        assert.deepStrictEqual(get.plain(repaired), ['*']);
+    });
+});
+
+test('fields of the wrong type are repaired and reported', () => {
+    const { progress, repaired } = ProgressSchema.validate(Object.assign(ProgressSchema.createDefault(), {
+        completedProcedures: 'cleaning',
+        visitCount: -1,
+        musicVolume: 3,
+        motion: 'sideways'
+    }));
+
+    assert.deepStrictEqual(get.plain(progress.completedProcedures), []);
+    assert.strictEqual(progress.visitCount, 0);
+    assert.strictEqual(progress.musicVolume, 0.4);
+    assert.strictEqual(progress.motion, 'auto');
+    assert.deepStrictEqual(get.plain(repaired), ['completedProcedures', 'musicVolume', 'visitCount', 'motion']);
+});
+
+test('ids that could not come from the catalog are dropped', () => {
+    const { progress } = ProgressSchema.validate({
+        completedProcedures: ['cleaning', '<img src=x onerror=alert(1)>'],
+        miniGameScores: { cleaning: 3, '"><script>': 9, xray: 'lots' },
+        anxietyRatings: [
+            { procedure: 'cleaning', phase: 'pre', score: 2, timestamp: '2026-01-01T00:00:00Z' },
+            { procedure: 'cleaning', phase: 'during', score: 2, timestamp: '2026-01-01T00:00:00Z' },
+            { procedure: 'Clean Teeth', phase: 'post', score: 1, timestamp: '2026-01-01T00:00:00Z' }
+        ]
+    });
+
+    assert.deepStrictEqual(get.plain(progress.completedProcedures), ['cleaning']);
+    assert.deepStrictEqual(get.plain(progress.miniGameScores), { cleaning: 3 });
+    assert.strictEqual(progress.anxietyRatings.length, 1);
+});
+
+test('badges keep their saved entry even without a definition', () => {
+    const { progress } = ProgressSchema.validate({
+        badges: [
+            { id: 'first-procedure', name: 'First Adventure', earnedAt: '2026-01-01T00:00:00Z' },
+            { id: 'retired-badge', name: 'Old clinic badge', earnedAt: '2026-01-02T00:00:00Z' },
+            { id: 'bad id', name: 'x', earnedAt: '2026-01-03T00:00:00Z' },
+            { id: 'no-date', name: 'x' }
+        ]
+    });
+
+    assert.deepStrictEqual(progress.badges.map(badge => badge.id), ['first-procedure', 'retired-badge']);
+});
+
+test('a saved visit plan gets the same checks as a shared one', () => {
+    const plan = { id: 'p1', appointmentDate: '2026-03-02', procedures: ['xray', 'braces'], note: 'See you soon' };
+
+    const { progress, repaired } = ProgressSchema.validate({ visitPlan: plan });
+    assert.deepStrictEqual(get.plain(progress.visitPlan.procedures), ['xray']);
+    assert.deepStrictEqual(get.plain(repaired), []);
+
+    [
+        Object.assign({}, plan, { appointmentDate: '"><script>alert(1)</script>' }),
+        Object.assign({}, plan, { appointmentDate: '2026-02-30' }),
+        Object.assign({}, plan, { procedures: ['braces'] })
+    ].forEach(visitPlan => {
+        const result = ProgressSchema.validate({ visitPlan });
+        assert.strictEqual(result.progress.visitPlan, null);
+        assert.deepStrictEqual(get.plain(result.repaired), ['visitPlan']);
+    });
+});
+
+test('a reset keeps settings and today\'s play time', () => {
+    const progress = Object.assign(ProgressSchema.createDefault(), {
+        completedProcedures: ['cleaning'],
+        visitCount: 4,
+        locale: 'es',
+        dailyLimitMinutes: 30,
+        dailyUsage: { '2026-01-01': 600 }
+    });
+    const fresh = ProgressSchema.reset(progress);
+
+    assert.deepStrictEqual(get.plain(fresh.completedProcedures), []);
+    assert.strictEqual(fresh.visitCount, 0);
+    assert.strictEqual(fresh.locale, 'es');
+    assert.strictEqual(fresh.dailyLimitMinutes, 30);
+    assert.deepStrictEqual(get.plain(fresh.dailyUsage), { '2026-01-01': 600 });
+});
@@ -0,0 +1,48 @@
+// test/text.test.js - Shared text helpers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const get = loadScripts(['text.js']);
+const escapeHTML = get('escapeHTML');
+
+test('markup and both kinds of quotes are escaped', () => {
+    assert.strictEqual(
+        escapeHTML(`Sam "<b>" & Jo's`),
+        'Sam &quot;&lt;b&gt;&quot; &amp; Jo&#39;s'
+    );
+});
+
+test('an escaped name cannot leave a quoted attribute', () => {
+    const html = `<button aria-label="${escapeHTML('x" onclick="alert(1)')}">`;
+    assert.strictEqual(html, '<button aria-label="x&quot; onclick=&quot;alert(1)">');
+});
+
+test('missing values come out empty and numbers as text', () => {
+    assert.strictEqual(escapeHTML(undefined), '');
+    assert.strictEqual(escapeHTML(null), '');
+    assert.strictEqual(escapeHTML(3), '3');
+});
+
+test('CSV cells are quoted only when they need it', () => {
+    const csvCell = get('csvCell');
+
+    assert.strictEqual(csvCell('Sam'), 'Sam');
+    assert.strictEqual(csvCell('Sam, Jo'), '"Sam, Jo"');
+    assert.strictEqual(csvCell('say "cheese"'), '"say ""cheese"""');
+    assert.strictEqual(csvCell('two\nlines'), '"two\nlines"');
+    assert.strictEqual(csvCell(undefined), '');
+    assert.strictEqual(csvCell(0), '0');
+});
+
+test('CSV cells a spreadsheet would run as a formula are made text', () => {
+    const csvCell = get('csvCell');
+
+    assert.strictEqual(csvCell('=HYPERLINK("http://x")'), `"'=HYPERLINK(""http://x"")"`);
+    assert.strictEqual(csvCell('+1'), "'+1");
+    assert.strictEqual(csvCell('-2+3'), "'-2+3");
+    assert.strictEqual(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(csvCell('\tcmd'), "'\tcmd");
+    assert.strictEqual(csvCell(-5), '-5');
+});
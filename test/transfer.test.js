@@ -0,0 +1,90 @@
+// test/transfer.test.js - Progress export and import
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const get = loadScripts([
+    'text.js', 'i18n.js', 'locales/en.js', 'levels.js', 'procedures.js', 'minigames.js', 'calm.js', 'quiz.js',
+    'content.js', 'progress.js', 'plans.js', 'transfer.js'
+]);
+const ProgressSchema = get('ProgressSchema');
+const ProgressTransfer = get('ProgressTransfer');
+
+const progressWith = changes => Object.assign(ProgressSchema.createDefault(), changes);
+const rating = (sessionId, phase, score, timestamp) => ({ sessionId, procedure: 'xray', phase, score, timestamp });
+
+test('the CSV export cannot carry spreadsheet formulas', () => {
+    const profile = { id: 'p1', name: '=HYPERLINK("http://x","Sam")', age: 5 };
+    const progress = Object.assign(ProgressSchema.createDefault(), { completedProcedures: ['xray'], visitCount: 2 });
+    const lines = ProgressTransfer.toCSV(profile, progress).split('\n');
+
+    assert.strictEqual(lines[0], 'record,id,name,value,phase,session,date');
+    assert.strictEqual(lines[1], `profile,p1,"'=HYPERLINK(""http://x"",""Sam"")",5,,,`);
+    assert.ok(lines.includes('procedure,xray,X-Ray Pictures,completed,,,'));
+});
+
+test('merging keeps everything either copy has', () => {
+    const current = progressWith({
+        completedProcedures: ['xray'],
+        badges: [{ id: 'first-procedure', name: 'First Adventure', earnedAt: '2026-01-05T00:00:00Z' }],
+        visitCount: 3,
+        habitLog: { '2026-01-05': { checks: ['morning'], sessions: 1 } }
+    });
+    const incoming = progressWith({
+        completedProcedures: ['xray', 'cleaning'],
+        badges: [{ id: 'first-procedure', name: 'First Adventure', earnedAt: '2026-01-02T00:00:00Z' }],
+        visitCount: 5,
+        habitLog: { '2026-01-05': { checks: ['evening'], sessions: 2 } }
+    });
+    const { progress, conflicts } = ProgressTransfer.merge(current, incoming);
+
+    assert.deepStrictEqual(get.plain(progress.completedProcedures), ['xray', 'cleaning']);
+    assert.strictEqual(progress.badges[0].earnedAt, '2026-01-02T00:00:00Z');
+    assert.strictEqual(progress.visitCount, 5);
+    assert.deepStrictEqual(get.plain(progress.habitLog), { '2026-01-05': { checks: ['morning', 'evening'], sessions: 2 } });
+    assert.deepStrictEqual(get.plain(conflicts), []);
+});
+
+test('different game scores keep the best and are listed', () => {
+    const { progress, conflicts } = ProgressTransfer.merge(
+        progressWith({ miniGameScores: { xray: 2 } }),
+        progressWith({ miniGameScores: { xray: 5 } })
+    );
+
+    assert.strictEqual(progress.miniGameScores.xray, 5);
+    assert.strictEqual(conflicts.length, 1);
+});
+
+test('ratings from the same session are matched and differences listed', () => {
+    const { progress, conflicts } = ProgressTransfer.merge(
+        progressWith({ anxietyRatings: [rating('s1', 'pre', 6, '2026-01-01T10:00:00Z')] }),
+        progressWith({ anxietyRatings: [rating('s1', 'pre', 4, '2026-01-01T10:00:00Z'), rating('s1', 'post', 2, '2026-01-01T10:05:00Z')] })
+    );
+
+    assert.deepStrictEqual(get.plain(progress.anxietyRatings.map(entry => [entry.phase, entry.score])), [['pre', 6], ['post', 2]]);
+    assert.strictEqual(conflicts.length, 1);
+});
+
+test('ratings without a session id are matched by when they were given', () => {
+    const { progress, conflicts } = ProgressTransfer.merge(
+        progressWith({ anxietyRatings: [rating(undefined, 'pre', 6, '2026-01-01T10:00:00Z')] }),
+        progressWith({ anxietyRatings: [
+            rating(undefined, 'pre', 6, '2026-01-01T10:00:00Z'),
+            rating(undefined, 'pre', 3, '2026-01-08T10:00:00Z')
+        ] })
+    );
+
+    assert.deepStrictEqual(get.plain(progress.anxietyRatings.map(entry => entry.score)), [6, 3]);
+    assert.deepStrictEqual(get.plain(conflicts), []);
+});
+
+test('the streak comes from the copy used most recently', () => {
+    const { progress } = ProgressTransfer.merge(
+        progressWith({ lastVisitDate: 'Mon Jan 05 2026', visitStreak: 4 }),
+        progressWith({ lastVisitDate: 'Wed Jan 07 2026', visitStreak: 1 })
+    );
+
+    assert.strictEqual(progress.lastVisitDate, 'Wed Jan 07 2026');
+    assert.strictEqual(progress.visitStreak, 1);
+});